@@ -0,0 +1,1868 @@
+// ====================================
+// Business Case Analyzer Pro - Analysis Core
+// Financial calculations, risk simulation and field quality assessment, free of
+// DOM dependencies so they can be loaded by the page, a Web Worker or Node
+// ====================================
+
+// Financial Calculation Functions
+const FinancialCalculator = {
+    // Calculate ROI (Return on Investment)
+    calculateROI(investment, totalReturn) {
+        if (investment === 0) return 0;
+        return ((totalReturn - investment) / investment) * 100;
+    },
+
+    // Effective monthly rate equivalent to an annual rate (both in %)
+    monthlyRate(annualRate) {
+        return (Math.pow(1 + annualRate / 100, 1 / 12) - 1) * 100;
+    },
+
+    // Effective annual rate equivalent to a monthly rate (both in %)
+    annualRate(monthlyRate) {
+        return (Math.pow(1 + monthlyRate / 100, 12) - 1) * 100;
+    },
+
+    // Time in months at which a month's cash flow is discounted. Month 0 is the
+    // investment at t=0; 'mid' timing assumes operating flows arrive mid-month.
+    discountPeriod(month, timing = 'end') {
+        return timing === 'mid' && month > 0 ? month - 0.5 : month;
+    },
+
+    // Discount factor for a month's cash flow, compounding the annual rate monthly
+    discountFactor(month, discountRate, timing = 'end') {
+        return 1 / Math.pow(1 + discountRate / 100, this.discountPeriod(month, timing) / 12);
+    },
+
+    // Valuation bases: 'nominal' inflates the amounts (entered in today's money) and discounts
+    // at the discount rate; 'real' keeps today's money and discounts at the real rate
+    VALUATION_BASES: ['nominal', 'real'],
+
+    // Annual rate the project's cash flows are discounted at (%): the discount rate, or in
+    // real terms the Fisher equivalent (1 + nominal) / (1 + inflation) - 1
+    effectiveDiscountRate(data) {
+        if (data.valuationBasis !== 'real' || !data.inflationRate) return data.discountRate;
+        return ((1 + data.discountRate / 100) / (1 + data.inflationRate / 100) - 1) * 100;
+    },
+
+    // Price level of a month relative to today: compounded inflation in nominal terms, 1 in real terms
+    inflationFactor(data, month) {
+        if (data.valuationBasis === 'real' || !data.inflationRate) return 1;
+        return Math.pow(1 + data.inflationRate / 100, month / 12);
+    },
+
+    // Calculate NPV (Net Present Value) of monthly cash flows, cashFlows[0] at t=0
+    calculateNPV(cashFlows, discountRate, timing = 'end') {
+        let npv = 0;
+        for (let i = 0; i < cashFlows.length; i++) {
+            npv += cashFlows[i] * this.discountFactor(i, discountRate, timing);
+        }
+        return npv;
+    },
+
+    // XNPV of cash flows on arbitrary dates (Date objects), discounted from the first date
+    // with an actual/365 day count, as spreadsheet XNPV does. The rate is annual, in %.
+    calculateXNPV(cashFlows, dates, discountRate) {
+        const msPerDay = 24 * 60 * 60 * 1000;
+        const start = dates[0].getTime();
+        let xnpv = 0;
+        for (let i = 0; i < cashFlows.length; i++) {
+            const days = Math.round((dates[i].getTime() - start) / msPerDay);
+            xnpv += cashFlows[i] / Math.pow(1 + discountRate / 100, days / 365);
+        }
+        return xnpv;
+    },
+
+    // Calculate Payback Period (in months) from monthly cash flows, cashFlows[0] at t=0.
+    // Later capex tranches can push the cumulative cash flow negative again, so payback is
+    // the last point where it turns non-negative and stays there, interpolated within the month.
+    // Returns the duration when the cumulative cash flow ends below zero.
+    calculatePaybackPeriod(cashFlows) {
+        let cumulativeCashFlow = 0;
+        let recovered = true;
+        let paybackPeriod = 0;
+
+        for (let month = 0; month < cashFlows.length; month++) {
+            const previousCumulativeCashFlow = cumulativeCashFlow;
+            cumulativeCashFlow += cashFlows[month];
+
+            if (cumulativeCashFlow < 0) {
+                recovered = false;
+            } else if (!recovered) {
+                recovered = true;
+                paybackPeriod = month - 1 + (-previousCumulativeCashFlow / cashFlows[month]);
+            }
+        }
+        return recovered ? paybackPeriod : Math.max(0, cashFlows.length - 1);
+    },
+
+    // Payback on the discounted cash flows: months until the present value of the returns
+    // covers the investment (the project length when it never does, as for the simple payback)
+    calculateDiscountedPaybackPeriod(cashFlows, discountRate, timing = 'end') {
+        return this.calculatePaybackPeriod(cashFlows.map((flow, month) => flow * this.discountFactor(month, discountRate, timing)));
+    },
+
+    // Present value of the returns per unit of present value invested: 1 + NPV / PV(investment).
+    // Null without an investment.
+    calculateProfitabilityIndex(npv, investments, discountRate, timing = 'end') {
+        const presentInvestment = investments.reduce((sum, amount, month) => sum + amount * this.discountFactor(month, discountRate, timing), 0);
+        return presentInvestment > 0 ? 1 + npv / presentInvestment : null;
+    },
+
+    // Equivalent annual annuity: the level yearly amount over the project's years whose
+    // present value equals NPV, so projects of different durations can be compared
+    calculateEAA(npv, discountRate, months) {
+        const years = months / 12;
+        if (years <= 0) return 0;
+        const rate = discountRate / 100;
+        return rate === 0 ? npv / years : npv * rate / (1 - Math.pow(1 + rate, -years));
+    },
+
+    // Peak cash requirement: the deepest cumulative negative position (0 when the cumulative
+    // cash flow never goes below zero) and the month it is reached
+    calculatePeakCash(cashFlows) {
+        let cumulative = 0;
+        let peak = { amount: 0, month: 0 };
+        cashFlows.forEach((flow, month) => {
+            cumulative += flow;
+            if (-cumulative > peak.amount) peak = { amount: -cumulative, month };
+        });
+        return peak;
+    },
+
+    // Monthly rates (as fractions) scanned for NPV sign changes when bracketing IRRs
+    IRR_SEARCH: { min: -0.95, max: 1, step: 0.0025 },
+
+    // NPV of monthly cash flows at a monthly rate given as a fraction
+    npvAtMonthlyRate(cashFlows, rate, timing = 'end') {
+        let npv = 0;
+        for (let month = 0; month < cashFlows.length; month++) {
+            npv += cashFlows[month] / Math.pow(1 + rate, this.discountPeriod(month, timing));
+        }
+        return npv;
+    },
+
+    // Sign changes in the cash flow sequence (zeros ignored). By Descartes' rule of
+    // signs this is an upper bound on the number of IRRs.
+    countSignChanges(cashFlows) {
+        let changes = 0;
+        let previousSign = 0;
+        cashFlows.forEach(cf => {
+            const sign = Math.sign(cf);
+            if (sign !== 0) {
+                if (previousSign !== 0 && sign !== previousSign) changes++;
+                previousSign = sign;
+            }
+        });
+        return changes;
+    },
+
+    // Newton-Raphson from a guess; returns the monthly rate (fraction) or null if it does not converge
+    newtonIRR(cashFlows, timing = 'end', guess = 0.01) {
+        const maxIterations = 100;
+        const tolerance = 1e-10;
+        let rate = guess;
+
+        for (let i = 0; i < maxIterations; i++) {
+            let npv = 0;
+            let dnpv = 0;
+
+            for (let j = 0; j < cashFlows.length; j++) {
+                const period = this.discountPeriod(j, timing);
+                const denominator = Math.pow(1 + rate, period);
+                npv += cashFlows[j] / denominator;
+                dnpv -= period * cashFlows[j] / (denominator * (1 + rate));
+            }
+
+            if (!isFinite(npv) || !isFinite(dnpv) || dnpv === 0) return null;
+
+            const newRate = rate - npv / dnpv;
+            if (!isFinite(newRate) || newRate <= -1) return null;
+            if (Math.abs(newRate - rate) < tolerance) return newRate;
+            rate = newRate;
+        }
+        return null;
+    },
+
+    // Brent's method on a bracket [low, high] whose NPVs have opposite signs
+    brentIRR(cashFlows, timing, low, high) {
+        const f = rate => this.npvAtMonthlyRate(cashFlows, rate, timing);
+        const tolerance = 1e-12;
+        let a = low, b = high, c = high;
+        let fa = f(a), fb = f(b), fc = fb;
+        let d = b - a, e = d;
+
+        for (let i = 0; i < 200; i++) {
+            if ((fb > 0 && fc > 0) || (fb < 0 && fc < 0)) {
+                c = a; fc = fa; d = b - a; e = d;
+            }
+            if (Math.abs(fc) < Math.abs(fb)) {
+                a = b; b = c; c = a;
+                fa = fb; fb = fc; fc = fa;
+            }
+
+            const tol = 2 * Number.EPSILON * Math.abs(b) + tolerance / 2;
+            const m = (c - b) / 2;
+            if (Math.abs(m) <= tol || fb === 0) return b;
+
+            if (Math.abs(e) >= tol && Math.abs(fa) > Math.abs(fb)) {
+                // Inverse quadratic interpolation, or secant when only two points are distinct
+                const s = fb / fa;
+                let p, q;
+                if (a === c) {
+                    p = 2 * m * s;
+                    q = 1 - s;
+                } else {
+                    const r = fb / fc;
+                    const t = fa / fc;
+                    p = s * (2 * m * t * (t - r) - (b - a) * (r - 1));
+                    q = (t - 1) * (r - 1) * (s - 1);
+                }
+                if (p > 0) q = -q; else p = -p;
+
+                if (2 * p < Math.min(3 * m * q - Math.abs(tol * q), Math.abs(e * q))) {
+                    e = d;
+                    d = p / q;
+                } else {
+                    d = m; e = m;
+                }
+            } else {
+                // Bisection
+                d = m; e = m;
+            }
+
+            a = b; fa = fb;
+            b += Math.abs(d) > tol ? d : (m > 0 ? tol : -tol);
+            fb = f(b);
+        }
+        return b;
+    },
+
+    // Annual IRR below which a root has no economic meaning (the investment all but lost)
+    IRR_FLOOR: -99,
+
+    // Roots (monthly fractions, sorted) that can be a project's return. A single root is always
+    // kept. Of several, those at or below IRR_FLOOR a year are dropped; they come from sign
+    // changes such as a yearly tax payment in an otherwise profitable project. When the
+    // cumulative cash flow changes sign once and ends positive (Norstrom's criterion) only one
+    // root is positive, and that one is the IRR.
+    meaningfulRoots(cashFlows, roots) {
+        if (roots.length <= 1) return roots;
+        const floor = Math.pow(1 + this.IRR_FLOOR / 100, 1 / 12) - 1;
+        const meaningful = roots.filter(rate => rate > floor);
+        if (meaningful.length === 0) return roots;
+        if (meaningful.length === 1) return meaningful;
+
+        let cumulative = 0;
+        const cumulativeFlows = cashFlows.map(flow => (cumulative += flow));
+        if (cumulative > 0 && cumulativeFlows[0] < 0 && this.countSignChanges(cumulativeFlows) === 1) {
+            return meaningful.filter(rate => rate > 0);
+        }
+        return meaningful;
+    },
+
+    // Solve for every IRR in the search range. Returns { status, rate, rates } with monthly
+    // rates in %: status is 'ok' (one IRR in rate), 'multiple' (all of them in rates) or
+    // 'none' (the flows never change sign or the NPV has no root in range).
+    analyzeIRR(cashFlows, timing = 'end') {
+        if (this.countSignChanges(cashFlows) === 0) {
+            return { status: 'none', rate: null, rates: [] };
+        }
+
+        const { min, max, step } = this.IRR_SEARCH;
+        const roots = [];
+        const addRoot = rate => {
+            if (!roots.some(root => Math.abs(root - rate) < 1e-7)) roots.push(rate);
+        };
+
+        let previousRate = min;
+        let previousNpv = this.npvAtMonthlyRate(cashFlows, previousRate, timing);
+        for (let rate = min + step; rate <= max + step / 2; rate += step) {
+            const npv = this.npvAtMonthlyRate(cashFlows, rate, timing);
+            if (previousNpv === 0) {
+                addRoot(previousRate);
+            } else if (isFinite(previousNpv) && isFinite(npv) && previousNpv * npv < 0) {
+                addRoot(this.brentIRR(cashFlows, timing, previousRate, rate));
+            }
+            previousRate = rate;
+            previousNpv = npv;
+        }
+        if (previousNpv === 0) addRoot(previousRate);
+
+        // Roots outside the scanned range (e.g. extreme returns) are left to Newton-Raphson
+        if (roots.length === 0) {
+            const rate = this.newtonIRR(cashFlows, timing);
+            if (rate !== null) addRoot(rate);
+        }
+
+        const rates = this.meaningfulRoots(cashFlows, roots.sort((a, b) => a - b)).map(rate => rate * 100);
+        if (rates.length === 0) return { status: 'none', rate: null, rates };
+        if (rates.length > 1) return { status: 'multiple', rate: null, rates };
+        return { status: 'ok', rate: rates[0], rates };
+    },
+
+    // Monthly IRR (Internal Rate of Return, in %), or null when there is no unique IRR.
+    // Cash flows are discounted with the same timing as calculateNPV().
+    calculateIRR(cashFlows, timing = 'end') {
+        const result = this.analyzeIRR(cashFlows, timing);
+        return result.status === 'ok' ? result.rate : null;
+    },
+
+    // MIRR (Modified Internal Rate of Return) as an effective annual %. Negative flows are
+    // financed at financeRate and positive flows reinvested at reinvestmentRate (annual %).
+    calculateMIRR(cashFlows, financeRate, reinvestmentRate) {
+        const periods = cashFlows.length - 1;
+        const financeMonthly = this.monthlyRate(financeRate) / 100;
+        const reinvestmentMonthly = this.monthlyRate(reinvestmentRate) / 100;
+
+        let presentValueNegative = 0;
+        let futureValuePositive = 0;
+        cashFlows.forEach((cf, month) => {
+            if (cf < 0) {
+                presentValueNegative += cf / Math.pow(1 + financeMonthly, month);
+            } else {
+                futureValuePositive += cf * Math.pow(1 + reinvestmentMonthly, periods - month);
+            }
+        });
+
+        if (periods < 1 || presentValueNegative === 0 || futureValuePositive === 0) return null;
+        const monthly = Math.pow(futureValuePositive / -presentValueNegative, 1 / periods) - 1;
+        return this.annualRate(monthly * 100);
+    },
+
+    // Ramp-up curves for line items, from full amount immediately to an S-shaped adoption
+    RAMP_CURVES: ['none', 'linear', 's-curve'],
+
+    // Ramp-up curves for the summary revenue: the line item curves or custom monthly percentages
+    REVENUE_RAMP_CURVES: ['none', 'linear', 's-curve', 'custom'],
+
+    // Share of a line's full amount reached in its nth active month (1-based). The 'custom'
+    // curve takes percentages[n - 1] (%) and the full amount after the last percentage.
+    rampFactor(curve, activeMonth, rampMonths, percentages = []) {
+        if (curve === 'custom') {
+            return activeMonth <= percentages.length ? percentages[activeMonth - 1] / 100 : 1;
+        }
+        if (curve === 'none' || !rampMonths || activeMonth >= rampMonths) return 1;
+        const progress = activeMonth / rampMonths;
+        return curve === 's-curve' ? progress * progress * (3 - 2 * progress) : progress;
+    },
+
+    // Revenue and cost lines of a project: the summary fields become base lines (identified by
+    // baseField, with no name; revenue ramps up on the project's revenue curve and the cost
+    // fields grow at their escalation rates) followed by the itemized lines in data.lineItems.
+    // A go-live delay postpones every revenue line by data.goLiveDelay months; costs are not moved.
+    getLineItems(data) {
+        const baseLine = (baseField, type, amount, growth, ramp = {}) => ({
+            id: `base-${baseField}`, baseField, type, name: '', amount: amount || 0,
+            startMonth: 1, endMonth: null, growth: growth || 0, rampMonths: 0, rampCurve: 'none', ...ramp
+        });
+        const delay = Math.max(0, Math.round(data.goLiveDelay || 0));
+        const goLive = line => (line.type !== 'revenue' || delay === 0 ? line : {
+            ...line,
+            startMonth: Math.max(1, line.startMonth || 1) + delay,
+            endMonth: line.endMonth ? line.endMonth + delay : null
+        });
+
+        return [
+            baseLine('yearlyRevenue', 'revenue', data.yearlyRevenue, data.revenueGrowth, {
+                rampCurve: data.revenueRampCurve || 'none',
+                rampMonths: data.revenueRampMonths || 0,
+                rampPercentages: data.revenueRampPercentages || []
+            }),
+            baseLine('operatingCosts', 'cost', data.operatingCosts, data.operatingCostEscalation),
+            baseLine('maintenanceCosts', 'cost', data.maintenanceCosts, data.maintenanceCostEscalation),
+            ...(data.lineItems || [])
+        ].map(goLive);
+    },
+
+    // Amount of a line in a given month: annual amount / 12 while active, compounded by its
+    // annual growth from its start month and scaled by its ramp-up curve
+    lineItemAmount(line, month, projectDuration) {
+        const startMonth = Math.max(1, line.startMonth || 1);
+        const endMonth = line.endMonth || projectDuration;
+        if (month < startMonth || month > endMonth) return 0;
+
+        const elapsed = month - startMonth;
+        const growth = Math.pow(1 + (line.growth || 0) / 100, elapsed / 12);
+        return (line.amount || 0) / 12 * growth * this.rampFactor(line.rampCurve, elapsed + 1, line.rampMonths, line.rampPercentages);
+    },
+
+    // Days in an average month, to turn DSO and DPO into months of delay
+    DAYS_PER_MONTH: 365 / 12,
+
+    // Amounts moved `lagMonths` later; a fractional lag splits each amount between the two
+    // neighbouring months. Whatever would fall after the last month is settled in the last
+    // month, so receivables and payables are recovered by the end of the project.
+    delayAmounts(amounts, lagMonths) {
+        const delayed = new Array(amounts.length).fill(0);
+        const last = amounts.length - 1;
+        const whole = Math.floor(lagMonths);
+        const fraction = lagMonths - whole;
+        amounts.forEach((amount, month) => {
+            delayed[Math.min(month + whole, last)] += amount * (1 - fraction);
+            if (fraction > 0) delayed[Math.min(month + whole + 1, last)] += amount * fraction;
+        });
+        return delayed;
+    },
+
+    // Capex recurrences and the interval between payments in months
+    INVESTMENT_RECURRENCES: { once: 0, monthly: 1, quarterly: 3, annual: 12 },
+
+    // Amount of a capex tranche paid in a given month. One-off tranches are paid in their month;
+    // recurring ones from their month through endMonth (default: project end) at their interval.
+    investmentAmount(tranche, month, projectDuration) {
+        const startMonth = Math.max(0, tranche.month || 0);
+        const interval = this.INVESTMENT_RECURRENCES[tranche.recurrence] || 0;
+
+        if (interval === 0) {
+            return month === startMonth ? tranche.amount || 0 : 0;
+        }
+
+        const endMonth = tranche.endMonth === null || tranche.endMonth === undefined ? projectDuration : tranche.endMonth;
+        if (month < startMonth || month > endMonth || (month - startMonth) % interval !== 0) return 0;
+        return tranche.amount || 0;
+    },
+
+    // Capex per month: initialInvestment at t=0 plus every tranche in data.investmentSchedule,
+    // at the month's price level
+    generateInvestmentSchedule(data) {
+        const tranches = data.investmentSchedule || [];
+        return Array.from({ length: data.projectDuration + 1 }, (_, month) =>
+            ((month === 0 ? data.initialInvestment : 0) +
+            tranches.reduce((sum, tranche) => sum + this.investmentAmount(tranche, month, data.projectDuration), 0)) *
+            this.inflationFactor(data, month));
+    },
+
+    // Depreciation methods for the capitalized investment
+    DEPRECIATION_METHODS: ['straight-line', 'declining-balance'],
+
+    // Declining-balance rate as a multiple of the straight-line rate (double declining balance)
+    DECLINING_BALANCE_FACTOR: 2,
+
+    // Useful life in months: data.usefulLife years, or the project duration when not given
+    usefulLifeMonths(data) {
+        return data.usefulLife > 0 ? Math.max(1, Math.round(data.usefulLife * 12)) : data.projectDuration;
+    },
+
+    // Monthly depreciation of one asset costing `cost`. Declining balance switches to straight
+    // line once that deducts more, so the asset is fully depreciated at the end of its life.
+    depreciateAsset(cost, lifeMonths, method) {
+        const amounts = [];
+        let bookValue = cost;
+        for (let month = 0; month < lifeMonths; month++) {
+            const straightLine = bookValue / (lifeMonths - month);
+            const amount = method === 'declining-balance'
+                ? Math.max(bookValue * this.DECLINING_BALANCE_FACTOR / lifeMonths, straightLine)
+                : straightLine;
+            amounts.push(amount);
+            bookValue -= amount;
+        }
+        return amounts;
+    },
+
+    // Depreciation per month: every capex outlay (initialInvestment and scheduled tranches) is
+    // capitalized and depreciated from the month after it is paid. The assets are retired
+    // without salvage value, so book value left at the end is deducted in the last month.
+    generateDepreciationSchedule(data) {
+        const depreciation = new Array(data.projectDuration + 1).fill(0);
+        const lifeMonths = this.usefulLifeMonths(data);
+        this.generateInvestmentSchedule(data).forEach((cost, paidMonth) => {
+            if (cost <= 0) return;
+            this.depreciateAsset(cost, lifeMonths, data.depreciationMethod).forEach((amount, index) => {
+                depreciation[Math.min(paidMonth + 1 + index, data.projectDuration)] += amount;
+            });
+        });
+        return depreciation;
+    },
+
+    // Income tax per month at data.taxRate (%). Taxable income (operating result less
+    // depreciation) is totalled per project year and the tax is paid in the year's last month.
+    // Losses are carried forward against later years' profits; there are no refunds.
+    generateTaxSchedule(data, operatingResults, depreciation) {
+        const taxes = new Array(data.projectDuration + 1).fill(0);
+        if (!(data.taxRate > 0)) return taxes;
+
+        let lossCarryforward = 0;
+        for (let yearStart = 1; yearStart <= data.projectDuration; yearStart += 12) {
+            const yearEnd = Math.min(yearStart + 11, data.projectDuration);
+            let taxableIncome = 0;
+            for (let month = yearStart; month <= yearEnd; month++) {
+                taxableIncome += operatingResults[month] - depreciation[month];
+            }
+            if (taxableIncome < 0) {
+                lossCarryforward -= taxableIncome;
+                continue;
+            }
+            const offset = Math.min(lossCarryforward, taxableIncome);
+            lossCarryforward -= offset;
+            taxes[yearEnd] = (taxableIncome - offset) * data.taxRate / 100;
+        }
+        return taxes;
+    },
+
+    // Copy of the project with every revenue or cost line (summary fields and itemized lines) scaled
+    scaleLines(data, type, multiplier) {
+        const scaled = { ...data };
+        if (type === 'revenue') {
+            scaled.yearlyRevenue = data.yearlyRevenue * multiplier;
+        } else {
+            scaled.operatingCosts = data.operatingCosts * multiplier;
+            scaled.maintenanceCosts = data.maintenanceCosts * multiplier;
+        }
+        scaled.lineItems = (data.lineItems || []).map(line =>
+            line.type === type ? { ...line, amount: line.amount * multiplier } : line);
+        return scaled;
+    },
+
+    // Per-line monthly amounts at the month's price level (index 0 is t=0 and always zero)
+    generateLineItemSchedule(data) {
+        return this.getLineItems(data).map(line => ({
+            ...line,
+            amounts: Array.from({ length: data.projectDuration + 1 }, (_, month) =>
+                month === 0 ? 0 : this.lineItemAmount(line, month, data.projectDuration) * this.inflationFactor(data, month))
+        }));
+    },
+
+    // Monthly schedule behind the cash flow vector: month 0 holds the initial investment
+    // and later months any scheduled capex tranches. Revenue and costs are booked when
+    // earned and incurred; revenue is collected data.receivableDays (DSO) and costs are paid
+    // data.payableDays (DPO) later, and workingCapitalChange is the resulting cash timing
+    // difference. netCashFlow is pre-tax; tax and afterTaxCashFlow follow from the tax rate
+    // and the depreciation of the capex.
+    generateCashFlowSchedule(data) {
+        const lines = this.generateLineItemSchedule(data);
+        const investments = this.generateInvestmentSchedule(data);
+        const total = (type, month) => lines
+            .filter(line => line.type === type)
+            .reduce((sum, line) => sum + line.amounts[month], 0);
+        const revenues = investments.map((_, month) => total('revenue', month));
+        const costs = investments.map((_, month) => total('cost', month));
+        const collections = this.delayAmounts(revenues, (data.receivableDays || 0) / this.DAYS_PER_MONTH);
+        const payments = this.delayAmounts(costs, (data.payableDays || 0) / this.DAYS_PER_MONTH);
+        const depreciation = this.generateDepreciationSchedule(data);
+        const taxes = this.generateTaxSchedule(data, revenues.map((revenue, month) => revenue - costs[month]), depreciation);
+        
+        const schedule = [];
+        let cumulativeCashFlow = 0;
+        let cumulativeDiscountedCashFlow = 0;
+
+        for (let month = 0; month <= data.projectDuration; month++) {
+            const investment = investments[month];
+            const revenue = revenues[month];
+            const workingCapitalChange = (collections[month] - revenue) - (payments[month] - costs[month]);
+            const netCashFlow = revenue - costs[month] + workingCapitalChange - investment;
+            const discountFactor = this.discountFactor(month, this.effectiveDiscountRate(data), data.discountTiming);
+            const discountedCashFlow = netCashFlow * discountFactor;
+
+            cumulativeCashFlow += netCashFlow;
+            cumulativeDiscountedCashFlow += discountedCashFlow;
+
+            schedule.push({
+                month,
+                revenue,
+                costs: costs[month],
+                investment,
+                workingCapitalChange,
+                netCashFlow,
+                discountFactor,
+                discountedCashFlow,
+                cumulativeCashFlow,
+                cumulativeDiscountedCashFlow,
+                depreciation: depreciation[month],
+                tax: taxes[month],
+                afterTaxCashFlow: netCashFlow - taxes[month]
+            });
+        }
+
+        return schedule;
+    },
+
+    // Generate cash flow projections
+    generateCashFlows(data) {
+        return this.generateCashFlowSchedule(data).map(row => row.netCashFlow);
+    },
+
+    // Tax the schedule's operating results would bear with no depreciation deduction; the
+    // difference to the actual tax is the tax shield the depreciation really delivers
+    taxWithoutDepreciation(data, schedule) {
+        const operatingResults = schedule.map(row => row.revenue - row.costs);
+        return this.generateTaxSchedule(data, operatingResults, new Array(schedule.length).fill(0))
+            .reduce((sum, tax) => sum + tax, 0);
+    },
+
+    // Terminal value methods: none, a growing perpetuity or a multiple of the final year
+    TERMINAL_VALUE_METHODS: ['none', 'perpetuity', 'multiple'],
+
+    // Operating cash flow of the final project year: the last 12 months, annualized when the
+    // project is shorter (flows[0] is t=0)
+    finalYearCashFlow(flows) {
+        const months = Math.min(12, flows.length - 1);
+        if (months < 1) return 0;
+        return flows.slice(flows.length - months).reduce((sum, flow) => sum + flow, 0) * 12 / months;
+    },
+
+    // Value at the end of the project of the cash flows after it: the final year's cash flow
+    // growing at terminalGrowth (% yearly) forever, or exitMultiple times it. The perpetuity
+    // needs a growth rate below the discount rate; otherwise value is null and nothing is
+    // added to NPV. Returns null without a terminal value method.
+    terminalValue(data, finalYearCashFlow) {
+        const method = data.terminalValueMethod;
+        if (method !== 'perpetuity' && method !== 'multiple') return null;
+
+        const rate = this.effectiveDiscountRate(data);
+        let value;
+        if (method === 'perpetuity') {
+            const growth = data.terminalGrowth || 0;
+            value = rate > growth ? finalYearCashFlow * (1 + growth / 100) / ((rate - growth) / 100) : null;
+        } else {
+            value = finalYearCashFlow * (data.exitMultiple || 0);
+        }
+
+        return {
+            method,
+            finalYearCashFlow,
+            value,
+            presentValue: value === null ? 0 : value * this.discountFactor(data.projectDuration, rate)
+        };
+    },
+
+    // NPV of a project including its terminal value, without the other metrics: pre-tax, or
+    // after tax when `afterTax` is set (the same figure when there is no tax rate)
+    calculateProjectNPV(data, afterTax = false) {
+        const schedule = this.generateCashFlowSchedule(data);
+        const taxed = afterTax && data.taxRate > 0;
+        const cashFlows = schedule.map(row => (taxed ? row.afterTaxCashFlow : row.netCashFlow));
+        const operatingFlows = schedule.map(row => row.revenue - row.costs - (taxed ? row.tax : 0));
+        const npv = this.calculateNPV(cashFlows, this.effectiveDiscountRate(data), data.discountTiming);
+        const terminal = this.terminalValue(data, this.finalYearCashFlow(operatingFlows));
+        return npv + (terminal ? terminal.presentValue : 0);
+    },
+
+    // ROI, NPV, payback, IRR, MIRR and the capital budgeting measures of one cash flow vector;
+    // ROI compares totalReturn with totalInvestment and the profitability index the present
+    // value of the investments. NPV (and so PI and EAA) includes the present value of the
+    // terminal value taken from operatingFlows; the other metrics cover the project's own cash flows.
+    cashFlowMetrics(data, cashFlows, totalInvestment, totalReturn, operatingFlows, investments) {
+        const rate = this.effectiveDiscountRate(data);
+        const irrResult = this.analyzeIRR(cashFlows, data.discountTiming);
+        const terminalValue = this.terminalValue(data, this.finalYearCashFlow(operatingFlows));
+        const npv = this.calculateNPV(cashFlows, rate, data.discountTiming) + (terminalValue ? terminalValue.presentValue : 0);
+        const peakCash = this.calculatePeakCash(cashFlows);
+        // MIRR rates default to the discount rate when left blank
+        const rateOrDiscount = value => (typeof value === 'number' && isFinite(value) ? value : rate);
+
+        return {
+            roi: this.calculateROI(totalInvestment, totalReturn),
+            npv,
+            terminalValue,
+            paybackPeriod: this.calculatePaybackPeriod(cashFlows),
+            discountedPaybackPeriod: this.calculateDiscountedPaybackPeriod(cashFlows, rate, data.discountTiming),
+            profitabilityIndex: this.calculateProfitabilityIndex(npv, investments, rate, data.discountTiming),
+            eaa: this.calculateEAA(npv, rate, data.projectDuration),
+            peakCash: peakCash.amount,
+            peakCashMonth: peakCash.month,
+            irr: irrResult.status === 'ok' ? this.annualRate(irrResult.rate) : null,
+            irrStatus: irrResult.status,
+            irrCandidates: irrResult.rates.map(rate => this.annualRate(rate)),
+            mirr: this.calculateMIRR(cashFlows, rateOrDiscount(data.financeRate), rateOrDiscount(data.reinvestmentRate))
+        };
+    },
+
+    // Loan repayment profiles: level payments, equal principal instalments, or all at maturity
+    AMORTIZATION_METHODS: ['annuity', 'straight-line', 'bullet'],
+
+    // Monthly amortization table of data.loanAmount, drawn at t=0 and repaid over loanTerm
+    // months at loanRate (% yearly, charged monthly as loanRate / 12). The first gracePeriod
+    // months pay interest only. Returns an empty table without a loan.
+    generateAmortizationSchedule(data) {
+        const amount = data.loanAmount || 0;
+        if (!(amount > 0)) return [];
+
+        const term = Math.max(1, Math.round(data.loanTerm || 0));
+        const grace = Math.min(Math.max(0, Math.round(data.gracePeriod || 0)), term - 1);
+        const repaymentMonths = term - grace;
+        const rate = (data.loanRate || 0) / 1200;
+        const annuity = rate === 0 ? amount / repaymentMonths : amount * rate / (1 - Math.pow(1 + rate, -repaymentMonths));
+
+        const rows = [];
+        let balance = amount;
+        for (let month = 1; month <= term; month++) {
+            const interest = balance * rate;
+            let principal = 0;
+            if (month === term) {
+                principal = balance;
+            } else if (month > grace && data.amortizationMethod !== 'bullet') {
+                principal = Math.min(balance, data.amortizationMethod === 'straight-line' ? amount / repaymentMonths : annuity - interest);
+            }
+            rows.push({ month, openingBalance: balance, interest, principal, payment: interest + principal, closingBalance: balance - principal });
+            balance -= principal;
+        }
+        return rows;
+    },
+
+    // Levered (equity) view of a cash flow schedule, or null without a loan. The loan is drawn
+    // at t=0 and serviced from the project's cash flows, and its interest is tax-deductible.
+    // A balance still outstanding when the project ends is settled in the last month. DSCR per
+    // project year is the cash flow available for debt service (after tax, before financing)
+    // over the scheduled debt service; the final settlement is left out of it.
+    financingMetrics(data, schedule) {
+        const amortization = this.generateAmortizationSchedule(data);
+        if (amortization.length === 0) return null;
+
+        const duration = data.projectDuration;
+        const interest = new Array(duration + 1).fill(0);
+        const debtService = new Array(duration + 1).fill(0);
+        amortization.filter(row => row.month <= duration).forEach(row => {
+            interest[row.month] = row.interest;
+            debtService[row.month] = row.payment;
+        });
+        const settlement = amortization.length > duration
+            ? (duration > 0 ? amortization[duration - 1].closingBalance : data.loanAmount)
+            : 0;
+
+        const taxes = this.generateTaxSchedule(data,
+            schedule.map((row, month) => row.revenue - row.costs - interest[month]),
+            schedule.map(row => row.depreciation));
+        const cashAvailable = schedule.map((row, month) => row.netCashFlow - taxes[month]);
+        const equityCashFlows = cashAvailable.map((flow, month) => flow - debtService[month]
+            + (month === 0 ? data.loanAmount : 0) - (month === duration ? settlement : 0));
+
+        const dscr = [];
+        for (let yearStart = 1; yearStart <= duration; yearStart += 12) {
+            const months = Array.from({ length: Math.min(12, duration - yearStart + 1) }, (_, index) => yearStart + index);
+            const service = months.reduce((sum, month) => sum + debtService[month], 0);
+            if (service <= 0) continue;
+            const available = months.reduce((sum, month) => sum + cashAvailable[month], 0);
+            dscr.push({ year: (yearStart - 1) / 12 + 1, cashAvailable: available, debtService: service, dscr: available / service });
+        }
+
+        const irrResult = this.analyzeIRR(equityCashFlows, data.discountTiming);
+        const unleveredTax = schedule.reduce((sum, row) => sum + row.tax, 0);
+        return {
+            amortization,
+            equityCashFlows,
+            equityIRR: irrResult.status === 'ok' ? this.annualRate(irrResult.rate) : null,
+            equityIRRStatus: irrResult.status,
+            equityPayback: this.calculatePaybackPeriod(equityCashFlows),
+            totalInterest: interest.reduce((sum, value) => sum + value, 0),
+            interestTaxShield: unleveredTax - taxes.reduce((sum, tax) => sum + tax, 0),
+            settlement,
+            dscr,
+            minDSCR: dscr.length > 0 ? Math.min(...dscr.map(year => year.dscr)) : null
+        };
+    },
+
+    // Calculate comprehensive metrics: pre-tax at the top level, after-tax under afterTax
+    // (the same figures when there is no tax rate) and the levered view under financing
+    // (null without a loan)
+    calculateMetrics(data) {
+        const schedule = this.generateCashFlowSchedule(data);
+        const cashFlows = schedule.map(row => row.netCashFlow);
+        
+        // ROI compares operating net cash flow with every capex tranche, not just the first outlay
+        const totalInvestment = schedule.reduce((sum, row) => sum + row.investment, 0);
+        const totalRevenue = schedule.reduce((sum, row) => sum + row.revenue - row.costs, 0);
+        const operatingFlows = schedule.map(row => row.revenue - row.costs);
+        const investments = schedule.map(row => row.investment);
+        const preTax = this.cashFlowMetrics(data, cashFlows, totalInvestment, totalRevenue, operatingFlows, investments);
+
+        const totalTax = schedule.reduce((sum, row) => sum + row.tax, 0);
+        const afterTaxCashFlows = schedule.map(row => row.afterTaxCashFlow);
+        const afterTaxOperatingFlows = schedule.map(row => row.revenue - row.costs - row.tax);
+        const afterTax = {
+            ...(data.taxRate > 0
+                ? this.cashFlowMetrics(data, afterTaxCashFlows, totalInvestment, totalRevenue - totalTax, afterTaxOperatingFlows, investments)
+                : preTax),
+            cashFlows: afterTaxCashFlows,
+            totalTax,
+            taxShield: data.taxRate > 0 ? this.taxWithoutDepreciation(data, schedule) - totalTax : 0
+        };
+
+        return {
+            ...preTax,
+            cashFlows,
+            totalInvestment,
+            totalRevenue,
+            afterTax,
+            financing: this.financingMetrics(data, schedule)
+        };
+    }
+};
+
+// ====================================
+// Monte Carlo Risk Simulation
+// ====================================
+
+const RiskSimulation = {
+    DISTRIBUTIONS: ['fixed', 'triangular', 'normal', 'uniform', 'pert'],
+
+    // Uncertain inputs, each sampled relative to the project's own value: revenue and costs as
+    // multipliers, growth and discount rate as percentage points added to the base rate and
+    // investment overrun as a % added to every capex tranche
+    VARIABLES: {
+        revenue: { unit: 'x', defaults: { distribution: 'triangular', min: 0.7, mode: 1, max: 1.3, stdDev: 0.15 } },
+        growth: { unit: 'pp', defaults: { distribution: 'normal', min: -5, mode: 0, max: 5, stdDev: 2 } },
+        costs: { unit: 'x', defaults: { distribution: 'triangular', min: 0.9, mode: 1, max: 1.2, stdDev: 0.1 } },
+        discountRate: { unit: 'pp', defaults: { distribution: 'fixed', min: -1, mode: 0, max: 1, stdDev: 0.5 } },
+        investmentOverrun: { unit: '%', defaults: { distribution: 'pert', min: 0, mode: 5, max: 25, stdDev: 5 } }
+    },
+
+    defaultVariables() {
+        const variables = {};
+        Object.entries(this.VARIABLES).forEach(([name, variable]) => {
+            variables[name] = { ...variable.defaults };
+        });
+        return variables;
+    },
+
+    // Seeded PRNG (mulberry32) so a simulation can be reproduced exactly
+    createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    },
+
+    // Standard normal via Box-Muller
+    standardNormal(random) {
+        const u = 1 - random();
+        const v = random();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    },
+
+    // Gamma(shape, 1) via Marsaglia-Tsang
+    gamma(shape, random) {
+        if (shape < 1) {
+            return this.gamma(shape + 1, random) * Math.pow(random(), 1 / shape);
+        }
+        const d = shape - 1 / 3;
+        const c = 1 / Math.sqrt(9 * d);
+        for (;;) {
+            let x, v;
+            do {
+                x = this.standardNormal(random);
+                v = 1 + c * x;
+            } while (v <= 0);
+            v = v * v * v;
+            const u = random();
+            if (u < 1 - 0.0331 * x * x * x * x || Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) {
+                return d * v;
+            }
+        }
+    },
+
+    // One draw from a distribution { distribution, min, mode, max, stdDev }
+    sample(variable, random) {
+        const { min, mode, max, stdDev } = variable;
+        const range = max - min;
+
+        switch (variable.distribution) {
+            case 'uniform':
+                return min + random() * range;
+            case 'triangular': {
+                if (range <= 0) return mode;
+                const u = random();
+                const split = (mode - min) / range;
+                return u < split
+                    ? min + Math.sqrt(u * range * (mode - min))
+                    : max - Math.sqrt((1 - u) * range * (max - mode));
+            }
+            case 'pert': {
+                if (range <= 0) return mode;
+                const alpha = 1 + 4 * (mode - min) / range;
+                const beta = 1 + 4 * (max - mode) / range;
+                const x = this.gamma(alpha, random);
+                const y = this.gamma(beta, random);
+                return min + range * x / (x + y);
+            }
+            case 'normal':
+                return mode + stdDev * this.standardNormal(random);
+            default:
+                return mode;
+        }
+    },
+
+    // Project inputs for one iteration given sampled values of every variable
+    applySample(data, values) {
+        const overrun = 1 + Math.max(-100, values.investmentOverrun) / 100;
+        let sampled = FinancialCalculator.scaleLines(data, 'revenue', Math.max(0, values.revenue));
+        sampled = FinancialCalculator.scaleLines(sampled, 'cost', Math.max(0, values.costs));
+
+        return {
+            ...sampled,
+            revenueGrowth: (data.revenueGrowth || 0) + values.growth,
+            discountRate: Math.max(-99, data.discountRate + values.discountRate),
+            initialInvestment: data.initialInvestment * overrun,
+            investmentSchedule: (data.investmentSchedule || []).map(tranche => ({ ...tranche, amount: tranche.amount * overrun }))
+        };
+    },
+
+    // NPVs of `count` iterations, after tax when the project has a tax rate
+    runIterations(data, variables, count, random) {
+        const npvs = [];
+        for (let i = 0; i < count; i++) {
+            const values = {};
+            Object.keys(this.VARIABLES).forEach(name => {
+                values[name] = this.sample(variables[name] || this.VARIABLES[name].defaults, random);
+            });
+            const sampled = this.applySample(data, values);
+            npvs.push(FinancialCalculator.calculateProjectNPV(sampled, true));
+        }
+        return npvs;
+    },
+
+    // Linear-interpolated percentile (0-100) of an ascending array
+    percentile(sorted, p) {
+        if (sorted.length === 0) return null;
+        const index = (sorted.length - 1) * p / 100;
+        const lower = Math.floor(index);
+        const upper = Math.ceil(index);
+        return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+    },
+
+    // Equal-width bins spanning the sorted values
+    histogram(sorted, binCount = 30) {
+        const min = sorted[0];
+        const max = sorted[sorted.length - 1];
+        const width = (max - min) / binCount || 1;
+        const bins = Array.from({ length: binCount }, (_, i) => ({ from: min + i * width, to: min + (i + 1) * width, count: 0 }));
+        sorted.forEach(value => {
+            bins[Math.min(binCount - 1, Math.floor((value - min) / width))].count++;
+        });
+        return bins;
+    },
+
+    // Distribution statistics of the simulated NPVs
+    summarize(npvs) {
+        const sorted = [...npvs].sort((a, b) => a - b);
+        return {
+            iterations: sorted.length,
+            mean: sorted.reduce((sum, npv) => sum + npv, 0) / sorted.length,
+            p10: this.percentile(sorted, 10),
+            p50: this.percentile(sorted, 50),
+            p90: this.percentile(sorted, 90),
+            min: sorted[0],
+            max: sorted[sorted.length - 1],
+            probabilityNegative: sorted.filter(npv => npv < 0).length / sorted.length,
+            histogram: this.histogram(sorted)
+        };
+    },
+
+    simulate(data, variables, iterations, seed) {
+        return this.summarize(this.runIterations(data, variables, iterations, this.createRandom(seed)));
+    }
+};
+
+// ====================================
+// Sensitivity Analysis
+// ====================================
+
+const SensitivityAnalysis = {
+    // Numeric projectData fields varied one at a time
+    FIELDS: ['initialInvestment', 'discountRate', 'projectDuration', 'yearlyRevenue', 'revenueGrowth', 'operatingCosts', 'maintenanceCosts'],
+
+    // Copy of the project with one field moved by `percent` % of its own value
+    vary(data, field, percent) {
+        let value = (data[field] || 0) * (1 + percent / 100);
+        if (field === 'projectDuration') {
+            value = Math.max(1, Math.round(value));
+        }
+        return { ...data, [field]: value };
+    },
+
+    // Metrics at -range % and +range % for every field, ranked by NPV swing (widest first)
+    analyze(data, range) {
+        const base = FinancialCalculator.calculateMetrics(data);
+        const outcome = variant => {
+            const metrics = FinancialCalculator.calculateMetrics(variant);
+            return { npv: metrics.npv, irr: metrics.irr, paybackPeriod: metrics.paybackPeriod };
+        };
+
+        const rows = this.FIELDS.map(field => {
+            const lowData = this.vary(data, field, -range);
+            const highData = this.vary(data, field, range);
+            const low = { value: lowData[field], ...outcome(lowData) };
+            const high = { value: highData[field], ...outcome(highData) };
+            return { field, baseValue: data[field] || 0, low, high, swing: Math.abs(high.npv - low.npv) };
+        });
+        rows.sort((a, b) => b.swing - a.swing);
+
+        return {
+            range,
+            base: { npv: base.npv, irr: base.irr, paybackPeriod: base.paybackPeriod },
+            rows
+        };
+    }
+};
+
+// ====================================
+// Goal Seek
+// ====================================
+
+const GoalSeek = {
+    METRICS: ['npv', 'irr', 'roi', 'paybackPeriod'],
+
+    // Inputs that can be solved for, with the interval searched for a solution
+    FIELDS: {
+        initialInvestment: data => [0, Math.max(10 * Math.abs(data.initialInvestment || 0), 1000000)],
+        discountRate: () => [-50, 200],
+        projectDuration: () => [1, 600],
+        yearlyRevenue: data => [0, Math.max(10 * Math.abs(data.yearlyRevenue || 0), 1000000)],
+        revenueGrowth: () => [-100, 1000],
+        operatingCosts: data => [0, Math.max(10 * Math.abs(data.operatingCosts || 0), 1000000)],
+        maintenanceCosts: data => [0, Math.max(10 * Math.abs(data.maintenanceCosts || 0), 1000000)]
+    },
+
+    // Value of a metric for the project with `field` set to `value`; null when it does not
+    // exist (no unique IRR). Payback is Infinity when the investment is never recovered,
+    // so "payback exceeds the duration" is a crossing the solver can find. Only the requested
+    // metric is computed: the solver probes a few hundred values per solve.
+    evaluate(data, field, value, metric) {
+        const project = { ...data, [field]: value };
+        if (metric === 'npv') {
+            return FinancialCalculator.calculateProjectNPV(project);
+        }
+
+        const schedule = FinancialCalculator.generateCashFlowSchedule(project);
+        const cashFlows = schedule.map(row => row.netCashFlow);
+        if (metric === 'paybackPeriod') {
+            const recovered = cashFlows.reduce((sum, cashFlow) => sum + cashFlow, 0) >= 0;
+            return recovered ? FinancialCalculator.calculatePaybackPeriod(cashFlows) : Infinity;
+        }
+        if (metric === 'roi') {
+            const totalInvestment = schedule.reduce((sum, row) => sum + row.investment, 0);
+            const totalRevenue = schedule.reduce((sum, row) => sum + row.revenue - row.costs, 0);
+            return FinancialCalculator.calculateROI(totalInvestment, totalRevenue);
+        }
+        const irrResult = FinancialCalculator.analyzeIRR(cashFlows, project.discountTiming);
+        return irrResult.status === 'ok' ? FinancialCalculator.annualRate(irrResult.rate) : null;
+    },
+
+    // Value of `field` at which `metric` reaches `target`. The search interval is scanned
+    // for crossings and the one nearest the current value is refined by bisection.
+    // Returns { status: 'ok', value, metrics } or { status: 'not-found' }.
+    solve(data, field, metric, target) {
+        const [min, max] = this.FIELDS[field](data);
+        const integer = field === 'projectDuration';
+        const steps = 200;
+        const gap = x => {
+            const value = this.evaluate(data, field, x, metric);
+            return value === null || Number.isNaN(value) ? null : value - target;
+        };
+        const result = value => ({ status: 'ok', value, metrics: FinancialCalculator.calculateMetrics({ ...data, [field]: value }) });
+
+        const points = [];
+        for (let i = 0; i <= steps; i++) {
+            const x = integer ? Math.round(min + (max - min) * i / steps) : min + (max - min) * i / steps;
+            points.push({ x, gap: gap(x) });
+        }
+
+        const current = data[field] || 0;
+        let bracket = null;
+        for (let i = 0; i < points.length - 1; i++) {
+            const a = points[i];
+            const b = points[i + 1];
+            if (a.gap === null || b.gap === null) continue;
+            if (a.gap === 0) return result(a.x);
+            if (Math.sign(a.gap) !== Math.sign(b.gap)) {
+                const distance = Math.abs((a.x + b.x) / 2 - current);
+                if (!bracket || distance < bracket.distance) {
+                    bracket = { low: a, high: b, distance };
+                }
+            }
+        }
+        if (!bracket) {
+            const last = points[points.length - 1];
+            return last.gap === 0 ? result(last.x) : { status: 'not-found' };
+        }
+
+        let { low, high } = bracket;
+        for (let i = 0; i < 200; i++) {
+            if (integer ? high.x - low.x <= 1 : Math.abs(high.x - low.x) <= 1e-9 * Math.max(1, Math.abs(low.x))) break;
+            const x = integer ? Math.round((low.x + high.x) / 2) : (low.x + high.x) / 2;
+            const mid = { x, gap: gap(x) };
+            // A gap in the metric (no IRR) inside the bracket: keep the defined side
+            if (mid.gap === null) break;
+            if (mid.gap === 0) return result(mid.x);
+            if (Math.sign(mid.gap) === Math.sign(low.gap)) {
+                low = mid;
+            } else {
+                high = mid;
+            }
+        }
+
+        // Whole months cannot hit the target exactly; take the closer side
+        const closer = Math.abs(low.gap) <= Math.abs(high.gap) ? low : high;
+        return result(integer ? closer.x : (low.x + high.x) / 2);
+    }
+};
+
+// ====================================
+// Currency Conversion
+// ====================================
+
+const CurrencyConversion = {
+    // ISO 4217 codes a case can be kept in
+    CURRENCIES: ['USD', 'EUR', 'MXN', 'COP', 'BRL', 'ARS', 'CLP', 'PEN', 'GBP', 'CAD'],
+
+    // Units of `to` per unit of `from`, crossed through the table's base currency.
+    // table: { base, rates: { CODE: units of base per 1 CODE } }. Null when a rate is missing.
+    rate(from, to, table) {
+        if (from === to) return 1;
+        const toBase = code => (code === table.base ? 1 : table.rates[code]);
+        const fromRate = toBase(from);
+        const toRate = toBase(to);
+        if (!(fromRate > 0) || !(toRate > 0)) return null;
+        return fromRate / toRate;
+    },
+
+    convert(amount, from, to, table) {
+        const rate = this.rate(from, to, table);
+        return rate === null ? null : amount * rate;
+    },
+
+    // Parse "currency,rate" rows (comma, semicolon or tab separated; a header row is skipped).
+    // With a semicolon or tab delimiter the rate may use a decimal comma.
+    // Returns { rates, errors }.
+    parseRates(text) {
+        const rates = {};
+        const errors = [];
+        String(text).split(/\r?\n/).forEach((line, index) => {
+            if (line.trim() === '') return;
+            const delimiter = line.includes('\t') ? '\t' : line.includes(';') ? ';' : ',';
+            const [code = '', value = ''] = line.split(delimiter).map(cell => cell.trim().replace(/^"(.*)"$/, '$1'));
+            const rate = parseFloat(delimiter === ',' ? value : value.replace(',', '.'));
+
+            if (index === 0 && !isFinite(rate)) return;
+            const currency = code.toUpperCase();
+            if (!this.CURRENCIES.includes(currency)) {
+                errors.push(`row ${index + 1}: "${code}" is not one of ${this.CURRENCIES.join(', ')}`);
+            } else if (!isFinite(rate) || rate <= 0) {
+                errors.push(`row ${index + 1}: rate "${value}" must be a positive number`);
+            } else {
+                rates[currency] = rate;
+            }
+        });
+        return { rates, errors };
+    }
+};
+
+// ====================================
+// Portfolio Comparison
+// ====================================
+
+const PortfolioComparison = {
+    SCENARIOS: ['expected', 'best', 'worst'],
+
+    // Metrics cases can be ranked by; 'asc' when the lowest value ranks first
+    METRICS: { npv: 'desc', roi: 'desc', irr: 'desc', paybackPeriod: 'asc' },
+
+    // Headline metrics of one case for each scenario ({ expected, best, worst } projectData),
+    // plus the expected cumulative cash flow for the overlay chart. Money amounts are
+    // multiplied by `rate` to report them in another currency.
+    evaluate(name, scenarios, rate = 1) {
+        const entry = { name };
+        this.SCENARIOS.forEach(scenario => {
+            const metrics = FinancialCalculator.calculateMetrics(scenarios[scenario]);
+            entry[scenario] = {
+                roi: metrics.roi,
+                npv: metrics.npv * rate,
+                irr: metrics.irr,
+                irrStatus: metrics.irrStatus,
+                paybackPeriod: metrics.paybackPeriod,
+                recovered: metrics.cashFlows.reduce((sum, cashFlow) => sum + cashFlow, 0) >= 0
+            };
+            if (scenario === 'expected') {
+                let cumulative = 0;
+                entry.cumulativeCashFlows = metrics.cashFlows.map(cashFlow => (cumulative += cashFlow * rate));
+            }
+        });
+        return entry;
+    },
+
+    // Value used for ranking: a payback that never happens ranks after every real one
+    rankValue(entry, metric, scenario) {
+        const metrics = entry[scenario];
+        if (metric === 'paybackPeriod' && !metrics.recovered) return Infinity;
+        return metrics[metric];
+    },
+
+    // Entries ordered by one scenario's metric, each with its 1-based rank. Missing values
+    // (no unique IRR) rank last; ties keep name order.
+    rank(entries, metric, scenario = 'expected') {
+        const direction = this.METRICS[metric] === 'asc' ? 1 : -1;
+        return [...entries]
+            .sort((a, b) => {
+                const x = this.rankValue(a, metric, scenario);
+                const y = this.rankValue(b, metric, scenario);
+                if (x === null || y === null) {
+                    return (x === null) - (y === null) || a.name.localeCompare(b.name);
+                }
+                return (x === y ? 0 : direction * (x < y ? -1 : 1)) || a.name.localeCompare(b.name);
+            })
+            .map((entry, index) => ({ ...entry, rank: index + 1 }));
+    }
+};
+
+// ====================================
+// Capital Allocation
+// ====================================
+
+const CapitalAllocation = {
+    METHODS: ['knapsack', 'profitabilityIndex'],
+
+    // Columns of a pasted project table: the case name, the year its spending starts in
+    // (1 = first budget year), the currency its amounts are in and the summary projectData fields
+    COLUMNS: ['name', 'startYear', 'currency', 'initialInvestment', 'discountRate', 'projectDuration', 'yearlyRevenue', 'revenueGrowth', 'operatingCosts', 'maintenanceCosts'],
+    REQUIRED_COLUMNS: ['initialInvestment', 'discountRate', 'projectDuration', 'yearlyRevenue'],
+
+    // Branch-and-bound nodes explored before the knapsack stops proving optimality
+    MAX_NODES: 200000,
+
+    // Parse a CSV, semicolon or tab separated table (header row first) into projects.
+    // Returns { projects: [{ name, startYear, data }], errors }.
+    parseTable(text) {
+        const lines = String(text).split(/\r?\n/).filter(line => line.trim() !== '');
+        if (lines.length < 2) {
+            return { projects: [], errors: ['the table needs a header row and at least one project row'] };
+        }
+
+        const delimiter = lines[0].includes('\t') ? '\t' : lines[0].includes(';') ? ';' : ',';
+        const cells = line => line.split(delimiter).map(cell => cell.trim().replace(/^"(.*)"$/, '$1'));
+        const errors = [];
+
+        const columns = cells(lines[0]).map(header => {
+            const column = this.COLUMNS.find(name => name.toLowerCase() === header.toLowerCase());
+            if (!column) {
+                errors.push(`column "${header}" is not one of ${this.COLUMNS.join(', ')}`);
+            }
+            return column;
+        });
+        this.REQUIRED_COLUMNS.filter(column => !columns.includes(column))
+            .forEach(column => errors.push(`required column "${column}" is missing`));
+        if (errors.length > 0) {
+            return { projects: [], errors };
+        }
+
+        // Thousands separators are only unambiguous when the comma is not the delimiter
+        const number = value => parseFloat(delimiter === ',' ? value.replace(/[$\s]/g, '') : value.replace(/[$\s,]/g, ''));
+
+        const projects = lines.slice(1).map((line, index) => {
+            const row = {};
+            cells(line).forEach((value, column) => {
+                if (columns[column]) row[columns[column]] = value;
+            });
+
+            const data = {
+                projectName: row.name || `Project ${index + 1}`,
+                discountTiming: 'end',
+                revenueGrowth: 0,
+                operatingCosts: 0,
+                maintenanceCosts: 0,
+                lineItems: [],
+                investmentSchedule: []
+            };
+            this.COLUMNS.filter(column => !['name', 'startYear', 'currency'].includes(column)).forEach(column => {
+                if (row[column] === undefined || row[column] === '') {
+                    if (this.REQUIRED_COLUMNS.includes(column)) {
+                        errors.push(`row ${index + 2}: ${column} is required`);
+                    }
+                    return;
+                }
+                const value = number(row[column]);
+                if (!isFinite(value)) {
+                    errors.push(`row ${index + 2}: ${column} "${row[column]}" is not a number`);
+                    return;
+                }
+                data[column] = value;
+            });
+            data.projectDuration = Math.round(data.projectDuration);
+            if (data.projectDuration < 1) {
+                errors.push(`row ${index + 2}: projectDuration must be at least 1 month`);
+            }
+
+            const startYear = row.startYear ? number(row.startYear) : 1;
+            if (!Number.isInteger(startYear) || startYear < 1) {
+                errors.push(`row ${index + 2}: startYear must be a whole number from 1`);
+            }
+            // Without a currency the amounts are taken to be in the reporting currency
+            const currency = row.currency ? row.currency.toUpperCase() : null;
+            if (currency && !CurrencyConversion.CURRENCIES.includes(currency)) {
+                errors.push(`row ${index + 2}: currency "${row.currency}" is not one of ${CurrencyConversion.CURRENCIES.join(', ')}`);
+            }
+            return { name: data.projectName, startYear, currency, data };
+        });
+
+        return { projects: errors.length > 0 ? [] : projects, errors };
+    },
+
+    // Funding candidate: NPV from FinancialCalculator, capital cost (initial investment plus
+    // every capex tranche), the profitability index of the main analysis and the capital spent
+    // in each budget year (index 0 = year 1). Money amounts are multiplied by `rate` to compare
+    // cases kept in different currencies.
+    candidate(name, data, startYear = 1, rate = 1) {
+        const metrics = FinancialCalculator.calculateMetrics(data);
+        const yearlySpend = new Array(startYear - 1).fill(0);
+        FinancialCalculator.generateInvestmentSchedule(data).forEach((amount, month) => {
+            // Month 0 is spent at the start of the first year
+            const year = startYear - 1 + Math.floor(Math.max(month - 1, 0) / 12);
+            yearlySpend[year] = (yearlySpend[year] || 0) + amount * rate;
+        });
+        // Years after the last capital outlay do not count against any limit
+        while (yearlySpend.length > startYear && yearlySpend[yearlySpend.length - 1] === 0) {
+            yearlySpend.pop();
+        }
+
+        const cost = metrics.totalInvestment * rate;
+        return {
+            name,
+            startYear,
+            cost,
+            npv: metrics.npv * rate,
+            profitabilityIndex: metrics.profitabilityIndex,
+            yearlySpend
+        };
+    },
+
+    // Choose the set of candidates with the highest total NPV whose cost stays within
+    // `budget` and whose spend stays within yearlyLimits[year] (null = no limit).
+    // 'knapsack' is an exact 0/1 branch and bound; 'profitabilityIndex' funds candidates
+    // greedily by profitability index. Returns the chosen indices and the totals.
+    optimize(candidates, { budget, yearlyLimits = [], method = 'knapsack' }) {
+        const years = Math.max(yearlyLimits.length, ...candidates.map(candidate => candidate.yearlySpend.length));
+        const tolerance = 1e-6;
+        const limits = Array.from({ length: years }, (_, year) =>
+            (typeof yearlyLimits[year] === 'number' && isFinite(yearlyLimits[year]) ? yearlyLimits[year] : Infinity));
+        const spend = (candidate, year) => candidate.yearlySpend[year] || 0;
+
+        const state = { cost: 0, npv: 0, yearlySpend: new Array(years).fill(0) };
+        const fits = candidate => state.cost + candidate.cost <= budget + tolerance &&
+            limits.every((limit, year) => state.yearlySpend[year] + spend(candidate, year) <= limit + tolerance);
+        const add = (candidate, sign) => {
+            state.cost += sign * candidate.cost;
+            state.npv += sign * candidate.npv;
+            state.yearlySpend.forEach((_, year) => { state.yearlySpend[year] += sign * spend(candidate, year); });
+        };
+
+        // A project with NPV <= 0 never raises the total
+        const positive = candidates.map((candidate, index) => ({ candidate, index })).filter(item => item.candidate.npv > 0);
+        const descending = value => (a, b) => {
+            const x = value(a.candidate);
+            const y = value(b.candidate);
+            return x === y ? 0 : x > y ? -1 : 1;
+        };
+        let chosen = [];
+        let exact = true;
+
+        if (method === 'profitabilityIndex') {
+            // A project with no capital cost has no index and is funded first
+            const order = [...positive].sort(descending(candidate =>
+                (candidate.profitabilityIndex === null ? Infinity : candidate.profitabilityIndex)));
+            order.forEach(item => {
+                if (fits(item.candidate)) {
+                    add(item.candidate, 1);
+                    chosen.push(item.index);
+                }
+            });
+            exact = false;
+        } else {
+            // Best NPV per dollar first, so the fractional bound is tight and good sets come early
+            const order = [...positive].sort(descending(candidate => (candidate.cost > 0 ? candidate.npv / candidate.cost : Infinity)));
+            // Upper bound from the budget alone, filling the remaining room with fractions of projects
+            const bound = start => {
+                let room = budget - state.cost;
+                let value = state.npv;
+                for (let i = start; i < order.length; i++) {
+                    const { cost, npv } = order[i].candidate;
+                    if (cost > room) {
+                        return value + npv * Math.max(room, 0) / cost;
+                    }
+                    room -= cost;
+                    value += npv;
+                }
+                return value;
+            };
+
+            let best = { npv: 0, set: [] };
+            const current = [];
+            let nodes = 0;
+            const search = position => {
+                if (++nodes > this.MAX_NODES) {
+                    exact = false;
+                    return;
+                }
+                if (state.npv > best.npv) {
+                    best = { npv: state.npv, set: [...current] };
+                }
+                if (position === order.length || bound(position) <= best.npv + tolerance) return;
+
+                const item = order[position];
+                if (fits(item.candidate)) {
+                    add(item.candidate, 1);
+                    current.push(item.index);
+                    search(position + 1);
+                    current.pop();
+                    add(item.candidate, -1);
+                }
+                search(position + 1);
+            };
+            search(0);
+
+            chosen = best.set;
+        }
+
+        chosen.sort((a, b) => a - b);
+        const yearlySpend = new Array(years).fill(0);
+        chosen.forEach(index => {
+            yearlySpend.forEach((_, year) => { yearlySpend[year] += spend(candidates[index], year); });
+        });
+
+        return {
+            method,
+            exact,
+            chosen,
+            totalNPV: chosen.reduce((sum, index) => sum + candidates[index].npv, 0),
+            totalCost: chosen.reduce((sum, index) => sum + candidates[index].cost, 0),
+            yearlySpend,
+            yearlyLimits: limits.map(limit => (limit === Infinity ? null : limit))
+        };
+    }
+};
+
+// ====================================
+// Recommendation Rules
+// ====================================
+
+const RecommendationRules = {
+    SEVERITIES: ['success', 'info', 'warning', 'danger'],
+    OPERATORS: ['>', '>=', '<', '<=', '==', '!='],
+
+    // Values a condition can test; see context()
+    METRICS: ['roi', 'npv', 'paybackPeriod', 'paybackYears', 'paybackMargin', 'projectDuration', 'roiRange',
+              'bestRoi', 'worstRoi', 'irr', 'irrSpread', 'irrStatus', 'discountRate', 'mirr',
+              'discountedPaybackPeriod', 'discountedPaybackMargin', 'profitabilityIndex', 'eaa', 'peakCash', 'peakCashRatio'],
+
+    // Hurdles of the company presets; every preset shares the same rule structure
+    PRESET_THRESHOLDS: {
+        standard: { roiExcellent: 50, roiGood: 20, roiModerate: 0, paybackFast: 12, paybackReasonable: 24, riskHigh: 100, riskLow: 30, irrSpread: 5, piStrong: 1.5, peakCashRatio: 1.25 },
+        conservative: { roiExcellent: 80, roiGood: 40, roiModerate: 15, paybackFast: 9, paybackReasonable: 18, riskHigh: 60, riskLow: 20, irrSpread: 8, piStrong: 2, peakCashRatio: 1.1 },
+        growth: { roiExcellent: 40, roiGood: 15, roiModerate: 0, paybackFast: 18, paybackReasonable: 36, riskHigh: 150, riskLow: 40, irrSpread: 3, piStrong: 1.3, peakCashRatio: 1.5 },
+        publicSector: { roiExcellent: 25, roiGood: 10, roiModerate: 0, paybackFast: 24, paybackReasonable: 48, riskHigh: 80, riskLow: 25, irrSpread: 2, piStrong: 1.2, peakCashRatio: 1.25 }
+    },
+
+    // Condition values from the scenario metrics and the project inputs. Metrics that do not
+    // exist (no unique IRR) are null and fail every numeric comparison.
+    context(expected, best, worst, data) {
+        const irr = expected.irr === undefined ? null : expected.irr;
+        const optional = value => (value === undefined ? null : value);
+        const discountedPayback = optional(expected.discountedPaybackPeriod);
+        const peakCash = optional(expected.peakCash);
+        return {
+            roi: expected.roi,
+            npv: expected.npv,
+            paybackPeriod: expected.paybackPeriod,
+            paybackYears: expected.paybackPeriod / 12,
+            paybackMargin: data.projectDuration - expected.paybackPeriod,
+            projectDuration: data.projectDuration,
+            roiRange: best.roi - worst.roi,
+            bestRoi: best.roi,
+            worstRoi: worst.roi,
+            irr,
+            irrSpread: irr === null ? null : irr - FinancialCalculator.effectiveDiscountRate(data),
+            irrStatus: expected.irrStatus || 'ok',
+            irrCandidates: expected.irrCandidates || [],
+            discountRate: FinancialCalculator.effectiveDiscountRate(data),
+            mirr: expected.mirr === undefined ? null : expected.mirr,
+            discountedPaybackPeriod: discountedPayback,
+            discountedPaybackMargin: discountedPayback === null ? null : data.projectDuration - discountedPayback,
+            profitabilityIndex: optional(expected.profitabilityIndex),
+            eaa: optional(expected.eaa),
+            peakCash,
+            peakCashMonth: optional(expected.peakCashMonth),
+            // Against every capex tranche, so a staged investment alone does not look like a funding gap
+            peakCashRatio: peakCash === null || !(expected.totalInvestment > 0) ? null : peakCash / expected.totalInvestment
+        };
+    },
+
+    // Rule set for a preset name (or explicit thresholds). Within a group only the first
+    // matching rule produces a recommendation, like an if / else if chain.
+    preset(name, thresholds = this.PRESET_THRESHOLDS[name]) {
+        const th = thresholds;
+        const rule = (id, group, when, severity, icon) => ({ id, group, when, severity, icon, messageKey: `rec-${id}` });
+        const condition = (metric, operator, value) => ({ metric, operator, value });
+
+        return {
+            name,
+            rules: [
+                rule('roi-excellent', 'roi', [condition('roi', '>', th.roiExcellent)], 'success', '✅'),
+                rule('roi-good', 'roi', [condition('roi', '>', th.roiGood)], 'info', '👍'),
+                rule('roi-moderate', 'roi', [condition('roi', '>', th.roiModerate)], 'warning', '⚠️'),
+                rule('roi-below-hurdle', 'roi', [condition('roi', '>', 0)], 'warning', '⚠️'),
+                rule('roi-negative', 'roi', [], 'danger', '❌'),
+                rule('npv-positive', 'npv', [condition('npv', '>', 0)], 'success', '💰'),
+                rule('npv-negative', 'npv', [], 'danger', '📉'),
+                rule('payback-fast', 'payback', [condition('paybackPeriod', '<=', th.paybackFast)], 'success', '⚡'),
+                rule('payback-reasonable', 'payback', [condition('paybackPeriod', '<=', th.paybackReasonable)], 'info', '⏱️'),
+                rule('payback-long', 'payback', [condition('paybackMargin', '>', 0)], 'warning', '⏳'),
+                rule('payback-exceeds', 'payback', [], 'danger', '🚫'),
+                rule('risk-high', 'risk', [condition('roiRange', '>', th.riskHigh)], 'warning', '🎲'),
+                rule('risk-low', 'risk', [condition('roiRange', '<', th.riskLow)], 'success', '🎯'),
+                rule('worst-negative', 'worst', [condition('worstRoi', '<', 0)], 'warning', '⚠️'),
+                rule('irr-multiple', 'irr', [condition('irrStatus', '==', 'multiple')], 'warning', '🔀'),
+                rule('irr-none', 'irr', [condition('irrStatus', '==', 'none')], 'warning', '∅'),
+                rule('irr-strong', 'irr', [condition('irrSpread', '>', th.irrSpread)], 'success', '📈'),
+                rule('irr-above', 'irr', [condition('irrSpread', '>', 0)], 'info', '✓'),
+                rule('irr-below', 'irr', [], 'danger', '⚠️'),
+                rule('discounted-payback-terminal', 'discounted-payback', [condition('discountedPaybackMargin', '<=', 0), condition('npv', '>', 0)], 'warning', '🔭'),
+                rule('discounted-payback-within', 'discounted-payback', [condition('discountedPaybackMargin', '>', 0)], 'info', '⏱️'),
+                rule('pi-strong', 'pi', [condition('profitabilityIndex', '>=', th.piStrong)], 'success', '💎'),
+                rule('pi-thin', 'pi', [condition('profitabilityIndex', '>=', 1)], 'info', '⚖️'),
+                rule('peak-cash-high', 'peak-cash', [condition('peakCashRatio', '>', th.peakCashRatio)], 'warning', '🏦'),
+                rule('eaa-positive', 'eaa', [condition('eaa', '>', 0)], 'info', '📅')
+            ]
+        };
+    },
+
+    test(condition, context) {
+        const actual = context[condition.metric];
+        const expected = condition.value;
+        if (condition.operator === '==') return actual === expected;
+        if (condition.operator === '!=') return actual !== expected;
+        if (typeof actual !== 'number' || typeof expected !== 'number') return false;
+
+        switch (condition.operator) {
+            case '>': return actual > expected;
+            case '>=': return actual >= expected;
+            case '<': return actual < expected;
+            case '<=': return actual <= expected;
+            default: return false;
+        }
+    },
+
+    // Rules whose conditions all hold, keeping only the first match of each group.
+    // Rules without a group stand on their own.
+    evaluate(ruleSet, context) {
+        const matchedGroups = new Set();
+        return ruleSet.rules.filter(rule => {
+            if (rule.group && matchedGroups.has(rule.group)) return false;
+            if (!(rule.when || []).every(condition => this.test(condition, context))) return false;
+            if (rule.group) matchedGroups.add(rule.group);
+            return true;
+        });
+    },
+
+    // Human-readable problems with an imported rule set
+    validate(ruleSet) {
+        const errors = [];
+        const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+        if (!isObject(ruleSet) || !Array.isArray(ruleSet.rules)) {
+            return ['the rule set must be an object with a rules array'];
+        }
+
+        ruleSet.rules.forEach((rule, index) => {
+            const path = `rules[${index}]`;
+            if (!isObject(rule)) {
+                errors.push(`${path} must be an object`);
+                return;
+            }
+            if (!this.SEVERITIES.includes(rule.severity)) {
+                errors.push(`${path}.severity must be one of ${this.SEVERITIES.join(', ')}`);
+            }
+            if (rule.group !== undefined && typeof rule.group !== 'string') {
+                errors.push(`${path}.group must be a string`);
+            }
+            if (rule.icon !== undefined && (typeof rule.icon !== 'string' || rule.icon.length > 8 || /[<>&"'`]/.test(rule.icon))) {
+                errors.push(`${path}.icon must be a short emoji or symbol without markup`);
+            }
+            const message = rule.message;
+            const hasMessage = isObject(message) && (typeof message.en === 'string' || typeof message.es === 'string');
+            if (typeof rule.messageKey !== 'string' && !hasMessage) {
+                errors.push(`${path} needs a messageKey or a message with en/es text`);
+            }
+            if (rule.when !== undefined && !Array.isArray(rule.when)) {
+                errors.push(`${path}.when must be an array of conditions`);
+                return;
+            }
+            (rule.when || []).forEach((condition, conditionIndex) => {
+                const conditionPath = `${path}.when[${conditionIndex}]`;
+                if (!isObject(condition) || !this.METRICS.includes(condition.metric)) {
+                    errors.push(`${conditionPath}.metric must be one of ${this.METRICS.join(', ')}`);
+                } else if (!this.OPERATORS.includes(condition.operator)) {
+                    errors.push(`${conditionPath}.operator must be one of ${this.OPERATORS.join(', ')}`);
+                } else if (condition.metric === 'irrStatus' ? typeof condition.value !== 'string' : typeof condition.value !== 'number' || !isFinite(condition.value)) {
+                    errors.push(`${conditionPath}.value must be ${condition.metric === 'irrStatus' ? 'ok, multiple or none' : 'a number'}`);
+                }
+            });
+        });
+        return errors;
+    }
+};
+
+// ====================================
+// Field Quality Assessment System
+// ====================================
+
+const qualityAssessment = {
+    // Language of the feedback messages; kept in sync by switchLanguage()
+    language: 'en',
+
+    // Keyword lists shared by the field assessments and the strategic scoring engine
+    keywords: {
+        action: ['implement', 'transform', 'optimize', 'develop', 'create', 'build', 'enhance',
+                 'implementar', 'transformar', 'optimizar', 'desarrollar', 'crear', 'construir', 'mejorar'],
+        impact: ['cost', 'time', 'efficiency', 'revenue', 'customer', 'risk', 'hours', 'dollars',
+                 'costo', 'tiempo', 'eficiencia', 'ingresos', 'cliente', 'riesgo', 'horas', 'dólares'],
+        stakeholder: ['team', 'customer', 'client', 'user', 'employee', 'staff', 'department', 'stakeholder', 'manager', 'agent',
+                      'equipo', 'cliente', 'usuario', 'empleado', 'personal', 'departamento', 'interesado', 'gerente', 'agente'],
+        scope: ['phase', 'scope', 'will', 'include', 'feature',
+                'fase', 'alcance', 'incluir', 'característica'],
+        outOfScope: ['out of scope', 'will not', "won't", 'not include', 'excluded',
+                     'fuera del alcance', 'no incluirá', 'no incluye', 'excluido'],
+        capability: ['capability', 'enable', 'allow', 'provide', 'automate',
+                     'capacidad', 'permitir', 'proporcionar', 'automatizar'],
+        time: ['quarter', 'month', 'week', 'year', 'day',
+               'trimestre', 'mes', 'semana', 'año', 'día'],
+        metric: ['reduce', 'increase', 'improve', 'achieve', 'target', 'goal',
+                 'reducir', 'aumentar', 'mejorar', 'lograr', 'objetivo', 'meta']
+    },
+
+    containsAny(value, listName) {
+        const text = value.toLowerCase();
+        return this.keywords[listName].some(word => text.includes(word));
+    },
+
+    // Boolean signals per strategic field, used by the rule-based strategic scoring
+    extractSignals(data) {
+        const problem = data.problem || '';
+        const solution = data.solution || '';
+        const metrics = data.metrics || '';
+        const sentenceCount = value => value.split(/[.!?]+/).filter(s => s.trim().length > 0).length;
+
+        return {
+            stratProjectName: {
+                actionOriented: this.containsAny(data.projectName || '', 'action')
+            },
+            problemOpportunity: {
+                detailed: problem.trim().length >= 150 && sentenceCount(problem) >= 2,
+                quantified: /\d+/.test(problem),
+                businessImpact: this.containsAny(problem, 'impact'),
+                stakeholders: this.containsAny(problem, 'stakeholder')
+            },
+            proposedSolution: {
+                detailed: solution.trim().length >= 150 && sentenceCount(solution) >= 2,
+                scoped: this.containsAny(solution, 'scope'),
+                outOfScope: this.containsAny(solution, 'outOfScope'),
+                capabilityFocused: this.containsAny(solution, 'capability')
+            },
+            successMetrics: {
+                detailed: metrics.trim().length >= 100,
+                quantified: /\d+/.test(metrics),
+                timeBound: this.containsAny(metrics, 'time'),
+                measurable: this.containsAny(metrics, 'metric')
+            }
+        };
+    },
+
+    assessField(fieldId, value) {
+        const assessments = {
+            stratProjectName: this.assessProjectName(value),
+            problemOpportunity: this.assessProblemOpportunity(value),
+            proposedSolution: this.assessProposedSolution(value),
+            successMetrics: this.assessSuccessMetrics(value)
+        };
+        
+        return assessments[fieldId] || { score: 0, feedback: '', level: 'poor' };
+    },
+    
+    assessProjectName(value) {
+        const words = value.trim().split(/\s+/);
+        const length = value.trim().length;
+        let score = 0;
+        let feedback = '';
+        
+        if (length === 0) {
+            return { score: 0, feedback: '', level: 'poor' };
+        }
+        
+        // Check length (3-7 words ideal)
+        if (words.length >= 3 && words.length <= 7) {
+            score += 40;
+        } else if (words.length < 3) {
+            feedback = this.language === 'es' ? 
+                '💡 Sugerencia: Agregue más detalles (3-7 palabras ideal)' : 
+                '💡 Suggestion: Add more detail (3-7 words ideal)';
+        } else {
+            feedback = this.language === 'es' ?
+                '💡 Sugerencia: Sea más conciso (3-7 palabras ideal)' :
+                '💡 Suggestion: Be more concise (3-7 words ideal)';
+        }
+        
+        // Check for action words
+        if (this.containsAny(value, 'action')) {
+            score += 30;
+        }
+        
+        // Check capitalization
+        if (words.every(word => word[0] === word[0].toUpperCase())) {
+            score += 30;
+        }
+        
+        if (score >= 70 && feedback === '') {
+            feedback = this.language === 'es' ?
+                '✓ Excelente: Nombre claro y profesional' :
+                '✓ Excellent: Clear and professional name';
+        }
+        
+        return {
+            score,
+            feedback,
+            level: score >= 70 ? 'good' : score >= 40 ? 'warning' : 'poor'
+        };
+    },
+    
+    assessProblemOpportunity(value) {
+        const length = value.trim().length;
+        const sentences = value.split(/[.!?]+/).filter(s => s.trim().length > 0);
+        let score = 0;
+        let feedback = '';
+        
+        if (length === 0) {
+            return { score: 0, feedback: '', level: 'poor' };
+        }
+        
+        // Check minimum length
+        if (length >= 150) score += 30;
+        else feedback = this.language === 'es' ?
+            '💡 Agregue más detalles sobre el problema (mínimo 150 caracteres)' :
+            '💡 Add more detail about the problem (minimum 150 characters)';
+        
+        // Check for multiple sentences
+        if (sentences.length >= 2) score += 20;
+        
+        // Check for quantifiable data (numbers or percentages)
+        if (/\d+/.test(value)) score += 25;
+        else if (feedback === '') feedback = this.language === 'es' ?
+            '💡 Incluya datos cuantificables (números, porcentajes, costos)' :
+            '💡 Include quantifiable data (numbers, percentages, costs)';
+        
+        // Check for business impact keywords
+        if (this.containsAny(value, 'impact')) {
+            score += 25;
+        }
+        
+        if (score >= 70 && feedback === '') {
+            feedback = this.language === 'es' ?
+                '✓ Excelente: Problema bien definido con impacto cuantificable' :
+                '✓ Excellent: Well-defined problem with quantifiable impact';
+        }
+        
+        return {
+            score,
+            feedback,
+            level: score >= 70 ? 'good' : score >= 40 ? 'warning' : 'poor'
+        };
+    },
+    
+    assessProposedSolution(value) {
+        const length = value.trim().length;
+        const sentences = value.split(/[.!?]+/).filter(s => s.trim().length > 0);
+        let score = 0;
+        let feedback = '';
+        
+        if (length === 0) {
+            return { score: 0, feedback: '', level: 'poor' };
+        }
+        
+        // Check minimum length
+        if (length >= 150) score += 30;
+        else feedback = this.language === 'es' ?
+            '💡 Describa la solución con más detalle (mínimo 150 caracteres)' :
+            '💡 Describe the solution in more detail (minimum 150 characters)';
+        
+        // Check for multiple sentences
+        if (sentences.length >= 2) score += 20;
+        
+        // Check for scope definition
+        if (this.containsAny(value, 'scope')) {
+            score += 25;
+        } else if (feedback === '') {
+            feedback = this.language === 'es' ?
+                '💡 Defina el alcance de la Fase 1 claramente' :
+                '💡 Define Phase 1 scope clearly';
+        }
+        
+        // Check for capability focus
+        if (this.containsAny(value, 'capability')) {
+            score += 25;
+        }
+        
+        if (score >= 70 && feedback === '') {
+            feedback = this.language === 'es' ?
+                '✓ Excelente: Solución bien estructurada con alcance claro' :
+                '✓ Excellent: Well-structured solution with clear scope';
+        }
+        
+        return {
+            score,
+            feedback,
+            level: score >= 70 ? 'good' : score >= 40 ? 'warning' : 'poor'
+        };
+    },
+    
+    assessSuccessMetrics(value) {
+        const length = value.trim().length;
+        let score = 0;
+        let feedback = '';
+        
+        if (length === 0) {
+            return { score: 0, feedback: '', level: 'poor' };
+        }
+        
+        // Check minimum length
+        if (length >= 100) score += 25;
+        else feedback = this.language === 'es' ?
+            '💡 Proporcione más detalles sobre las métricas (mínimo 100 caracteres)' :
+            '💡 Provide more detail about metrics (minimum 100 characters)';
+        
+        // Check for numbers and percentages
+        if (/\d+/.test(value)) score += 25;
+        else if (feedback === '') feedback = this.language === 'es' ?
+            '💡 Incluya objetivos cuantificables con números específicos' :
+            '💡 Include quantifiable goals with specific numbers';
+        
+        // Check for timeframe
+        if (this.containsAny(value, 'time')) {
+            score += 25;
+        } else if (feedback === '') {
+            feedback = this.language === 'es' ?
+                '💡 Especifique plazos para los objetivos' :
+                '💡 Specify timeframes for objectives';
+        }
+        
+        // Check for metric keywords
+        if (this.containsAny(value, 'metric')) {
+            score += 25;
+        }
+        
+        if (score >= 75 && feedback === '') {
+            feedback = this.language === 'es' ?
+                '✓ Excelente: Métricas SMART bien definidas' :
+                '✓ Excellent: Well-defined SMART metrics';
+        }
+        
+        return {
+            score,
+            feedback,
+            level: score >= 75 ? 'good' : score >= 50 ? 'warning' : 'poor'
+        };
+    }
+};
+
+// Browser and worker: the objects above are globals. Node: export them for the tests.
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FinancialCalculator, RiskSimulation, SensitivityAnalysis, GoalSeek, CurrencyConversion, PortfolioComparison, CapitalAllocation, RecommendationRules, qualityAssessment };
+}
@@ -7,10 +7,16 @@
 let currentLanguage = 'en';
 let projectData = null;
 let strategicData = null;
+let strategicAnalysis = null;
+let scenarioMetrics = null;
 let charts = {
     cashflow: null,
     roi: null,
-    scenarios: null
+    scenarios: null,
+    monteCarlo: null,
+    tornado: null,
+    lineItems: null,
+    portfolio: null
 };
 
 // Translation System
@@ -43,13 +49,132 @@ const translations = {
         
         // Form Labels - Financial
         'label-projectName': 'Project Name',
+        'label-currency': 'Currency',
         'label-initialInvestment': 'Initial Investment ($)',
-        'label-discountRate': 'Discount Rate (%)',
+        'label-discountRate': 'Annual Discount Rate (%)',
+        'label-discountTiming': 'Discounting Convention',
+        'option-timing-end': 'End of month',
+        'option-timing-mid': 'Mid-month',
+        'label-financeRate': 'MIRR Finance Rate (%)',
+        'label-reinvestmentRate': 'MIRR Reinvestment Rate (%)',
+        'subsection-line-items': 'Itemized Revenue & Cost Lines',
+        'line-items-description': 'Add revenue streams and cost lines on top of the summary fields above. Each line has its own timing, growth and ramp-up.',
+        'line-items-empty': 'No itemized lines yet. The summary fields above are used as the only revenue and cost lines.',
+        'btn-add-revenue-line': '+ Revenue Line',
+        'btn-add-cost-line': '+ Cost Line',
+        'line-col-type': 'Type',
+        'line-col-name': 'Name',
+        'line-col-amount': 'Annual Amount ($)',
+        'line-col-start': 'Start Month',
+        'line-col-end': 'End Month',
+        'line-col-growth': 'Growth (% yr)',
+        'line-col-ramp-months': 'Ramp-up (months)',
+        'line-col-ramp-curve': 'Ramp-up Curve',
+        'line-type-revenue': 'Revenue',
+        'line-type-cost': 'Cost',
+        'line-name-placeholder': 'e.g., Licences',
+        'line-end-placeholder': 'Project end',
+        'line-ramp-none': 'None',
+        'line-ramp-linear': 'Linear',
+        'line-ramp-s-curve': 'S-curve',
+        'line-remove': 'Remove line',
+        'line-base-yearlyRevenue': 'Revenue (summary)',
+        'line-base-operatingCosts': 'Operating costs (summary)',
+        'line-base-maintenanceCosts': 'Maintenance costs (summary)',
+        'subsection-capex': 'Capital Investment Schedule',
+        'capex-description': 'The initial investment is paid at month 0. Add later tranches (pilot, rollout, phase 2) or recurring capex; payback is measured against the cumulative investment.',
+        'capex-empty': 'No additional tranches. The whole investment is paid at month 0.',
+        'btn-add-capex': '+ Investment Tranche',
+        'capex-col-name': 'Tranche',
+        'capex-col-amount': 'Amount ($)',
+        'capex-col-month': 'Month',
+        'capex-col-recurrence': 'Recurrence',
+        'capex-col-end': 'Until Month',
+        'capex-name-placeholder': 'e.g., Rollout',
+        'capex-recurrence-once': 'One-off',
+        'capex-recurrence-monthly': 'Monthly',
+        'capex-recurrence-quarterly': 'Quarterly',
+        'capex-recurrence-annual': 'Annual',
+        'capex-remove': 'Remove tranche',
+        'placeholder-mirr-rate': 'Same as discount rate',
         'label-projectDuration': 'Project Duration (months)',
         'label-yearlyRevenue': 'Annual Revenue Increase ($)',
         'label-revenueGrowth': 'Revenue Growth Rate (% yearly)',
         'label-operatingCosts': 'Annual Operating Costs ($)',
         'label-maintenanceCosts': 'Annual Maintenance Costs ($)',
+        'subsection-tax': 'Taxes and Depreciation',
+        'tax-description': 'With a tax rate, the capital investment is capitalized and depreciated over its useful life, income tax is charged on each project year\'s profit after depreciation (losses carry forward to later years) and the metrics are also reported after tax. Leave the rate at 0 for a pre-tax analysis.',
+        'label-taxRate': 'Corporate Tax Rate (%)',
+        'label-depreciationMethod': 'Depreciation Method',
+        'option-depreciation-straight-line': 'Straight-line',
+        'option-depreciation-declining-balance': 'Double declining balance',
+        'label-usefulLife': 'Useful Life (years)',
+        'tax-summary-title': 'Pre-Tax and After-Tax Results (Expected Case)',
+        'tax-col-metric': 'Metric',
+        'tax-col-pre-tax': 'Pre-Tax',
+        'tax-col-after-tax': 'After-Tax',
+        'tax-total': 'Total Income Tax',
+        'tax-shield': 'Depreciation Tax Shield',
+        'tax-after-tax-suffix': 'after tax',
+        'subsection-financing': 'Debt Financing',
+        'financing-description': 'Optionally fund part of the investment with a loan drawn at month 0. Debt service is paid from the project\'s cash flows and interest is tax-deductible; the equity cash flows are what remains for the owners. A balance still outstanding at the end of the project is settled in the last month. Leave the loan at 0 for an unlevered analysis.',
+        'label-loanAmount': 'Loan Amount ($)',
+        'label-loanRate': 'Loan Interest Rate (% yearly)',
+        'label-loanTerm': 'Loan Term (months)',
+        'label-amortizationMethod': 'Amortization',
+        'option-amortization-annuity': 'Level payments (annuity)',
+        'option-amortization-straight-line': 'Equal principal instalments',
+        'option-amortization-bullet': 'Bullet at maturity',
+        'label-gracePeriod': 'Grace Period (months, interest only)',
+        'financing-summary-title': 'Unlevered and Equity Returns (Expected Case)',
+        'financing-col-project': 'Project (unlevered)',
+        'financing-col-equity': 'Equity (levered)',
+        'financing-outlay': 'Cash Flow at Month 0',
+        'financing-total-cash': 'Total Net Cash Flow',
+        'financing-min-dscr': 'Minimum DSCR',
+        'financing-total-interest': 'Total Interest',
+        'financing-interest-shield': 'Interest Tax Shield',
+        'financing-settlement': 'Loan Balance Settled at Month {month}',
+        'metric-equity-irr': 'Equity IRR',
+        'metric-equity-payback': 'Equity Payback Period (months)',
+        'amortization-title': 'Debt Service by Project Year',
+        'amortization-col-year': 'Year',
+        'amortization-col-month': 'Month',
+        'amortization-col-opening': 'Opening Balance',
+        'amortization-col-interest': 'Interest',
+        'amortization-col-principal': 'Principal',
+        'amortization-col-payment': 'Debt Service',
+        'amortization-col-closing': 'Closing Balance',
+        'amortization-col-cfads': 'Cash Available for Debt Service',
+        'amortization-col-dscr': 'DSCR',
+        'export-sheet-amortization': 'Amortization',
+        'label-operatingCostEscalation': 'Operating Cost Escalation (% yearly)',
+        'label-maintenanceCostEscalation': 'Maintenance Cost Escalation (% yearly)',
+        'subsection-timing': 'Ramp-up and Working Capital',
+        'timing-description': 'Revenue can take months to reach its full run-rate after go-live. A go-live delay postpones every revenue line; costs still start in month 1. DSO and DPO delay when revenue is collected and costs are paid, which moves cash later without changing the totals.',
+        'label-goLiveDelay': 'Go-Live Delay (months)',
+        'label-revenueRampCurve': 'Revenue Ramp-up Curve',
+        'option-revenue-ramp-none': 'None (full run-rate)',
+        'option-revenue-ramp-linear': 'Linear',
+        'option-revenue-ramp-s-curve': 'S-curve',
+        'option-revenue-ramp-custom': 'Custom monthly percentages',
+        'label-revenueRampMonths': 'Ramp-up Period (months)',
+        'label-revenueRampPercentages': 'Custom Ramp-up (% of run-rate per month)',
+        'label-receivableDays': 'Days Sales Outstanding (DSO)',
+        'label-payableDays': 'Days Payable Outstanding (DPO)',
+        'subsection-inflation': 'Inflation and Terminal Value',
+        'inflation-description': 'Amounts and growth rates are entered in today\'s money. In nominal terms every amount is inflated at the inflation rate and discounted at the discount rate; in real terms amounts stay in today\'s money and are discounted at the real rate. A terminal value adds the worth of the cash flows after the last month to NPV, from the final year\'s operating cash flow.',
+        'label-inflationRate': 'Inflation Rate (% yearly)',
+        'label-valuationBasis': 'Valuation Basis',
+        'option-basis-nominal': 'Nominal (inflated amounts)',
+        'option-basis-real': 'Real (today\'s money)',
+        'label-terminalValueMethod': 'Terminal Value',
+        'option-terminal-none': 'None',
+        'option-terminal-perpetuity': 'Perpetuity growth',
+        'option-terminal-multiple': 'Exit multiple',
+        'label-terminalGrowth': 'Perpetuity Growth (% yearly)',
+        'label-exitMultiple': 'Exit Multiple (× final year cash flow)',
+        'terminal-value-pv': 'Terminal Value (PV)',
         'label-bestCaseMultiplier': 'Best Case Multiplier',
         'label-worstCaseMultiplier': 'Worst Case Multiplier',
         
@@ -66,12 +191,82 @@ const translations = {
         'tab-cashflow': 'Cash Flow Over Time',
         'tab-roi': 'ROI Comparison',
         'tab-scenarios': 'Scenario Analysis',
+        'tab-lineitems': 'Line Item Breakdown',
+        'tab-montecarlo': 'Monte Carlo Risk',
+        'tab-sensitivity': 'Sensitivity',
+        'section-goal-seek': 'Goal Seek',
+        'goal-seek-description': 'Find the value of one input that makes the expected case hit a target, e.g. the annual revenue that brings NPV to zero or the largest investment that still reaches a 20% IRR. The other inputs stay as entered.',
+        'label-goalSeekField': 'Solve For',
+        'label-goalSeekMetric': 'Target Metric',
+        'label-goalSeekTarget': 'Target Value',
+        'btn-goal-seek': 'Solve',
+        'btn-goal-seek-apply': 'Apply to Form',
+        'goal-metric-npv': 'NPV ($)',
+        'goal-metric-irr': 'IRR (%)',
+        'goal-metric-roi': 'ROI (%)',
+        'goal-metric-paybackPeriod': 'Payback Period (months)',
+        'goal-seek-calculate-first': 'Please calculate your business case first before using goal seek.',
+        'goal-seek-invalid-target': 'Please enter a numeric target value.',
+        'goal-seek-not-found': 'No value of {field} gives {metric} = {target} within the searched range.',
+        'goal-seek-outcome': 'Resulting NPV {npv} · IRR {irr} · ROI {roi} · Payback {payback}',
+        'sens-description': 'Each input is moved up and down by the same percentage while the others stay at the expected case; bars show the resulting NPV, widest swing first.',
+        'label-sensitivityRange': 'Variation (± %)',
+        'sens-empty': 'Calculate the business case to see which inputs drive the NPV.',
+        'sens-col-input': 'Input',
+        'sens-col-npv-low': 'NPV at -{range}%',
+        'sens-col-npv-high': 'NPV at +{range}%',
+        'sens-col-swing': 'NPV Swing',
+        'sens-col-irr': 'IRR -{range}% / +{range}%',
+        'sens-col-payback': 'Payback (months) -{range}% / +{range}%',
+        'mc-description': 'Give each uncertain input a distribution and simulate thousands of outcomes of the expected case. Revenue and costs are multipliers, growth and discount rate are percentage points added to the form values, and the overrun is added to every investment tranche.',
+        'mc-col-variable': 'Input',
+        'mc-col-distribution': 'Distribution',
+        'mc-col-min': 'Min',
+        'mc-col-mode': 'Most Likely / Mean',
+        'mc-col-max': 'Max',
+        'mc-col-stddev': 'Std Dev',
+        'mc-var-revenue': 'Revenue',
+        'mc-var-growth': 'Revenue growth',
+        'mc-var-costs': 'Costs',
+        'mc-var-discountRate': 'Discount rate',
+        'mc-var-investmentOverrun': 'Investment overrun',
+        'mc-unit-x': '× base',
+        'mc-unit-pp': '± pp',
+        'mc-unit-%': '%',
+        'mc-dist-fixed': 'Fixed',
+        'mc-dist-triangular': 'Triangular',
+        'mc-dist-normal': 'Normal',
+        'mc-dist-uniform': 'Uniform',
+        'mc-dist-pert': 'PERT',
+        'label-mcIterations': 'Iterations',
+        'label-mcSeed': 'Random Seed',
+        'btn-run-simulation': 'Run Simulation',
+        'mc-progress': 'Simulating… {percent}%',
+        'mc-calculate-first': 'Please calculate your business case first before running the simulation.',
+        'mc-invalid': 'Please fix the distribution settings:',
+        'mc-error-missing': 'fill in every enabled value',
+        'mc-error-order': 'values must satisfy Min ≤ Most Likely ≤ Max with Min < Max',
+        'mc-error-range': 'Min must be lower than Max',
+        'mc-error-stddev': 'the standard deviation cannot be negative',
+        'mc-stat-p10': 'P10 NPV',
+        'mc-stat-p50': 'P50 NPV (median)',
+        'mc-stat-p90': 'P90 NPV',
+        'mc-stat-mean': 'Mean NPV',
+        'mc-stat-negative': 'Probability NPV < 0',
+        'mc-footnote': 'Based on {iterations} iterations of the expected case.',
+        'mc-footnote-after-tax': 'Based on {iterations} iterations of the expected case. NPVs are after tax.',
+        'mc-chart-frequency': 'Share of iterations',
         
         // Metrics
         'metric-roi': 'ROI (Return on Investment)',
         'metric-npv': 'NPV (Net Present Value)',
         'metric-payback': 'Payback Period',
         'metric-irr': 'IRR (Internal Rate of Return)',
+        'metric-label-terminal': 'Terminal Value (PV)',
+        'metric-discounted-payback': 'Discounted Payback Period',
+        'metric-pi': 'Profitability Index',
+        'metric-eaa': 'Equivalent Annual Annuity',
+        'metric-peak-cash': 'Peak Cash Requirement',
         
         // Scenario Cards
         'scenario-expected': 'Expected Case',
@@ -80,16 +275,93 @@ const translations = {
         'scenario-roi-label': 'ROI:',
         'scenario-npv-label': 'NPV:',
         'scenario-payback-label': 'Payback:',
+        'scenario-discounted-payback-label': 'Discounted payback:',
+        'scenario-pi-label': 'PI:',
+        'scenario-eaa-label': 'EAA:',
+        'scenario-peak-cash-label': 'Peak cash:',
         
         // Messages
         'export-description': 'Generate a comprehensive PDF report with all metrics, charts and recommendations.',
         'default-recommendations': 'Complete the form and calculate to receive intelligent recommendations based on your business case analysis.',
+        'rules-settings-title': 'Recommendation Rules',
+        'label-recommendationPreset': 'Rule Set',
+        'rules-preset-standard': 'Standard',
+        'rules-preset-conservative': 'Conservative',
+        'rules-preset-growth': 'Growth',
+        'rules-preset-publicSector': 'Public Sector',
+        'rules-preset-custom': 'Custom: {name}',
+        'rules-preset-edited': 'edited',
+        'rules-col-group': 'Group',
+        'rules-col-condition': 'Condition',
+        'rules-col-severity': 'Severity',
+        'rules-col-message': 'Message',
+        'rules-and': 'and',
+        'rules-otherwise': 'Otherwise',
+        'rules-severity-success': 'Positive',
+        'rules-severity-info': 'Information',
+        'rules-severity-warning': 'Warning',
+        'rules-severity-danger': 'Critical',
+        'btn-rules-export': 'Export Rules JSON',
+        'btn-rules-import': 'Import Rules JSON',
+        'rules-settings-note': 'Within a group only the first matching rule is shown. Rule sets are stored in this browser; export one to share it with your committee.',
+        'rules-import-invalid': 'The file is not a valid recommendation rule set: {errors}',
+        'rule-metric-roi': 'ROI (%)',
+        'rule-metric-npv': 'NPV ($)',
+        'rule-metric-paybackPeriod': 'Payback (months)',
+        'rule-metric-paybackYears': 'Payback (years)',
+        'rule-metric-paybackMargin': 'Months left after payback',
+        'rule-metric-projectDuration': 'Duration (months)',
+        'rule-metric-roiRange': 'Best − worst ROI (pp)',
+        'rule-metric-bestRoi': 'Best-case ROI (%)',
+        'rule-metric-worstRoi': 'Worst-case ROI (%)',
+        'rule-metric-irr': 'IRR (%)',
+        'rule-metric-irrSpread': 'IRR − discount rate (pp)',
+        'rule-metric-irrStatus': 'IRR status',
+        'rule-metric-discountRate': 'Discount rate (%)',
+        'rule-metric-mirr': 'MIRR (%)',
+        'rule-metric-discountedPaybackPeriod': 'Discounted payback (months)',
+        'rule-metric-discountedPaybackMargin': 'Months left after discounted payback',
+        'rule-metric-profitabilityIndex': 'Profitability index',
+        'rule-metric-eaa': 'Equivalent annual annuity ($)',
+        'rule-metric-peakCash': 'Peak cash requirement ($)',
+        'rule-metric-peakCashRatio': 'Peak cash / total investment',
+        'rec-roi-excellent': 'Excellent ROI of {roi}! This project shows strong financial returns and is highly recommended for approval.',
+        'rec-roi-good': 'Good ROI of {roi}. This project is financially viable and should be considered favorably.',
+        'rec-roi-moderate': 'Moderate ROI of {roi}. Consider ways to increase revenue or reduce costs to improve returns.',
+        'rec-roi-below-hurdle': 'ROI of {roi} is positive but below the hurdle of the active rule set. Improve revenue or costs before seeking approval.',
+        'rec-roi-negative': 'Negative ROI of {roi}. This project is not financially viable in its current form and needs significant changes.',
+        'rec-npv-positive': 'A positive NPV of {npv} indicates the project will create value after accounting for the time value of money.',
+        'rec-npv-negative': 'A negative NPV of {npv} suggests the project will destroy value. Review the discount rate and revenue projections.',
+        'rec-payback-fast': 'Fast payback period of {paybackPeriod} months. You will recover your investment in less than a year.',
+        'rec-payback-reasonable': 'Reasonable payback period of {paybackPeriod} months ({paybackYears} years).',
+        'rec-payback-long': 'Long payback period of {paybackPeriod} months. Consider whether this timeline fits your strategic goals.',
+        'rec-payback-exceeds': 'The payback period exceeds the project duration. The project will not break even within the planned timeframe.',
+        'rec-risk-high': 'High variability across scenarios (a {roiRange} range) indicates significant risk. Consider risk mitigation strategies.',
+        'rec-risk-low': 'Low variability across scenarios suggests consistent results with manageable risk.',
+        'rec-worst-negative': 'The worst-case scenario shows a negative ROI ({worstRoi}). Make sure you have contingency plans if revenue falls short of expectations.',
+        'rec-irr-multiple': 'The cash flows change sign more than once and produce several IRRs ({irrCandidates}), so IRR is not a reliable measure.{mirrNote} Base the decision on NPV.',
+        'rec-irr-none': 'There is no IRR for these cash flows: NPV does not reach zero at any discount rate.{mirrNote} Base the decision on NPV.',
+        'rec-irr-strong': 'The IRR of {irr} comfortably exceeds your {discountRate} discount rate, indicating strong value creation.',
+        'rec-irr-above': 'The IRR of {irr} exceeds your discount rate, which is positive but leaves a limited margin for error.',
+        'rec-irr-below': 'The IRR of {irr} is below your {discountRate} discount rate, suggesting value destruction.',
+        'rec-mirr-note': 'The MIRR is {mirr}.',
+        'rec-discounted-payback-terminal': 'In present value the cash flows do not recover the investment within the {projectDuration}-month project; the positive NPV of {npv} rests on the terminal value.',
+        'rec-discounted-payback-within': 'Counting the time value of money, the investment is recovered after {discountedPaybackPeriod} months, {discountedPaybackMargin} months before the project ends.',
+        'rec-pi-strong': 'A profitability index of {profitabilityIndex} returns well over each unit invested, which ranks the project high when capital is limited.',
+        'rec-pi-thin': 'A profitability index of {profitabilityIndex} leaves a thin margin over the capital invested; modest cost overruns could erase the value.',
+        'rec-peak-cash-high': 'The cumulative cash position bottoms out at {peakCash} below zero in month {peakCashMonth}, {peakCashRatio} of the total investment. Secure funding for the full peak, not just the capital outlays.',
+        'rec-eaa-positive': 'The equivalent annual annuity is {eaa} per year; use it to compare this project with alternatives of a different duration.',
         'loading': 'Analyzing...',
         'success-message': '✓ Analysis completed successfully! Review the metrics and recommendations below.',
         
         // Chart Labels
         'chart-monthly-cashflow': 'Monthly Cash Flow',
         'chart-cumulative-cashflow': 'Cumulative Cash Flow',
+        'chart-break-even': 'Break-even',
+        'chart-goal-seek': 'Goal Seek: Cumulative Cash Flow',
+        'chart-goal-seek-break-even': 'Goal Seek Break-even',
+        'chart-month-short': 'M',
+        'chart-start': 'Start',
         'chart-expected-roi': 'Expected ROI',
         'chart-best-roi': 'Best Case ROI',
         'chart-worst-roi': 'Worst Case ROI',
@@ -102,6 +374,19 @@ const translations = {
         'status-discounted-cashflow': 'Discounted cash flow',
         'status-months-to-recover': 'months to recover investment',
         'status-annualized-return': 'Annualized return rate',
+        'status-discounted-payback': 'months to recover in present value',
+        'status-discounted-payback-none': 'Not recovered in present value within the project',
+        'status-pi': 'Present value returned per unit invested',
+        'status-eaa': 'NPV spread evenly per project year',
+        'status-peak-cash': 'Deepest cumulative cash position',
+        'status-peak-cash-month': 'Deepest cumulative cash position, at month {month}',
+        'status-terminal-value': '{value} at month {month}, included in NPV',
+        'status-terminal-invalid': 'Perpetuity growth must be below the {rate} discount rate; no terminal value is included',
+        'irr-value-none': 'No IRR',
+        'irr-value-multiple': 'Multiple',
+        'status-irr-none': 'NPV never reaches zero',
+        'status-irr-multiple': 'Multiple IRRs: {rates}',
+        'label-mirr': 'MIRR',
         'status-enter-data': 'Enter data to calculate',
         
         // Units
@@ -109,7 +394,184 @@ const translations = {
         'unit-years': 'years',
         
         // Progress Indicator
-        'progress-title': 'Business Case Quality Score'
+        'progress-title': 'Business Case Quality Score',
+        
+        // AI Provider Settings
+        'provider-settings-title': 'AI Provider Settings',
+        'label-llmProvider': 'Analysis Provider',
+        'label-llmBaseUrl': 'Endpoint URL',
+        'label-llmModel': 'Model',
+        'label-llmApiKey': 'API Key',
+        'label-llmTimeout': 'Timeout (seconds)',
+        'label-llmMaxRetries': 'Retries',
+        'option-provider-mock': 'Built-in (offline)',
+        'option-provider-openai': 'OpenAI-compatible API',
+        'option-provider-local': 'Local model server',
+        'provider-settings-note': 'If the provider fails, the built-in analysis is used instead. The API key is kept for this browser session only.',
+        'analysis-source': 'Generated by',
+        'analysis-fallback-notice': 'The configured AI provider could not be reached ({error}). Showing the built-in analysis instead.',
+        
+        // Project Library
+        'section-library': 'Saved Projects',
+        'btn-library-save': 'Save',
+        'btn-library-new': 'New Case',
+        'library-name-placeholder': 'Business case name',
+        'library-list-summary': 'Saved cases ({count})',
+        'library-empty': 'No saved cases yet. Name your business case and click Save to keep it in this browser.',
+        'section-portfolio': 'Portfolio Comparison',
+        'portfolio-summary': 'Compare cases',
+        'portfolio-note': 'Select two or more saved cases, or add exported case JSON files, to compare them. Each case is recalculated from its saved inputs.',
+        'portfolio-empty': 'No saved cases yet. Save cases in the library above or add case JSON files.',
+        'btn-portfolio-import': 'Add Case JSON Files',
+        'label-portfolioMetric': 'Rank by',
+        'label-portfolioScenario': 'Scenario',
+        'portfolio-metric-npv': 'NPV',
+        'portfolio-metric-roi': 'ROI',
+        'portfolio-metric-irr': 'IRR',
+        'portfolio-metric-paybackPeriod': 'Payback (months)',
+        'portfolio-scenario-expected': 'Exp.',
+        'portfolio-scenario-best': 'Best',
+        'portfolio-scenario-worst': 'Worst',
+        'portfolio-col-rank': '#',
+        'portfolio-col-case': 'Case',
+        'portfolio-not-recovered': 'Not recovered',
+        'portfolio-file': 'file',
+        'portfolio-remove': 'Remove from comparison',
+        'portfolio-selected': '{count} selected',
+        'portfolio-skipped': 'Missing required inputs, not compared: {names}',
+        'portfolio-no-rate': 'No exchange rate to {currency}, not compared: {names}',
+        'portfolio-import-invalid': '{file} is not a valid business case file: {errors}',
+        'portfolio-chart-title': 'Cumulative Cash Flow, Expected Case',
+        'optimizer-title': 'Capital Budget Optimizer',
+        'optimizer-intro': 'Which projects should a fixed budget fund? Paste a table of project inputs (CSV, semicolon or tab separated, header row first) or load it from a file. Each project\'s capital cost and NPV are calculated as in the main analysis.',
+        'optimizer-table-placeholder': 'name,initialInvestment,discountRate,projectDuration,yearlyRevenue,operatingCosts,startYear\nCRM,150000,10,24,75000,15000,1',
+        'btn-optimizer-import': 'Load Table File',
+        'label-optimizerBudget': 'Total Capital Budget ($)',
+        'label-optimizerMethod': 'Method',
+        'optimizer-method-knapsack': 'Best total NPV (0/1 knapsack)',
+        'optimizer-method-profitabilityIndex': 'Profitability index ranking (heuristic)',
+        'btn-optimizer-run': 'Find Projects to Fund',
+        'optimizer-columns-note': 'Columns: name, startYear (budget year the spending starts in, default 1), currency (default: the reporting currency), initialInvestment, discountRate, projectDuration, yearlyRevenue, revenueGrowth, operatingCosts, maintenanceCosts. The last three are optional.',
+        'optimizer-year-limits-note': 'Optional spending limits per budget year. Leave a year blank for no limit.',
+        'optimizer-year-limit': 'Year {year} Limit ($)',
+        'optimizer-no-limit': 'No limit',
+        'optimizer-table-invalid': 'The project table could not be read:{errors}',
+        'optimizer-invalid-budget': 'Enter a total capital budget of zero or more.',
+        'optimizer-summary': 'Fund {count} of {total} projects: total NPV {npv} for {cost} of capital.',
+        'optimizer-note-exact': 'This is the highest total NPV any combination can reach within the budget and yearly limits.',
+        'optimizer-note-node-limit': 'The search stopped at its step limit; this is the best combination found, which may not be the optimum.',
+        'optimizer-note-heuristic': 'Projects are funded in order of profitability index while they fit; the total NPV may be lower than the best combination.',
+        'optimizer-funded': 'Fund',
+        'optimizer-year': 'Year {year}',
+        'optimizer-col-project': 'Project',
+        'optimizer-col-start-year': 'Start Year',
+        'optimizer-col-cost': 'Capital Cost',
+        'optimizer-col-npv': 'NPV',
+        'optimizer-col-pi': 'Profitability Index',
+        'optimizer-col-decision': 'Decision',
+        'optimizer-col-year': 'Budget Year',
+        'optimizer-col-spend': 'Capital Spent',
+        'optimizer-col-limit': 'Limit',
+        'optimizer-no-rate': 'No exchange rate from {currency} to {reporting} for {names}. Add it under Exchange Rates.',
+        'fx-title': 'Exchange Rates',
+        'fx-intro': 'Each case keeps its amounts in its own currency. The portfolio comparison and the optimizer convert them to the reporting currency with these rates: how many units of the base currency one unit of each currency buys. Load them from a CSV file with currency,rate rows.',
+        'label-fxReportingCurrency': 'Reporting Currency',
+        'label-fxBase': 'Base Currency',
+        'fx-col-currency': 'Currency',
+        'fx-col-rate': '{base} per unit',
+        'fx-no-rate': 'Not set',
+        'fx-base-confirm': 'There is no rate for {base}, so the current rates cannot be converted to it and will be cleared. Continue?',
+        'btn-fx-import': 'Load Rates CSV',
+        'fx-import-invalid': 'The exchange rates could not be read:{errors}',
+        'fx-import-success': 'Loaded {count} exchange rates.',
+        'library-col-name': 'Name',
+        'library-col-updated': 'Last updated',
+        'library-col-npv': 'NPV',
+        'library-col-roi': 'ROI',
+        'library-open': 'Open',
+        'library-duplicate': 'Duplicate',
+        'library-rename': 'Rename',
+        'library-delete': 'Delete',
+        'library-not-calculated': 'Not calculated',
+        'library-untitled': 'Untitled case',
+        'library-copy-suffix': ' (copy)',
+        'library-saved-at': 'Saved {time}',
+        'library-autosaved-at': 'Autosaved {time}',
+        'library-rename-prompt': 'New name for this business case:',
+        'library-delete-confirm': 'Delete "{name}"? This cannot be undone.',
+        'library-new-confirm': 'Start a new business case? Changes that are not saved to the library will be lost.',
+        'library-storage-error': 'Could not save to browser storage: {error}',
+        
+        // JSON Import/Export
+        'btn-json-export': 'Export JSON',
+        'btn-json-import': 'Import JSON',
+        'json-export-success': 'Business case exported as JSON',
+        'json-import-success': 'Imported "{name}". Save it to add it to the library.',
+        'json-import-invalid': 'The file is not a valid business case document: {errors}',
+        
+        // Cash Flow Export
+        'btn-export-csv': 'Export Cash Flow (CSV)',
+        'btn-export-xlsx': 'Export Cash Flow (Excel)',
+        'export-calculate-first': 'Please calculate your business case first before exporting.',
+        'report-options-title': 'Report Options',
+        'label-reportCompanyName': 'Company Name',
+        'placeholder-report-company': 'Shown on the cover and page footers',
+        'label-reportLogo': 'Logo (PNG or JPEG)',
+        'btn-report-logo-clear': 'Remove Logo',
+        'report-sections-title': 'Sections',
+        'report-section-strategic': 'Strategic Case',
+        'report-section-assumptions': 'Assumptions',
+        'report-section-metrics': 'Key Metrics',
+        'report-section-scenarios': 'Scenario Comparison',
+        'report-section-charts': 'Charts',
+        'report-section-sensitivity': 'Sensitivity Analysis',
+        'report-section-cashflow': 'Cash Flow Table',
+        'report-section-recommendations': 'Recommendations',
+        'report-options-note': 'Sections without data, such as a strategic case that was never analyzed, are left out. Report options are stored in this browser.',
+        'report-no-sections': 'Select at least one section to include in the report.',
+        'report-logo-invalid': 'The selected file could not be read as an image.',
+        'pdf-library-missing': 'The PDF library is not loaded. Please reload the page and try again.',
+        'pdf-export-success': '📥 PDF report exported successfully!',
+        'pdf-export-error': 'Error generating the PDF: {error}',
+        'pdf-title': 'Business Case Report',
+        'pdf-contents': 'Contents',
+        'pdf-page': 'Page {page} of {pages}',
+        'pdf-generated': 'Generated',
+        'pdf-viability': 'Viability',
+        'pdf-strengths': 'Strengths',
+        'pdf-weaknesses': 'Areas for Improvement',
+        'pdf-risks': 'Key Risks',
+        'pdf-strategic-recommendation': 'Recommendation',
+        'pdf-sensitivity-note': 'Change in expected-case NPV when each input moves {range}% down or up, all others held at their base value.',
+        'pdf-cashflow-note': 'Monthly schedule for the expected case. Month 0 holds the initial investment.',
+        'pdf-figure': 'Figure',
+        'pdf-figure-cashflow': 'Monthly and cumulative cash flow for the expected case, with the break-even month.',
+        'pdf-figure-roi': 'ROI for the expected, best and worst cases.',
+        'pdf-figure-scenarios': 'ROI, scaled NPV, inverse payback and IRR for each scenario.',
+        'pdf-figure-lineItems': 'Monthly revenue and costs by line item for the expected case.',
+        'pdf-figure-tornado': 'Expected-case NPV when each input moves {range}% down or up.',
+        'pdf-figure-monteCarlo': 'Distribution of NPV across the Monte Carlo simulation runs.',
+        'export-csv-success': '📥 Cash flow schedule exported as CSV!',
+        'export-xlsx-success': '📥 Cash flow schedule exported to Excel!',
+        'export-sheet-summary': 'Summary',
+        'export-summary-title': 'Business Case Summary',
+        'export-summary-metrics': 'Metric',
+        'export-total-investment': 'Total Investment',
+        'export-total-net-cashflow': 'Total Operating Net Cash Flow',
+        'cashflow-col-scenario': 'Scenario',
+        'cashflow-col-month': 'Month',
+        'cashflow-col-revenue': 'Revenue',
+        'cashflow-col-costs': 'Costs',
+        'cashflow-col-investment': 'Investment',
+        'cashflow-col-workingCapitalChange': 'Working Capital Change',
+        'cashflow-col-netCashFlow': 'Net Cash Flow',
+        'cashflow-col-discountFactor': 'Discount Factor',
+        'cashflow-col-discountedCashFlow': 'Discounted Cash Flow',
+        'cashflow-col-cumulativeCashFlow': 'Cumulative Cash Flow',
+        'cashflow-col-cumulativeDiscountedCashFlow': 'Cumulative Discounted Cash Flow',
+        'cashflow-col-depreciation': 'Depreciation',
+        'cashflow-col-tax': 'Income Tax',
+        'cashflow-col-afterTaxCashFlow': 'After-Tax Cash Flow'
     },
     es: {
         // Header
@@ -139,13 +601,132 @@ const translations = {
         
         // Form Labels - Financial
         'label-projectName': 'Nombre del Proyecto',
+        'label-currency': 'Moneda',
         'label-initialInvestment': 'Inversión Inicial ($)',
-        'label-discountRate': 'Tasa de Descuento (%)',
+        'label-discountRate': 'Tasa de Descuento Anual (%)',
+        'label-discountTiming': 'Convención de Descuento',
+        'option-timing-end': 'Fin de mes',
+        'option-timing-mid': 'Mitad de mes',
+        'label-financeRate': 'Tasa de Financiamiento TIRM (%)',
+        'label-reinvestmentRate': 'Tasa de Reinversión TIRM (%)',
+        'subsection-line-items': 'Partidas de Ingresos y Costos',
+        'line-items-description': 'Agregue fuentes de ingresos y partidas de costos además de los campos de resumen anteriores. Cada partida tiene su propio calendario, crecimiento y curva de adopción.',
+        'line-items-empty': 'Aún no hay partidas. Los campos de resumen anteriores se usan como únicas líneas de ingresos y costos.',
+        'btn-add-revenue-line': '+ Línea de Ingresos',
+        'btn-add-cost-line': '+ Línea de Costos',
+        'line-col-type': 'Tipo',
+        'line-col-name': 'Nombre',
+        'line-col-amount': 'Monto Anual ($)',
+        'line-col-start': 'Mes Inicial',
+        'line-col-end': 'Mes Final',
+        'line-col-growth': 'Crecimiento (% anual)',
+        'line-col-ramp-months': 'Adopción (meses)',
+        'line-col-ramp-curve': 'Curva de Adopción',
+        'line-type-revenue': 'Ingreso',
+        'line-type-cost': 'Costo',
+        'line-name-placeholder': 'ej., Licencias',
+        'line-end-placeholder': 'Fin del proyecto',
+        'line-ramp-none': 'Ninguna',
+        'line-ramp-linear': 'Lineal',
+        'line-ramp-s-curve': 'Curva S',
+        'line-remove': 'Eliminar línea',
+        'line-base-yearlyRevenue': 'Ingresos (resumen)',
+        'line-base-operatingCosts': 'Costos operativos (resumen)',
+        'line-base-maintenanceCosts': 'Costos de mantenimiento (resumen)',
+        'subsection-capex': 'Calendario de Inversión de Capital',
+        'capex-description': 'La inversión inicial se paga en el mes 0. Agregue tramos posteriores (piloto, despliegue, fase 2) o inversiones recurrentes; la recuperación se mide contra la inversión acumulada.',
+        'capex-empty': 'Sin tramos adicionales. Toda la inversión se paga en el mes 0.',
+        'btn-add-capex': '+ Tramo de Inversión',
+        'capex-col-name': 'Tramo',
+        'capex-col-amount': 'Monto ($)',
+        'capex-col-month': 'Mes',
+        'capex-col-recurrence': 'Recurrencia',
+        'capex-col-end': 'Hasta el Mes',
+        'capex-name-placeholder': 'ej., Despliegue',
+        'capex-recurrence-once': 'Única',
+        'capex-recurrence-monthly': 'Mensual',
+        'capex-recurrence-quarterly': 'Trimestral',
+        'capex-recurrence-annual': 'Anual',
+        'capex-remove': 'Eliminar tramo',
+        'placeholder-mirr-rate': 'Igual a la tasa de descuento',
         'label-projectDuration': 'Duración del Proyecto (meses)',
         'label-yearlyRevenue': 'Incremento de Ingresos Anuales ($)',
         'label-revenueGrowth': 'Tasa de Crecimiento de Ingresos (% anual)',
         'label-operatingCosts': 'Costos Operativos Anuales ($)',
         'label-maintenanceCosts': 'Costos de Mantenimiento Anuales ($)',
+        'subsection-tax': 'Impuestos y Depreciación',
+        'tax-description': 'Con una tasa de impuesto, la inversión de capital se capitaliza y se deprecia durante su vida útil, el impuesto sobre la renta se calcula sobre la utilidad de cada año del proyecto después de la depreciación (las pérdidas se amortizan en años posteriores) y las métricas se reportan también después de impuestos. Deje la tasa en 0 para un análisis antes de impuestos.',
+        'label-taxRate': 'Tasa de Impuesto Corporativo (%)',
+        'label-depreciationMethod': 'Método de Depreciación',
+        'option-depreciation-straight-line': 'Línea recta',
+        'option-depreciation-declining-balance': 'Doble saldo decreciente',
+        'label-usefulLife': 'Vida Útil (años)',
+        'tax-summary-title': 'Resultados Antes y Después de Impuestos (Caso Esperado)',
+        'tax-col-metric': 'Métrica',
+        'tax-col-pre-tax': 'Antes de Impuestos',
+        'tax-col-after-tax': 'Después de Impuestos',
+        'tax-total': 'Impuesto sobre la Renta Total',
+        'tax-shield': 'Escudo Fiscal de la Depreciación',
+        'tax-after-tax-suffix': 'después de impuestos',
+        'subsection-financing': 'Financiamiento con Deuda',
+        'financing-description': 'Opcionalmente financie parte de la inversión con un préstamo desembolsado en el mes 0. El servicio de la deuda se paga con los flujos del proyecto y los intereses son deducibles; los flujos del accionista son lo que queda para los dueños. El saldo pendiente al final del proyecto se liquida en el último mes. Deje el préstamo en 0 para un análisis sin apalancamiento.',
+        'label-loanAmount': 'Monto del Préstamo ($)',
+        'label-loanRate': 'Tasa de Interés del Préstamo (% anual)',
+        'label-loanTerm': 'Plazo del Préstamo (meses)',
+        'label-amortizationMethod': 'Amortización',
+        'option-amortization-annuity': 'Cuotas niveladas (francés)',
+        'option-amortization-straight-line': 'Capital constante (alemán)',
+        'option-amortization-bullet': 'Pago único al vencimiento',
+        'label-gracePeriod': 'Período de Gracia (meses, solo intereses)',
+        'financing-summary-title': 'Rentabilidad del Proyecto y del Accionista (Caso Esperado)',
+        'financing-col-project': 'Proyecto (sin deuda)',
+        'financing-col-equity': 'Accionista (con deuda)',
+        'financing-outlay': 'Flujo de Caja en el Mes 0',
+        'financing-total-cash': 'Flujo de Caja Neto Total',
+        'financing-min-dscr': 'DSCR Mínimo',
+        'financing-total-interest': 'Intereses Totales',
+        'financing-interest-shield': 'Escudo Fiscal de Intereses',
+        'financing-settlement': 'Saldo del Préstamo Liquidado en el Mes {month}',
+        'metric-equity-irr': 'TIR del Accionista',
+        'metric-equity-payback': 'Recuperación del Accionista (meses)',
+        'amortization-title': 'Servicio de la Deuda por Año del Proyecto',
+        'amortization-col-year': 'Año',
+        'amortization-col-month': 'Mes',
+        'amortization-col-opening': 'Saldo Inicial',
+        'amortization-col-interest': 'Intereses',
+        'amortization-col-principal': 'Capital',
+        'amortization-col-payment': 'Servicio de Deuda',
+        'amortization-col-closing': 'Saldo Final',
+        'amortization-col-cfads': 'Flujo Disponible para la Deuda',
+        'amortization-col-dscr': 'DSCR',
+        'export-sheet-amortization': 'Amortización',
+        'label-operatingCostEscalation': 'Escalamiento de Costos Operativos (% anual)',
+        'label-maintenanceCostEscalation': 'Escalamiento de Costos de Mantenimiento (% anual)',
+        'subsection-timing': 'Adopción y Capital de Trabajo',
+        'timing-description': 'Los ingresos pueden tardar meses en alcanzar su nivel pleno tras la puesta en marcha. Un retraso de puesta en marcha pospone todas las líneas de ingresos; los costos siguen empezando en el mes 1. Los días de cobro (DSO) y de pago (DPO) retrasan el cobro de los ingresos y el pago de los costos, lo que mueve el efectivo a meses posteriores sin cambiar los totales.',
+        'label-goLiveDelay': 'Retraso de Puesta en Marcha (meses)',
+        'label-revenueRampCurve': 'Curva de Adopción de Ingresos',
+        'option-revenue-ramp-none': 'Ninguna (nivel pleno)',
+        'option-revenue-ramp-linear': 'Lineal',
+        'option-revenue-ramp-s-curve': 'Curva S',
+        'option-revenue-ramp-custom': 'Porcentajes mensuales personalizados',
+        'label-revenueRampMonths': 'Período de Adopción (meses)',
+        'label-revenueRampPercentages': 'Adopción Personalizada (% del nivel pleno por mes)',
+        'label-receivableDays': 'Días de Cobro (DSO)',
+        'label-payableDays': 'Días de Pago (DPO)',
+        'subsection-inflation': 'Inflación y Valor Terminal',
+        'inflation-description': 'Los montos y tasas de crecimiento se ingresan en dinero de hoy. En términos nominales cada monto se infla con la tasa de inflación y se descuenta a la tasa de descuento; en términos reales los montos quedan en dinero de hoy y se descuentan a la tasa real. Un valor terminal suma al VPN el valor de los flujos posteriores al último mes, a partir del flujo operativo del último año.',
+        'label-inflationRate': 'Tasa de Inflación (% anual)',
+        'label-valuationBasis': 'Base de Valoración',
+        'option-basis-nominal': 'Nominal (montos inflados)',
+        'option-basis-real': 'Real (dinero de hoy)',
+        'label-terminalValueMethod': 'Valor Terminal',
+        'option-terminal-none': 'Ninguno',
+        'option-terminal-perpetuity': 'Crecimiento a perpetuidad',
+        'option-terminal-multiple': 'Múltiplo de salida',
+        'label-terminalGrowth': 'Crecimiento a Perpetuidad (% anual)',
+        'label-exitMultiple': 'Múltiplo de Salida (× flujo del último año)',
+        'terminal-value-pv': 'Valor Terminal (VP)',
         'label-bestCaseMultiplier': 'Multiplicador Mejor Caso',
         'label-worstCaseMultiplier': 'Multiplicador Peor Caso',
         
@@ -162,12 +743,82 @@ const translations = {
         'tab-cashflow': 'Flujo de Caja en el Tiempo',
         'tab-roi': 'Comparación de ROI',
         'tab-scenarios': 'Análisis de Escenarios',
+        'tab-lineitems': 'Desglose por Partida',
+        'tab-montecarlo': 'Riesgo Monte Carlo',
+        'tab-sensitivity': 'Sensibilidad',
+        'section-goal-seek': 'Búsqueda de Objetivo',
+        'goal-seek-description': 'Encuentre el valor de un dato que hace que el caso esperado alcance una meta, p. ej. los ingresos anuales que llevan el VPN a cero o la mayor inversión que aún logra una TIR del 20%. Los demás datos se mantienen como se ingresaron.',
+        'label-goalSeekField': 'Resolver Para',
+        'label-goalSeekMetric': 'Métrica Objetivo',
+        'label-goalSeekTarget': 'Valor Objetivo',
+        'btn-goal-seek': 'Resolver',
+        'btn-goal-seek-apply': 'Aplicar al Formulario',
+        'goal-metric-npv': 'VPN ($)',
+        'goal-metric-irr': 'TIR (%)',
+        'goal-metric-roi': 'ROI (%)',
+        'goal-metric-paybackPeriod': 'Período de Recuperación (meses)',
+        'goal-seek-calculate-first': 'Por favor calcule su caso de negocio primero antes de usar la búsqueda de objetivo.',
+        'goal-seek-invalid-target': 'Por favor ingrese un valor objetivo numérico.',
+        'goal-seek-not-found': 'Ningún valor de {field} da {metric} = {target} dentro del rango buscado.',
+        'goal-seek-outcome': 'Resultado: VPN {npv} · TIR {irr} · ROI {roi} · Recuperación {payback}',
+        'sens-description': 'Cada dato se mueve hacia arriba y hacia abajo en el mismo porcentaje mientras los demás quedan en el caso esperado; las barras muestran el VPN resultante, con la mayor variación primero.',
+        'label-sensitivityRange': 'Variación (± %)',
+        'sens-empty': 'Calcule el caso de negocio para ver qué datos determinan el VPN.',
+        'sens-col-input': 'Dato',
+        'sens-col-npv-low': 'VPN con -{range}%',
+        'sens-col-npv-high': 'VPN con +{range}%',
+        'sens-col-swing': 'Variación del VPN',
+        'sens-col-irr': 'TIR -{range}% / +{range}%',
+        'sens-col-payback': 'Recuperación (meses) -{range}% / +{range}%',
+        'mc-description': 'Asigne una distribución a cada dato incierto y simule miles de resultados del caso esperado. Ingresos y costos son multiplicadores, crecimiento y tasa de descuento son puntos porcentuales sumados a los valores del formulario, y el sobrecosto se aplica a cada tramo de inversión.',
+        'mc-col-variable': 'Dato',
+        'mc-col-distribution': 'Distribución',
+        'mc-col-min': 'Mínimo',
+        'mc-col-mode': 'Más Probable / Media',
+        'mc-col-max': 'Máximo',
+        'mc-col-stddev': 'Desv. Estándar',
+        'mc-var-revenue': 'Ingresos',
+        'mc-var-growth': 'Crecimiento de ingresos',
+        'mc-var-costs': 'Costos',
+        'mc-var-discountRate': 'Tasa de descuento',
+        'mc-var-investmentOverrun': 'Sobrecosto de inversión',
+        'mc-unit-x': '× base',
+        'mc-unit-pp': '± pp',
+        'mc-unit-%': '%',
+        'mc-dist-fixed': 'Fija',
+        'mc-dist-triangular': 'Triangular',
+        'mc-dist-normal': 'Normal',
+        'mc-dist-uniform': 'Uniforme',
+        'mc-dist-pert': 'PERT',
+        'label-mcIterations': 'Iteraciones',
+        'label-mcSeed': 'Semilla Aleatoria',
+        'btn-run-simulation': 'Ejecutar Simulación',
+        'mc-progress': 'Simulando… {percent}%',
+        'mc-calculate-first': 'Por favor calcule su caso de negocio primero antes de ejecutar la simulación.',
+        'mc-invalid': 'Corrija la configuración de las distribuciones:',
+        'mc-error-missing': 'complete todos los valores habilitados',
+        'mc-error-order': 'los valores deben cumplir Mínimo ≤ Más Probable ≤ Máximo con Mínimo < Máximo',
+        'mc-error-range': 'el Mínimo debe ser menor que el Máximo',
+        'mc-error-stddev': 'la desviación estándar no puede ser negativa',
+        'mc-stat-p10': 'VPN P10',
+        'mc-stat-p50': 'VPN P50 (mediana)',
+        'mc-stat-p90': 'VPN P90',
+        'mc-stat-mean': 'VPN Medio',
+        'mc-stat-negative': 'Probabilidad VPN < 0',
+        'mc-footnote': 'Basado en {iterations} iteraciones del caso esperado.',
+        'mc-footnote-after-tax': 'Basado en {iterations} iteraciones del caso esperado. Los VPN son después de impuestos.',
+        'mc-chart-frequency': 'Porcentaje de iteraciones',
         
         // Metrics
         'metric-roi': 'ROI (Retorno de Inversión)',
         'metric-npv': 'VPN (Valor Presente Neto)',
         'metric-payback': 'Período de Recuperación',
         'metric-irr': 'TIR (Tasa Interna de Retorno)',
+        'metric-label-terminal': 'Valor Terminal (VP)',
+        'metric-discounted-payback': 'Período de Recuperación Descontado',
+        'metric-pi': 'Índice de Rentabilidad',
+        'metric-eaa': 'Anualidad Equivalente',
+        'metric-peak-cash': 'Necesidad Máxima de Caja',
         
         // Scenario Cards
         'scenario-expected': 'Caso Esperado',
@@ -176,16 +827,93 @@ const translations = {
         'scenario-roi-label': 'ROI:',
         'scenario-npv-label': 'VPN:',
         'scenario-payback-label': 'Recuperación:',
+        'scenario-discounted-payback-label': 'Recuperación descontada:',
+        'scenario-pi-label': 'IR:',
+        'scenario-eaa-label': 'AE:',
+        'scenario-peak-cash-label': 'Caja máxima:',
         
         // Messages
         'export-description': 'Genere un reporte PDF completo con todas las métricas, gráficos y recomendaciones.',
         'default-recommendations': 'Complete el formulario y calcule para recibir recomendaciones inteligentes basadas en su análisis de caso de negocio.',
+        'rules-settings-title': 'Reglas de Recomendación',
+        'label-recommendationPreset': 'Conjunto de Reglas',
+        'rules-preset-standard': 'Estándar',
+        'rules-preset-conservative': 'Conservador',
+        'rules-preset-growth': 'Crecimiento',
+        'rules-preset-publicSector': 'Sector Público',
+        'rules-preset-custom': 'Personalizado: {name}',
+        'rules-preset-edited': 'editado',
+        'rules-col-group': 'Grupo',
+        'rules-col-condition': 'Condición',
+        'rules-col-severity': 'Severidad',
+        'rules-col-message': 'Mensaje',
+        'rules-and': 'y',
+        'rules-otherwise': 'En otro caso',
+        'rules-severity-success': 'Positiva',
+        'rules-severity-info': 'Información',
+        'rules-severity-warning': 'Advertencia',
+        'rules-severity-danger': 'Crítica',
+        'btn-rules-export': 'Exportar Reglas JSON',
+        'btn-rules-import': 'Importar Reglas JSON',
+        'rules-settings-note': 'Dentro de un grupo solo se muestra la primera regla que se cumple. Los conjuntos de reglas se guardan en este navegador; exporte uno para compartirlo con su comité.',
+        'rules-import-invalid': 'El archivo no es un conjunto de reglas de recomendación válido: {errors}',
+        'rule-metric-roi': 'ROI (%)',
+        'rule-metric-npv': 'VPN ($)',
+        'rule-metric-paybackPeriod': 'Recuperación (meses)',
+        'rule-metric-paybackYears': 'Recuperación (años)',
+        'rule-metric-paybackMargin': 'Meses restantes tras la recuperación',
+        'rule-metric-projectDuration': 'Duración (meses)',
+        'rule-metric-roiRange': 'ROI mejor − peor (pp)',
+        'rule-metric-bestRoi': 'ROI mejor caso (%)',
+        'rule-metric-worstRoi': 'ROI peor caso (%)',
+        'rule-metric-irr': 'TIR (%)',
+        'rule-metric-irrSpread': 'TIR − tasa de descuento (pp)',
+        'rule-metric-irrStatus': 'Estado de la TIR',
+        'rule-metric-discountRate': 'Tasa de descuento (%)',
+        'rule-metric-mirr': 'TIRM (%)',
+        'rule-metric-discountedPaybackPeriod': 'Recuperación descontada (meses)',
+        'rule-metric-discountedPaybackMargin': 'Meses restantes tras la recuperación descontada',
+        'rule-metric-profitabilityIndex': 'Índice de rentabilidad',
+        'rule-metric-eaa': 'Anualidad equivalente ($)',
+        'rule-metric-peakCash': 'Necesidad máxima de caja ($)',
+        'rule-metric-peakCashRatio': 'Caja máxima / inversión total',
+        'rec-roi-excellent': '¡Excelente ROI del {roi}! Este proyecto muestra retornos financieros sólidos y es altamente recomendado para su aprobación.',
+        'rec-roi-good': 'Buen ROI del {roi}. Este proyecto es financieramente viable y debería considerarse favorablemente.',
+        'rec-roi-moderate': 'ROI moderado del {roi}. Considere formas de aumentar los ingresos o reducir costos para mejorar los retornos.',
+        'rec-roi-below-hurdle': 'El ROI del {roi} es positivo pero no alcanza el umbral del conjunto de reglas activo. Mejore ingresos o costos antes de solicitar la aprobación.',
+        'rec-roi-negative': 'ROI negativo del {roi}. Este proyecto no es financieramente viable en su forma actual y requiere cambios significativos.',
+        'rec-npv-positive': 'VPN positivo de {npv} indica que el proyecto creará valor después de considerar el valor temporal del dinero.',
+        'rec-npv-negative': 'VPN negativo de {npv} sugiere que el proyecto destruirá valor. Revise la tasa de descuento y proyecciones de ingresos.',
+        'rec-payback-fast': 'Período de recuperación rápido de {paybackPeriod} meses. Recuperará su inversión en menos de un año.',
+        'rec-payback-reasonable': 'Período de recuperación razonable de {paybackPeriod} meses ({paybackYears} años).',
+        'rec-payback-long': 'Período de recuperación largo de {paybackPeriod} meses. Considere si este plazo se alinea con sus objetivos estratégicos.',
+        'rec-payback-exceeds': 'El período de recuperación excede la duración del proyecto. El proyecto no alcanzará el punto de equilibrio dentro del plazo planificado.',
+        'rec-risk-high': 'Alta variabilidad en escenarios (rango de {roiRange}) indica riesgo significativo. Considere estrategias de mitigación de riesgos.',
+        'rec-risk-low': 'Baja variabilidad en escenarios sugiere resultados consistentes con riesgo manejable.',
+        'rec-worst-negative': 'El escenario del peor caso muestra ROI negativo ({worstRoi}). Asegúrese de tener planes de contingencia si los ingresos son menores a lo esperado.',
+        'rec-irr-multiple': 'Los flujos de caja cambian de signo más de una vez y producen varias TIR ({irrCandidates}), por lo que la TIR no es una medida fiable.{mirrNote} Base la decisión en el VPN.',
+        'rec-irr-none': 'No existe una TIR para estos flujos de caja: el VPN no llega a cero para ninguna tasa de descuento.{mirrNote} Base la decisión en el VPN.',
+        'rec-irr-strong': 'La TIR del {irr} excede significativamente su tasa de descuento del {discountRate}, indicando una fuerte creación de valor.',
+        'rec-irr-above': 'La TIR del {irr} excede su tasa de descuento, lo cual es positivo pero deja un margen limitado de error.',
+        'rec-irr-below': 'La TIR del {irr} está por debajo de su tasa de descuento del {discountRate}, sugiriendo destrucción de valor.',
+        'rec-mirr-note': 'La TIRM es del {mirr}.',
+        'rec-discounted-payback-terminal': 'En valor presente los flujos no recuperan la inversión dentro del proyecto de {projectDuration} meses; el VPN positivo de {npv} depende del valor terminal.',
+        'rec-discounted-payback-within': 'Considerando el valor temporal del dinero, la inversión se recupera en {discountedPaybackPeriod} meses, {discountedPaybackMargin} meses antes del fin del proyecto.',
+        'rec-pi-strong': 'Un índice de rentabilidad de {profitabilityIndex} devuelve bastante más de cada unidad invertida, lo que prioriza el proyecto cuando el capital es limitado.',
+        'rec-pi-thin': 'Un índice de rentabilidad de {profitabilityIndex} deja un margen estrecho sobre el capital invertido; sobrecostos moderados podrían eliminar el valor.',
+        'rec-peak-cash-high': 'La posición de caja acumulada llega a {peakCash} bajo cero en el mes {peakCashMonth}, el {peakCashRatio} de la inversión total. Asegure financiamiento para todo el pico, no solo para los desembolsos de capital.',
+        'rec-eaa-positive': 'La anualidad equivalente es de {eaa} por año; úsela para comparar este proyecto con alternativas de distinta duración.',
         'loading': 'Analizando...',
         'success-message': '✓ ¡Análisis completado exitosamente! Revise las métricas y recomendaciones a continuación.',
         
         // Chart Labels
         'chart-monthly-cashflow': 'Flujo de Caja Mensual',
         'chart-cumulative-cashflow': 'Flujo de Caja Acumulado',
+        'chart-break-even': 'Punto de equilibrio',
+        'chart-goal-seek': 'Búsqueda de Objetivo: Flujo Acumulado',
+        'chart-goal-seek-break-even': 'Equilibrio de la Búsqueda',
+        'chart-month-short': 'M',
+        'chart-start': 'Inicio',
         'chart-expected-roi': 'ROI Esperado',
         'chart-best-roi': 'ROI Mejor Caso',
         'chart-worst-roi': 'ROI Peor Caso',
@@ -198,6 +926,19 @@ const translations = {
         'status-discounted-cashflow': 'Flujo de caja descontado',
         'status-months-to-recover': 'meses para recuperar inversión',
         'status-annualized-return': 'Tasa de retorno anualizada',
+        'status-discounted-payback': 'meses para recuperar en valor presente',
+        'status-discounted-payback-none': 'No se recupera en valor presente dentro del proyecto',
+        'status-pi': 'Valor presente devuelto por unidad invertida',
+        'status-eaa': 'VPN repartido por igual en cada año del proyecto',
+        'status-peak-cash': 'Posición de caja acumulada más baja',
+        'status-peak-cash-month': 'Posición de caja acumulada más baja, en el mes {month}',
+        'status-terminal-value': '{value} en el mes {month}, incluido en el VPN',
+        'status-terminal-invalid': 'El crecimiento a perpetuidad debe ser menor que la tasa de descuento del {rate}; no se incluye valor terminal',
+        'irr-value-none': 'Sin TIR',
+        'irr-value-multiple': 'Múltiple',
+        'status-irr-none': 'El VPN nunca llega a cero',
+        'status-irr-multiple': 'Varias TIR: {rates}',
+        'label-mirr': 'TIRM',
         'status-enter-data': 'Ingrese datos para calcular',
         
         // Units
@@ -205,13 +946,191 @@ const translations = {
         'unit-years': 'años',
         
         // Progress Indicator
-        'progress-title': 'Puntuación de Calidad del Business Case'
+        'progress-title': 'Puntuación de Calidad del Business Case',
+        
+        // AI Provider Settings
+        'provider-settings-title': 'Configuración del Proveedor de IA',
+        'label-llmProvider': 'Proveedor de Análisis',
+        'label-llmBaseUrl': 'URL del Endpoint',
+        'label-llmModel': 'Modelo',
+        'label-llmApiKey': 'Clave de API',
+        'label-llmTimeout': 'Tiempo de Espera (segundos)',
+        'label-llmMaxRetries': 'Reintentos',
+        'option-provider-mock': 'Integrado (sin conexión)',
+        'option-provider-openai': 'API compatible con OpenAI',
+        'option-provider-local': 'Servidor de modelo local',
+        'provider-settings-note': 'Si el proveedor falla, se usa el análisis integrado. La clave de API solo se conserva durante esta sesión del navegador.',
+        'analysis-source': 'Generado por',
+        'analysis-fallback-notice': 'No se pudo contactar al proveedor de IA configurado ({error}). Se muestra el análisis integrado en su lugar.',
+        
+        // Project Library
+        'section-library': 'Proyectos Guardados',
+        'btn-library-save': 'Guardar',
+        'btn-library-new': 'Nuevo Caso',
+        'library-name-placeholder': 'Nombre del caso de negocio',
+        'library-list-summary': 'Casos guardados ({count})',
+        'library-empty': 'Aún no hay casos guardados. Asigne un nombre a su caso de negocio y haga clic en Guardar para conservarlo en este navegador.',
+        'section-portfolio': 'Comparación de Portafolio',
+        'portfolio-summary': 'Comparar casos',
+        'portfolio-note': 'Seleccione dos o más casos guardados, o agregue archivos JSON de casos exportados, para compararlos. Cada caso se recalcula a partir de sus datos guardados.',
+        'portfolio-empty': 'Aún no hay casos guardados. Guarde casos en la biblioteca de arriba o agregue archivos JSON de casos.',
+        'btn-portfolio-import': 'Agregar Archivos JSON de Casos',
+        'label-portfolioMetric': 'Ordenar por',
+        'label-portfolioScenario': 'Escenario',
+        'portfolio-metric-npv': 'VPN',
+        'portfolio-metric-roi': 'ROI',
+        'portfolio-metric-irr': 'TIR',
+        'portfolio-metric-paybackPeriod': 'Recuperación (meses)',
+        'portfolio-scenario-expected': 'Esp.',
+        'portfolio-scenario-best': 'Mejor',
+        'portfolio-scenario-worst': 'Peor',
+        'portfolio-col-rank': '#',
+        'portfolio-col-case': 'Caso',
+        'portfolio-not-recovered': 'No se recupera',
+        'portfolio-file': 'archivo',
+        'portfolio-remove': 'Quitar de la comparación',
+        'portfolio-selected': '{count} seleccionados',
+        'portfolio-skipped': 'Faltan datos requeridos, no se comparan: {names}',
+        'portfolio-no-rate': 'Sin tipo de cambio a {currency}, no se comparan: {names}',
+        'portfolio-import-invalid': '{file} no es un archivo de caso de negocio válido: {errors}',
+        'portfolio-chart-title': 'Flujo de Caja Acumulado, Caso Esperado',
+        'optimizer-title': 'Optimizador de Presupuesto de Capital',
+        'optimizer-intro': '¿Qué proyectos debe financiar un presupuesto fijo? Pegue una tabla con los datos de los proyectos (separada por comas, punto y coma o tabuladores, con fila de encabezado) o cárguela desde un archivo. El costo de capital y el VPN de cada proyecto se calculan igual que en el análisis principal.',
+        'optimizer-table-placeholder': 'name,initialInvestment,discountRate,projectDuration,yearlyRevenue,operatingCosts,startYear\nCRM,150000,10,24,75000,15000,1',
+        'btn-optimizer-import': 'Cargar Archivo de Tabla',
+        'label-optimizerBudget': 'Presupuesto Total de Capital ($)',
+        'label-optimizerMethod': 'Método',
+        'optimizer-method-knapsack': 'Máximo VPN total (mochila 0/1)',
+        'optimizer-method-profitabilityIndex': 'Orden por índice de rentabilidad (heurístico)',
+        'btn-optimizer-run': 'Buscar Proyectos a Financiar',
+        'optimizer-columns-note': 'Columnas: name, startYear (año presupuestario en que empieza el gasto, por defecto 1), currency (por defecto, la moneda de reporte), initialInvestment, discountRate, projectDuration, yearlyRevenue, revenueGrowth, operatingCosts, maintenanceCosts. Las tres últimas son opcionales.',
+        'optimizer-year-limits-note': 'Límites de gasto opcionales por año presupuestario. Deje un año en blanco para no limitarlo.',
+        'optimizer-year-limit': 'Límite Año {year} ($)',
+        'optimizer-no-limit': 'Sin límite',
+        'optimizer-table-invalid': 'No se pudo leer la tabla de proyectos:{errors}',
+        'optimizer-invalid-budget': 'Ingrese un presupuesto total de capital de cero o más.',
+        'optimizer-summary': 'Financiar {count} de {total} proyectos: VPN total {npv} con {cost} de capital.',
+        'optimizer-note-exact': 'Es el mayor VPN total que cualquier combinación puede alcanzar dentro del presupuesto y los límites anuales.',
+        'optimizer-note-node-limit': 'La búsqueda se detuvo en su límite de pasos; es la mejor combinación encontrada, que puede no ser la óptima.',
+        'optimizer-note-heuristic': 'Los proyectos se financian en orden de índice de rentabilidad mientras quepan; el VPN total puede ser menor que el de la mejor combinación.',
+        'optimizer-funded': 'Financiar',
+        'optimizer-year': 'Año {year}',
+        'optimizer-col-project': 'Proyecto',
+        'optimizer-col-start-year': 'Año de Inicio',
+        'optimizer-col-cost': 'Costo de Capital',
+        'optimizer-col-npv': 'VPN',
+        'optimizer-col-pi': 'Índice de Rentabilidad',
+        'optimizer-col-decision': 'Decisión',
+        'optimizer-col-year': 'Año Presupuestario',
+        'optimizer-col-spend': 'Capital Gastado',
+        'optimizer-col-limit': 'Límite',
+        'optimizer-no-rate': 'Sin tipo de cambio de {currency} a {reporting} para {names}. Agréguelo en Tipos de Cambio.',
+        'fx-title': 'Tipos de Cambio',
+        'fx-intro': 'Cada caso mantiene sus montos en su propia moneda. La comparación de portafolio y el optimizador los convierten a la moneda de reporte con estos tipos: cuántas unidades de la moneda base compra una unidad de cada moneda. Cárguelos desde un archivo CSV con filas moneda,tipo.',
+        'label-fxReportingCurrency': 'Moneda de Reporte',
+        'label-fxBase': 'Moneda Base',
+        'fx-col-currency': 'Moneda',
+        'fx-col-rate': '{base} por unidad',
+        'fx-no-rate': 'Sin definir',
+        'fx-base-confirm': 'No hay tipo para {base}, así que los tipos actuales no se pueden convertir y se borrarán. ¿Continuar?',
+        'btn-fx-import': 'Cargar CSV de Tipos',
+        'fx-import-invalid': 'No se pudieron leer los tipos de cambio:{errors}',
+        'fx-import-success': 'Se cargaron {count} tipos de cambio.',
+        'library-col-name': 'Nombre',
+        'library-col-updated': 'Última actualización',
+        'library-col-npv': 'VPN',
+        'library-col-roi': 'ROI',
+        'library-open': 'Abrir',
+        'library-duplicate': 'Duplicar',
+        'library-rename': 'Renombrar',
+        'library-delete': 'Eliminar',
+        'library-not-calculated': 'Sin calcular',
+        'library-untitled': 'Caso sin título',
+        'library-copy-suffix': ' (copia)',
+        'library-saved-at': 'Guardado {time}',
+        'library-autosaved-at': 'Autoguardado {time}',
+        'library-rename-prompt': 'Nuevo nombre para este caso de negocio:',
+        'library-delete-confirm': '¿Eliminar "{name}"? Esta acción no se puede deshacer.',
+        'library-new-confirm': '¿Comenzar un nuevo caso de negocio? Se perderán los cambios que no estén guardados en la biblioteca.',
+        'library-storage-error': 'No se pudo guardar en el almacenamiento del navegador: {error}',
+        
+        // JSON Import/Export
+        'btn-json-export': 'Exportar JSON',
+        'btn-json-import': 'Importar JSON',
+        'json-export-success': 'Caso de negocio exportado como JSON',
+        'json-import-success': 'Se importó "{name}". Guárdelo para agregarlo a la biblioteca.',
+        'json-import-invalid': 'El archivo no es un documento de caso de negocio válido: {errors}',
+        
+        // Cash Flow Export
+        'btn-export-csv': 'Exportar Flujo de Caja (CSV)',
+        'btn-export-xlsx': 'Exportar Flujo de Caja (Excel)',
+        'export-calculate-first': 'Por favor calcule su caso de negocio primero antes de exportar.',
+        'report-options-title': 'Opciones del Reporte',
+        'label-reportCompanyName': 'Nombre de la Empresa',
+        'placeholder-report-company': 'Aparece en la portada y al pie de cada página',
+        'label-reportLogo': 'Logotipo (PNG o JPEG)',
+        'btn-report-logo-clear': 'Quitar Logotipo',
+        'report-sections-title': 'Secciones',
+        'report-section-strategic': 'Caso Estratégico',
+        'report-section-assumptions': 'Supuestos',
+        'report-section-metrics': 'Métricas Clave',
+        'report-section-scenarios': 'Comparación de Escenarios',
+        'report-section-charts': 'Gráficos',
+        'report-section-sensitivity': 'Análisis de Sensibilidad',
+        'report-section-cashflow': 'Tabla de Flujo de Caja',
+        'report-section-recommendations': 'Recomendaciones',
+        'report-options-note': 'Las secciones sin datos, como un caso estratégico que nunca se analizó, se omiten. Las opciones del reporte se guardan en este navegador.',
+        'report-no-sections': 'Seleccione al menos una sección para incluir en el reporte.',
+        'report-logo-invalid': 'El archivo seleccionado no se pudo leer como imagen.',
+        'pdf-library-missing': 'La biblioteca PDF no está cargada. Por favor recargue la página e intente de nuevo.',
+        'pdf-export-success': '📥 ¡Reporte PDF exportado exitosamente!',
+        'pdf-export-error': 'Error al generar el PDF: {error}',
+        'pdf-title': 'Reporte de Caso de Negocio',
+        'pdf-contents': 'Contenido',
+        'pdf-page': 'Página {page} de {pages}',
+        'pdf-generated': 'Generado',
+        'pdf-viability': 'Viabilidad',
+        'pdf-strengths': 'Fortalezas',
+        'pdf-weaknesses': 'Áreas de Mejora',
+        'pdf-risks': 'Riesgos Clave',
+        'pdf-strategic-recommendation': 'Recomendación',
+        'pdf-sensitivity-note': 'Cambio en el VPN del caso esperado cuando cada dato baja o sube {range}%, manteniendo los demás en su valor base.',
+        'pdf-cashflow-note': 'Calendario mensual del caso esperado. El mes 0 contiene la inversión inicial.',
+        'pdf-figure': 'Figura',
+        'pdf-figure-cashflow': 'Flujo de caja mensual y acumulado del caso esperado, con el mes de equilibrio.',
+        'pdf-figure-roi': 'ROI de los casos esperado, mejor y peor.',
+        'pdf-figure-scenarios': 'ROI, VPN escalado, recuperación inversa y TIR de cada escenario.',
+        'pdf-figure-lineItems': 'Ingresos y costos mensuales por partida del caso esperado.',
+        'pdf-figure-tornado': 'VPN del caso esperado cuando cada dato baja o sube {range}%.',
+        'pdf-figure-monteCarlo': 'Distribución del VPN en las corridas de la simulación Monte Carlo.',
+        'export-csv-success': '📥 ¡Flujo de caja exportado como CSV!',
+        'export-xlsx-success': '📥 ¡Flujo de caja exportado a Excel!',
+        'export-sheet-summary': 'Resumen',
+        'export-summary-title': 'Resumen del Caso de Negocio',
+        'export-summary-metrics': 'Métrica',
+        'export-total-investment': 'Inversión Total',
+        'export-total-net-cashflow': 'Flujo de Caja Operativo Neto Total',
+        'cashflow-col-scenario': 'Escenario',
+        'cashflow-col-month': 'Mes',
+        'cashflow-col-revenue': 'Ingresos',
+        'cashflow-col-costs': 'Costos',
+        'cashflow-col-investment': 'Inversión',
+        'cashflow-col-workingCapitalChange': 'Variación de Capital de Trabajo',
+        'cashflow-col-netCashFlow': 'Flujo de Caja Neto',
+        'cashflow-col-discountFactor': 'Factor de Descuento',
+        'cashflow-col-discountedCashFlow': 'Flujo de Caja Descontado',
+        'cashflow-col-cumulativeCashFlow': 'Flujo de Caja Acumulado',
+        'cashflow-col-cumulativeDiscountedCashFlow': 'Flujo de Caja Descontado Acumulado',
+        'cashflow-col-depreciation': 'Depreciación',
+        'cashflow-col-tax': 'Impuesto sobre la Renta',
+        'cashflow-col-afterTaxCashFlow': 'Flujo de Caja Después de Impuestos'
     }
 };
 
 // Language Switching Function
 function switchLanguage(lang) {
     currentLanguage = lang;
+    qualityAssessment.language = lang;
     document.documentElement.lang = lang;
     
     // Update language toggle buttons
@@ -259,7 +1178,7 @@ function switchLanguage(lang) {
     // Update tabs
     const tabs = document.querySelectorAll('.tab');
     tabs.forEach((tab, index) => {
-        const tabKeys = ['tab-cashflow', 'tab-roi', 'tab-scenarios'];
+        const tabKeys = ['tab-cashflow', 'tab-roi', 'tab-scenarios', 'tab-montecarlo', 'tab-sensitivity', 'tab-lineitems'];
         if (tabKeys[index] && t[tabKeys[index]]) {
             tab.textContent = t[tabKeys[index]];
         }
@@ -280,12 +1199,23 @@ function switchLanguage(lang) {
     document.getElementById('label-worst-roi').textContent = t['scenario-roi-label'];
     document.getElementById('label-worst-npv').textContent = t['scenario-npv-label'];
     document.getElementById('label-worst-payback').textContent = t['scenario-payback-label'];
+    ['expected', 'best', 'worst'].forEach(scenario => {
+        UIUpdater.DECISION_METRICS.forEach(metric => {
+            document.getElementById(`label-${scenario}-${metric}`).textContent = t[`scenario-${metric}-label`];
+        });
+    });
     
     // Update metric card labels
     document.getElementById('metric-label-roi').textContent = t['metric-roi'];
     document.getElementById('metric-label-npv').textContent = t['metric-npv'];
     document.getElementById('metric-label-payback').textContent = t['metric-payback'];
     document.getElementById('metric-label-irr').textContent = t['metric-irr'];
+    UIUpdater.DECISION_METRICS.forEach(metric => {
+        document.getElementById(`metric-label-${metric}`).textContent = t[`metric-${metric}`];
+    });
+    document.getElementById('financeRate').placeholder = t['placeholder-mirr-rate'];
+    document.getElementById('reinvestmentRate').placeholder = t['placeholder-mirr-rate'];
+    document.getElementById('reportCompanyName').placeholder = t['placeholder-report-company'];
     
     // Update metric status if they haven't been calculated yet
     const roiStatus = document.getElementById('roi-status');
@@ -296,7 +1226,13 @@ function switchLanguage(lang) {
         document.getElementById('irr-status').textContent = t['status-annualized-return'];
     }
     
-    // Update default recommendations text
+    UIUpdater.updateTaxSummary(scenarioMetrics && scenarioMetrics.expected);
+    UIUpdater.updateFinancingSummary(scenarioMetrics && scenarioMetrics.expected);
+    UIUpdater.updateTerminalValue(scenarioMetrics && scenarioMetrics.expected);
+    UIUpdater.updateDecisionMetrics(scenarioMetrics && scenarioMetrics.expected);
+
+    // Re-render recommendations, or the placeholder when there are none yet
+    RecommendationEngine.render();
     const recommendations = document.getElementById('recommendations');
     if (recommendations && recommendations.children.length === 1 && 
         recommendations.children[0].tagName === 'P') {
@@ -319,148 +1255,291 @@ function switchLanguage(lang) {
     // Re-render progress checklist with new language
     updateOverallProgress();
     
+    // Re-render currency names and units, saved projects list and editable tables
+    CurrencySettings.render();
+    ProjectLibrary.render();
+    LineItemEditor.render();
+    InvestmentScheduleEditor.render();
+    MonteCarloPanel.render();
+    SensitivityPanel.render();
+    GoalSeekPanel.render();
+    RecommendationSettings.render();
+    CapitalOptimizerPanel.render();
+    
     // Re-render charts if they exist with new labels
     if (charts.cashflow || charts.roi || charts.scenarios) {
         // Charts will be updated when recalculating
     }
 }
 
-// Financial Calculation Functions
-const FinancialCalculator = {
-    // Calculate ROI (Return on Investment)
-    calculateROI(investment, totalReturn) {
-        if (investment === 0) return 0;
-        return ((totalReturn - investment) / investment) * 100;
-    },
-
-    // Calculate NPV (Net Present Value)
-    calculateNPV(cashFlows, discountRate) {
-        let npv = 0;
-        for (let i = 0; i < cashFlows.length; i++) {
-            npv += cashFlows[i] / Math.pow(1 + discountRate / 100, i + 1);
-        }
-        return npv;
-    },
-
-    // Calculate Payback Period (in months)
-    calculatePaybackPeriod(initialInvestment, monthlyCashFlows) {
-        let cumulativeCashFlow = -initialInvestment;
-        for (let i = 0; i < monthlyCashFlows.length; i++) {
-            cumulativeCashFlow += monthlyCashFlows[i];
-            if (cumulativeCashFlow >= 0) {
-                // Interpolate to get more precise payback period
-                const previousCumulativeCashFlow = cumulativeCashFlow - monthlyCashFlows[i];
-                const fraction = -previousCumulativeCashFlow / monthlyCashFlows[i];
-                return i + fraction;
-            }
+// FinancialCalculator and qualityAssessment are defined in analysis-core.js
+
+// UI Update Functions
+const UIUpdater = {
+    // Capital budgeting measures shown as dashboard cards and scenario card rows
+    DECISION_METRICS: ['discounted-payback', 'pi', 'eaa', 'peak-cash'],
+
+    updateDashboard(metrics) {
+        const t = translations[currentLanguage];
+        
+        document.getElementById('roi-value').textContent = metrics.roi.toFixed(2) + '%';
+        document.getElementById('npv-value').textContent = formatMoney(metrics.npv);
+        document.getElementById('payback-value').textContent = metrics.paybackPeriod.toFixed(1);
+        this.updateIRR(metrics);
+
+        // Update status messages with proper translations
+        const roiStatus = document.getElementById('roi-status');
+        const npvStatus = document.getElementById('npv-status');
+        
+        roiStatus.textContent = metrics.roi > 0 ? t['status-positive-return'] : t['status-negative-return'];
+        npvStatus.textContent = metrics.npv > 0 ? t['status-creates-value'] : t['status-destroys-value'];
+
+        // The NPV in the reporting currency as well, when the case is kept in another one
+        const reportingCurrency = CurrencySettings.table.reportingCurrency;
+        const rate = CurrencySettings.toReporting(caseCurrency());
+        if (caseCurrency() !== reportingCurrency && rate !== null) {
+            npvStatus.textContent += ` · ≈ ${formatMoney(metrics.npv * rate, reportingCurrency)}`;
         }
-        return monthlyCashFlows.length; // Didn't break even within project duration
+
+        this.updateTerminalValue(metrics);
+        this.updateDecisionMetrics(metrics);
     },
 
-    // Calculate IRR (Internal Rate of Return) using Newton-Raphson method
-    calculateIRR(cashFlows, initialGuess = 0.1) {
-        const maxIterations = 100;
-        const tolerance = 0.0001;
-        let rate = initialGuess;
+    // Discounted payback, profitability index, EAA and peak cash cards; reset without metrics
+    updateDecisionMetrics(metrics) {
+        const t = translations[currentLanguage];
+        const set = (id, text) => { document.getElementById(id).textContent = text; };
+        if (!metrics) {
+            set('discounted-payback-value', '0');
+            set('pi-value', '0');
+            set('eaa-value', formatMoney(0));
+            set('peak-cash-value', formatMoney(0));
+            this.DECISION_METRICS.forEach(metric => set(`${metric}-status`, t[`status-${metric}`]));
+            return;
+        }
 
-        for (let i = 0; i < maxIterations; i++) {
-            let npv = 0;
-            let dnpv = 0;
+        // The discounted cash flows alone (without a terminal value) may never turn positive
+        const recovered = FinancialCalculator.calculateNPV(metrics.cashFlows,
+            FinancialCalculator.effectiveDiscountRate(projectData), projectData.discountTiming) >= 0;
+        set('discounted-payback-value', metrics.discountedPaybackPeriod.toFixed(1));
+        set('discounted-payback-status', recovered ? t['status-discounted-payback'] : t['status-discounted-payback-none']);
+        set('pi-value', metrics.profitabilityIndex === null ? '—' : metrics.profitabilityIndex.toFixed(2));
+        set('pi-status', t['status-pi']);
+        set('eaa-value', formatMoney(metrics.eaa));
+        set('eaa-status', t['status-eaa']);
+        set('peak-cash-value', formatMoney(metrics.peakCash));
+        set('peak-cash-status', metrics.peakCash > 0
+            ? t['status-peak-cash-month'].replace('{month}', metrics.peakCashMonth)
+            : t['status-peak-cash']);
+    },
 
-            for (let j = 0; j < cashFlows.length; j++) {
-                const denominator = Math.pow(1 + rate, j);
-                npv += cashFlows[j] / denominator;
-                dnpv -= j * cashFlows[j] / (denominator * (1 + rate));
-            }
+    // Terminal value card, shown only when the case has a terminal value method
+    updateTerminalValue(metrics) {
+        const card = document.getElementById('terminal-card');
+        const terminal = metrics && metrics.terminalValue;
+        card.classList.toggle('hidden', !terminal);
+        if (!terminal) return;
 
-            const newRate = rate - npv / dnpv;
-            if (Math.abs(newRate - rate) < tolerance) {
-                return newRate * 100; // Convert to percentage
-            }
-            rate = newRate;
+        const t = translations[currentLanguage];
+        const status = document.getElementById('terminal-status');
+        document.getElementById('terminal-value').textContent = formatMoney(terminal.presentValue);
+        if (terminal.value === null) {
+            status.textContent = t['status-terminal-invalid']
+                .replace('{rate}', FinancialCalculator.effectiveDiscountRate(projectData).toFixed(2) + '%');
+            return;
         }
-        return rate * 100;
+        status.textContent = t['status-terminal-value']
+            .replace('{value}', formatMoney(terminal.value))
+            .replace('{month}', projectData.projectDuration);
     },
 
-    // Generate cash flow projections
-    generateCashFlows(data) {
-        const monthlyRevenue = data.yearlyRevenue / 12;
-        const monthlyCosts = (data.operatingCosts + data.maintenanceCosts) / 12;
-        const monthlyGrowthRate = Math.pow(1 + data.revenueGrowth / 100, 1 / 12) - 1;
-        
-        const cashFlows = [];
-        cashFlows.push(-data.initialInvestment); // Initial investment (negative)
-
-        for (let month = 1; month <= data.projectDuration; month++) {
-            const growthFactor = Math.pow(1 + monthlyGrowthRate, month - 1);
-            const revenue = monthlyRevenue * growthFactor;
-            const netCashFlow = revenue - monthlyCosts;
-            cashFlows.push(netCashFlow);
+    // Pre-tax and after-tax metrics side by side; hidden without a tax rate
+    updateTaxSummary(metrics) {
+        const container = document.getElementById('taxSummary');
+        if (!metrics || !(projectData && projectData.taxRate > 0)) {
+            container.classList.add('hidden');
+            return;
         }
 
-        return cashFlows;
+        const t = translations[currentLanguage];
+        const percent = rate => (rate === null ? '—' : rate.toFixed(2) + '%');
+        const irr = result => (result.irr === null ? t[`irr-value-${result.irrStatus}`] : percent(result.irr));
+        const payback = result => `${result.paybackPeriod.toFixed(1)} ${t['unit-months']}`;
+        const rows = [
+            [t['metric-roi'], result => percent(result.roi)],
+            [t['metric-npv'], result => formatMoney(result.npv)],
+            ...(metrics.terminalValue ? [[t['terminal-value-pv'], result => formatMoney(result.terminalValue.presentValue)]] : []),
+            [t['metric-irr'], irr],
+            [t['label-mirr'], result => percent(result.mirr)],
+            [t['metric-payback'], payback]
+        ].map(([label, format]) => `
+            <tr>
+                <td>${label}</td>
+                <td class="numeric">${format(metrics)}</td>
+                <td class="numeric">${format(metrics.afterTax)}</td>
+            </tr>
+        `).join('');
+
+        document.getElementById('taxSummaryTable').innerHTML = `
+            <thead>
+                <tr>
+                    <th>${t['tax-col-metric']}</th>
+                    <th class="numeric">${t['tax-col-pre-tax']}</th>
+                    <th class="numeric">${t['tax-col-after-tax']}</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${rows}
+                <tr>
+                    <td>${t['tax-total']}</td>
+                    <td class="numeric">—</td>
+                    <td class="numeric">${formatMoney(metrics.afterTax.totalTax)}</td>
+                </tr>
+                <tr>
+                    <td>${t['tax-shield']}</td>
+                    <td class="numeric">—</td>
+                    <td class="numeric">${formatMoney(metrics.afterTax.taxShield)}</td>
+                </tr>
+            </tbody>
+        `;
+        container.classList.remove('hidden');
     },
 
-    // Calculate comprehensive metrics
-    calculateMetrics(data) {
-        const cashFlows = this.generateCashFlows(data);
-        const monthlyCashFlows = cashFlows.slice(1); // Exclude initial investment
-        
-        const totalRevenue = monthlyCashFlows.reduce((sum, cf) => sum + cf, 0);
-        const roi = this.calculateROI(data.initialInvestment, totalRevenue);
-        const npv = this.calculateNPV(monthlyCashFlows, data.discountRate);
-        const paybackPeriod = this.calculatePaybackPeriod(data.initialInvestment, monthlyCashFlows);
-        const irr = this.calculateIRR(cashFlows);
+    // Unlevered project returns next to the levered (equity) ones, plus debt service and DSCR
+    // per project year; hidden without a loan
+    updateFinancingSummary(metrics) {
+        const container = document.getElementById('financingSummary');
+        const financing = metrics && metrics.financing;
+        if (!financing) {
+            container.classList.add('hidden');
+            return;
+        }
 
-        return {
-            roi,
-            npv,
-            paybackPeriod,
-            irr,
-            cashFlows,
-            totalRevenue
-        };
-    }
-};
+        const t = translations[currentLanguage];
+        const project = metrics.afterTax;
+        const total = flows => flows.reduce((sum, flow) => sum + flow, 0);
+        const percent = rate => (rate === null ? '—' : rate.toFixed(2) + '%');
+        const ratio = value => (value === null ? '—' : value.toFixed(2) + '×');
+        const irr = (rate, status) => (rate === null ? t[`irr-value-${status}`] : percent(rate));
+        const payback = months => `${months.toFixed(1)} ${t['unit-months']}`;
+        const row = (label, projectValue, equityValue) => `
+            <tr>
+                <td>${label}</td>
+                <td class="numeric">${projectValue}</td>
+                <td class="numeric">${equityValue}</td>
+            </tr>
+        `;
 
-// UI Update Functions
-const UIUpdater = {
-    updateDashboard(metrics) {
+        document.getElementById('financingSummaryTable').innerHTML = `
+            <thead>
+                <tr>
+                    <th>${t['tax-col-metric']}</th>
+                    <th class="numeric">${t['financing-col-project']}</th>
+                    <th class="numeric">${t['financing-col-equity']}</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${row(t['financing-outlay'], formatMoney(project.cashFlows[0]), formatMoney(financing.equityCashFlows[0]))}
+                ${row(t['metric-irr'], irr(project.irr, project.irrStatus), irr(financing.equityIRR, financing.equityIRRStatus))}
+                ${row(t['metric-payback'], payback(project.paybackPeriod), payback(financing.equityPayback))}
+                ${row(t['financing-total-cash'], formatMoney(total(project.cashFlows)), formatMoney(total(financing.equityCashFlows)))}
+                ${row(t['financing-total-interest'], '—', formatMoney(financing.totalInterest))}
+                ${projectData.taxRate > 0 ? row(t['financing-interest-shield'], '—', formatMoney(financing.interestTaxShield)) : ''}
+                ${financing.settlement > 0 ? row(t['financing-settlement'].replace('{month}', projectData.projectDuration), '—', formatMoney(financing.settlement)) : ''}
+                ${row(t['financing-min-dscr'], '—', ratio(financing.minDSCR))}
+            </tbody>
+        `;
+
+        // Amortization rows totalled per project year, with that year's DSCR
+        const years = [];
+        financing.amortization.filter(entry => entry.month <= projectData.projectDuration).forEach(entry => {
+            const index = Math.floor((entry.month - 1) / 12);
+            if (!years[index]) {
+                years[index] = { year: index + 1, openingBalance: entry.openingBalance, interest: 0, principal: 0, payment: 0 };
+            }
+            years[index].interest += entry.interest;
+            years[index].principal += entry.principal;
+            years[index].payment += entry.payment;
+            years[index].closingBalance = entry.closingBalance;
+        });
+        const body = years.map(year => {
+            const coverage = financing.dscr.find(entry => entry.year === year.year);
+            return `
+                <tr>
+                    <td>${year.year}</td>
+                    <td class="numeric">${formatMoney(year.openingBalance)}</td>
+                    <td class="numeric">${formatMoney(year.interest)}</td>
+                    <td class="numeric">${formatMoney(year.principal)}</td>
+                    <td class="numeric">${formatMoney(year.payment)}</td>
+                    <td class="numeric">${formatMoney(year.closingBalance)}</td>
+                    <td class="numeric">${coverage ? formatMoney(coverage.cashAvailable) : '—'}</td>
+                    <td class="numeric">${coverage ? ratio(coverage.dscr) : '—'}</td>
+                </tr>
+            `;
+        }).join('');
+
+        document.getElementById('amortizationTable').innerHTML = `
+            <thead>
+                <tr>
+                    <th>${t['amortization-col-year']}</th>
+                    ${['opening', 'interest', 'principal', 'payment', 'closing', 'cfads', 'dscr']
+                        .map(column => `<th class="numeric">${t[`amortization-col-${column}`]}</th>`).join('')}
+                </tr>
+            </thead>
+            <tbody>
+                ${body}
+            </tbody>
+        `;
+        container.classList.remove('hidden');
+    },
+
+    // IRR card: the annual IRR when it is unique, otherwise the reason why not, plus MIRR
+    updateIRR(metrics) {
         const t = translations[currentLanguage];
-        const locale = currentLanguage === 'es' ? 'es-ES' : 'en-US';
-        
-        document.getElementById('roi-value').textContent = metrics.roi.toFixed(2) + '%';
-        document.getElementById('npv-value').textContent = '$' + metrics.npv.toLocaleString(locale, { maximumFractionDigits: 0 });
-        document.getElementById('payback-value').textContent = metrics.paybackPeriod.toFixed(1);
-        document.getElementById('irr-value').textContent = metrics.irr.toFixed(2) + '%';
+        const formatRate = rate => rate.toFixed(2) + '%';
+        const mirrText = metrics.mirr !== null ? ` · ${t['label-mirr']} ${formatRate(metrics.mirr)}` : '';
+        let status;
 
-        // Update status messages with proper translations
-        const roiStatus = document.getElementById('roi-status');
-        const npvStatus = document.getElementById('npv-status');
-        
-        roiStatus.textContent = metrics.roi > 0 ? t['status-positive-return'] : t['status-negative-return'];
-        npvStatus.textContent = metrics.npv > 0 ? t['status-creates-value'] : t['status-destroys-value'];
+        if (metrics.irrStatus === 'ok') {
+            document.getElementById('irr-value').textContent = formatRate(metrics.irr);
+            status = t['status-annualized-return'];
+        } else if (metrics.irrStatus === 'multiple') {
+            document.getElementById('irr-value').textContent = t['irr-value-multiple'];
+            status = t['status-irr-multiple'].replace('{rates}', metrics.irrCandidates.map(formatRate).join(', '));
+        } else {
+            document.getElementById('irr-value').textContent = t['irr-value-none'];
+            status = t['status-irr-none'];
+        }
+
+        document.getElementById('irr-status').textContent = status + mirrText;
     },
 
     updateScenarioCards(expectedMetrics, bestMetrics, worstMetrics) {
         const t = translations[currentLanguage];
-        const locale = currentLanguage === 'es' ? 'es-ES' : 'en-US';
         const unitMonths = ' ' + t['unit-months'];
         
         // Expected case
         document.getElementById('expected-roi').textContent = expectedMetrics.roi.toFixed(2) + '%';
-        document.getElementById('expected-npv').textContent = '$' + expectedMetrics.npv.toLocaleString(locale, { maximumFractionDigits: 0 });
+        document.getElementById('expected-npv').textContent = formatMoney(expectedMetrics.npv);
         document.getElementById('expected-payback').textContent = expectedMetrics.paybackPeriod.toFixed(1) + unitMonths;
 
         // Best case
         document.getElementById('best-roi').textContent = bestMetrics.roi.toFixed(2) + '%';
-        document.getElementById('best-npv').textContent = '$' + bestMetrics.npv.toLocaleString(locale, { maximumFractionDigits: 0 });
+        document.getElementById('best-npv').textContent = formatMoney(bestMetrics.npv);
         document.getElementById('best-payback').textContent = bestMetrics.paybackPeriod.toFixed(1) + unitMonths;
 
         // Worst case
         document.getElementById('worst-roi').textContent = worstMetrics.roi.toFixed(2) + '%';
-        document.getElementById('worst-npv').textContent = '$' + worstMetrics.npv.toLocaleString(locale, { maximumFractionDigits: 0 });
+        document.getElementById('worst-npv').textContent = formatMoney(worstMetrics.npv);
         document.getElementById('worst-payback').textContent = worstMetrics.paybackPeriod.toFixed(1) + unitMonths;
+
+        // Capital budgeting rows of every case
+        Object.entries({ expected: expectedMetrics, best: bestMetrics, worst: worstMetrics }).forEach(([scenario, metrics]) => {
+            document.getElementById(`${scenario}-discounted-payback`).textContent = metrics.discountedPaybackPeriod.toFixed(1) + unitMonths;
+            document.getElementById(`${scenario}-pi`).textContent = metrics.profitabilityIndex === null ? '—' : metrics.profitabilityIndex.toFixed(2);
+            document.getElementById(`${scenario}-eaa`).textContent = formatMoney(metrics.eaa);
+            document.getElementById(`${scenario}-peak-cash`).textContent = formatMoney(metrics.peakCash);
+        });
     },
 
     showMessage(type, message) {
@@ -485,7 +1564,8 @@ const UIUpdater = {
 
 // Chart Management
 const ChartManager = {
-    createCashFlowChart(cashFlows, duration) {
+    // goalSeek, when given, overlays the solved case: { label, cashFlows }
+    createCashFlowChart(cashFlows, duration, goalSeek = null) {
         // Check if Chart.js is available
         if (typeof Chart === 'undefined') {
             console.warn('Chart.js not loaded. Skipping chart creation.');
@@ -500,16 +1580,48 @@ const ChartManager = {
         }
 
         // Calculate cumulative cash flow
-        const cumulativeCashFlow = [];
-        let cumulative = 0;
-        cashFlows.forEach(cf => {
-            cumulative += cf;
-            cumulativeCashFlow.push(cumulative);
-        });
+        const cumulate = flows => {
+            let cumulative = 0;
+            return flows.map(cf => (cumulative += cf));
+        };
+        const cumulativeCashFlow = cumulate(cashFlows);
 
-        const labels = ['Start', ...Array.from({ length: duration }, (_, i) => `M${i + 1}`)];
+        const months = Math.max(duration, goalSeek ? goalSeek.cashFlows.length - 1 : 0);
+        const labels = ['Start', ...Array.from({ length: months }, (_, i) => `M${i + 1}`)];
 
         const t = translations[currentLanguage];
+
+        // Marker on the zero line at the payback month, when the investment is recovered
+        const breakEvenDataset = (flows, label, color) => {
+            if (cumulate(flows)[flows.length - 1] < 0) return null;
+            const payback = FinancialCalculator.calculatePaybackPeriod(flows);
+            return {
+                label: `${label} (${t['chart-month-short']}${payback.toFixed(1)})`,
+                data: labels.map((_, month) => (month === Math.round(payback) ? 0 : null)),
+                breakEven: payback,
+                borderColor: color,
+                backgroundColor: color,
+                pointStyle: 'rectRot',
+                pointRadius: 7,
+                showLine: false,
+                fill: false
+            };
+        };
+
+        const overlays = [breakEvenDataset(cashFlows, t['chart-break-even'], '#DC2626')];
+        if (goalSeek) {
+            overlays.push({
+                label: goalSeek.label,
+                data: cumulate(goalSeek.cashFlows),
+                borderColor: '#F59E0B',
+                borderDash: [6, 4],
+                borderWidth: 2,
+                pointRadius: 0,
+                fill: false,
+                tension: 0.4
+            });
+            overlays.push(breakEvenDataset(goalSeek.cashFlows, t['chart-goal-seek-break-even'], '#F59E0B'));
+        }
         
         charts.cashflow = new Chart(ctx, {
             type: 'line',
@@ -531,7 +1643,7 @@ const ChartManager = {
                     borderWidth: 2,
                     fill: true,
                     tension: 0.4
-                }]
+                }, ...overlays.filter(Boolean)]
             },
             options: {
                 responsive: true,
@@ -547,12 +1659,14 @@ const ChartManager = {
                         intersect: false,
                         callbacks: {
                             label: function(context) {
+                                if (context.dataset.breakEven !== undefined) {
+                                    return context.dataset.label;
+                                }
                                 let label = context.dataset.label || '';
                                 if (label) {
                                     label += ': ';
                                 }
-                                const locale = currentLanguage === 'es' ? 'es-ES' : 'en-US';
-                                label += '$' + context.parsed.y.toLocaleString(locale, { maximumFractionDigits: 0 });
+                                label += formatMoney(context.parsed.y);
                                 return label;
                             }
                         }
@@ -563,8 +1677,7 @@ const ChartManager = {
                         beginAtZero: true,
                         ticks: {
                             callback: function(value) {
-                                const locale = currentLanguage === 'es' ? 'es-ES' : 'en-US';
-                                return '$' + value.toLocaleString(locale);
+                                return formatMoney(value);
                             },
                             color: '#6B7280'
                         },
@@ -653,6 +1766,225 @@ const ChartManager = {
         });
     },
 
+    // Tornado of NPV at -range % and +range % per input, widest swing on top
+    createTornadoChart(result) {
+        // Check if Chart.js is available
+        if (typeof Chart === 'undefined') {
+            console.warn('Chart.js not loaded. Skipping chart creation.');
+            return;
+        }
+        
+        const t = translations[currentLanguage];
+        const ctx = document.getElementById('tornadoChart').getContext('2d');
+        
+        if (charts.tornado) {
+            charts.tornado.destroy();
+        }
+
+        const base = result.base.npv;
+
+        charts.tornado = new Chart(ctx, {
+            type: 'bar',
+            data: {
+                labels: result.rows.map(row => withCurrency(t[`label-${row.field}`])),
+                datasets: [
+                    {
+                        label: `-${result.range}%`,
+                        data: result.rows.map(row => [base, row.low.npv]),
+                        backgroundColor: 'rgba(220, 38, 38, 0.7)',
+                        borderWidth: 0
+                    },
+                    {
+                        label: `+${result.range}%`,
+                        data: result.rows.map(row => [base, row.high.npv]),
+                        backgroundColor: 'rgba(37, 99, 235, 0.7)',
+                        borderWidth: 0
+                    }
+                ]
+            },
+            options: {
+                indexAxis: 'y',
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: {
+                        position: 'top',
+                        labels: { color: '#374151' }
+                    },
+                    tooltip: {
+                        callbacks: {
+                            label: function(context) {
+                                const npv = context.raw[1];
+                                return `${context.dataset.label}: ${formatMoney(npv)}`;
+                            }
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        title: { display: true, text: t['metric-npv'], color: '#6B7280' },
+                        ticks: {
+                            color: '#6B7280',
+                            callback: function(value) {
+                                return formatMoney(value);
+                            }
+                        },
+                        grid: { color: '#E5E7EB' }
+                    },
+                    y: {
+                        stacked: true,
+                        ticks: { color: '#6B7280' },
+                        grid: { display: false }
+                    }
+                }
+            }
+        });
+    },
+
+    // NPV distribution of the Monte Carlo simulation; bins below zero in red
+    createMonteCarloChart(summary) {
+        // Check if Chart.js is available
+        if (typeof Chart === 'undefined') {
+            console.warn('Chart.js not loaded. Skipping chart creation.');
+            return;
+        }
+        
+        const t = translations[currentLanguage];
+        const ctx = document.getElementById('monteCarloChart').getContext('2d');
+        
+        if (charts.monteCarlo) {
+            charts.monteCarlo.destroy();
+        }
+
+        const thousands = amount => formatMoney(amount, caseCurrency(), { notation: 'compact', maximumFractionDigits: 1 });
+        const bins = summary.histogram;
+
+        charts.monteCarlo = new Chart(ctx, {
+            type: 'bar',
+            data: {
+                labels: bins.map(bin => thousands((bin.from + bin.to) / 2)),
+                datasets: [{
+                    label: t['mc-chart-frequency'],
+                    data: bins.map(bin => bin.count / summary.iterations * 100),
+                    backgroundColor: bins.map(bin => (bin.to <= 0 ? 'rgba(220, 38, 38, 0.7)' : 'rgba(37, 99, 235, 0.7)')),
+                    borderWidth: 0,
+                    barPercentage: 1,
+                    categoryPercentage: 1
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: { display: false },
+                    tooltip: {
+                        callbacks: {
+                            title: function(items) {
+                                const bin = bins[items[0].dataIndex];
+                                return `${thousands(bin.from)} – ${thousands(bin.to)}`;
+                            },
+                            label: function(context) {
+                                return `${t['mc-chart-frequency']}: ${context.parsed.y.toFixed(1)}%`;
+                            }
+                        }
+                    }
+                },
+                scales: {
+                    y: {
+                        beginAtZero: true,
+                        title: { display: true, text: t['mc-chart-frequency'] + ' (%)', color: '#6B7280' },
+                        ticks: { color: '#6B7280' },
+                        grid: { color: '#E5E7EB' }
+                    },
+                    x: {
+                        title: { display: true, text: t['metric-npv'], color: '#6B7280' },
+                        ticks: { color: '#6B7280' },
+                        grid: { display: false }
+                    }
+                }
+            }
+        });
+    },
+
+    // Stacked monthly breakdown: revenue lines above zero, cost lines below
+    createLineItemsChart(lines, duration) {
+        // Check if Chart.js is available
+        if (typeof Chart === 'undefined') {
+            console.warn('Chart.js not loaded. Skipping chart creation.');
+            return;
+        }
+        
+        const ctx = document.getElementById('lineItemsChart').getContext('2d');
+        
+        if (charts.lineItems) {
+            charts.lineItems.destroy();
+        }
+
+        const revenueColors = ['#2563EB', '#059669', '#0891B2', '#7C3AED', '#16A34A', '#0EA5E9'];
+        const costColors = ['#F59E0B', '#DC2626', '#EA580C', '#DB2777', '#CA8A04', '#9333EA'];
+        let revenueIndex = 0;
+        let costIndex = 0;
+
+        const datasets = lines
+            .filter(line => line.amounts.some(amount => amount !== 0))
+            .map(line => {
+                const isCost = line.type === 'cost';
+                const color = isCost
+                    ? costColors[costIndex++ % costColors.length]
+                    : revenueColors[revenueIndex++ % revenueColors.length];
+                return {
+                    label: LineItemEditor.lineLabel(line),
+                    data: line.amounts.slice(1).map(amount => (isCost ? -amount : amount)),
+                    backgroundColor: color,
+                    stack: 'lines'
+                };
+            });
+
+        const labels = Array.from({ length: duration }, (_, i) => `M${i + 1}`);
+        
+        charts.lineItems = new Chart(ctx, {
+            type: 'bar',
+            data: { labels, datasets },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: {
+                        display: true,
+                        position: 'top',
+                        labels: { color: '#4B5563', font: { size: 12, weight: '500' } }
+                    },
+                    tooltip: {
+                        mode: 'index',
+                        intersect: false,
+                        callbacks: {
+                            label: function(context) {
+                                return context.dataset.label + ': ' + formatMoney(context.parsed.y);
+                            }
+                        }
+                    }
+                },
+                scales: {
+                    y: {
+                        stacked: true,
+                        ticks: {
+                            callback: function(value) {
+                                return formatMoney(value);
+                            },
+                            color: '#6B7280'
+                        },
+                        grid: { color: '#E5E7EB' }
+                    },
+                    x: {
+                        stacked: true,
+                        ticks: { color: '#6B7280' },
+                        grid: { color: '#E5E7EB' }
+                    }
+                }
+            }
+        });
+    },
+
     createScenariosChart(expectedMetrics, bestMetrics, worstMetrics) {
         // Check if Chart.js is available
         if (typeof Chart === 'undefined') {
@@ -726,533 +2058,4215 @@ const ChartManager = {
                 }
             }
         });
-    }
-};
+    },
 
-// Recommendation Engine
-const RecommendationEngine = {
-    generateRecommendations(expectedMetrics, bestMetrics, worstMetrics, data) {
-        const recommendations = [];
-
-        // ROI Analysis
-        if (expectedMetrics.roi > 50) {
-            recommendations.push({
-                type: 'success',
-                icon: '✅',
-                text: `¡Excelente ROI del ${expectedMetrics.roi.toFixed(2)}%! Este proyecto muestra retornos financieros sólidos y es altamente recomendado para su aprobación.`
-            });
-        } else if (expectedMetrics.roi > 20) {
-            recommendations.push({
-                type: 'info',
-                icon: '👍',
-                text: `Buen ROI del ${expectedMetrics.roi.toFixed(2)}%. Este proyecto es financieramente viable y debería considerarse favorablemente.`
-            });
-        } else if (expectedMetrics.roi > 0) {
-            recommendations.push({
-                type: 'warning',
-                icon: '⚠️',
-                text: `ROI moderado del ${expectedMetrics.roi.toFixed(2)}%. Considere formas de aumentar los ingresos o reducir costos para mejorar los retornos.`
-            });
-        } else {
-            recommendations.push({
-                type: 'danger',
-                icon: '❌',
-                text: `ROI negativo del ${expectedMetrics.roi.toFixed(2)}%. Este proyecto no es financieramente viable en su forma actual y requiere cambios significativos.`
-            });
+    // Expected-case cumulative cash flow of every compared case on one chart
+    createPortfolioChart(entries) {
+        // Check if Chart.js is available
+        if (typeof Chart === 'undefined') {
+            console.warn('Chart.js not loaded. Skipping chart creation.');
+            return;
         }
 
-        // NPV Analysis
-        if (expectedMetrics.npv > 0) {
-            recommendations.push({
-                type: 'success',
-                icon: '💰',
-                text: `VPN positivo de $${expectedMetrics.npv.toLocaleString('es-ES', { maximumFractionDigits: 0 })} indica que el proyecto creará valor después de considerar el valor temporal del dinero.`
-            });
-        } else {
-            recommendations.push({
-                type: 'danger',
-                icon: '📉',
-                text: `VPN negativo de $${expectedMetrics.npv.toLocaleString('es-ES', { maximumFractionDigits: 0 })} sugiere que el proyecto destruirá valor. Revise la tasa de descuento y proyecciones de ingresos.`
-            });
-        }
+        const t = translations[currentLanguage];
+        const ctx = document.getElementById('portfolioChart').getContext('2d');
 
-        // Payback Period Analysis
-        if (expectedMetrics.paybackPeriod <= 12) {
-            recommendations.push({
-                type: 'success',
-                icon: '⚡',
-                text: `Período de recuperación rápido de ${expectedMetrics.paybackPeriod.toFixed(1)} meses. Recuperará su inversión en menos de un año.`
-            });
-        } else if (expectedMetrics.paybackPeriod <= 24) {
-            recommendations.push({
-                type: 'info',
-                icon: '⏱️',
-                text: `Período de recuperación razonable de ${expectedMetrics.paybackPeriod.toFixed(1)} meses (${(expectedMetrics.paybackPeriod / 12).toFixed(1)} años).`
-            });
-        } else if (expectedMetrics.paybackPeriod < data.projectDuration) {
-            recommendations.push({
-                type: 'warning',
-                icon: '⏳',
-                text: `Período de recuperación largo de ${expectedMetrics.paybackPeriod.toFixed(1)} meses. Considere si este plazo se alinea con sus objetivos estratégicos.`
-            });
-        } else {
-            recommendations.push({
-                type: 'danger',
-                icon: '🚫',
-                text: `El período de recuperación excede la duración del proyecto. El proyecto no alcanzará el punto de equilibrio dentro del plazo planificado.`
-            });
+        if (charts.portfolio) {
+            charts.portfolio.destroy();
         }
 
-        // Risk Analysis
-        const roiRange = bestMetrics.roi - worstMetrics.roi;
-        if (roiRange > 100) {
-            recommendations.push({
-                type: 'warning',
-                icon: '🎲',
-                text: `Alta variabilidad en escenarios (rango de ${roiRange.toFixed(0)}%) indica riesgo significativo. Considere estrategias de mitigación de riesgos.`
-            });
-        } else if (roiRange < 30) {
-            recommendations.push({
-                type: 'success',
-                icon: '🎯',
-                text: `Baja variabilidad en escenarios sugiere resultados consistentes con riesgo manejable.`
-            });
-        }
+        const colors = ['#2563EB', '#059669', '#DC2626', '#F59E0B', '#7C3AED', '#0891B2', '#DB2777', '#4B5563'];
+        const months = Math.max(...entries.map(entry => entry.cumulativeCashFlows.length - 1));
+        const labels = [t['chart-start'], ...Array.from({ length: months }, (_, i) => `${t['chart-month-short']}${i + 1}`)];
+        const currency = CurrencySettings.table.reportingCurrency;
 
-        // Worst Case Analysis
-        if (worstMetrics.roi < 0) {
-            recommendations.push({
-                type: 'warning',
-                icon: '⚠️',
-                text: `El escenario del peor caso muestra ROI negativo (${worstMetrics.roi.toFixed(2)}%). Asegúrese de tener planes de contingencia si los ingresos son menores a lo esperado.`
-            });
-        }
+        charts.portfolio = new Chart(ctx, {
+            type: 'line',
+            data: {
+                labels,
+                datasets: entries.map((entry, index) => ({
+                    label: `${entry.rank}. ${entry.name}`,
+                    data: entry.cumulativeCashFlows,
+                    borderColor: colors[index % colors.length],
+                    backgroundColor: colors[index % colors.length],
+                    borderWidth: 2,
+                    pointRadius: 0,
+                    fill: false,
+                    tension: 0.4
+                }))
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: {
+                        display: true,
+                        position: 'top',
+                        labels: { color: '#4B5563', font: { size: 12, weight: '500' } }
+                    },
+                    title: {
+                        display: true,
+                        text: `${t['portfolio-chart-title']} (${currency})`,
+                        color: '#4B5563'
+                    },
+                    tooltip: {
+                        mode: 'index',
+                        intersect: false,
+                        callbacks: {
+                            label: context => `${context.dataset.label}: ${formatMoney(context.parsed.y, currency)}`
+                        }
+                    }
+                },
+                scales: {
+                    y: {
+                        ticks: {
+                            callback: value => formatMoney(value, currency),
+                            color: '#6B7280'
+                        },
+                        grid: { color: '#E5E7EB' }
+                    },
+                    x: {
+                        ticks: { color: '#6B7280' },
+                        grid: { color: '#E5E7EB' }
+                    }
+                }
+            }
+        });
+    },
+
+    // Redraw a chart on an off-screen canvas and return it as a PNG data URL. Charts on hidden
+    // tabs have a zero-sized canvas, so the copy gets its own size at twice the pixel density.
+    toImage(chart, width = 900, height = 450) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+
+        const copy = new Chart(canvas.getContext('2d'), {
+            type: chart.config.type,
+            data: JSON.parse(JSON.stringify(chart.config.data)),
+            options: { ...chart.config.options, responsive: false, maintainAspectRatio: false, animation: false, devicePixelRatio: 2 }
+        });
+        const image = copy.toBase64Image('image/png', 1);
+        copy.destroy();
+        return image;
+    }
+};
+
+// Recommendation Engine
+const RecommendationEngine = {
+    // Last generated recommendations, re-rendered when the language changes
+    current: null,
+
+    // Fallback icons for imported rules that do not set one
+    severityIcons: { success: '✅', info: 'ℹ️', warning: '⚠️', danger: '❌' },
+
+    // Evaluate the active rule set (see RecommendationSettings) against the scenario metrics
+    generateRecommendations(expectedMetrics, bestMetrics, worstMetrics, data) {
+        const context = RecommendationRules.context(expectedMetrics, bestMetrics, worstMetrics, data);
+        return RecommendationRules.evaluate(RecommendationSettings.ruleSet, context).map(rule => ({
+            type: rule.severity,
+            icon: rule.icon || this.severityIcons[rule.severity],
+            key: rule.messageKey,
+            message: rule.message,
+            params: context
+        }));
+    },
+
+    // Format one message parameter (a RecommendationRules.context() value) for the active language
+    formatParam(name, params) {
+        const t = translations[currentLanguage];
+        const percent = rate => rate.toFixed(2) + '%';
+        const value = params[name];
+
+        switch (name) {
+            case 'mirrNote':
+                return params.mirr === null ? '' : ' ' + t['rec-mirr-note'].replace('{mirr}', percent(params.mirr));
+            case 'npv':
+            case 'eaa':
+            case 'peakCash':
+                return value === null ? '—' : formatMoney(value);
+            case 'paybackPeriod':
+            case 'paybackYears':
+            case 'paybackMargin':
+            case 'discountedPaybackPeriod':
+            case 'discountedPaybackMargin':
+                return value === null ? '—' : value.toFixed(1);
+            case 'profitabilityIndex':
+                return value === null ? '—' : value.toFixed(2);
+            case 'peakCashRatio':
+                return value === null ? '—' : (value * 100).toFixed(0) + '%';
+            case 'roiRange':
+                return value.toFixed(0) + '%';
+            case 'discountRate':
+                return value + '%';
+            case 'irrCandidates':
+                return value.map(percent).join(', ');
+            case 'roi':
+            case 'bestRoi':
+            case 'worstRoi':
+            case 'irr':
+            case 'irrSpread':
+            case 'mirr':
+                return value === null ? '—' : percent(value);
+            default:
+                return value === undefined || value === null ? '' : String(value);
+        }
+    },
+
+    // Built-in rules use translation keys; imported rules carry their own { en, es } text
+    formatText(recommendation) {
+        const t = translations[currentLanguage];
+        const template = recommendation.key
+            ? t[recommendation.key]
+            : recommendation.message[currentLanguage] || recommendation.message.en || recommendation.message.es;
+        return template.replace(/\{(\w+)\}/g, (_, name) => this.formatParam(name, recommendation.params));
+    },
+
+    displayRecommendations(recommendations) {
+        this.current = recommendations;
+        this.render();
+    },
+
+    render() {
+        if (!this.current) return;
+        const container = document.getElementById('recommendations');
+        container.innerHTML = this.current.map(rec => `
+            <div class="recommendation-item">
+                <span class="recommendation-icon">${escapeHTML(rec.icon)}</span>
+                <strong>${escapeHTML(this.formatText(rec))}</strong>
+            </div>
+        `).join('');
+    }
+};
+
+// Form Handling
+document.getElementById('projectForm').addEventListener('submit', function(e) {
+    e.preventDefault();
+    
+    UIUpdater.showLoading();
+    
+    // Simulate processing time for better UX
+    setTimeout(() => {
+        calculateAnalysis();
+
+        UIUpdater.hideLoading();
+        UIUpdater.showMessage('success', '✅ ¡Análisis completado exitosamente! Revise las métricas y recomendaciones a continuación.');
+
+        // Smooth scroll to dashboard
+        document.getElementById('dashboard').scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+
+        ProjectLibrary.autosave();
+    }, 800);
+});
+
+// Optional numeric inputs are null when left blank
+function parseOptionalFloat(value) {
+    const number = parseFloat(value);
+    return isNaN(number) ? null : number;
+}
+
+// Lists of numbers ("10, 25, 50") are entered separated by commas, semicolons or spaces
+function parseNumberList(value) {
+    return String(value || '').split(/[,;\s]+/).map(parseFloat).filter(number => !isNaN(number));
+}
+
+// Read the projectForm inputs into a projectData object
+function readProjectForm(state = null) {
+    // A saved snapshot ({ inputs, lineItems, investmentSchedule }) is read instead of the live
+    // form when given; inputs it does not hold fall back to the form's default values
+    const value = id => {
+        const element = document.getElementById(id);
+        if (!state) return element.value;
+        if (state.inputs && state.inputs[id] !== undefined) return state.inputs[id];
+        return element.tagName === 'SELECT'
+            ? (element.querySelector('option[selected]') || element.options[0]).value
+            : element.defaultValue;
+    };
+
+    return {
+        projectName: value('projectName'),
+        currency: value('currency'),
+        initialInvestment: parseFloat(value('initialInvestment')),
+        discountRate: parseFloat(value('discountRate')),
+        discountTiming: value('discountTiming'),
+        financeRate: parseOptionalFloat(value('financeRate')),
+        reinvestmentRate: parseOptionalFloat(value('reinvestmentRate')),
+        projectDuration: parseInt(value('projectDuration')),
+        yearlyRevenue: parseFloat(value('yearlyRevenue')),
+        revenueGrowth: parseFloat(value('revenueGrowth')),
+        operatingCosts: parseFloat(value('operatingCosts')),
+        maintenanceCosts: parseFloat(value('maintenanceCosts')),
+        operatingCostEscalation: parseFloat(value('operatingCostEscalation')),
+        maintenanceCostEscalation: parseFloat(value('maintenanceCostEscalation')),
+        goLiveDelay: parseInt(value('goLiveDelay')),
+        revenueRampCurve: value('revenueRampCurve'),
+        revenueRampMonths: parseInt(value('revenueRampMonths')),
+        revenueRampPercentages: parseNumberList(value('revenueRampPercentages')),
+        receivableDays: parseFloat(value('receivableDays')),
+        payableDays: parseFloat(value('payableDays')),
+        inflationRate: parseFloat(value('inflationRate')),
+        valuationBasis: value('valuationBasis'),
+        terminalValueMethod: value('terminalValueMethod'),
+        terminalGrowth: parseFloat(value('terminalGrowth')),
+        exitMultiple: parseFloat(value('exitMultiple')),
+        taxRate: parseFloat(value('taxRate')),
+        depreciationMethod: value('depreciationMethod'),
+        usefulLife: parseFloat(value('usefulLife')),
+        loanAmount: parseFloat(value('loanAmount')),
+        loanRate: parseFloat(value('loanRate')),
+        loanTerm: parseInt(value('loanTerm')),
+        amortizationMethod: value('amortizationMethod'),
+        gracePeriod: parseInt(value('gracePeriod')),
+        bestCaseMultiplier: parseFloat(value('bestCaseMultiplier')),
+        worstCaseMultiplier: parseFloat(value('worstCaseMultiplier')),
+        lineItems: state ? (state.lineItems || []).map(item => LineItemEditor.normalize(item)) : LineItemEditor.getItems(),
+        investmentSchedule: state
+            ? (state.investmentSchedule || []).map(item => InvestmentScheduleEditor.normalize(item))
+            : InvestmentScheduleEditor.getItems()
+    };
+}
+
+// Scenario inputs: best and worst cases scale revenue by their multipliers
+function buildScenarioData(data) {
+    return {
+        expected: data,
+        best: FinancialCalculator.scaleLines(data, 'revenue', data.bestCaseMultiplier),
+        worst: FinancialCalculator.scaleLines(data, 'revenue', data.worstCaseMultiplier)
+    };
+}
+
+// Headline metrics per scenario, without the cash flow vectors (for storage and export)
+function summarizeScenarioMetrics(metricsByScenario) {
+    if (!metricsByScenario) return null;
+
+    const summary = {};
+    ['expected', 'best', 'worst'].forEach(scenario => {
+        const metrics = metricsByScenario[scenario];
+        summary[scenario] = {
+            roi: metrics.roi,
+            npv: metrics.npv,
+            paybackPeriod: metrics.paybackPeriod,
+            irr: metrics.irr,
+            irrStatus: metrics.irrStatus,
+            mirr: metrics.mirr,
+            totalRevenue: metrics.totalRevenue
+        };
+    });
+    return summary;
+}
+
+// Run all scenarios from the current projectForm values and refresh the results UI
+function calculateAnalysis() {
+    projectData = readProjectForm();
+
+    // Calculate metrics for all scenarios
+    const scenarios = buildScenarioData(projectData);
+    const expectedMetrics = FinancialCalculator.calculateMetrics(scenarios.expected);
+    const bestMetrics = FinancialCalculator.calculateMetrics(scenarios.best);
+    const worstMetrics = FinancialCalculator.calculateMetrics(scenarios.worst);
+    scenarioMetrics = { expected: expectedMetrics, best: bestMetrics, worst: worstMetrics };
+
+    // Update UI
+    UIUpdater.updateDashboard(expectedMetrics);
+    UIUpdater.updateTaxSummary(expectedMetrics);
+    UIUpdater.updateFinancingSummary(expectedMetrics);
+    UIUpdater.updateScenarioCards(expectedMetrics, bestMetrics, worstMetrics);
+
+    // Create charts
+    ChartManager.createCashFlowChart(expectedMetrics.cashFlows, projectData.projectDuration);
+    ChartManager.createROIChart(expectedMetrics.roi, bestMetrics.roi, worstMetrics.roi);
+    ChartManager.createScenariosChart(expectedMetrics, bestMetrics, worstMetrics);
+    ChartManager.createLineItemsChart(FinancialCalculator.generateLineItemSchedule(scenarios.expected), projectData.projectDuration);
+
+    // A previous simulation no longer matches the inputs
+    MonteCarloPanel.clearResults();
+    GoalSeekPanel.clearResults();
+    SensitivityPanel.refresh();
+
+    // Generate and display recommendations
+    const recommendations = RecommendationEngine.generateRecommendations(expectedMetrics, bestMetrics, worstMetrics, projectData);
+    RecommendationEngine.displayRecommendations(recommendations);
+}
+
+// Tab Switching
+function switchTab(tabName) {
+    // Remove active class from all tabs and content
+    document.querySelectorAll('.tab').forEach(tab => tab.classList.remove('active'));
+    document.querySelectorAll('.tab-content').forEach(content => content.classList.remove('active'));
+    
+    // Add active class to clicked tab and corresponding content
+    event.target.classList.add('active');
+    document.getElementById(tabName + '-tab').classList.add('active');
+}
+
+// Reset Form
+function resetForm() {
+    if (confirm('¿Está seguro de que desea reiniciar el formulario? Todos los datos se borrarán.')) {
+        document.getElementById('projectForm').reset();
+        CurrencySettings.updateUnitLabels();
+        LineItemEditor.setItems([]);
+        InvestmentScheduleEditor.setItems([]);
+        clearResults();
+        
+        UIUpdater.showMessage('info', 'El formulario ha sido reiniciado. Ingrese nuevos datos del proyecto para analizar.');
+    }
+}
+
+// Clear calculated results from the dashboard, scenario cards, charts and recommendations
+function clearResults() {
+    const t = translations[currentLanguage];
+    projectData = null;
+    scenarioMetrics = null;
+    
+    // Reset dashboard
+    document.getElementById('roi-value').textContent = '0%';
+    document.getElementById('npv-value').textContent = formatMoney(0);
+    document.getElementById('payback-value').textContent = '0';
+    document.getElementById('irr-value').textContent = '0%';
+    document.getElementById('roi-status').textContent = t['status-enter-data'];
+    document.getElementById('npv-status').textContent = t['status-discounted-cashflow'];
+    document.getElementById('irr-status').textContent = t['status-annualized-return'];
+    UIUpdater.updateTaxSummary(null);
+    UIUpdater.updateFinancingSummary(null);
+    UIUpdater.updateTerminalValue(null);
+    UIUpdater.updateDecisionMetrics(null);
+    
+    // Reset scenario cards
+    ['expected', 'best', 'worst'].forEach(scenario => {
+        document.getElementById(`${scenario}-roi`).textContent = '0%';
+        document.getElementById(`${scenario}-npv`).textContent = formatMoney(0);
+        document.getElementById(`${scenario}-payback`).textContent = '0 ' + t['unit-months'];
+        document.getElementById(`${scenario}-discounted-payback`).textContent = '0 ' + t['unit-months'];
+        document.getElementById(`${scenario}-pi`).textContent = '0';
+        document.getElementById(`${scenario}-eaa`).textContent = formatMoney(0);
+        document.getElementById(`${scenario}-peak-cash`).textContent = formatMoney(0);
+    });
+    
+    // Clear charts (the portfolio chart does not depend on the open case)
+    Object.keys(charts).filter(key => key !== 'portfolio').forEach(key => {
+        if (charts[key]) {
+            charts[key].destroy();
+            charts[key] = null;
+        }
+    });
+    
+    MonteCarloPanel.clearResults();
+    SensitivityPanel.clearResults();
+    GoalSeekPanel.clearResults();
+    
+    // Reset recommendations
+    RecommendationEngine.current = null;
+    document.getElementById('recommendations').innerHTML = `<p style="color: var(--text-muted);">${t['default-recommendations']}</p>`;
+}
+
+// ====================================
+// PDF Report
+// ====================================
+
+// Builds the PDF report from the model (projectData, scenarioMetrics, ...) in the active
+// language. Sections flow across pages through ensureSpace(); the table of contents is
+// filled in once every section knows its page.
+const PdfReport = {
+    storageKey: 'bca-report-settings',
+    SECTIONS: ['strategic', 'assumptions', 'metrics', 'scenarios', 'charts', 'sensitivity', 'cashflow', 'recommendations'],
+    scenarios: ['expected', 'best', 'worst'],
+    // Charts included in the charts section, in order, when they have been drawn
+    CHARTS: ['cashflow', 'roi', 'scenarios', 'lineItems', 'tornado', 'monteCarlo'],
+    chartSize: { width: 900, height: 450 },
+
+    margin: 20,
+    lineHeight: 6,
+    footerHeight: 12,
+
+    defaults: {
+        companyName: '',
+        logo: null,
+        sections: {}
+    },
+
+    getSettings() {
+        let stored = {};
+        try {
+            stored = JSON.parse(localStorage.getItem(this.storageKey)) || {};
+        } catch (error) {
+            stored = {};
+        }
+        const sections = {};
+        this.SECTIONS.forEach(section => {
+            sections[section] = !stored.sections || stored.sections[section] !== false;
+        });
+        return { ...this.defaults, ...stored, sections };
+    },
+
+    saveSettings(settings) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(settings));
+        } catch (error) {
+            // A large logo can exceed the quota; keep it for this session only
+            console.warn('Could not write report settings to localStorage:', error);
+        }
+        this.settings = settings;
+    },
+
+    // Wire the report options panel to the persisted settings
+    initPanel() {
+        this.settings = this.getSettings();
+        document.getElementById('reportCompanyName').value = this.settings.companyName;
+        document.getElementById('reportCompanyName').addEventListener('change', () => this.updateFromPanel());
+        document.querySelectorAll('#reportSections input[data-section]').forEach(input => {
+            input.checked = this.settings.sections[input.dataset.section];
+            input.addEventListener('change', () => this.updateFromPanel());
+        });
+        this.renderLogo();
+    },
+
+    updateFromPanel() {
+        const sections = {};
+        document.querySelectorAll('#reportSections input[data-section]').forEach(input => {
+            sections[input.dataset.section] = input.checked;
+        });
+        this.saveSettings({
+            ...this.settings,
+            companyName: document.getElementById('reportCompanyName').value.trim(),
+            sections
+        });
+    },
+
+    loadLogo(file) {
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = () => {
+            const image = new Image();
+            image.onload = () => {
+                const format = file.type === 'image/png' ? 'PNG' : 'JPEG';
+                this.saveSettings({ ...this.settings, logo: { dataUrl: reader.result, format, width: image.width, height: image.height } });
+                this.renderLogo();
+            };
+            image.onerror = () => alert(translations[currentLanguage]['report-logo-invalid']);
+            image.src = reader.result;
+        };
+        reader.readAsDataURL(file);
+    },
+
+    clearLogo() {
+        document.getElementById('reportLogo').value = '';
+        this.saveSettings({ ...this.settings, logo: null });
+        this.renderLogo();
+    },
+
+    renderLogo() {
+        const preview = document.getElementById('reportLogoPreview');
+        const logo = this.settings && this.settings.logo;
+        preview.innerHTML = logo ? `<img src="${logo.dataUrl}" alt="">` : '';
+        document.getElementById('btn-report-logo-clear').classList.toggle('hidden', !logo);
+    },
+
+    exportPDF() {
+        const t = translations[currentLanguage];
+        if (!projectData || !scenarioMetrics) {
+            alert(t['export-calculate-first']);
+            return;
+        }
+
+        // Check if jsPDF is available
+        if (typeof window.jspdf === 'undefined') {
+            alert(t['pdf-library-missing']);
+            return;
+        }
+
+        const settings = this.settings || this.getSettings();
+        if (!this.SECTIONS.some(section => settings.sections[section])) {
+            alert(t['report-no-sections']);
+            return;
+        }
+
+        UIUpdater.showLoading();
+
+        setTimeout(() => {
+            try {
+                const doc = this.build(settings);
+                doc.save(`${exportFileStem()}.pdf`);
+                UIUpdater.showMessage('success', t['pdf-export-success']);
+            } catch (error) {
+                console.error('PDF export failed:', error);
+                alert(t['pdf-export-error'].replace('{error}', error.message));
+            } finally {
+                UIUpdater.hideLoading();
+            }
+        }, 50);
+    },
+
+    build(settings) {
+        const { jsPDF } = window.jspdf;
+        const t = translations[currentLanguage];
+
+        this.doc = new jsPDF();
+        this.pageWidth = this.doc.internal.pageSize.getWidth();
+        this.pageHeight = this.doc.internal.pageSize.getHeight();
+        this.contents = [];
+
+        this.renderCover(settings);
+
+        // Reserve a page for the table of contents
+        this.doc.addPage();
+        const contentsPage = this.doc.internal.getNumberOfPages();
+
+        this.doc.addPage();
+        this.y = this.margin;
+        this.SECTIONS
+            .filter(section => settings.sections[section] && this.hasSection(section))
+            .forEach(section => {
+                // The charts heading stays on the page of the first figure
+                const keepWith = section === 'charts' ? this.figureHeight(this.chartSize.width / this.chartSize.height) : undefined;
+                this.heading(t[`report-section-${section}`], keepWith);
+                this[`render${section.charAt(0).toUpperCase()}${section.slice(1)}`]();
+                this.y += this.lineHeight;
+            });
+
+        this.renderContents(contentsPage);
+        this.renderFooters(settings);
+        return this.doc;
+    },
+
+    // Sections without data (no strategic analysis yet, no sensitivity run) are left out
+    hasSection(section) {
+        if (section === 'strategic') return Boolean(strategicData);
+        if (section === 'charts') return typeof Chart !== 'undefined' && this.CHARTS.some(key => charts[key]);
+        if (section === 'sensitivity') return Boolean(SensitivityPanel.result);
+        if (section === 'recommendations') return Boolean(RecommendationEngine.current && RecommendationEngine.current.length);
+        return true;
+    },
+
+    // ---- Layout helpers ----
+
+    // Start a new page when the next block of `height` mm would run into the footer
+    ensureSpace(height) {
+        if (this.y + height > this.pageHeight - this.margin - this.footerHeight) {
+            this.doc.addPage();
+            this.y = this.margin;
+            return true;
+        }
+        return false;
+    },
+
+    // keepWith: space the start of the section needs on the same page as its heading
+    heading(text, keepWith = this.lineHeight * 4) {
+        this.ensureSpace(this.lineHeight * 1.5 + keepWith);
+        this.contents.push({ text, page: this.doc.internal.getNumberOfPages() });
+        this.doc.setFont('helvetica', 'bold');
+        this.doc.setFontSize(14);
+        this.doc.setTextColor(37, 99, 235);
+        this.doc.text(text, this.margin, this.y);
+        this.doc.setDrawColor(229, 231, 235);
+        this.doc.line(this.margin, this.y + 2, this.pageWidth - this.margin, this.y + 2);
+        this.y += this.lineHeight + 3;
+        this.bodyFont();
+    },
+
+    subheading(text) {
+        this.ensureSpace(this.lineHeight * 3);
+        this.doc.setFont('helvetica', 'bold');
+        this.doc.setFontSize(11);
+        this.doc.text(text, this.margin, this.y);
+        this.y += this.lineHeight;
+        this.bodyFont();
+    },
+
+    bodyFont() {
+        this.doc.setFont('helvetica', 'normal');
+        this.doc.setFontSize(10);
+        this.doc.setTextColor(0, 0, 0);
+    },
+
+    // Wrapped text, paginated line by line
+    paragraph(text, indent = 0) {
+        const lines = this.doc.splitTextToSize(String(text), this.pageWidth - this.margin * 2 - indent);
+        lines.forEach(line => {
+            this.ensureSpace(this.lineHeight);
+            this.doc.text(line, this.margin + indent, this.y);
+            this.y += this.lineHeight;
+        });
+    },
+
+    bullets(items) {
+        items.forEach(item => this.paragraph(`• ${item}`, 3));
+    },
+
+    keyValues(rows) {
+        const valueX = this.margin + 80;
+        rows.forEach(([label, value]) => {
+            const lines = this.doc.splitTextToSize(String(value), this.pageWidth - this.margin - valueX);
+            this.ensureSpace(this.lineHeight * lines.length);
+            this.doc.setTextColor(75, 85, 99);
+            this.doc.text(String(label), this.margin, this.y);
+            this.doc.setTextColor(0, 0, 0);
+            this.doc.text(lines, valueX, this.y);
+            this.y += this.lineHeight * lines.length;
+        });
+    },
+
+    // Image scaled to the content width, kept on one page with its caption below
+    figure(dataUrl, aspectRatio, caption) {
+        const width = this.pageWidth - this.margin * 2;
+        const height = width / aspectRatio;
+        const captionLines = this.doc.splitTextToSize(caption, width);
+        this.ensureSpace(this.figureHeight(aspectRatio, captionLines.length));
+
+        this.doc.addImage(dataUrl, 'PNG', this.margin, this.y, width, height);
+        this.y += height + this.lineHeight;
+        this.doc.setFont('helvetica', 'italic');
+        this.doc.setFontSize(9);
+        this.doc.setTextColor(75, 85, 99);
+        this.doc.text(captionLines, this.pageWidth / 2, this.y, { align: 'center' });
+        this.y += this.lineHeight * captionLines.length + 4;
+        this.bodyFont();
+    },
+
+    figureHeight(aspectRatio, captionLines = 2) {
+        return (this.pageWidth - this.margin * 2) / aspectRatio + this.lineHeight * (captionLines + 1);
+    },
+
+    // columns: [{ title, width, align }]; the header repeats on every page of the table
+    table(columns, rows) {
+        const drawHeader = () => {
+            this.doc.setFont('helvetica', 'bold');
+            this.doc.setFillColor(243, 244, 246);
+            this.doc.rect(this.margin, this.y - 4, columns.reduce((sum, column) => sum + column.width, 0), this.lineHeight, 'F');
+            this.drawRow(columns, columns.map(column => column.title));
+            this.doc.setFont('helvetica', 'normal');
+        };
+
+        this.doc.setFontSize(8);
+        this.ensureSpace(this.lineHeight * 3);
+        drawHeader();
+        rows.forEach(row => {
+            if (this.ensureSpace(this.lineHeight)) {
+                this.doc.setFontSize(8);
+                drawHeader();
+            }
+            this.drawRow(columns, row);
+        });
+        this.bodyFont();
+        this.y += 2;
+    },
+
+    drawRow(columns, values) {
+        let x = this.margin;
+        columns.forEach((column, index) => {
+            const text = String(values[index]);
+            if (column.align === 'right') {
+                this.doc.text(text, x + column.width - 2, this.y, { align: 'right' });
+            } else {
+                this.doc.text(text, x + 1, this.y);
+            }
+            x += column.width;
+        });
+        this.y += this.lineHeight;
+    },
+
+    // ---- Formatting ----
+
+    money(amount) {
+        // jsPDF's standard fonts have no narrow no-break space
+        return formatMoney(amount).replace(/\u202f/g, ' ');
+    },
+
+    percent(rate) {
+        return rate === null ? '-' : rate.toFixed(2) + '%';
+    },
+
+    irrText(metrics) {
+        const t = translations[currentLanguage];
+        if (metrics.irrStatus === 'none') return t['irr-value-none'];
+        if (metrics.irrStatus === 'multiple') return `${t['irr-value-multiple']} (${metrics.irrCandidates.map(rate => this.percent(rate)).join(', ')})`;
+        return this.percent(metrics.irr);
+    },
+
+    // ---- Pages ----
+
+    renderCover(settings) {
+        const t = translations[currentLanguage];
+        const doc = this.doc;
+        const center = this.pageWidth / 2;
+        let y = 60;
+
+        if (settings.logo) {
+            // Fit the logo in a 60 x 30 mm box
+            const scale = Math.min(60 / settings.logo.width, 30 / settings.logo.height);
+            const width = settings.logo.width * scale;
+            const height = settings.logo.height * scale;
+            doc.addImage(settings.logo.dataUrl, settings.logo.format, center - width / 2, y - height, width, height);
+            y += 15;
+        }
+
+        if (settings.companyName) {
+            doc.setFont('helvetica', 'bold');
+            doc.setFontSize(16);
+            doc.setTextColor(75, 85, 99);
+            doc.text(settings.companyName, center, y, { align: 'center' });
+            y += 25;
+        }
+
+        doc.setFont('helvetica', 'bold');
+        doc.setFontSize(24);
+        doc.setTextColor(37, 99, 235);
+        doc.text(t['pdf-title'], center, y, { align: 'center' });
+        y += 14;
+
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(16);
+        doc.setTextColor(0, 0, 0);
+        doc.text(doc.splitTextToSize(projectData.projectName, this.pageWidth - this.margin * 2), center, y, { align: 'center' });
+
+        const locale = currentLanguage === 'es' ? 'es-ES' : 'en-US';
+        doc.setFontSize(11);
+        doc.setTextColor(100, 100, 100);
+        doc.text(new Date().toLocaleDateString(locale, { year: 'numeric', month: 'long', day: 'numeric' }), center, this.pageHeight - 40, { align: 'center' });
+        doc.text(t['header-title'], center, this.pageHeight - 33, { align: 'center' });
+    },
+
+    renderContents(page) {
+        const t = translations[currentLanguage];
+        const doc = this.doc;
+        doc.setPage(page);
+
+        let y = this.margin;
+        doc.setFont('helvetica', 'bold');
+        doc.setFontSize(16);
+        doc.setTextColor(37, 99, 235);
+        doc.text(t['pdf-contents'], this.margin, y);
+        y += this.lineHeight * 2;
+
+        this.bodyFont();
+        doc.setFontSize(11);
+        this.contents.forEach((entry, index) => {
+            doc.text(`${index + 1}. ${entry.text}`, this.margin, y);
+            doc.text(String(entry.page), this.pageWidth - this.margin, y, { align: 'right' });
+            y += this.lineHeight + 2;
+        });
+    },
+
+    renderFooters(settings) {
+        const t = translations[currentLanguage];
+        const doc = this.doc;
+        const pageCount = doc.internal.getNumberOfPages();
+        const locale = currentLanguage === 'es' ? 'es-ES' : 'en-US';
+
+        // The cover has no footer
+        for (let page = 2; page <= pageCount; page++) {
+            doc.setPage(page);
+            doc.setFont('helvetica', 'normal');
+            doc.setFontSize(8);
+            doc.setTextColor(150, 150, 150);
+            const footerY = this.pageHeight - 10;
+            doc.text(settings.companyName || t['header-title'], this.margin, footerY);
+            doc.text(t['pdf-page'].replace('{page}', page).replace('{pages}', pageCount), this.pageWidth / 2, footerY, { align: 'center' });
+            doc.text(`${t['pdf-generated']}: ${new Date().toLocaleDateString(locale)}`, this.pageWidth - this.margin, footerY, { align: 'right' });
+        }
+    },
+
+    // ---- Sections ----
+
+    renderStrategic() {
+        const t = translations[currentLanguage];
+        this.keyValues([[t['label-stratProjectName'], strategicData.projectName]]);
+        [['label-problemOpportunity', strategicData.problem], ['label-proposedSolution', strategicData.solution], ['label-successMetrics', strategicData.metrics]]
+            .forEach(([key, text]) => {
+                this.subheading(t[key]);
+                this.paragraph(text || '-');
+            });
+
+        if (strategicAnalysis) {
+            this.subheading(`${t['pdf-viability']}: ${strategicAnalysis.viability}/100`);
+            [['pdf-strengths', strategicAnalysis.strengths], ['pdf-weaknesses', strategicAnalysis.weaknesses], ['pdf-risks', strategicAnalysis.risks]]
+                .forEach(([key, items]) => {
+                    if (items.length === 0) return;
+                    this.subheading(t[key]);
+                    this.bullets(items.map(item => item.text));
+                });
+            this.subheading(t['pdf-strategic-recommendation']);
+            this.paragraph(strategicAnalysis.recommendation);
+        }
+    },
+
+    renderAssumptions() {
+        const t = translations[currentLanguage];
+        this.keyValues([
+            [t['label-projectName'], projectData.projectName],
+            [t['label-currency'], projectData.currency],
+            [withCurrency(t['label-initialInvestment']), this.money(projectData.initialInvestment)],
+            [t['label-discountRate'], projectData.discountRate + '%'],
+            [t['label-discountTiming'], t[`option-timing-${projectData.discountTiming}`]],
+            [t['label-projectDuration'], projectData.projectDuration],
+            [withCurrency(t['label-yearlyRevenue']), this.money(projectData.yearlyRevenue)],
+            [t['label-revenueGrowth'], projectData.revenueGrowth + '%'],
+            [withCurrency(t['label-operatingCosts']), this.money(projectData.operatingCosts)],
+            [withCurrency(t['label-maintenanceCosts']), this.money(projectData.maintenanceCosts)],
+            [t['label-operatingCostEscalation'], projectData.operatingCostEscalation + '%'],
+            [t['label-maintenanceCostEscalation'], projectData.maintenanceCostEscalation + '%'],
+            [t['label-goLiveDelay'], projectData.goLiveDelay],
+            [t['label-revenueRampCurve'], t[`option-revenue-ramp-${projectData.revenueRampCurve}`]],
+            ...(['linear', 's-curve'].includes(projectData.revenueRampCurve) ? [[t['label-revenueRampMonths'], projectData.revenueRampMonths]] : []),
+            ...(projectData.revenueRampCurve === 'custom' ? [[t['label-revenueRampPercentages'], projectData.revenueRampPercentages.map(percent => percent + '%').join(', ')]] : []),
+            [t['label-receivableDays'], projectData.receivableDays],
+            [t['label-payableDays'], projectData.payableDays],
+            [t['label-inflationRate'], projectData.inflationRate + '%'],
+            [t['label-valuationBasis'], t[`option-basis-${projectData.valuationBasis}`]],
+            [t['label-terminalValueMethod'], t[`option-terminal-${projectData.terminalValueMethod}`]],
+            ...(projectData.terminalValueMethod === 'perpetuity' ? [[t['label-terminalGrowth'], projectData.terminalGrowth + '%']] : []),
+            ...(projectData.terminalValueMethod === 'multiple' ? [[t['label-exitMultiple'], projectData.exitMultiple + '×']] : []),
+            [t['label-taxRate'], projectData.taxRate + '%'],
+            [t['label-depreciationMethod'], t[`option-depreciation-${projectData.depreciationMethod}`]],
+            [t['label-usefulLife'], projectData.usefulLife],
+            ...(projectData.loanAmount > 0 ? [
+                [withCurrency(t['label-loanAmount']), this.money(projectData.loanAmount)],
+                [t['label-loanRate'], projectData.loanRate + '%'],
+                [t['label-loanTerm'], projectData.loanTerm],
+                [t['label-amortizationMethod'], t[`option-amortization-${projectData.amortizationMethod}`]],
+                [t['label-gracePeriod'], projectData.gracePeriod]
+            ] : []),
+            [t['label-bestCaseMultiplier'], projectData.bestCaseMultiplier],
+            [t['label-worstCaseMultiplier'], projectData.worstCaseMultiplier]
+        ]);
+
+        const tranches = projectData.investmentSchedule || [];
+        if (tranches.length > 0) {
+            this.y += 2;
+            this.subheading(t['subsection-capex']);
+            this.table(
+                [
+                    { title: t['capex-col-name'], width: 60 },
+                    { title: withCurrency(t['capex-col-amount']), width: 35, align: 'right' },
+                    { title: t['capex-col-month'], width: 25, align: 'right' },
+                    { title: t['capex-col-recurrence'], width: 30 },
+                    { title: t['capex-col-end'], width: 20, align: 'right' }
+                ],
+                tranches.map(tranche => [tranche.name || '-', this.money(tranche.amount), tranche.month,
+                    t[`capex-recurrence-${tranche.recurrence}`], tranche.endMonth === null ? '-' : tranche.endMonth])
+            );
+        }
+
+        const lines = projectData.lineItems || [];
+        if (lines.length > 0) {
+            this.y += 2;
+            this.subheading(t['subsection-line-items']);
+            this.table(
+                [
+                    { title: t['line-col-type'], width: 22 },
+                    { title: t['line-col-name'], width: 50 },
+                    { title: withCurrency(t['line-col-amount']), width: 32, align: 'right' },
+                    { title: t['line-col-start'], width: 22, align: 'right' },
+                    { title: t['line-col-end'], width: 22, align: 'right' },
+                    { title: t['line-col-growth'], width: 22, align: 'right' }
+                ],
+                lines.map(line => [t[`line-type-${line.type}`], line.name || '-', this.money(line.amount), line.startMonth,
+                    line.endMonth === null ? '-' : line.endMonth, line.growth + '%'])
+            );
+        }
+    },
+
+    renderMetrics() {
+        const t = translations[currentLanguage];
+        const metrics = scenarioMetrics.expected;
+        this.keyValues([
+            [t['metric-roi'], this.percent(metrics.roi)],
+            [t['metric-npv'], this.money(metrics.npv)],
+            ...(metrics.terminalValue ? [[t['terminal-value-pv'], this.money(metrics.terminalValue.presentValue)]] : []),
+            [t['metric-irr'], this.irrText(metrics)],
+            [t['label-mirr'], this.percent(metrics.mirr)],
+            [t['metric-payback'], `${metrics.paybackPeriod.toFixed(1)} ${t['unit-months']}`],
+            [t['metric-discounted-payback'], `${metrics.discountedPaybackPeriod.toFixed(1)} ${t['unit-months']}`],
+            [t['metric-pi'], metrics.profitabilityIndex === null ? '—' : metrics.profitabilityIndex.toFixed(2)],
+            [t['metric-eaa'], this.money(metrics.eaa)],
+            [t['metric-peak-cash'], this.money(metrics.peakCash)],
+            [t['export-total-investment'], this.money(metrics.totalInvestment)],
+            [t['export-total-net-cashflow'], this.money(metrics.totalRevenue)]
+        ]);
+
+        if (projectData.taxRate > 0) {
+            const afterTax = label => `${label} (${t['tax-after-tax-suffix']})`;
+            this.y += 2;
+            this.keyValues([
+                [afterTax(t['metric-roi']), this.percent(metrics.afterTax.roi)],
+                [afterTax(t['metric-npv']), this.money(metrics.afterTax.npv)],
+                [afterTax(t['metric-irr']), this.irrText(metrics.afterTax)],
+                [afterTax(t['metric-payback']), `${metrics.afterTax.paybackPeriod.toFixed(1)} ${t['unit-months']}`],
+                [t['tax-total'], this.money(metrics.afterTax.totalTax)],
+                [t['tax-shield'], this.money(metrics.afterTax.taxShield)]
+            ]);
+        }
+
+        if (metrics.financing) {
+            const { financing } = metrics;
+            this.y += 2;
+            this.keyValues([
+                [t['metric-equity-irr'], financing.equityIRR === null ? t[`irr-value-${financing.equityIRRStatus}`] : this.percent(financing.equityIRR)],
+                [t['metric-equity-payback'], financing.equityPayback.toFixed(1)],
+                [t['financing-total-interest'], this.money(financing.totalInterest)],
+                [t['financing-min-dscr'], financing.minDSCR === null ? '—' : financing.minDSCR.toFixed(2) + '×']
+            ]);
+        }
+    },
+
+    renderScenarios() {
+        const t = translations[currentLanguage];
+        const rows = [
+            [t['metric-roi'], metrics => this.percent(metrics.roi)],
+            [t['metric-npv'], metrics => this.money(metrics.npv)],
+            [t['metric-irr'], metrics => this.irrText(metrics)],
+            [t['label-mirr'], metrics => this.percent(metrics.mirr)],
+            [`${t['metric-payback']} (${t['unit-months']})`, metrics => metrics.paybackPeriod.toFixed(1)],
+            [`${t['metric-discounted-payback']} (${t['unit-months']})`, metrics => metrics.discountedPaybackPeriod.toFixed(1)],
+            [t['metric-pi'], metrics => (metrics.profitabilityIndex === null ? '—' : metrics.profitabilityIndex.toFixed(2))],
+            [t['metric-eaa'], metrics => this.money(metrics.eaa)],
+            [t['metric-peak-cash'], metrics => this.money(metrics.peakCash)]
+        ];
+        this.table(
+            [{ title: t['export-summary-metrics'], width: 62 }, ...this.scenarios.map(scenario => ({ title: t[`scenario-${scenario}`], width: 36, align: 'right' }))],
+            rows.map(([label, format]) => [label, ...this.scenarios.map(scenario => format(scenarioMetrics[scenario]))])
+        );
+    },
+
+    renderCharts() {
+        const t = translations[currentLanguage];
+        const { width, height } = this.chartSize;
+        this.CHARTS.filter(key => charts[key]).forEach((key, index) => {
+            const caption = t[`pdf-figure-${key}`]
+                .replace('{range}', SensitivityPanel.result ? SensitivityPanel.result.range : '');
+            this.figure(ChartManager.toImage(charts[key], width, height), width / height, `${t['pdf-figure']} ${index + 1}. ${caption}`);
+        });
+    },
+
+    renderSensitivity() {
+        const t = translations[currentLanguage];
+        const range = SensitivityPanel.result.range;
+        this.paragraph(t['pdf-sensitivity-note'].replace('{range}', range));
+        this.y += 2;
+        this.table(
+            [
+                { title: t['sens-col-input'], width: 62 },
+                { title: t['sens-col-npv-low'].replace('{range}', range), width: 36, align: 'right' },
+                { title: t['sens-col-npv-high'].replace('{range}', range), width: 36, align: 'right' },
+                { title: t['sens-col-swing'], width: 36, align: 'right' }
+            ],
+            SensitivityPanel.tableRows().map(row => [row.label, row.low, row.high, row.swing])
+        );
+    },
+
+    renderCashflow() {
+        const t = translations[currentLanguage];
+        // With taxes the after-tax flow takes the place of the cumulative one; collection and
+        // payment lags add the working capital change
+        const lagged = projectData.receivableDays > 0 || projectData.payableDays > 0;
+        const columns = ['month', 'revenue', 'costs', 'investment', ...(lagged ? ['workingCapitalChange'] : []), 'netCashFlow',
+            ...(projectData.taxRate > 0 ? ['tax', 'afterTaxCashFlow'] : ['cumulativeCashFlow'])];
+        const columnWidth = 155 / (columns.length - 1);
+        const schedule = FinancialCalculator.generateCashFlowSchedule(buildScenarioData(projectData).expected);
+        this.paragraph(t['pdf-cashflow-note']);
+        this.y += 2;
+        this.table(
+            columns.map(column => ({ title: t[`cashflow-col-${column}`], width: column === 'month' ? 15 : columnWidth, align: 'right' })),
+            schedule.map(row => columns.map(column => (column === 'month' ? row.month : this.money(row[column]))))
+        );
+    },
+
+    renderRecommendations() {
+        this.bullets(RecommendationEngine.current.map(recommendation => RecommendationEngine.formatText(recommendation)));
+    }
+};
+
+// Auto-calculate on input change (debounced)
+let autoCalcTimeout;
+function scheduleAutoCalculate() {
+    clearTimeout(autoCalcTimeout);
+    autoCalcTimeout = setTimeout(() => {
+        // Persist the edit to the draft and the open library case
+        ProjectLibrary.autosave();
+        
+        // Only auto-calculate if we have already calculated once
+        if (projectData && document.getElementById('projectForm').checkValidity()) {
+            document.getElementById('projectForm').dispatchEvent(new Event('submit'));
+        }
+    }, 1500);
+}
+
+// Line item rows have no id and report their own edits through LineItemEditor
+const formInputs = document.querySelectorAll('#projectForm input[id], #projectForm select[id]');
+formInputs.forEach(input => {
+    input.addEventListener('input', scheduleAutoCalculate);
+});
+
+// Strategic Form Handler
+document.getElementById('strategicForm').addEventListener('submit', function(e) {
+    e.preventDefault();
+    handleStrategicSubmit();
+});
+
+function handleStrategicSubmit() {
+    // Collect strategic form data
+    strategicData = {
+        projectName: document.getElementById('stratProjectName').value,
+        problem: document.getElementById('problemOpportunity').value,
+        solution: document.getElementById('proposedSolution').value,
+        metrics: document.getElementById('successMetrics').value
+    };
+    
+    UIUpdater.showLoading();
+    
+    // Run the configured provider; it falls back to the built-in analysis on failure
+    return StrategicAnalysisService.analyze(strategicData)
+        .then(analysis => {
+            strategicAnalysis = analysis;
+            displayStrategicAnalysis(analysis);
+            ProjectLibrary.autosave();
+        })
+        .finally(() => UIUpdater.hideLoading());
+}
+
+// ====================================
+// Recommendation Rule Settings
+// ====================================
+
+// Company-wide rule set for RecommendationEngine, kept in localStorage rather than per case
+const RecommendationSettings = {
+    storageKey: 'bca-recommendation-rules',
+    preset: 'standard',
+    ruleSet: RecommendationRules.preset('standard'),
+
+    init() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey));
+            if (stored && RecommendationRules.validate(stored.ruleSet).length === 0) {
+                this.preset = stored.preset;
+                this.ruleSet = stored.ruleSet;
+            }
+        } catch (error) {
+            // Unreadable settings fall back to the standard preset
+        }
+        this.render();
+    },
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({ preset: this.preset, ruleSet: this.ruleSet }));
+        } catch (error) {
+            console.warn('Could not write recommendation rules to localStorage:', error);
+        }
+    },
+
+    // Persist, redraw the table and re-evaluate the current case
+    changed() {
+        this.save();
+        this.render();
+        if (projectData && scenarioMetrics) {
+            RecommendationEngine.displayRecommendations(RecommendationEngine.generateRecommendations(
+                scenarioMetrics.expected, scenarioMetrics.best, scenarioMetrics.worst, projectData));
+        }
+    },
+
+    selectPreset(name) {
+        if (!(name in RecommendationRules.PRESET_THRESHOLDS)) return;
+        this.preset = name;
+        this.ruleSet = RecommendationRules.preset(name);
+        this.changed();
+    },
+
+    // Edits turn the rule set into a custom one
+    updateCondition(ruleIndex, conditionIndex, value) {
+        const number = parseFloat(value);
+        if (!isFinite(number)) return;
+        this.ruleSet.rules[ruleIndex].when[conditionIndex].value = number;
+        this.markCustom();
+        // changed() saves and redraws too; without a case there is nothing to re-evaluate
+        if (projectData && scenarioMetrics) {
+            this.changed();
+        } else {
+            this.save();
+            this.render();
+        }
+    },
+
+    updateSeverity(ruleIndex, severity) {
+        this.ruleSet.rules[ruleIndex].severity = severity;
+        this.ruleSet.rules[ruleIndex].icon = RecommendationEngine.severityIcons[severity];
+        this.markCustom();
+        this.changed();
+    },
+
+    markCustom() {
+        if (this.preset !== 'custom') {
+            this.preset = 'custom';
+            const t = translations[currentLanguage];
+            this.ruleSet.name = `${t[`rules-preset-${this.ruleSet.name}`] || this.ruleSet.name} (${t['rules-preset-edited']})`;
+            document.getElementById('recommendationPreset').innerHTML = this.presetOptions();
+        }
+    },
+
+    exportJSON() {
+        const fileName = `recommendation-rules-${this.ruleSet.name.replace(/[^\w-]+/g, '_')}.json`;
+        downloadFile(fileName, JSON.stringify(this.ruleSet, null, 2) + '\n', 'application/json');
+    },
+
+    chooseFile() {
+        const input = document.getElementById('rulesImportInput');
+        input.value = '';
+        input.click();
+    },
+
+    importFile(file) {
+        if (!file) return;
+        const t = translations[currentLanguage];
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            let ruleSet;
+            try {
+                ruleSet = JSON.parse(reader.result);
+            } catch (error) {
+                alert(t['rules-import-invalid'].replace('{errors}', error.message));
+                return;
+            }
+
+            const errors = RecommendationRules.validate(ruleSet);
+            if (errors.length > 0) {
+                alert(t['rules-import-invalid'].replace('{errors}', '\n• ' + errors.join('\n• ')));
+                return;
+            }
+
+            this.preset = 'custom';
+            this.ruleSet = { ...ruleSet, name: ruleSet.name || file.name.replace(/\.json$/i, '') };
+            this.changed();
+        };
+        reader.onerror = () => alert(t['rules-import-invalid'].replace('{errors}', reader.error ? reader.error.message : file.name));
+        reader.readAsText(file);
+    },
+
+    presetOptions() {
+        const t = translations[currentLanguage];
+        const options = Object.keys(RecommendationRules.PRESET_THRESHOLDS).map(name =>
+            `<option value="${name}"${name === this.preset ? ' selected' : ''}>${t[`rules-preset-${name}`]}</option>`);
+        if (this.preset === 'custom') {
+            options.push(`<option value="custom" selected>${t['rules-preset-custom'].replace('{name}', escapeHTML(this.ruleSet.name || ''))}</option>`);
+        }
+        return options.join('');
+    },
+
+    render() {
+        const t = translations[currentLanguage];
+        const tbody = document.getElementById('recommendationRuleRows');
+        if (!tbody) return;
+
+        document.getElementById('recommendationPreset').innerHTML = this.presetOptions();
+        tbody.innerHTML = this.ruleSet.rules.map((rule, ruleIndex) => {
+            const conditions = (rule.when || []).map((condition, conditionIndex) => {
+                const value = typeof condition.value === 'number'
+                    ? `<input type="number" step="any" value="${condition.value}" onchange="RecommendationSettings.updateCondition(${ruleIndex}, ${conditionIndex}, this.value)">`
+                    : escapeHTML(String(condition.value));
+                return `<span class="rule-condition">${withCurrency(t[`rule-metric-${condition.metric}`])} ${escapeHTML(condition.operator)} ${value}</span>`;
+            }).join(` ${t['rules-and']} `) || t['rules-otherwise'];
+            const message = rule.messageKey
+                ? t[rule.messageKey]
+                : rule.message[currentLanguage] || rule.message.en || rule.message.es;
+
+            return `
+                <tr>
+                    <td>${escapeHTML(rule.group || '—')}</td>
+                    <td>${conditions}</td>
+                    <td>
+                        <select onchange="RecommendationSettings.updateSeverity(${ruleIndex}, this.value)">
+                            ${RecommendationRules.SEVERITIES.map(severity =>
+                                `<option value="${severity}"${severity === rule.severity ? ' selected' : ''}>${t[`rules-severity-${severity}`]}</option>`).join('')}
+                        </select>
+                    </td>
+                    <td class="rule-message">${escapeHTML(rule.icon || RecommendationEngine.severityIcons[rule.severity])} ${escapeHTML(message || '')}</td>
+                </tr>
+            `;
+        }).join('');
+    }
+};
+
+// ====================================
+// Goal Seek Panel
+// ====================================
+
+const GoalSeekPanel = {
+    result: null,
+
+    // Money inputs are shown in $, the rest in their own unit
+    moneyFields: ['initialInvestment', 'yearlyRevenue', 'operatingCosts', 'maintenanceCosts'],
+
+    formatValue(field, value) {
+        const t = translations[currentLanguage];
+        if (this.moneyFields.includes(field)) {
+            return formatMoney(value);
+        }
+        if (field === 'projectDuration') {
+            return `${value} ${t['unit-months']}`;
+        }
+        return value.toFixed(2) + '%';
+    },
+
+    formatMetric(metric, value) {
+        const t = translations[currentLanguage];
+        if (value === null) return '—';
+        if (metric === 'npv') return formatMoney(value);
+        if (metric === 'paybackPeriod') return `${value.toFixed(1)} ${t['unit-months']}`;
+        return value.toFixed(2) + '%';
+    },
+
+    solve() {
+        const t = translations[currentLanguage];
+        if (!projectData) {
+            alert(t['goal-seek-calculate-first']);
+            return;
+        }
+
+        const field = document.getElementById('goalSeekField').value;
+        const metric = document.getElementById('goalSeekMetric').value;
+        const target = parseFloat(document.getElementById('goalSeekTarget').value);
+        if (!isFinite(target)) {
+            alert(t['goal-seek-invalid-target']);
+            return;
+        }
+
+        const solved = GoalSeek.solve(projectData, field, metric, target);
+        this.result = solved.status === 'ok'
+            ? { field, metric, target, value: solved.value, metrics: solved.metrics }
+            : { field, metric, target, value: null };
+        this.renderResult();
+        this.drawChart();
+    },
+
+    // Write the solved value into the form and recalculate
+    apply() {
+        if (!this.result || this.result.value === null) return;
+        const { field, value } = this.result;
+        const rounded = field === 'projectDuration' ? value : Math.round(value * 100) / 100;
+        document.getElementById(field).value = String(rounded);
+
+        ProjectLibrary.autosave();
+        document.getElementById('projectForm').dispatchEvent(new Event('submit'));
+    },
+
+    clearResults() {
+        this.result = null;
+        document.getElementById('goalSeekResult').classList.add('hidden');
+        document.getElementById('btn-goal-seek-apply').classList.add('hidden');
+    },
+
+    // Cash flow chart with the solved case overlaid
+    drawChart() {
+        if (!scenarioMetrics) return;
+        const t = translations[currentLanguage];
+        const overlay = this.result && this.result.value !== null
+            ? { label: t['chart-goal-seek'], cashFlows: this.result.metrics.cashFlows }
+            : null;
+        ChartManager.createCashFlowChart(scenarioMetrics.expected.cashFlows, projectData.projectDuration, overlay);
+    },
+
+    render() {
+        const t = translations[currentLanguage];
+        const fieldSelect = document.getElementById('goalSeekField');
+        const metricSelect = document.getElementById('goalSeekMetric');
+        if (!fieldSelect) return;
+
+        const field = fieldSelect.value || 'yearlyRevenue';
+        const metric = metricSelect.value || 'npv';
+        fieldSelect.innerHTML = Object.keys(GoalSeek.FIELDS).map(name =>
+            `<option value="${name}"${name === field ? ' selected' : ''}>${withCurrency(t[`label-${name}`])}</option>`).join('');
+        metricSelect.innerHTML = GoalSeek.METRICS.map(name =>
+            `<option value="${name}"${name === metric ? ' selected' : ''}>${withCurrency(t[`goal-metric-${name}`])}</option>`).join('');
+
+        if (this.result) {
+            this.renderResult();
+        }
+    },
+
+    renderResult() {
+        const t = translations[currentLanguage];
+        const { field, metric, target, value } = this.result;
+        const container = document.getElementById('goalSeekResult');
+        const applyButton = document.getElementById('btn-goal-seek-apply');
+
+        if (value === null) {
+            container.innerHTML = `<p>${t['goal-seek-not-found']
+                .replace('{field}', withCurrency(t[`label-${field}`]))
+                .replace('{metric}', withCurrency(t[`goal-metric-${metric}`]))
+                .replace('{target}', this.formatMetric(metric, target))}</p>`;
+            applyButton.classList.add('hidden');
+        } else {
+            const metrics = this.result.metrics;
+            container.innerHTML = `
+                <p><strong>${withCurrency(t[`label-${field}`])} = ${this.formatValue(field, value)}</strong></p>
+                <p>${t['goal-seek-outcome']
+                    .replace('{npv}', this.formatMetric('npv', metrics.npv))
+                    .replace('{irr}', this.formatMetric('irr', metrics.irr))
+                    .replace('{roi}', this.formatMetric('roi', metrics.roi))
+                    .replace('{payback}', this.formatMetric('paybackPeriod', metrics.paybackPeriod))}</p>
+            `;
+            applyButton.classList.remove('hidden');
+        }
+        container.classList.remove('hidden');
+    }
+};
+
+// ====================================
+// Sensitivity Analysis Panel
+// ====================================
+
+const SensitivityPanel = {
+    range: 10,
+    result: null,
+
+    update(value) {
+        const range = parseFloat(value);
+        if (!(range > 0 && range < 100)) return;
+        this.range = range;
+        this.refresh();
+    },
+
+    // Recompute the tornado for the expected case
+    refresh() {
+        if (!projectData) return;
+        this.result = SensitivityAnalysis.analyze(projectData, this.range);
+        this.render();
+    },
+
+    clearResults() {
+        this.result = null;
+        this.render();
+        if (charts.tornado) {
+            charts.tornado.destroy();
+            charts.tornado = null;
+        }
+    },
+
+    // Table rows shared by the tab and the PDF export
+    tableRows() {
+        const t = translations[currentLanguage];
+        const money = amount => formatMoney(amount);
+        const rate = value => (value === null ? '—' : value.toFixed(2) + '%');
+
+        return this.result.rows.map(row => ({
+            label: withCurrency(t[`label-${row.field}`]),
+            low: money(row.low.npv),
+            high: money(row.high.npv),
+            swing: money(row.swing),
+            irr: `${rate(row.low.irr)} / ${rate(row.high.irr)}`,
+            payback: `${row.low.paybackPeriod.toFixed(1)} / ${row.high.paybackPeriod.toFixed(1)}`
+        }));
+    },
+
+    render() {
+        const t = translations[currentLanguage];
+        const table = document.getElementById('sensitivityTable');
+        if (!table) return;
+
+        if (!this.result) {
+            table.innerHTML = `<tbody><tr><td class="line-items-empty">${t['sens-empty']}</td></tr></tbody>`;
+            return;
+        }
+
+        const range = this.result.range;
+        table.innerHTML = `
+            <thead>
+                <tr>
+                    <th>${t['sens-col-input']}</th>
+                    <th class="numeric">${t['sens-col-npv-low'].replace('{range}', range)}</th>
+                    <th class="numeric">${t['sens-col-npv-high'].replace('{range}', range)}</th>
+                    <th class="numeric">${t['sens-col-swing']}</th>
+                    <th class="numeric">${t['sens-col-irr'].replace(/\{range\}/g, range)}</th>
+                    <th class="numeric">${t['sens-col-payback'].replace(/\{range\}/g, range)}</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${this.tableRows().map(row => `
+                    <tr>
+                        <td>${row.label}</td>
+                        <td class="numeric">${row.low}</td>
+                        <td class="numeric">${row.high}</td>
+                        <td class="numeric">${row.swing}</td>
+                        <td class="numeric">${row.irr}</td>
+                        <td class="numeric">${row.payback}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        `;
+        ChartManager.createTornadoChart(this.result);
+    }
+};
+
+// ====================================
+// Monte Carlo Risk Simulation Panel
+// ====================================
+
+const MonteCarloPanel = {
+    variables: RiskSimulation.defaultVariables(),
+    summary: null,
+    running: false,
+
+    // Inputs each distribution uses; the others are disabled in the table
+    distributionFields: {
+        fixed: ['mode'],
+        uniform: ['min', 'max'],
+        triangular: ['min', 'mode', 'max'],
+        pert: ['min', 'mode', 'max'],
+        normal: ['mode', 'stdDev']
+    },
+
+    getConfig() {
+        const variables = {};
+        Object.entries(this.variables).forEach(([name, variable]) => {
+            variables[name] = { ...variable };
+        });
+        return {
+            variables,
+            iterations: parseInt(document.getElementById('mcIterations').value) || 5000,
+            seed: parseInt(document.getElementById('mcSeed').value) || 0
+        };
+    },
+
+    setConfig(config) {
+        const defaults = RiskSimulation.defaultVariables();
+        const variables = (config && config.variables) || {};
+        Object.keys(defaults).forEach(name => {
+            defaults[name] = { ...defaults[name], ...(variables[name] || {}) };
+        });
+        this.variables = defaults;
+
+        if (config && config.iterations) {
+            document.getElementById('mcIterations').value = String(config.iterations);
+        }
+        if (config && config.seed !== undefined) {
+            document.getElementById('mcSeed').value = String(config.seed);
+        }
+        this.render();
+    },
+
+    update(name, field, value) {
+        const variable = this.variables[name];
+        if (!variable) return;
+
+        if (field === 'distribution') {
+            variable.distribution = value;
+            this.render();
+        } else {
+            variable[field] = parseOptionalFloat(value);
+        }
+        ProjectLibrary.scheduleAutosave();
+    },
+
+    // Human-readable problems with the configured distributions
+    validate() {
+        const t = translations[currentLanguage];
+        const errors = [];
+
+        Object.entries(this.variables).forEach(([name, variable]) => {
+            const fields = this.distributionFields[variable.distribution] || [];
+            const label = t[`mc-var-${name}`];
+            if (fields.some(field => typeof variable[field] !== 'number' || !isFinite(variable[field]))) {
+                errors.push(`${label}: ${t['mc-error-missing']}`);
+            } else if (['triangular', 'pert'].includes(variable.distribution) &&
+                       !(variable.min <= variable.mode && variable.mode <= variable.max && variable.min < variable.max)) {
+                errors.push(`${label}: ${t['mc-error-order']}`);
+            } else if (variable.distribution === 'uniform' && !(variable.min < variable.max)) {
+                errors.push(`${label}: ${t['mc-error-range']}`);
+            } else if (variable.distribution === 'normal' && variable.stdDev < 0) {
+                errors.push(`${label}: ${t['mc-error-stddev']}`);
+            }
+        });
+        return errors;
+    },
+
+    run() {
+        const t = translations[currentLanguage];
+        if (this.running) return;
+        if (!projectData) {
+            alert(t['mc-calculate-first']);
+            return;
+        }
+
+        const errors = this.validate();
+        if (errors.length > 0) {
+            alert(t['mc-invalid'] + '\n\n' + errors.join('\n'));
+            return;
+        }
+
+        const config = this.getConfig();
+        const job = { data: projectData, variables: config.variables, iterations: config.iterations, seed: config.seed };
+
+        this.running = true;
+        document.getElementById('btn-run-simulation').disabled = true;
+        this.setProgress(0, job.iterations);
+
+        const finish = summary => {
+            this.running = false;
+            document.getElementById('btn-run-simulation').disabled = false;
+            document.getElementById('mcProgress').textContent = '';
+            this.summary = { ...summary, afterTax: job.data.taxRate > 0 };
+            this.renderResults();
+        };
+        this.runInWorker(job, finish, () => this.runOnMainThread(job, finish));
+    },
+
+    runInWorker(job, onDone, onUnavailable) {
+        if (typeof Worker === 'undefined') {
+            onUnavailable();
+            return;
+        }
+
+        let worker;
+        try {
+            worker = new Worker('monte-carlo-worker.js');
+        } catch (error) {
+            onUnavailable();
+            return;
+        }
+
+        worker.onmessage = event => {
+            if (event.data.type === 'progress') {
+                this.setProgress(event.data.completed, event.data.iterations);
+            } else {
+                worker.terminate();
+                onDone(event.data.summary);
+            }
+        };
+        // Browsers refuse workers for pages opened from file://; fall back to the main thread
+        worker.onerror = event => {
+            event.preventDefault();
+            worker.terminate();
+            onUnavailable();
+        };
+        worker.postMessage(job);
+    },
+
+    // Fallback without a worker: small chunks keep the page responsive
+    runOnMainThread(job, onDone) {
+        const random = RiskSimulation.createRandom(job.seed);
+        const npvs = [];
+        const step = () => {
+            const count = Math.min(500, job.iterations - npvs.length);
+            npvs.push(...RiskSimulation.runIterations(job.data, job.variables, count, random));
+            this.setProgress(npvs.length, job.iterations);
+            if (npvs.length < job.iterations) {
+                setTimeout(step, 0);
+            } else {
+                onDone(RiskSimulation.summarize(npvs));
+            }
+        };
+        setTimeout(step, 0);
+    },
+
+    setProgress(completed, iterations) {
+        const t = translations[currentLanguage];
+        document.getElementById('mcProgress').textContent = t['mc-progress']
+            .replace('{percent}', Math.round(completed / iterations * 100));
+    },
+
+    clearResults() {
+        this.summary = null;
+        document.getElementById('mcResults').classList.add('hidden');
+        if (charts.monteCarlo) {
+            charts.monteCarlo.destroy();
+            charts.monteCarlo = null;
+        }
+    },
+
+    render() {
+        const t = translations[currentLanguage];
+        const tbody = document.getElementById('mcVariableRows');
+        if (!tbody) return;
+
+        const value = field => (typeof field === 'number' && isFinite(field) ? field : '');
+        tbody.innerHTML = Object.entries(this.variables).map(([name, variable]) => {
+            const fields = this.distributionFields[variable.distribution] || [];
+            const input = field => `<input type="number" step="any" value="${value(variable[field])}" ${fields.includes(field) ? '' : 'disabled'} oninput="MonteCarloPanel.update('${name}', '${field}', this.value)">`;
+            return `
+                <tr>
+                    <td>${t[`mc-var-${name}`]} <span class="mc-unit">(${t[`mc-unit-${RiskSimulation.VARIABLES[name].unit}`]})</span></td>
+                    <td>
+                        <select onchange="MonteCarloPanel.update('${name}', 'distribution', this.value)">
+                            ${RiskSimulation.DISTRIBUTIONS.map(distribution =>
+                                `<option value="${distribution}"${variable.distribution === distribution ? ' selected' : ''}>${t[`mc-dist-${distribution}`]}</option>`).join('')}
+                        </select>
+                    </td>
+                    <td>${input('min')}</td>
+                    <td>${input('mode')}</td>
+                    <td>${input('max')}</td>
+                    <td>${input('stdDev')}</td>
+                </tr>
+            `;
+        }).join('');
+
+        if (this.summary) {
+            this.renderResults();
+        }
+    },
+
+    renderResults() {
+        const t = translations[currentLanguage];
+        const locale = currentLanguage === 'es' ? 'es-ES' : 'en-US';
+        const money = amount => formatMoney(amount);
+        const summary = this.summary;
+
+        const stats = [
+            ['mc-stat-p10', money(summary.p10)],
+            ['mc-stat-p50', money(summary.p50)],
+            ['mc-stat-p90', money(summary.p90)],
+            ['mc-stat-mean', money(summary.mean)],
+            ['mc-stat-negative', (summary.probabilityNegative * 100).toFixed(1) + '%']
+        ];
+        const results = document.getElementById('mcResults');
+        results.innerHTML = stats.map(([key, text]) => `
+            <div class="mc-stat">
+                <div class="mc-stat-label">${t[key]}</div>
+                <div class="mc-stat-value">${text}</div>
+            </div>
+        `).join('') + `<p class="mc-footnote">${t[summary.afterTax ? 'mc-footnote-after-tax' : 'mc-footnote'].replace('{iterations}', summary.iterations.toLocaleString(locale))}</p>`;
+        results.classList.remove('hidden');
+
+        ChartManager.createMonteCarloChart(summary);
+    }
+};
+
+// ====================================
+// Capital Investment Schedule
+// ====================================
+
+const InvestmentScheduleEditor = {
+    items: [],
+
+    numericFields: ['amount', 'month', 'endMonth'],
+
+    generateId() {
+        return 'capex-' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+    },
+
+    // Clean copy of a tranche as stored in projectData; ids that are not plain tokens are replaced
+    normalize(item) {
+        const number = (value, fallback) => (typeof value === 'number' && isFinite(value) ? value : fallback);
+        const endMonth = number(item.endMonth, null);
+
+        return {
+            id: typeof item.id === 'string' && /^[\w-]+$/.test(item.id) ? item.id : this.generateId(),
+            name: String(item.name || ''),
+            amount: number(item.amount, 0),
+            month: Math.max(0, Math.round(number(item.month, 1))),
+            recurrence: item.recurrence in FinancialCalculator.INVESTMENT_RECURRENCES ? item.recurrence : 'once',
+            endMonth: endMonth === null ? null : Math.max(0, Math.round(endMonth))
+        };
+    },
+
+    getItems() {
+        return this.items.map(item => this.normalize(item));
+    },
+
+    setItems(items) {
+        this.items = (items || []).map(item => this.normalize(item));
+        this.render();
+    },
+
+    add() {
+        const item = this.normalize({});
+        this.items.push(item);
+        this.render();
+        scheduleAutoCalculate();
+
+        const nameInput = document.querySelector(`#investmentRows tr[data-id="${item.id}"] input[data-field="name"]`);
+        if (nameInput) nameInput.focus();
+    },
+
+    remove(id) {
+        this.items = this.items.filter(item => item.id !== id);
+        this.render();
+        scheduleAutoCalculate();
+    },
+
+    update(id, field, value) {
+        const item = this.items.find(tranche => tranche.id === id);
+        if (!item) return;
+
+        item[field] = this.numericFields.includes(field) ? parseOptionalFloat(value) : value;
+        if (field === 'recurrence') {
+            this.render();
+        }
+        scheduleAutoCalculate();
+    },
+
+    render() {
+        const t = translations[currentLanguage];
+        const tbody = document.getElementById('investmentRows');
+        if (!tbody) return;
+
+        if (this.items.length === 0) {
+            tbody.innerHTML = `<tr><td colspan="6" class="line-items-empty">${t['capex-empty']}</td></tr>`;
+            return;
+        }
+
+        const value = field => (field === null || field === undefined ? '' : escapeHTML(field));
+
+        tbody.innerHTML = this.items.map(item => `
+            <tr data-id="${item.id}">
+                <td><input type="text" data-field="name" value="${value(item.name)}" placeholder="${t['capex-name-placeholder']}" oninput="InvestmentScheduleEditor.update('${item.id}', 'name', this.value)"></td>
+                <td><input type="number" data-field="amount" value="${value(item.amount)}" min="0" step="1000" oninput="InvestmentScheduleEditor.update('${item.id}', 'amount', this.value)"></td>
+                <td><input type="number" data-field="month" value="${value(item.month)}" min="0" step="1" oninput="InvestmentScheduleEditor.update('${item.id}', 'month', this.value)"></td>
+                <td>
+                    <select data-field="recurrence" onchange="InvestmentScheduleEditor.update('${item.id}', 'recurrence', this.value)">
+                        ${Object.keys(FinancialCalculator.INVESTMENT_RECURRENCES).map(recurrence =>
+                            `<option value="${recurrence}"${item.recurrence === recurrence ? ' selected' : ''}>${t[`capex-recurrence-${recurrence}`]}</option>`).join('')}
+                    </select>
+                </td>
+                <td><input type="number" data-field="endMonth" value="${value(item.endMonth)}" min="0" step="1" placeholder="${t['line-end-placeholder']}" ${item.recurrence === 'once' ? 'disabled' : ''} oninput="InvestmentScheduleEditor.update('${item.id}', 'endMonth', this.value)"></td>
+                <td><button type="button" class="btn-secondary" onclick="InvestmentScheduleEditor.remove('${item.id}')" title="${t['capex-remove']}">✕</button></td>
+            </tr>
+        `).join('');
+    }
+};
+
+// ====================================
+// Itemized Revenue and Cost Lines
+// ====================================
+
+const LineItemEditor = {
+    items: [],
+
+    numericFields: ['amount', 'startMonth', 'endMonth', 'growth', 'rampMonths'],
+
+    generateId() {
+        return 'line-' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+    },
+
+    // Clean copy of a line as stored in projectData: numbers parsed, months clamped to whole months.
+    // Ids end up in inline handlers, so anything but a plain token is replaced with a fresh one.
+    normalize(item) {
+        const number = (value, fallback) => (typeof value === 'number' && isFinite(value) ? value : fallback);
+        const endMonth = number(item.endMonth, null);
+
+        return {
+            id: typeof item.id === 'string' && /^[\w-]+$/.test(item.id) ? item.id : this.generateId(),
+            type: item.type === 'cost' ? 'cost' : 'revenue',
+            name: String(item.name || ''),
+            amount: number(item.amount, 0),
+            startMonth: Math.max(1, Math.round(number(item.startMonth, 1))),
+            endMonth: endMonth === null ? null : Math.max(1, Math.round(endMonth)),
+            growth: number(item.growth, 0),
+            rampMonths: Math.max(0, Math.round(number(item.rampMonths, 0))),
+            rampCurve: FinancialCalculator.RAMP_CURVES.includes(item.rampCurve) ? item.rampCurve : 'none'
+        };
+    },
+
+    getItems() {
+        return this.items.map(item => this.normalize(item));
+    },
+
+    setItems(items) {
+        this.items = (items || []).map(item => this.normalize(item));
+        this.render();
+    },
+
+    add(type) {
+        const item = this.normalize({ type });
+        this.items.push(item);
+        this.render();
+        scheduleAutoCalculate();
+
+        const nameInput = document.querySelector(`#lineItemRows tr[data-id="${item.id}"] input[data-field="name"]`);
+        if (nameInput) nameInput.focus();
+    },
+
+    remove(id) {
+        this.items = this.items.filter(item => item.id !== id);
+        this.render();
+        scheduleAutoCalculate();
+    },
+
+    update(id, field, value) {
+        const item = this.items.find(line => line.id === id);
+        if (!item) return;
+
+        item[field] = this.numericFields.includes(field) ? parseOptionalFloat(value) : value;
+        scheduleAutoCalculate();
+    },
+
+    render() {
+        const t = translations[currentLanguage];
+        const tbody = document.getElementById('lineItemRows');
+        if (!tbody) return;
+
+        if (this.items.length === 0) {
+            tbody.innerHTML = `<tr><td colspan="9" class="line-items-empty">${t['line-items-empty']}</td></tr>`;
+            return;
+        }
+
+        const value = field => (field === null || field === undefined ? '' : escapeHTML(field));
+        const option = (current, optionValue, label) =>
+            `<option value="${optionValue}"${current === optionValue ? ' selected' : ''}>${label}</option>`;
+
+        tbody.innerHTML = this.items.map(item => `
+            <tr data-id="${item.id}">
+                <td>
+                    <select data-field="type" onchange="LineItemEditor.update('${item.id}', 'type', this.value)">
+                        ${option(item.type, 'revenue', t['line-type-revenue'])}
+                        ${option(item.type, 'cost', t['line-type-cost'])}
+                    </select>
+                </td>
+                <td><input type="text" data-field="name" value="${value(item.name)}" placeholder="${t['line-name-placeholder']}" oninput="LineItemEditor.update('${item.id}', 'name', this.value)"></td>
+                <td><input type="number" data-field="amount" value="${value(item.amount)}" min="0" step="1000" oninput="LineItemEditor.update('${item.id}', 'amount', this.value)"></td>
+                <td><input type="number" data-field="startMonth" value="${value(item.startMonth)}" min="1" step="1" oninput="LineItemEditor.update('${item.id}', 'startMonth', this.value)"></td>
+                <td><input type="number" data-field="endMonth" value="${value(item.endMonth)}" min="1" step="1" placeholder="${t['line-end-placeholder']}" oninput="LineItemEditor.update('${item.id}', 'endMonth', this.value)"></td>
+                <td><input type="number" data-field="growth" value="${value(item.growth)}" step="0.1" oninput="LineItemEditor.update('${item.id}', 'growth', this.value)"></td>
+                <td><input type="number" data-field="rampMonths" value="${value(item.rampMonths)}" min="0" step="1" oninput="LineItemEditor.update('${item.id}', 'rampMonths', this.value)"></td>
+                <td>
+                    <select data-field="rampCurve" onchange="LineItemEditor.update('${item.id}', 'rampCurve', this.value)">
+                        ${FinancialCalculator.RAMP_CURVES.map(curve => option(item.rampCurve, curve, t[`line-ramp-${curve}`])).join('')}
+                    </select>
+                </td>
+                <td><button type="button" class="btn-secondary" onclick="LineItemEditor.remove('${item.id}')" title="${t['line-remove']}">✕</button></td>
+            </tr>
+        `).join('');
+    },
+
+    // Display name of a line: its own name, or the form label for the summary-field base lines
+    lineLabel(line) {
+        const t = translations[currentLanguage];
+        if (line.baseField) return t[`line-base-${line.baseField}`];
+        return line.name || t[`line-type-${line.type}`];
+    }
+};
+
+// ====================================
+// Strategic Analysis Providers
+// ====================================
+
+// Error raised by remote providers; `retryable` marks transient failures
+class LLMProviderError extends Error {
+    constructor(message, { status = null, retryable = false } = {}) {
+        super(message);
+        this.name = 'LLMProviderError';
+        this.status = status;
+        this.retryable = retryable;
+    }
+}
+
+// Strategic form fields an analysis item can be linked to ('general' when it spans several)
+const STRATEGIC_FIELDS = ['stratProjectName', 'problemOpportunity', 'proposedSolution', 'successMetrics'];
+
+const STRATEGIC_ANALYSIS_ITEM_SCHEMA = {
+    type: 'object',
+    additionalProperties: false,
+    required: ['text', 'field'],
+    properties: {
+        text: { type: 'string' },
+        field: { type: 'string', enum: [...STRATEGIC_FIELDS, 'general'] }
+    }
+};
+
+// JSON schema every provider response must satisfy before it is rendered
+const STRATEGIC_ANALYSIS_SCHEMA = {
+    type: 'object',
+    additionalProperties: false,
+    required: ['viability', 'strengths', 'weaknesses', 'risks', 'recommendation'],
+    properties: {
+        viability: { type: 'integer', minimum: 0, maximum: 100 },
+        strengths: { type: 'array', items: STRATEGIC_ANALYSIS_ITEM_SCHEMA, maxItems: 8 },
+        weaknesses: { type: 'array', items: STRATEGIC_ANALYSIS_ITEM_SCHEMA, maxItems: 8 },
+        risks: { type: 'array', items: STRATEGIC_ANALYSIS_ITEM_SCHEMA, maxItems: 8 },
+        recommendation: { type: 'string' }
+    }
+};
+
+const StrategicAnalysisService = {
+    storageKey: 'bca-llm-settings',
+    apiKeyStorageKey: 'bca-llm-api-key',
+
+    // Loaded by getSettings()
+    settings: null,
+
+    defaults: {
+        provider: 'mock',
+        baseUrl: '',
+        model: '',
+        apiKey: '',
+        timeoutMs: 30000,
+        maxRetries: 2,
+        retryDelayMs: 1000
+    },
+
+    providers: {
+        mock: {
+            async analyze(data) {
+                return generateMockLLMAnalysis(data);
+            }
+        },
+
+        // Any server implementing POST {baseUrl}/chat/completions (OpenAI, Azure proxies, vLLM, LM Studio...)
+        openai: {
+            defaultBaseUrl: 'https://api.openai.com/v1',
+            defaultModel: 'gpt-4o-mini',
+            async analyze(data, settings) {
+                const headers = { 'Content-Type': 'application/json' };
+                if (settings.apiKey) {
+                    headers.Authorization = `Bearer ${settings.apiKey}`;
+                }
+
+                const body = await StrategicAnalysisService.requestJSON(
+                    `${StrategicAnalysisService.trimUrl(settings.baseUrl || this.defaultBaseUrl)}/chat/completions`,
+                    {
+                        method: 'POST',
+                        headers,
+                        body: JSON.stringify({
+                            model: settings.model || this.defaultModel,
+                            temperature: 0,
+                            messages: StrategicAnalysisService.buildPrompt(data, currentLanguage),
+                            response_format: {
+                                type: 'json_schema',
+                                json_schema: { name: 'strategic_analysis', strict: true, schema: STRATEGIC_ANALYSIS_SCHEMA }
+                            }
+                        })
+                    },
+                    settings
+                );
+
+                const content = body && body.choices && body.choices[0] && body.choices[0].message
+                    ? body.choices[0].message.content
+                    : undefined;
+                return StrategicAnalysisService.parseAnalysis(content);
+            }
+        },
+
+        // Ollama-style local server: POST {baseUrl}/api/chat with a JSON schema in `format`
+        local: {
+            defaultBaseUrl: 'http://localhost:11434',
+            defaultModel: 'llama3.1',
+            async analyze(data, settings) {
+                const body = await StrategicAnalysisService.requestJSON(
+                    `${StrategicAnalysisService.trimUrl(settings.baseUrl || this.defaultBaseUrl)}/api/chat`,
+                    {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({
+                            model: settings.model || this.defaultModel,
+                            stream: false,
+                            format: STRATEGIC_ANALYSIS_SCHEMA,
+                            options: { temperature: 0 },
+                            messages: StrategicAnalysisService.buildPrompt(data, currentLanguage)
+                        })
+                    },
+                    settings
+                );
+
+                return StrategicAnalysisService.parseAnalysis(body && body.message ? body.message.content : undefined);
+            }
+        }
+    },
+
+    // Current settings: read from storage once, then kept in memory so they survive when
+    // storage is blocked or full
+    getSettings() {
+        if (!this.settings) {
+            let stored = {};
+            try {
+                stored = JSON.parse(localStorage.getItem(this.storageKey)) || {};
+            } catch (error) {
+                stored = {};
+            }
+            let apiKey = '';
+            try {
+                apiKey = (typeof sessionStorage !== 'undefined' && sessionStorage.getItem(this.apiKeyStorageKey)) || '';
+            } catch (error) {
+                apiKey = '';
+            }
+            this.settings = { ...this.defaults, ...stored, apiKey };
+        }
+        return { ...this.settings };
+    },
+
+    saveSettings(settings) {
+        const { apiKey, ...persisted } = settings;
+        this.settings = { ...this.defaults, ...settings };
+        // Storage can be full or disabled (private mode); the in-memory copy keeps the panel working
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(persisted));
+        } catch (error) {
+            console.warn('Could not write analysis provider settings to localStorage:', error);
+        }
+        // Keys never go to localStorage; they only survive for the browser session
+        try {
+            sessionStorage.setItem(this.apiKeyStorageKey, apiKey || '');
+        } catch (error) {
+            console.warn('Could not write the API key to sessionStorage:', error);
+        }
+    },
+
+    // Build the chat messages sent to remote providers from strategicData
+    buildPrompt(data, language) {
+        const languageName = language === 'es' ? 'Spanish' : 'English';
+        const system = [
+            'You are a senior business analyst reviewing an early-stage business case before financial modelling.',
+            'Judge strategic viability only from the text provided; do not invent facts, figures or stakeholders.',
+            'Score viability from 0 to 100, list concrete strengths, weaknesses (areas for improvement) and risks,',
+            'and finish with a one or two sentence recommendation on whether to proceed to financial projection.',
+            `Link every strength, weakness and risk to the input field it is based on (${STRATEGIC_FIELDS.join(', ')}),`,
+            'or "general" when it spans several fields.',
+            `Write every string in ${languageName}.`,
+            'Respond with a single JSON object that matches this JSON schema and nothing else:',
+            JSON.stringify(STRATEGIC_ANALYSIS_SCHEMA)
+        ].join(' ');
+
+        const user = [
+            `## Project name (stratProjectName)\n${data.projectName || ''}`,
+            `## Problem / opportunity (problemOpportunity)\n${data.problem || ''}`,
+            `## Proposed solution (proposedSolution)\n${data.solution || ''}`,
+            `## Success metrics / ROI (successMetrics)\n${data.metrics || ''}`
+        ].join('\n\n');
+
+        return [
+            { role: 'system', content: system },
+            { role: 'user', content: user }
+        ];
+    },
+
+    // Parse and validate a provider message against STRATEGIC_ANALYSIS_SCHEMA
+    parseAnalysis(content) {
+        if (typeof content !== 'string' || content.trim() === '') {
+            throw new LLMProviderError('Empty response from provider');
+        }
+
+        // Some models wrap JSON in markdown fences despite instructions
+        const json = content.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+        let parsed;
+        try {
+            parsed = JSON.parse(json);
+        } catch (error) {
+            throw new LLMProviderError('Provider response is not valid JSON');
+        }
+
+        // Items are { text, field }; plain strings are accepted and treated as 'general'
+        const isItem = item => typeof item === 'string' || (item && typeof item.text === 'string');
+        const isItemList = value => Array.isArray(value) && value.every(isItem);
+        const normalizeItems = list => list.map(item => typeof item === 'string'
+            ? { text: item, field: 'general' }
+            : { text: item.text, field: STRATEGIC_FIELDS.includes(item.field) ? item.field : 'general' });
+
+        if (!parsed || typeof parsed !== 'object' ||
+            typeof parsed.viability !== 'number' || !isFinite(parsed.viability) ||
+            !isItemList(parsed.strengths) || !isItemList(parsed.weaknesses) || !isItemList(parsed.risks) ||
+            typeof parsed.recommendation !== 'string') {
+            throw new LLMProviderError('Provider response does not match the analysis schema');
+        }
+
+        return {
+            viability: Math.round(Math.min(100, Math.max(0, parsed.viability))),
+            strengths: normalizeItems(parsed.strengths),
+            weaknesses: normalizeItems(parsed.weaknesses),
+            risks: normalizeItems(parsed.risks),
+            recommendation: parsed.recommendation
+        };
+    },
+
+    // fetch() with a per-attempt timeout and exponential backoff on transient failures
+    async requestJSON(url, init, settings) {
+        let lastError = null;
+
+        for (let attempt = 0; attempt <= settings.maxRetries; attempt++) {
+            if (attempt > 0) {
+                const waitMs = (lastError && lastError.retryAfterMs) || settings.retryDelayMs * Math.pow(2, attempt - 1);
+                await new Promise(resolve => setTimeout(resolve, waitMs));
+            }
+
+            const controller = new AbortController();
+            const timer = setTimeout(() => controller.abort(), settings.timeoutMs);
+
+            try {
+                const response = await fetch(url, { ...init, signal: controller.signal });
+                if (!response.ok) {
+                    const status = response.status;
+                    const error = new LLMProviderError(`HTTP ${status}`, {
+                        status,
+                        retryable: status === 408 || status === 429 || status >= 500
+                    });
+                    const retryAfter = parseFloat(response.headers.get('Retry-After'));
+                    if (!isNaN(retryAfter)) {
+                        error.retryAfterMs = Math.min(retryAfter * 1000, 30000);
+                    }
+                    throw error;
+                }
+                return await response.json();
+            } catch (error) {
+                if (error instanceof LLMProviderError) {
+                    lastError = error;
+                } else if (error.name === 'AbortError') {
+                    lastError = new LLMProviderError(`Timed out after ${settings.timeoutMs / 1000}s`, { retryable: true });
+                } else if (error instanceof SyntaxError) {
+                    lastError = new LLMProviderError('Provider returned malformed JSON');
+                } else {
+                    // fetch() rejects with TypeError on network/CORS failures
+                    lastError = new LLMProviderError(error.message || 'Network error', { retryable: true });
+                }
+                if (!lastError.retryable) {
+                    break;
+                }
+            } finally {
+                clearTimeout(timer);
+            }
+        }
+
+        throw lastError;
+    },
+
+    trimUrl(url) {
+        return String(url).replace(/\/+$/, '');
+    },
+
+    // Analyze with the configured provider, falling back to the built-in mock on any error
+    async analyze(data) {
+        const settings = this.getSettings();
+        const providerName = this.providers[settings.provider] ? settings.provider : 'mock';
+        const provider = this.providers[providerName];
+        const t = translations[currentLanguage];
+
+        try {
+            const analysis = await provider.analyze(data, settings);
+            const model = providerName === 'mock' ? '' : ` (${settings.model || provider.defaultModel})`;
+            return { ...analysis, source: t[`option-provider-${providerName}`] + model };
+        } catch (error) {
+            console.warn(`Strategic analysis provider "${providerName}" failed:`, error);
+            const fallback = await this.providers.mock.analyze(data);
+            return {
+                ...fallback,
+                source: t['option-provider-mock'],
+                notice: t['analysis-fallback-notice'].replace('{error}', error.message)
+            };
+        }
+    },
+
+    // Wire the settings panel inputs to persisted settings
+    initSettingsPanel() {
+        const settings = this.getSettings();
+        const fields = {
+            llmProvider: 'provider',
+            llmBaseUrl: 'baseUrl',
+            llmModel: 'model',
+            llmApiKey: 'apiKey'
+        };
+
+        Object.entries(fields).forEach(([id, key]) => {
+            const element = document.getElementById(id);
+            if (!element) return;
+            element.value = settings[key];
+            element.addEventListener('change', () => this.updateSettingsFromPanel());
+        });
+
+        const timeout = document.getElementById('llmTimeout');
+        const retries = document.getElementById('llmMaxRetries');
+        if (timeout) {
+            timeout.value = Math.round(settings.timeoutMs / 1000);
+            timeout.addEventListener('change', () => this.updateSettingsFromPanel());
+        }
+        if (retries) {
+            retries.value = settings.maxRetries;
+            retries.addEventListener('change', () => this.updateSettingsFromPanel());
+        }
+
+        this.updateSettingsPlaceholders();
+    },
+
+    updateSettingsFromPanel() {
+        const settings = this.getSettings();
+        const timeoutSeconds = parseFloat(document.getElementById('llmTimeout').value);
+        const retries = parseInt(document.getElementById('llmMaxRetries').value);
+
+        this.saveSettings({
+            ...settings,
+            provider: document.getElementById('llmProvider').value,
+            baseUrl: document.getElementById('llmBaseUrl').value.trim(),
+            model: document.getElementById('llmModel').value.trim(),
+            apiKey: document.getElementById('llmApiKey').value,
+            timeoutMs: timeoutSeconds > 0 ? timeoutSeconds * 1000 : this.defaults.timeoutMs,
+            maxRetries: retries >= 0 ? retries : this.defaults.maxRetries
+        });
+        this.updateSettingsPlaceholders();
+    },
+
+    updateSettingsPlaceholders() {
+        const provider = this.providers[document.getElementById('llmProvider').value] || this.providers.mock;
+        const isRemote = provider !== this.providers.mock;
+
+        document.getElementById('llmBaseUrl').placeholder = provider.defaultBaseUrl || '';
+        document.getElementById('llmModel').placeholder = provider.defaultModel || '';
+        ['llmBaseUrl', 'llmModel', 'llmApiKey', 'llmTimeout', 'llmMaxRetries'].forEach(id => {
+            document.getElementById(id).disabled = !isRemote;
+        });
+    }
+};
+
+// Rule table for the built-in strategic analysis. Each rule checks one signal from
+// qualityAssessment.extractSignals(); weights add up to 100 so the viability score is
+// the sum of satisfied rules. A satisfied rule yields a strength, a missed one yields a
+// weakness and, where it threatens delivery, a risk.
+const STRATEGIC_SCORING_RULES = [
+    {
+        field: 'problemOpportunity', signal: 'quantified', weight: 12,
+        strength: { en: 'Problem impact is quantified with concrete figures', es: 'El impacto del problema está cuantificado con cifras concretas' },
+        weakness: { en: 'Quantify the problem (hours, costs, percentages) to establish a baseline', es: 'Cuantifique el problema (horas, costos, porcentajes) para establecer una línea base' },
+        risk: { en: 'Without a measured baseline, the benefits cannot be validated after launch', es: 'Sin una línea base medida, los beneficios no podrán validarse tras el lanzamiento' }
+    },
+    {
+        field: 'problemOpportunity', signal: 'businessImpact', weight: 8,
+        strength: { en: 'Problem is tied to business impact (cost, time, revenue or customers)', es: 'El problema está vinculado al impacto de negocio (costo, tiempo, ingresos o clientes)' },
+        weakness: { en: 'State the business impact of the problem, not only its symptoms', es: 'Indique el impacto de negocio del problema, no solo sus síntomas' }
+    },
+    {
+        field: 'problemOpportunity', signal: 'stakeholders', weight: 7,
+        strength: { en: 'Affected teams and stakeholders are identified', es: 'Se identifican los equipos e interesados afectados' },
+        weakness: { en: 'Identify who is affected by the problem', es: 'Identifique a quién afecta el problema' },
+        risk: { en: 'Stakeholder buy-in is uncertain while the affected groups are not named', es: 'La aceptación de los interesados es incierta mientras no se nombren los grupos afectados' }
+    },
+    {
+        field: 'problemOpportunity', signal: 'detailed', weight: 8,
+        strength: { en: 'Problem is described in enough detail to evaluate', es: 'El problema está descrito con suficiente detalle para evaluarlo' },
+        weakness: { en: 'Expand the problem description to at least two or three sentences', es: 'Amplíe la descripción del problema a al menos dos o tres frases' }
+    },
+    {
+        field: 'proposedSolution', signal: 'scoped', weight: 10,
+        strength: { en: 'Solution defines what Phase 1 will deliver', es: 'La solución define lo que entregará la Fase 1' },
+        weakness: { en: 'Define the Phase 1 scope and key features explicitly', es: 'Defina explícitamente el alcance y las características clave de la Fase 1' },
+        risk: { en: 'An unbounded scope exposes the project to scope creep and delays', es: 'Un alcance sin límites expone el proyecto a desviaciones de alcance y retrasos' }
+    },
+    {
+        field: 'proposedSolution', signal: 'outOfScope', weight: 6,
+        strength: { en: 'Out-of-scope items are stated, which sets clear expectations', es: 'Se indican los elementos fuera del alcance, lo que fija expectativas claras' },
+        weakness: { en: 'List what is out of scope for the first phase', es: 'Enumere lo que queda fuera del alcance de la primera fase' }
+    },
+    {
+        field: 'proposedSolution', signal: 'capabilityFocused', weight: 8,
+        strength: { en: 'Solution is described in terms of business capabilities', es: 'La solución se describe en términos de capacidades de negocio' },
+        weakness: { en: 'Describe what the solution enables, not only how it works', es: 'Describa lo que la solución permite, no solo cómo funciona' }
+    },
+    {
+        field: 'proposedSolution', signal: 'detailed', weight: 6,
+        strength: { en: 'Solution approach is described in detail', es: 'El enfoque de la solución está descrito en detalle' },
+        weakness: { en: 'Add more detail on how the solution addresses the problem', es: 'Agregue más detalle sobre cómo la solución aborda el problema' }
+    },
+    {
+        field: 'successMetrics', signal: 'quantified', weight: 10,
+        strength: { en: 'Success metrics have numeric targets', es: 'Las métricas de éxito tienen objetivos numéricos' },
+        weakness: { en: 'Give each success metric a numeric target', es: 'Asigne un objetivo numérico a cada métrica de éxito' },
+        risk: { en: 'Success cannot be measured objectively without numeric targets', es: 'El éxito no puede medirse objetivamente sin objetivos numéricos' }
+    },
+    {
+        field: 'successMetrics', signal: 'timeBound', weight: 10,
+        strength: { en: 'Targets are time-bound', es: 'Los objetivos tienen plazos definidos' },
+        weakness: { en: 'Add a timeframe to each target (month, quarter, year)', es: 'Agregue un plazo a cada objetivo (mes, trimestre, año)' },
+        risk: { en: 'Without deadlines, delays will not be detected early', es: 'Sin plazos, los retrasos no se detectarán a tiempo' }
+    },
+    {
+        field: 'successMetrics', signal: 'measurable', weight: 5,
+        strength: { en: 'Metrics state a clear direction of improvement', es: 'Las métricas indican una dirección de mejora clara' },
+        weakness: { en: 'Phrase metrics as outcomes (reduce, increase, achieve)', es: 'Formule las métricas como resultados (reducir, aumentar, lograr)' }
+    },
+    {
+        field: 'successMetrics', signal: 'detailed', weight: 5,
+        strength: { en: 'Primary and secondary outcomes are described', es: 'Se describen resultados principales y secundarios' },
+        weakness: { en: 'Add secondary outcomes and the resources needed', es: 'Agregue resultados secundarios y los recursos necesarios' }
+    },
+    {
+        field: 'stratProjectName', signal: 'actionOriented', weight: 5,
+        strength: { en: 'Project name is action-oriented', es: 'El nombre del proyecto está orientado a la acción' },
+        weakness: { en: 'Use an action verb in the project name (Implement, Optimize...)', es: 'Use un verbo de acción en el nombre del proyecto (Implementar, Optimizar...)' }
+    }
+];
+
+// Built-in strategic analysis: deterministic, rule-based scoring of strategicData
+function generateMockLLMAnalysis(data) {
+    const signals = qualityAssessment.extractSignals(data);
+    const lang = currentLanguage === 'es' ? 'es' : 'en';
+    const strengths = [];
+    const weaknesses = [];
+    const risks = [];
+    let viabilityScore = 0;
+
+    // Highest-weighted rules first, so the most important gaps lead each list
+    [...STRATEGIC_SCORING_RULES].sort((a, b) => b.weight - a.weight).forEach(rule => {
+        if (signals[rule.field][rule.signal]) {
+            viabilityScore += rule.weight;
+            strengths.push({ text: rule.strength[lang], field: rule.field });
+        } else {
+            weaknesses.push({ text: rule.weakness[lang], field: rule.field });
+            if (rule.risk) {
+                risks.push({ text: rule.risk[lang], field: rule.field });
+            }
+        }
+    });
+
+    let recommendation;
+    if (viabilityScore >= 80) {
+        recommendation = lang === 'en'
+            ? 'Highly recommended to proceed with detailed financial analysis'
+            : 'Altamente recomendado proceder con análisis financiero detallado';
+    } else if (viabilityScore >= 60) {
+        recommendation = lang === 'en'
+            ? 'Recommended to proceed with caution and detailed planning; address the areas for improvement first'
+            : 'Recomendado proceder con precaución y planificación detallada; atienda primero las áreas de mejora';
+    } else {
+        recommendation = lang === 'en'
+            ? 'Strengthen the business case before the financial projection, starting with the highest-weighted gaps listed above'
+            : 'Fortalezca el caso de negocio antes de la proyección financiera, comenzando por las brechas de mayor peso indicadas arriba';
+    }
+
+    return {
+        viability: viabilityScore,
+        strengths,
+        weaknesses,
+        risks,
+        recommendation
+    };
+}
+
+// Provider output is untrusted text; escape it before injecting into innerHTML
+function escapeHTML(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Render analysis items with a tag linking back to the strategic field they came from
+function renderAnalysisItems(items, style) {
+    const t = translations[currentLanguage];
+    if (items.length === 0) {
+        return `<li style="${style}">—</li>`;
+    }
+    return items.map(item => {
+        const tag = STRATEGIC_FIELDS.includes(item.field)
+            ? ` <button type="button" class="analysis-field-tag" onclick="focusStrategicField('${item.field}')">${t[`label-${item.field}`]}</button>`
+            : '';
+        return `<li style="${style}">${escapeHTML(item.text)}${tag}</li>`;
+    }).join('');
+}
+
+function focusStrategicField(fieldId) {
+    const element = document.getElementById(fieldId);
+    if (element) {
+        element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        element.focus();
+    }
+}
+
+function displayStrategicAnalysis(analysis, scroll = true) {
+    const container = document.getElementById('analysisContent');
+    const t = translations[currentLanguage];
+    
+    const html = `
+        ${analysis.notice ? `<div class="analysis-notice">⚠️ ${escapeHTML(analysis.notice)}</div>` : ''}
+        <div style="margin-bottom: 1.5rem;">
+            <h4>${currentLanguage === 'en' ? 'Viability Assessment' : 'Evaluación de Viabilidad'}</h4>
+            <div class="viability-score">${currentLanguage === 'en' ? 'Viability' : 'Viabilidad'}: ${analysis.viability}/100</div>
+        </div>
+        
+        <div style="margin-bottom: 1.5rem;">
+            <h4>✓ ${currentLanguage === 'en' ? 'Strengths' : 'Fortalezas'}</h4>
+            <ul>
+                ${renderAnalysisItems(analysis.strengths, '')}
+            </ul>
+        </div>
+        
+        <div style="margin-bottom: 1.5rem;">
+            <h4>⚠️ ${currentLanguage === 'en' ? 'Areas for Improvement' : 'Áreas de Mejora'}</h4>
+            <ul>
+                ${renderAnalysisItems(analysis.weaknesses, 'color: var(--warning-color);')}
+            </ul>
+        </div>
+        
+        <div style="margin-bottom: 1.5rem;">
+            <h4>🎯 ${currentLanguage === 'en' ? 'Key Risks' : 'Riesgos Clave'}</h4>
+            <ul>
+                ${renderAnalysisItems(analysis.risks, 'color: var(--danger-color);')}
+            </ul>
+        </div>
+        
+        <div style="padding: 1rem; background: var(--gray-50); border-radius: var(--border-radius); border-left: 4px solid var(--success-color);">
+            <strong>${currentLanguage === 'en' ? 'Recommendation' : 'Recomendación'}:</strong>
+            <p style="margin-top: 0.5rem;">${escapeHTML(analysis.recommendation)}</p>
+        </div>
+        ${analysis.source ? `<div class="analysis-source">${t['analysis-source']}: ${escapeHTML(analysis.source)}</div>` : ''}
+    `;
+    
+    container.innerHTML = html;
+    document.getElementById('strategicAnalysisResult').classList.remove('hidden');
+    
+    // Scroll to result
+    if (scroll) {
+        document.getElementById('strategicAnalysisResult').scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+}
+
+// Step Navigation Functions
+function goToStep2() {
+    // Hide step 1, show step 2
+    document.getElementById('step1-strategic-module').style.display = 'none';
+    document.getElementById('step2-financial-module').style.display = 'block';
+    
+    // Pre-fill project name from strategic analysis if available
+    if (strategicData && strategicData.projectName) {
+        document.getElementById('projectName').value = strategicData.projectName;
+    }
+    
+    // Scroll to top
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+}
+
+function goToStep1() {
+    // Hide step 2, show step 1
+    document.getElementById('step2-financial-module').style.display = 'none';
+    document.getElementById('step1-strategic-module').style.display = 'block';
+    
+    // Scroll to top
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+}
+
+// ====================================
+// Project Library (local persistence)
+// ====================================
+
+// Maps strategic form field IDs to strategicData keys
+const STRATEGIC_DATA_KEYS = {
+    stratProjectName: 'projectName',
+    problemOpportunity: 'problem',
+    proposedSolution: 'solution',
+    successMetrics: 'metrics'
+};
+
+const ProjectLibrary = {
+    storageKey: 'bca-projects',
+    draftKey: 'bca-draft',
+    currentId: null,
+    autosaveTimeout: null,
+
+    loadAll() {
+        try {
+            const projects = JSON.parse(localStorage.getItem(this.storageKey));
+            return Array.isArray(projects) ? projects : [];
+        } catch (error) {
+            return [];
+        }
+    },
+
+    saveAll(projects) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(projects));
+            return true;
+        } catch (error) {
+            // Quota exceeded or storage disabled (private mode)
+            this.setStatus(translations[currentLanguage]['library-storage-error'].replace('{error}', error.message), true);
+            return false;
+        }
+    },
+
+    find(id) {
+        return this.loadAll().find(project => project.id === id) || null;
+    },
+
+    generateId() {
+        return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+    },
+
+    // The projectForm inputs a snapshot holds; nothing outside this list is ever restored
+    formFields() {
+        return Array.from(document.querySelectorAll('#projectForm input[id], #projectForm select[id]'));
+    },
+
+    // Snapshot of both steps: strategic text, every projectForm input and the computed metrics
+    captureState() {
+        const strategic = {};
+        Object.entries(STRATEGIC_DATA_KEYS).forEach(([fieldId, key]) => {
+            strategic[key] = document.getElementById(fieldId).value;
+        });
+
+        const inputs = {};
+        this.formFields().forEach(input => {
+            inputs[input.id] = input.value;
+        });
+
+        return {
+            strategic,
+            strategicAnalysis,
+            inputs,
+            lineItems: LineItemEditor.getItems(),
+            investmentSchedule: InvestmentScheduleEditor.getItems(),
+            riskModel: MonteCarloPanel.getConfig(),
+            metrics: summarizeScenarioMetrics(scenarioMetrics)
+        };
+    },
+
+    // Fill both forms back in from a snapshot and recompute results if it had been calculated
+    applyState(state) {
+        const strategic = state.strategic || {};
+        Object.entries(STRATEGIC_DATA_KEYS).forEach(([fieldId, key]) => {
+            const element = document.getElementById(fieldId);
+            element.value = strategic[key] || '';
+            updateFieldQuality(fieldId, element.value);
+        });
+
+        strategicAnalysis = state.strategicAnalysis || null;
+        strategicData = strategicAnalysis ? { ...strategic } : null;
+        if (strategicAnalysis) {
+            displayStrategicAnalysis(strategicAnalysis, false);
+        } else {
+            document.getElementById('analysisContent').innerHTML = '';
+            document.getElementById('strategicAnalysisResult').classList.add('hidden');
+        }
+
+        const form = document.getElementById('projectForm');
+        form.reset();
+        const inputs = state.inputs || {};
+        this.formFields().forEach(input => {
+            if (Object.prototype.hasOwnProperty.call(inputs, input.id) && inputs[input.id] !== null) {
+                input.value = String(inputs[input.id]);
+            }
+        });
+        CurrencySettings.updateUnitLabels();
+        LineItemEditor.setItems(state.lineItems || []);
+        InvestmentScheduleEditor.setItems(state.investmentSchedule || []);
+        MonteCarloPanel.setConfig(state.riskModel);
+
+        if (state.metrics && form.checkValidity()) {
+            calculateAnalysis();
+        } else {
+            clearResults();
+        }
+    },
+
+    defaultName() {
+        const t = translations[currentLanguage];
+        return document.getElementById('libraryCaseName').value.trim() ||
+            document.getElementById('stratProjectName').value.trim() ||
+            document.getElementById('projectName').value.trim() ||
+            t['library-untitled'];
+    },
+
+    // Save the open case, or store the current work as a new case
+    save() {
+        const projects = this.loadAll();
+        const now = new Date().toISOString();
+        const name = this.defaultName();
+        const state = this.captureState();
+        const existing = projects.find(project => project.id === this.currentId);
+
+        if (existing) {
+            Object.assign(existing, state, { name, updatedAt: now });
+        } else {
+            this.currentId = this.generateId();
+            projects.push({ id: this.currentId, name, createdAt: now, updatedAt: now, ...state });
+        }
+
+        if (this.saveAll(projects)) {
+            document.getElementById('libraryCaseName').value = name;
+            this.writeDraft(state);
+            this.setStatus(translations[currentLanguage]['library-saved-at'].replace('{time}', this.formatTime(now)));
+            this.render();
+        }
+    },
+
+    open(id) {
+        const project = this.find(id);
+        if (!project) return;
+
+        this.currentId = project.id;
+        this.applyState(project);
+        document.getElementById('libraryCaseName').value = project.name;
+        this.writeDraft(this.captureState());
+        this.setStatus('');
+        this.render();
+    },
+
+    duplicate(id) {
+        const projects = this.loadAll();
+        const project = projects.find(p => p.id === id);
+        if (!project) return;
+
+        const now = new Date().toISOString();
+        const copy = JSON.parse(JSON.stringify(project));
+        copy.id = this.generateId();
+        copy.name = project.name + translations[currentLanguage]['library-copy-suffix'];
+        copy.createdAt = now;
+        copy.updatedAt = now;
+        projects.push(copy);
+
+        if (this.saveAll(projects)) {
+            this.render();
+        }
+    },
+
+    rename(id) {
+        const projects = this.loadAll();
+        const project = projects.find(p => p.id === id);
+        if (!project) return;
+
+        const name = prompt(translations[currentLanguage]['library-rename-prompt'], project.name);
+        if (name === null || name.trim() === '') return;
+
+        project.name = name.trim();
+        project.updatedAt = new Date().toISOString();
+        if (this.saveAll(projects)) {
+            if (id === this.currentId) {
+                document.getElementById('libraryCaseName').value = project.name;
+            }
+            this.render();
+        }
+    },
+
+    remove(id) {
+        const projects = this.loadAll();
+        const project = projects.find(p => p.id === id);
+        if (!project) return;
+
+        if (!confirm(translations[currentLanguage]['library-delete-confirm'].replace('{name}', project.name))) return;
+
+        if (this.saveAll(projects.filter(p => p.id !== id))) {
+            // The forms keep their content as an unsaved draft
+            if (id === this.currentId) {
+                this.currentId = null;
+                this.writeDraft(this.captureState());
+            }
+            this.render();
+        }
+    },
+
+    newCase() {
+        if (!confirm(translations[currentLanguage]['library-new-confirm'])) return;
+
+        this.currentId = null;
+        document.getElementById('libraryCaseName').value = '';
+        document.getElementById('strategicForm').reset();
+        this.applyState({ strategic: {}, strategicAnalysis: null, inputs: {}, metrics: null });
+        goToStep1();
+        this.writeDraft(this.captureState());
+        this.setStatus('');
+        this.render();
+    },
+
+    // Called from the debounced form input handlers and after each calculation
+    autosave() {
+        const state = this.captureState();
+        this.writeDraft(state);
+
+        if (!this.currentId) return;
+
+        const projects = this.loadAll();
+        const project = projects.find(p => p.id === this.currentId);
+        if (!project) return;
+
+        const now = new Date().toISOString();
+        Object.assign(project, state, { updatedAt: now });
+        if (this.saveAll(projects)) {
+            this.setStatus(translations[currentLanguage]['library-autosaved-at'].replace('{time}', this.formatTime(now)));
+            this.render();
+        }
+    },
+
+    scheduleAutosave() {
+        clearTimeout(this.autosaveTimeout);
+        this.autosaveTimeout = setTimeout(() => this.autosave(), 1500);
+    },
+
+    // The draft holds the working state (saved or not) so a reload restores it
+    writeDraft(state) {
+        try {
+            localStorage.setItem(this.draftKey, JSON.stringify({ currentId: this.currentId, state }));
+        } catch (error) {
+            console.warn('Could not write draft to localStorage:', error);
+        }
+    },
+
+    restoreDraft() {
+        let draft = null;
+        try {
+            draft = JSON.parse(localStorage.getItem(this.draftKey));
+        } catch (error) {
+            draft = null;
+        }
+        if (!draft || !draft.state) return;
+
+        const project = draft.currentId ? this.find(draft.currentId) : null;
+        this.currentId = project ? project.id : null;
+        document.getElementById('libraryCaseName').value = project ? project.name : '';
+        this.applyState(draft.state);
+    },
+
+    formatTime(isoDate) {
+        const locale = currentLanguage === 'es' ? 'es-ES' : 'en-US';
+        return new Date(isoDate).toLocaleString(locale, { dateStyle: 'short', timeStyle: 'short' });
+    },
+
+    setStatus(message, isError = false) {
+        const status = document.getElementById('libraryStatus');
+        status.textContent = message;
+        status.style.color = isError ? 'var(--danger-color)' : '';
+    },
+
+    render() {
+        const t = translations[currentLanguage];
+        const locale = currentLanguage === 'es' ? 'es-ES' : 'en-US';
+        const projects = this.loadAll().sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+
+        document.getElementById('libraryCaseName').placeholder = t['library-name-placeholder'];
+        document.getElementById('libraryListSummary').textContent = t['library-list-summary'].replace('{count}', projects.length);
+
+        // The portfolio picker lists the same cases
+        PortfolioView.render();
+
+        const container = document.getElementById('libraryList');
+        if (projects.length === 0) {
+            container.innerHTML = `<p style="color: var(--text-muted); font-size: 0.875rem;">${t['library-empty']}</p>`;
+            return;
+        }
+
+        const rows = projects.map(project => {
+            const expected = project.metrics ? project.metrics.expected : null;
+            return `
+                <tr class="${project.id === this.currentId ? 'current' : ''}">
+                    <td>${escapeHTML(project.name)}</td>
+                    <td>${this.formatTime(project.updatedAt)}</td>
+                    <td class="numeric">${expected ? formatMoney(expected.npv, (project.inputs && project.inputs.currency) || 'USD') : t['library-not-calculated']}</td>
+                    <td class="numeric">${expected ? expected.roi.toFixed(2) + '%' : '—'}</td>
+                    <td>
+                        <div class="library-actions">
+                            <button type="button" class="btn-primary" onclick="ProjectLibrary.open('${project.id}')">${t['library-open']}</button>
+                            <button type="button" class="btn-secondary" onclick="ProjectLibrary.duplicate('${project.id}')">${t['library-duplicate']}</button>
+                            <button type="button" class="btn-secondary" onclick="ProjectLibrary.rename('${project.id}')">${t['library-rename']}</button>
+                            <button type="button" class="btn-secondary" onclick="ProjectLibrary.remove('${project.id}')">${t['library-delete']}</button>
+                        </div>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+
+        container.innerHTML = `
+            <div class="table-scroll">
+                <table class="data-table">
+                    <thead>
+                        <tr>
+                            <th>${t['library-col-name']}</th>
+                            <th>${t['library-col-updated']}</th>
+                            <th class="numeric">${t['library-col-npv']}</th>
+                            <th class="numeric">${t['library-col-roi']}</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+        `;
+    },
+
+    init() {
+        this.restoreDraft();
+        this.render();
+    }
+};
+
+// ====================================
+// Currency and Exchange Rates
+// ====================================
+
+// Currency the open case's amounts are kept in
+function caseCurrency() {
+    const select = document.getElementById('currency');
+    return (select && select.value) || 'USD';
+}
+
+// Whole-unit amount in the active language's currency format, e.g. "$1,250" or "1.250 MXN"
+function formatMoney(amount, currency = caseCurrency(), options = {}) {
+    const locale = currentLanguage === 'es' ? 'es-ES' : 'en-US';
+    return amount.toLocaleString(locale, { style: 'currency', currency, minimumFractionDigits: 0, maximumFractionDigits: 0, ...options });
+}
+
+// Replace the "($)" unit of a label with the currency code
+function withCurrency(text, currency = caseCurrency()) {
+    return text.replace(/\((\$|[A-Z]{3})\)/, `(${currency})`);
+}
+
+// Reporting currency and exchange rates, kept in localStorage for every case
+const CurrencySettings = {
+    storageKey: 'bca-exchange-rates',
+    // rates: units of the base currency per unit of each currency (CurrencyConversion table)
+    table: { reportingCurrency: 'USD', base: 'USD', rates: {} },
+
+    // Money labels that carry a currency unit, and the currency they are in
+    unitLabels: {
+        initialInvestment: 'case',
+        yearlyRevenue: 'case',
+        operatingCosts: 'case',
+        maintenanceCosts: 'case',
+        loanAmount: 'case',
+        optimizerBudget: 'reporting'
+    },
+
+    init() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey));
+            const known = code => CurrencyConversion.CURRENCIES.includes(code);
+            if (stored && known(stored.reportingCurrency) && known(stored.base)) {
+                const rates = {};
+                Object.entries(stored.rates || {}).forEach(([code, rate]) => {
+                    if (known(code) && rate > 0) rates[code] = rate;
+                });
+                this.table = { reportingCurrency: stored.reportingCurrency, base: stored.base, rates };
+            }
+        } catch (error) {
+            // Unreadable settings fall back to USD without rates
+        }
+        this.render();
+    },
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.table));
+        } catch (error) {
+            console.warn('Could not write exchange rates to localStorage:', error);
+        }
+    },
+
+    // Persist, redraw and refresh every view that shows converted amounts
+    changed() {
+        this.save();
+        this.render();
+        PortfolioView.render();
+        CapitalOptimizerPanel.clearResults();
+        CapitalOptimizerPanel.render();
+        if (projectData && scenarioMetrics) {
+            UIUpdater.updateDashboard(scenarioMetrics.expected);
+        }
+    },
+
+    // Factor converting amounts in `currency` to the reporting currency; null without a rate
+    toReporting(currency) {
+        return CurrencyConversion.rate(currency || this.table.reportingCurrency, this.table.reportingCurrency, this.table);
+    },
+
+    currencyName(code) {
+        try {
+            const locale = currentLanguage === 'es' ? 'es-ES' : 'en-US';
+            return new Intl.DisplayNames([locale], { type: 'currency' }).of(code);
+        } catch (error) {
+            return code;
+        }
+    },
+
+    currencyOptions(selected) {
+        return CurrencyConversion.CURRENCIES.map(code =>
+            `<option value="${code}"${code === selected ? ' selected' : ''}>${code} - ${escapeHTML(this.currencyName(code))}</option>`).join('');
+    },
+
+    // The case currency select changed: relabel the amounts (results recalculate on input)
+    caseCurrencyChanged() {
+        this.updateUnitLabels();
+        GoalSeekPanel.render();
+        RecommendationSettings.render();
+    },
+
+    updateUnitLabels() {
+        Object.entries(this.unitLabels).forEach(([id, unit]) => {
+            const label = document.querySelector(`label[for="${id}"]`);
+            const textNode = label && Array.from(label.childNodes).find(node => node.nodeType === Node.TEXT_NODE);
+            if (textNode) {
+                textNode.textContent = withCurrency(textNode.textContent, unit === 'case' ? caseCurrency() : this.table.reportingCurrency);
+            }
+        });
+        ['line-col-amount', 'capex-col-amount'].forEach(id => {
+            const header = document.getElementById(id);
+            header.textContent = withCurrency(translations[currentLanguage][id]);
+        });
+    },
+
+    setReportingCurrency(code) {
+        this.table.reportingCurrency = code;
+        this.changed();
+    },
+
+    // Re-quote the known rates in the new base; without a rate for it they cannot be kept
+    setBase(code) {
+        const t = translations[currentLanguage];
+        const hasRates = Object.keys(this.table.rates).length > 0;
+        if (hasRates && CurrencyConversion.rate(code, this.table.base, this.table) === null &&
+            !confirm(t['fx-base-confirm'].replace('{base}', code))) {
+            this.render();
+            return;
+        }
+        const rates = {};
+        CurrencyConversion.CURRENCIES.forEach(currency => {
+            const rate = CurrencyConversion.rate(currency, code, this.table);
+            if (currency !== code && rate !== null) rates[currency] = rate;
+        });
+        this.table = { ...this.table, base: code, rates };
+        this.changed();
+    },
+
+    updateRate(code, value) {
+        const rate = parseFloat(value);
+        if (isFinite(rate) && rate > 0) {
+            this.table.rates[code] = rate;
+        } else {
+            delete this.table.rates[code];
+        }
+        this.changed();
+    },
+
+    // Open the file picker; the chosen file is handled by importFile()
+    chooseFile() {
+        const input = document.getElementById('fxImportInput');
+        input.value = '';
+        input.click();
+    },
+
+    // Merge "currency,rate" rows, quoted in the current base currency
+    importFile(file) {
+        if (!file) return;
+        const t = translations[currentLanguage];
+        const reader = new FileReader();
+        reader.onload = () => {
+            const { rates, errors } = CurrencyConversion.parseRates(reader.result);
+            if (errors.length > 0) {
+                alert(t['fx-import-invalid'].replace('{errors}', '\n• ' + errors.join('\n• ')));
+                return;
+            }
+            delete rates[this.table.base];
+            this.table.rates = { ...this.table.rates, ...rates };
+            this.changed();
+            UIUpdater.showMessage('success', t['fx-import-success'].replace('{count}', Object.keys(rates).length));
+        };
+        reader.onerror = () => alert(t['fx-import-invalid'].replace('{errors}', reader.error ? reader.error.message : file.name));
+        reader.readAsText(file);
+    },
+
+    render() {
+        const t = translations[currentLanguage];
+        const { reportingCurrency, base, rates } = this.table;
+
+        const caseSelect = document.getElementById('currency');
+        const current = caseSelect.value || 'USD';
+        // USD stays the default option so form.reset() and readProjectForm() fall back to it
+        caseSelect.innerHTML = CurrencyConversion.CURRENCIES.map(code =>
+            `<option value="${code}"${code === 'USD' ? ' selected' : ''}>${code} - ${escapeHTML(this.currencyName(code))}</option>`).join('');
+        caseSelect.value = current;
+
+        document.getElementById('fxReportingCurrency').innerHTML = this.currencyOptions(reportingCurrency);
+        document.getElementById('fxBase').innerHTML = this.currencyOptions(base);
+
+        const rows = CurrencyConversion.CURRENCIES.filter(code => code !== base).map(code => `
+            <tr>
+                <td>${code} - ${escapeHTML(this.currencyName(code))}</td>
+                <td class="numeric">
+                    <input type="number" min="0" step="any" value="${rates[code] === undefined ? '' : rates[code]}"
+                        placeholder="${t['fx-no-rate']}" onchange="CurrencySettings.updateRate('${code}', this.value)">
+                </td>
+            </tr>
+        `).join('');
+        document.getElementById('fxTable').innerHTML = `
+            <thead>
+                <tr>
+                    <th>${t['fx-col-currency']}</th>
+                    <th class="numeric">${t['fx-col-rate'].replace('{base}', base)}</th>
+                </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        `;
+
+        this.updateUnitLabels();
+    }
+};
+
+// ====================================
+// Portfolio Comparison
+// ====================================
+
+// Side-by-side view of several cases: saved library cases plus case JSON files added for the
+// session. Cases are recomputed from their inputs, so nothing depends on the open case.
+const PortfolioView = {
+    selectedIds: [],
+    imported: [],
+    metric: 'npv',
+    scenario: 'expected',
+    entries: null,
+
+    // Library cases first, then imported files; each { id, name, state }
+    cases() {
+        const saved = ProjectLibrary.loadAll()
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .map(project => ({ id: project.id, name: project.name, state: project }));
+        return [...saved, ...this.imported];
+    },
+
+    toggle(id, checked) {
+        this.selectedIds = this.selectedIds.filter(selectedId => selectedId !== id);
+        if (checked) {
+            this.selectedIds.push(id);
+        }
+        this.render();
+    },
+
+    setRanking() {
+        this.metric = document.getElementById('portfolioMetric').value;
+        this.scenario = document.getElementById('portfolioScenario').value;
+        this.render();
+    },
+
+    // Open the file picker; the chosen files are handled by importFiles()
+    chooseFiles() {
+        const input = document.getElementById('portfolioImportInput');
+        input.value = '';
+        input.click();
+    },
+
+    // Add case documents (*.json, as written by Export JSON) to the comparison
+    importFiles(files) {
+        const t = translations[currentLanguage];
+        Array.from(files || []).forEach(file => {
+            const reader = new FileReader();
+            reader.onload = () => {
+                let doc;
+                try {
+                    doc = JSON.parse(reader.result);
+                } catch (error) {
+                    alert(t['portfolio-import-invalid'].replace('{file}', file.name).replace('{errors}', error.message));
+                    return;
+                }
+
+                const errors = CaseDocument.validate(doc);
+                if (errors.length > 0) {
+                    alert(t['portfolio-import-invalid'].replace('{file}', file.name).replace('{errors}', '\n• ' + errors.join('\n• ')));
+                    return;
+                }
+
+                const id = `file-${ProjectLibrary.generateId()}`;
+                this.imported.push({ id, name: doc.name || file.name.replace(/\.json$/i, ''), state: CaseDocument.toState(doc), file: true });
+                this.selectedIds.push(id);
+                this.render();
+            };
+            reader.onerror = () => alert(t['portfolio-import-invalid'].replace('{file}', file.name).replace('{errors}', reader.error ? reader.error.message : ''));
+            reader.readAsText(file);
+        });
+    },
+
+    removeImported(id) {
+        this.imported = this.imported.filter(item => item.id !== id);
+        this.selectedIds = this.selectedIds.filter(selectedId => selectedId !== id);
+        this.render();
+    },
+
+    // Metrics for one case in the reporting currency; { error } when its saved inputs cannot
+    // be calculated or there is no exchange rate for its currency
+    evaluate(item) {
+        const data = readProjectForm(item.state);
+        const required = ['initialInvestment', 'discountRate', 'projectDuration', 'yearlyRevenue', 'bestCaseMultiplier', 'worstCaseMultiplier'];
+        if (required.some(field => !isFinite(data[field])) || data.projectDuration < 1) {
+            return { error: 'portfolio-skipped' };
+        }
+        const rate = CurrencySettings.toReporting(data.currency);
+        if (rate === null) {
+            return { error: 'portfolio-no-rate' };
+        }
+        return { id: item.id, ...PortfolioComparison.evaluate(item.name, buildScenarioData(data), rate) };
+    },
+
+    formatMetric(metric, metrics) {
+        const t = translations[currentLanguage];
+        if (metric === 'npv') return formatMoney(metrics.npv, CurrencySettings.table.reportingCurrency);
+        if (metric === 'roi') return metrics.roi.toFixed(2) + '%';
+        if (metric === 'irr') return metrics.irr === null ? t[`irr-value-${metrics.irrStatus}`] : metrics.irr.toFixed(2) + '%';
+        return metrics.recovered ? metrics.paybackPeriod.toFixed(1) : t['portfolio-not-recovered'];
+    },
+
+    render() {
+        const t = translations[currentLanguage];
+        const cases = this.cases();
+        this.selectedIds = this.selectedIds.filter(id => cases.some(item => item.id === id));
+
+        document.getElementById('portfolioMetric').innerHTML = Object.keys(PortfolioComparison.METRICS)
+            .map(metric => `<option value="${metric}" ${metric === this.metric ? 'selected' : ''}>${t[`portfolio-metric-${metric}`]}</option>`)
+            .join('');
+        document.getElementById('portfolioScenario').innerHTML = PortfolioComparison.SCENARIOS
+            .map(scenario => `<option value="${scenario}" ${scenario === this.scenario ? 'selected' : ''}>${t[`scenario-${scenario}`]}</option>`)
+            .join('');
+
+        const picker = document.getElementById('portfolioCases');
+        picker.innerHTML = cases.length === 0
+            ? `<p style="color: var(--text-muted); font-size: 0.875rem;">${t['portfolio-empty']}</p>`
+            : cases.map(item => `
+                <div class="portfolio-case">
+                    <label>
+                        <input type="checkbox" ${this.selectedIds.includes(item.id) ? 'checked' : ''} onchange="PortfolioView.toggle('${item.id}', this.checked)">
+                        ${escapeHTML(item.name)}
+                    </label>
+                    ${item.file ? `<span class="portfolio-file">${t['portfolio-file']}</span>
+                    <button type="button" class="btn-secondary" onclick="PortfolioView.removeImported('${item.id}')" title="${t['portfolio-remove']}">✕</button>` : ''}
+                </div>
+            `).join('');
+
+        const selected = cases.filter(item => this.selectedIds.includes(item.id));
+        const evaluated = selected.map(item => ({ item, entry: this.evaluate(item) }));
+        const skipped = key => evaluated.filter(result => result.entry.error === key).map(result => result.item.name);
+        const entries = evaluated.filter(result => !result.entry.error).map(result => result.entry);
+
+        const problems = ['portfolio-skipped', 'portfolio-no-rate']
+            .filter(key => skipped(key).length > 0)
+            .map(key => t[key].replace('{names}', skipped(key).join(', ')).replace('{currency}', CurrencySettings.table.reportingCurrency));
+        const status = document.getElementById('portfolioStatus');
+        status.textContent = problems.length > 0
+            ? problems.join(' · ')
+            : t['portfolio-selected'].replace('{count}', selected.length);
+        status.style.color = problems.length > 0 ? 'var(--danger-color)' : '';
+
+        const results = document.getElementById('portfolioResults');
+        if (entries.length < 2) {
+            this.entries = null;
+            results.classList.add('hidden');
+            if (charts.portfolio) {
+                charts.portfolio.destroy();
+                charts.portfolio = null;
+            }
+            return;
+        }
+
+        this.entries = PortfolioComparison.rank(entries, this.metric, this.scenario);
+        results.classList.remove('hidden');
+        this.renderTable();
+        ChartManager.createPortfolioChart(this.entries);
+    },
+
+    renderTable() {
+        const t = translations[currentLanguage];
+        const metrics = ['roi', 'npv', 'irr', 'paybackPeriod'];
+        const scenarios = PortfolioComparison.SCENARIOS;
+        const isRanked = (metric, scenario) => metric === this.metric && scenario === this.scenario;
+
+        const groupHeaders = metrics
+            .map(metric => `<th colspan="${scenarios.length}" class="portfolio-group">${t[`portfolio-metric-${metric}`]}${metric === 'npv' ? ` (${CurrencySettings.table.reportingCurrency})` : ''}</th>`)
+            .join('');
+        const scenarioHeaders = metrics
+            .map(metric => scenarios
+                .map(scenario => `<th class="numeric ${isRanked(metric, scenario) ? 'portfolio-ranked' : ''}">${t[`portfolio-scenario-${scenario}`]}</th>`)
+                .join(''))
+            .join('');
+
+        const rows = this.entries.map(entry => `
+            <tr>
+                <td class="numeric">${entry.rank}</td>
+                <td>${escapeHTML(entry.name)}</td>
+                ${metrics.map(metric => scenarios
+                    .map(scenario => `<td class="numeric ${isRanked(metric, scenario) ? 'portfolio-ranked' : ''}">${this.formatMetric(metric, entry[scenario])}</td>`)
+                    .join('')).join('')}
+            </tr>
+        `).join('');
+
+        document.getElementById('portfolioTable').innerHTML = `
+            <thead>
+                <tr>
+                    <th rowspan="2" class="numeric">${t['portfolio-col-rank']}</th>
+                    <th rowspan="2">${t['portfolio-col-case']}</th>
+                    ${groupHeaders}
+                </tr>
+                <tr>${scenarioHeaders}</tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        `;
+    }
+};
+
+// ====================================
+// Capital Budget Optimizer
+// ====================================
+
+// Picks the projects to fund from a pasted or imported table of project inputs
+const CapitalOptimizerPanel = {
+    projects: [],
+    candidates: null,
+    result: null,
+    // Spending limit per budget year (index 0 = year 1); null when the year has none
+    yearlyLimits: [],
+
+    // Parse the table; errors are only reported when the user asked for a result
+    readTable(showErrors = false) {
+        const t = translations[currentLanguage];
+        const text = document.getElementById('optimizerTable').value;
+        const { projects, errors } = CapitalAllocation.parseTable(text);
+
+        this.projects = projects;
+        this.renderYearLimits();
+        if (errors.length > 0 && showErrors) {
+            alert(t['optimizer-table-invalid'].replace('{errors}', '\n• ' + errors.join('\n• ')));
+        }
+        return errors.length === 0;
+    },
+
+    // Open the file picker; the chosen file is handled by importFile()
+    chooseFile() {
+        const input = document.getElementById('optimizerImportInput');
+        input.value = '';
+        input.click();
+    },
+
+    importFile(file) {
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = () => {
+            document.getElementById('optimizerTable').value = reader.result;
+            this.clearResults();
+            this.readTable(true);
+        };
+        reader.onerror = () => alert(translations[currentLanguage]['optimizer-table-invalid']
+            .replace('{errors}', reader.error ? reader.error.message : file.name));
+        reader.readAsText(file);
+    },
+
+    updateYearLimit(year, value) {
+        const limit = parseFloat(value);
+        this.yearlyLimits[year] = isFinite(limit) ? limit : null;
+    },
+
+    optimize() {
+        const t = translations[currentLanguage];
+        if (!this.readTable(true)) return;
+
+        const budget = parseFloat(document.getElementById('optimizerBudget').value);
+        if (!isFinite(budget) || budget < 0) {
+            alert(t['optimizer-invalid-budget']);
+            return;
+        }
+
+        // Projects without a currency column are taken to be in the reporting currency
+        const rates = this.projects.map(project => CurrencySettings.toReporting(project.currency));
+        const unconverted = this.projects.filter((project, index) => rates[index] === null);
+        if (unconverted.length > 0) {
+            alert(t['optimizer-no-rate']
+                .replace('{currency}', [...new Set(unconverted.map(project => project.currency))].join(', '))
+                .replace('{reporting}', CurrencySettings.table.reportingCurrency)
+                .replace('{names}', unconverted.map(project => project.name).join(', ')));
+            return;
+        }
+
+        const years = Math.max(0, ...this.projects.map(project => project.startYear));
+        const method = document.getElementById('optimizerMethod').value;
+        this.candidates = this.projects.map((project, index) =>
+            CapitalAllocation.candidate(project.name, project.data, project.startYear, rates[index]));
+        this.result = CapitalAllocation.optimize(this.candidates, {
+            budget,
+            yearlyLimits: this.yearlyLimits.slice(0, years),
+            method
+        });
+        this.renderResult();
+    },
+
+    clearResults() {
+        this.candidates = null;
+        this.result = null;
+        document.getElementById('optimizerResult').classList.add('hidden');
+    },
+
+    money(amount) {
+        return formatMoney(amount, CurrencySettings.table.reportingCurrency);
+    },
+
+    render() {
+        const t = translations[currentLanguage];
+        const methodSelect = document.getElementById('optimizerMethod');
+        const method = methodSelect.value || 'knapsack';
+        methodSelect.innerHTML = CapitalAllocation.METHODS.map(name =>
+            `<option value="${name}"${name === method ? ' selected' : ''}>${t[`optimizer-method-${name}`]}</option>`).join('');
+        document.getElementById('optimizerTable').placeholder = t['optimizer-table-placeholder'];
+
+        this.renderYearLimits();
+        if (this.result) {
+            this.renderResult();
+        }
+    },
+
+    // One limit input per budget year the table's projects start in
+    renderYearLimits() {
+        const t = translations[currentLanguage];
+        const years = Math.max(0, ...this.projects.map(project => project.startYear));
+        const container = document.getElementById('optimizerYearLimits');
+
+        container.innerHTML = years === 0 ? '' : `
+            <p class="provider-settings-note">${t['optimizer-year-limits-note']}</p>
+            <div class="form-grid">
+                ${Array.from({ length: years }, (_, year) => `
+                    <div class="form-group">
+                        <label for="optimizerYear${year}">${withCurrency(t['optimizer-year-limit'], CurrencySettings.table.reportingCurrency).replace('{year}', year + 1)}</label>
+                        <input type="number" id="optimizerYear${year}" min="0" step="any" value="${this.yearlyLimits[year] === null || this.yearlyLimits[year] === undefined ? '' : this.yearlyLimits[year]}"
+                            placeholder="${t['optimizer-no-limit']}" oninput="CapitalOptimizerPanel.updateYearLimit(${year}, this.value)">
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    },
+
+    renderResult() {
+        const t = translations[currentLanguage];
+        const { result, candidates } = this;
+        const container = document.getElementById('optimizerResult');
+
+        const note = result.method === 'profitabilityIndex'
+            ? t['optimizer-note-heuristic']
+            : result.exact ? t['optimizer-note-exact'] : t['optimizer-note-node-limit'];
+
+        const rows = candidates.map((candidate, index) => {
+            const funded = result.chosen.includes(index);
+            return `
+                <tr class="${funded ? 'optimizer-funded' : ''}">
+                    <td>${escapeHTML(candidate.name)}</td>
+                    <td class="numeric">${candidate.startYear}</td>
+                    <td class="numeric">${this.money(candidate.cost)}</td>
+                    <td class="numeric">${this.money(candidate.npv)}</td>
+                    <td class="numeric">${candidate.profitabilityIndex === null ? '—' : candidate.profitabilityIndex.toFixed(2)}</td>
+                    <td>${funded ? '✓ ' + t['optimizer-funded'] : '—'}</td>
+                </tr>
+            `;
+        }).join('');
+
+        const yearRows = result.yearlySpend.map((amount, year) => `
+            <tr>
+                <td>${t['optimizer-year'].replace('{year}', year + 1)}</td>
+                <td class="numeric">${this.money(amount)}</td>
+                <td class="numeric">${result.yearlyLimits[year] === null ? t['optimizer-no-limit'] : this.money(result.yearlyLimits[year])}</td>
+            </tr>
+        `).join('');
+
+        container.innerHTML = `
+            <p><strong>${t['optimizer-summary']
+                .replace('{count}', result.chosen.length)
+                .replace('{total}', candidates.length)
+                .replace('{npv}', this.money(result.totalNPV))
+                .replace('{cost}', this.money(result.totalCost))}</strong></p>
+            <p class="provider-settings-note">${note}</p>
+            <div class="table-scroll">
+                <table class="data-table">
+                    <thead>
+                        <tr>
+                            <th>${t['optimizer-col-project']}</th>
+                            <th class="numeric">${t['optimizer-col-start-year']}</th>
+                            <th class="numeric">${t['optimizer-col-cost']}</th>
+                            <th class="numeric">${t['optimizer-col-npv']}</th>
+                            <th class="numeric">${t['optimizer-col-pi']}</th>
+                            <th>${t['optimizer-col-decision']}</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+            <div class="table-scroll">
+                <table class="data-table">
+                    <thead>
+                        <tr>
+                            <th>${t['optimizer-col-year']}</th>
+                            <th class="numeric">${t['optimizer-col-spend']}</th>
+                            <th class="numeric">${t['optimizer-col-limit']}</th>
+                        </tr>
+                    </thead>
+                    <tbody>${yearRows}</tbody>
+                </table>
+            </div>
+        `;
+        container.classList.remove('hidden');
+    }
+};
+
+// ====================================
+// JSON Import/Export
+// ====================================
+
+// Trigger a browser download for generated content
+function downloadFile(fileName, content, mimeType) {
+    const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// File name stem shared by all exports: Caso_Negocio_<name>_<date>
+function exportFileStem() {
+    const name = (ProjectLibrary.defaultName() || 'Caso').replace(/[\\/:*?"<>|]+/g, '').replace(/\s+/g, '_');
+    return `Caso_Negocio_${name}_${new Date().toISOString().split('T')[0]}`;
+}
+
+// Versioned, self-contained business case document (*.json)
+const CaseDocument = {
+    FORMAT: 'business-case-analyzer/case',
+    // Bump with every change to the document schema and add a step to migrations
+    VERSION: 2,
 
-        // IRR vs Discount Rate
-        if (expectedMetrics.irr > data.discountRate + 5) {
-            recommendations.push({
-                type: 'success',
-                icon: '📈',
-                text: `La TIR del ${expectedMetrics.irr.toFixed(2)}% excede significativamente su tasa de descuento del ${data.discountRate}%, indicando una fuerte creación de valor.`
+    // Upgrade steps keyed by the version they read. Version 1 predates tax, financing, ramp-up,
+    // working capital, escalation and terminal value; those are switched off explicitly so the
+    // case reopens under the model it was saved with, whatever the form defaults are.
+    migrations: {
+        1: doc => ({
+            ...doc,
+            version: 2,
+            projectData: {
+                taxRate: 0,
+                operatingCostEscalation: 0,
+                maintenanceCostEscalation: 0,
+                inflationRate: 0,
+                terminalValueMethod: 'none',
+                goLiveDelay: 0,
+                revenueRampCurve: 'none',
+                receivableDays: 0,
+                payableDays: 0,
+                loanAmount: 0,
+                ...doc.projectData
+            }
+        })
+    },
+
+    // projectData fields and whether they are required in a document
+    projectFields: {
+        initialInvestment: true,
+        discountRate: true,
+        projectDuration: true,
+        yearlyRevenue: true,
+        revenueGrowth: false,
+        operatingCosts: false,
+        maintenanceCosts: false,
+        financeRate: false,
+        reinvestmentRate: false,
+        taxRate: false,
+        usefulLife: false,
+        operatingCostEscalation: false,
+        maintenanceCostEscalation: false,
+        goLiveDelay: false,
+        revenueRampMonths: false,
+        receivableDays: false,
+        payableDays: false,
+        inflationRate: false,
+        terminalGrowth: false,
+        exitMultiple: false,
+        loanAmount: false,
+        loanRate: false,
+        loanTerm: false,
+        gracePeriod: false
+    },
+
+    metricFields: ['roi', 'npv', 'paybackPeriod', 'totalRevenue'],
+
+    // Metrics that are null when they do not exist for the cash flows (e.g. no unique IRR)
+    nullableMetricFields: ['irr', 'mirr'],
+
+    // Build a document from the current state of both steps
+    build() {
+        const state = ProjectLibrary.captureState();
+        const form = readProjectForm();
+        const { bestCaseMultiplier, worstCaseMultiplier, ...project } = form;
+
+        return {
+            format: this.FORMAT,
+            version: this.VERSION,
+            exportedAt: new Date().toISOString(),
+            name: ProjectLibrary.defaultName(),
+            strategicData: state.strategic,
+            strategicAnalysis: state.strategicAnalysis,
+            projectData: project,
+            scenarios: { bestCaseMultiplier, worstCaseMultiplier },
+            riskModel: state.riskModel,
+            metrics: state.metrics
+        };
+    },
+
+    // Returns a list of human-readable problems; empty when the document is valid
+    validate(doc) {
+        const errors = [];
+        const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+        const isNumber = value => typeof value === 'number' && isFinite(value);
+
+        if (!isObject(doc)) {
+            return ['Document is not a JSON object'];
+        }
+        if (doc.format !== this.FORMAT) {
+            errors.push(`format must be "${this.FORMAT}"`);
+        }
+        if (!Number.isInteger(doc.version) || doc.version < 1) {
+            errors.push('version must be a positive integer');
+        } else if (doc.version > this.VERSION) {
+            errors.push(`version ${doc.version} is newer than supported version ${this.VERSION}`);
+        }
+        if (doc.name !== undefined && typeof doc.name !== 'string') {
+            errors.push('name must be a string');
+        }
+
+        if (!isObject(doc.strategicData)) {
+            errors.push('strategicData must be an object');
+        } else {
+            Object.values(STRATEGIC_DATA_KEYS).forEach(key => {
+                if (doc.strategicData[key] !== undefined && typeof doc.strategicData[key] !== 'string') {
+                    errors.push(`strategicData.${key} must be a string`);
+                }
             });
-        } else if (expectedMetrics.irr > data.discountRate) {
-            recommendations.push({
-                type: 'info',
-                icon: '✓',
-                text: `La TIR del ${expectedMetrics.irr.toFixed(2)}% excede su tasa de descuento, lo cual es positivo pero deja un margen limitado de error.`
+        }
+
+        if (doc.strategicAnalysis !== undefined && doc.strategicAnalysis !== null) {
+            try {
+                StrategicAnalysisService.parseAnalysis(JSON.stringify(doc.strategicAnalysis));
+            } catch (error) {
+                errors.push('strategicAnalysis does not match the analysis schema');
+            }
+        }
+
+        if (!isObject(doc.projectData)) {
+            errors.push('projectData must be an object');
+        } else {
+            if (doc.projectData.projectName !== undefined && typeof doc.projectData.projectName !== 'string') {
+                errors.push('projectData.projectName must be a string');
+            }
+            Object.entries(this.projectFields).forEach(([field, required]) => {
+                const value = doc.projectData[field];
+                if (value === undefined || value === null) {
+                    if (required) errors.push(`projectData.${field} is required`);
+                } else if (!isNumber(value)) {
+                    errors.push(`projectData.${field} must be a number`);
+                }
             });
+            // The calculator needs at least one month and a non-negative outlay, as the form enforces
+            if (isNumber(doc.projectData.projectDuration) && doc.projectData.projectDuration < 1) {
+                errors.push('projectData.projectDuration must be at least 1');
+            }
+            if (isNumber(doc.projectData.initialInvestment) && doc.projectData.initialInvestment < 0) {
+                errors.push('projectData.initialInvestment must not be negative');
+            }
+            if (doc.projectData.discountTiming !== undefined && !['end', 'mid'].includes(doc.projectData.discountTiming)) {
+                errors.push('projectData.discountTiming must be "end" or "mid"');
+            }
+            if (doc.projectData.depreciationMethod !== undefined && !FinancialCalculator.DEPRECIATION_METHODS.includes(doc.projectData.depreciationMethod)) {
+                errors.push(`projectData.depreciationMethod must be one of ${FinancialCalculator.DEPRECIATION_METHODS.join(', ')}`);
+            }
+            if (doc.projectData.revenueRampCurve !== undefined && !FinancialCalculator.REVENUE_RAMP_CURVES.includes(doc.projectData.revenueRampCurve)) {
+                errors.push(`projectData.revenueRampCurve must be one of ${FinancialCalculator.REVENUE_RAMP_CURVES.join(', ')}`);
+            }
+            if (doc.projectData.revenueRampPercentages !== undefined
+                && !(Array.isArray(doc.projectData.revenueRampPercentages) && doc.projectData.revenueRampPercentages.every(isNumber))) {
+                errors.push('projectData.revenueRampPercentages must be an array of numbers');
+            }
+            if (doc.projectData.amortizationMethod !== undefined && !FinancialCalculator.AMORTIZATION_METHODS.includes(doc.projectData.amortizationMethod)) {
+                errors.push(`projectData.amortizationMethod must be one of ${FinancialCalculator.AMORTIZATION_METHODS.join(', ')}`);
+            }
+            if (doc.projectData.valuationBasis !== undefined && !FinancialCalculator.VALUATION_BASES.includes(doc.projectData.valuationBasis)) {
+                errors.push(`projectData.valuationBasis must be one of ${FinancialCalculator.VALUATION_BASES.join(', ')}`);
+            }
+            if (doc.projectData.terminalValueMethod !== undefined && !FinancialCalculator.TERMINAL_VALUE_METHODS.includes(doc.projectData.terminalValueMethod)) {
+                errors.push(`projectData.terminalValueMethod must be one of ${FinancialCalculator.TERMINAL_VALUE_METHODS.join(', ')}`);
+            }
+            if (doc.projectData.currency !== undefined && !CurrencyConversion.CURRENCIES.includes(doc.projectData.currency)) {
+                errors.push(`projectData.currency must be one of ${CurrencyConversion.CURRENCIES.join(', ')}`);
+            }
+            if (doc.projectData.lineItems !== undefined) {
+                if (!Array.isArray(doc.projectData.lineItems)) {
+                    errors.push('projectData.lineItems must be an array');
+                } else {
+                    doc.projectData.lineItems.forEach((line, index) => {
+                        if (!isObject(line)) {
+                            errors.push(`projectData.lineItems[${index}] must be an object`);
+                            return;
+                        }
+                        if (line.id !== undefined && !(typeof line.id === 'string' && /^[\w-]+$/.test(line.id))) {
+                            errors.push(`projectData.lineItems[${index}].id may only contain letters, digits, _ and -`);
+                        }
+                        if (!['revenue', 'cost'].includes(line.type)) {
+                            errors.push(`projectData.lineItems[${index}].type must be "revenue" or "cost"`);
+                        }
+                        if (!isNumber(line.amount)) {
+                            errors.push(`projectData.lineItems[${index}].amount must be a number`);
+                        }
+                        ['startMonth', 'endMonth', 'growth', 'rampMonths'].forEach(field => {
+                            if (line[field] !== undefined && line[field] !== null && !isNumber(line[field])) {
+                                errors.push(`projectData.lineItems[${index}].${field} must be a number`);
+                            }
+                        });
+                    });
+                }
+            }
+            if (doc.projectData.investmentSchedule !== undefined) {
+                if (!Array.isArray(doc.projectData.investmentSchedule)) {
+                    errors.push('projectData.investmentSchedule must be an array');
+                } else {
+                    doc.projectData.investmentSchedule.forEach((tranche, index) => {
+                        if (!isObject(tranche)) {
+                            errors.push(`projectData.investmentSchedule[${index}] must be an object`);
+                            return;
+                        }
+                        if (tranche.id !== undefined && !(typeof tranche.id === 'string' && /^[\w-]+$/.test(tranche.id))) {
+                            errors.push(`projectData.investmentSchedule[${index}].id may only contain letters, digits, _ and -`);
+                        }
+                        if (!isNumber(tranche.amount)) {
+                            errors.push(`projectData.investmentSchedule[${index}].amount must be a number`);
+                        }
+                        if (!isNumber(tranche.month)) {
+                            errors.push(`projectData.investmentSchedule[${index}].month must be a number`);
+                        }
+                        if (tranche.recurrence !== undefined && !(tranche.recurrence in FinancialCalculator.INVESTMENT_RECURRENCES)) {
+                            errors.push(`projectData.investmentSchedule[${index}].recurrence must be one of ${Object.keys(FinancialCalculator.INVESTMENT_RECURRENCES).join(', ')}`);
+                        }
+                        if (tranche.endMonth !== undefined && tranche.endMonth !== null && !isNumber(tranche.endMonth)) {
+                            errors.push(`projectData.investmentSchedule[${index}].endMonth must be a number`);
+                        }
+                    });
+                }
+            }
+        }
+
+        if (!isObject(doc.scenarios)) {
+            errors.push('scenarios must be an object');
         } else {
-            recommendations.push({
-                type: 'danger',
-                icon: '⚠️',
-                text: `La TIR del ${expectedMetrics.irr.toFixed(2)}% está por debajo de su tasa de descuento del ${data.discountRate}%, sugiriendo destrucción de valor.`
+            ['bestCaseMultiplier', 'worstCaseMultiplier'].forEach(field => {
+                if (!isNumber(doc.scenarios[field])) {
+                    errors.push(`scenarios.${field} must be a number`);
+                }
             });
         }
-
-        return recommendations;
+
+        if (doc.riskModel !== undefined && doc.riskModel !== null) {
+            if (!isObject(doc.riskModel) || (doc.riskModel.variables !== undefined && !isObject(doc.riskModel.variables))) {
+                errors.push('riskModel must be an object with a variables object');
+            } else {
+                Object.entries(doc.riskModel.variables || {}).forEach(([name, variable]) => {
+                    if (!(name in RiskSimulation.VARIABLES)) {
+                        errors.push(`riskModel.variables.${name} is not a known input`);
+                    } else if (!isObject(variable) || !RiskSimulation.DISTRIBUTIONS.includes(variable.distribution)) {
+                        errors.push(`riskModel.variables.${name}.distribution must be one of ${RiskSimulation.DISTRIBUTIONS.join(', ')}`);
+                    }
+                });
+            }
+        }
+
+        if (doc.metrics !== undefined && doc.metrics !== null) {
+            if (!isObject(doc.metrics)) {
+                errors.push('metrics must be an object or null');
+            } else {
+                ['expected', 'best', 'worst'].forEach(scenario => {
+                    const metrics = doc.metrics[scenario];
+                    if (!isObject(metrics)) {
+                        errors.push(`metrics.${scenario} must be an object`);
+                        return;
+                    }
+                    this.metricFields.forEach(field => {
+                        if (!isNumber(metrics[field])) {
+                            errors.push(`metrics.${scenario}.${field} must be a number`);
+                        }
+                    });
+                    this.nullableMetricFields.forEach(field => {
+                        if (metrics[field] !== undefined && metrics[field] !== null && !isNumber(metrics[field])) {
+                            errors.push(`metrics.${scenario}.${field} must be a number or null`);
+                        }
+                    });
+                });
+            }
+        }
+
+        return errors;
+    },
+
+    // Bring a valid document of an older version up to VERSION
+    migrate(doc) {
+        let migrated = doc;
+        while (migrated.version < this.VERSION) {
+            migrated = this.migrations[migrated.version](migrated);
+        }
+        return migrated;
+    },
+
+    // Convert a valid document into a ProjectLibrary state snapshot
+    toState(source) {
+        const doc = this.migrate(source);
+        const inputs = {};
+        const { lineItems, investmentSchedule, ...projectFields } = doc.projectData;
+        const project = { ...projectFields, ...doc.scenarios };
+        Object.entries(project).forEach(([field, value]) => {
+            if (value !== undefined && value !== null) {
+                inputs[field] = String(value);
+            }
+        });
+
+        return {
+            strategic: { ...doc.strategicData },
+            strategicAnalysis: doc.strategicAnalysis
+                ? StrategicAnalysisService.parseAnalysis(JSON.stringify(doc.strategicAnalysis))
+                : null,
+            inputs,
+            lineItems: lineItems || [],
+            investmentSchedule: investmentSchedule || [],
+            riskModel: doc.riskModel || null,
+            metrics: doc.metrics || null
+        };
+    },
+
+    exportJSON() {
+        const doc = this.build();
+        downloadFile(`${exportFileStem()}.json`, JSON.stringify(doc, null, 2) + '\n', 'application/json');
+        ProjectLibrary.setStatus(translations[currentLanguage]['json-export-success']);
+    },
+
+    // Open the file picker; the chosen file is handled by importFile()
+    chooseFile() {
+        const input = document.getElementById('jsonImportInput');
+        input.value = '';
+        input.click();
+    },
+
+    importFile(file) {
+        if (!file) return;
+        const t = translations[currentLanguage];
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            let doc;
+            try {
+                doc = JSON.parse(reader.result);
+            } catch (error) {
+                alert(t['json-import-invalid'].replace('{errors}', error.message));
+                return;
+            }
+
+            const errors = this.validate(doc);
+            if (errors.length > 0) {
+                alert(t['json-import-invalid'].replace('{errors}', '\n• ' + errors.join('\n• ')));
+                return;
+            }
+
+            // Imported cases open as unsaved work; Save adds them to the library
+            ProjectLibrary.currentId = null;
+            ProjectLibrary.applyState(this.toState(doc));
+            document.getElementById('libraryCaseName').value = doc.name || '';
+            ProjectLibrary.writeDraft(ProjectLibrary.captureState());
+            ProjectLibrary.render();
+            ProjectLibrary.setStatus(t['json-import-success'].replace('{name}', doc.name || file.name));
+        };
+        reader.onerror = () => alert(t['json-import-invalid'].replace('{errors}', reader.error ? reader.error.message : file.name));
+        reader.readAsText(file);
+    }
+};
+
+// ====================================
+// Cash Flow Schedule Export (CSV / XLSX)
+// ====================================
+
+// Minimal ZIP writer (stored entries, no compression) for building .xlsx packages
+const ZipWriter = {
+    crcTable: null,
+
+    crc32(bytes) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                this.crcTable[n] = c >>> 0;
+            }
+        }
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = this.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    },
+
+    // files: [{ name, content }] where content is a string; returns a Uint8Array
+    create(files, date = new Date()) {
+        const encoder = new TextEncoder();
+        const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+        const dosDate = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        files.forEach(file => {
+            const name = encoder.encode(file.name);
+            const data = encoder.encode(file.content);
+            const crc = this.crc32(data);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034B50, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, 0x0800, true); // UTF-8 names
+            local.setUint16(8, 0, true); // stored
+            local.setUint16(10, dosTime, true);
+            local.setUint16(12, dosDate, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, name.length, true);
+            local.setUint16(28, 0, true);
+            localParts.push(new Uint8Array(local.buffer), name, data);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014B50, true);
+            central.setUint16(4, 20, true);
+            central.setUint16(6, 20, true);
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, dosTime, true);
+            central.setUint16(14, dosDate, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, data.length, true);
+            central.setUint32(24, data.length, true);
+            central.setUint16(28, name.length, true);
+            central.setUint32(42, offset, true);
+            centralParts.push(new Uint8Array(central.buffer), name);
+
+            offset += 30 + name.length + data.length;
+        });
+
+        const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+        const zip = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let position = 0;
+        parts.forEach(part => {
+            zip.set(part, position);
+            position += part.length;
+        });
+        return zip;
+    }
+};
+
+// SpreadsheetML (.xlsx) workbook builder using inline strings
+const XlsxWriter = {
+    MIME_TYPE: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+
+    // Cell style indexes defined in stylesXML()
+    styles: {
+        text: 0,
+        header: 1,
+        currency: 2,
+        factor: 3,
+        percent: 4,
+        number: 5
+    },
+
+    escapeXML(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+    },
+
+    columnName(index) {
+        let name = '';
+        for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+        }
+        return name;
+    },
+
+    // Excel sheet names: max 31 chars, none of []:*?/\
+    sheetName(name) {
+        return String(name).replace(/[\[\]:*?\/\\]/g, ' ').slice(0, 31);
+    },
+
+    // cell: string | number | null | { value, style }
+    cellXML(cell, ref) {
+        const { value, style } = cell !== null && typeof cell === 'object' ? cell : { value: cell, style: undefined };
+        if (value === null || value === undefined || value === '') {
+            return '';
+        }
+        if (typeof value === 'number') {
+            if (!isFinite(value)) {
+                return `<c r="${ref}" t="inlineStr"><is><t></t></is></c>`;
+            }
+            return `<c r="${ref}" s="${style !== undefined ? style : this.styles.number}"><v>${value}</v></c>`;
+        }
+        return `<c r="${ref}" s="${style !== undefined ? style : this.styles.text}" t="inlineStr"><is><t xml:space="preserve">${this.escapeXML(value)}</t></is></c>`;
     },
 
-    displayRecommendations(recommendations) {
-        const container = document.getElementById('recommendations');
-        container.innerHTML = recommendations.map(rec => `
-            <div class="recommendation-item">
-                <span class="recommendation-icon">${rec.icon}</span>
-                <strong>${rec.text}</strong>
-            </div>
-        `).join('');
-    }
-};
-
-// Form Handling
-document.getElementById('projectForm').addEventListener('submit', function(e) {
-    e.preventDefault();
-    
-    UIUpdater.showLoading();
-    
-    // Simulate processing time for better UX
-    setTimeout(() => {
-        // Collect form data
-        projectData = {
-            projectName: document.getElementById('projectName').value,
-            initialInvestment: parseFloat(document.getElementById('initialInvestment').value),
-            discountRate: parseFloat(document.getElementById('discountRate').value),
-            projectDuration: parseInt(document.getElementById('projectDuration').value),
-            yearlyRevenue: parseFloat(document.getElementById('yearlyRevenue').value),
-            revenueGrowth: parseFloat(document.getElementById('revenueGrowth').value),
-            operatingCosts: parseFloat(document.getElementById('operatingCosts').value),
-            maintenanceCosts: parseFloat(document.getElementById('maintenanceCosts').value),
-            bestCaseMultiplier: parseFloat(document.getElementById('bestCaseMultiplier').value),
-            worstCaseMultiplier: parseFloat(document.getElementById('worstCaseMultiplier').value)
-        };
+    sheetXML(sheet) {
+        const cols = (sheet.columnWidths || [])
+            .map((width, i) => `<col min="${i + 1}" max="${i + 1}" width="${width}" customWidth="1"/>`)
+            .join('');
+        const rows = sheet.rows.map((row, r) => {
+            const cells = row.map((cell, c) => this.cellXML(cell, this.columnName(c) + (r + 1))).join('');
+            return `<row r="${r + 1}">${cells}</row>`;
+        }).join('');
+        const freeze = sheet.freezeRows
+            ? `<sheetViews><sheetView workbookViewId="0"><pane ySplit="${sheet.freezeRows}" topLeftCell="A${sheet.freezeRows + 1}" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>`
+            : '';
 
-        // Calculate metrics for all scenarios
-        const expectedMetrics = FinancialCalculator.calculateMetrics(projectData);
-        
-        const bestCaseData = { ...projectData, yearlyRevenue: projectData.yearlyRevenue * projectData.bestCaseMultiplier };
-        const bestMetrics = FinancialCalculator.calculateMetrics(bestCaseData);
-        
-        const worstCaseData = { ...projectData, yearlyRevenue: projectData.yearlyRevenue * projectData.worstCaseMultiplier };
-        const worstMetrics = FinancialCalculator.calculateMetrics(worstCaseData);
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+            freeze +
+            (cols ? `<cols>${cols}</cols>` : '') +
+            `<sheetData>${rows}</sheetData>` +
+            '</worksheet>';
+    },
 
-        // Update UI
-        UIUpdater.updateDashboard(expectedMetrics);
-        UIUpdater.updateScenarioCards(expectedMetrics, bestMetrics, worstMetrics);
+    stylesXML() {
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+            '<numFmts count="2"><numFmt numFmtId="164" formatCode="#,##0.00"/><numFmt numFmtId="165" formatCode="0.000000"/></numFmts>' +
+            '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+            '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+            '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+            '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+            '<cellXfs count="6">' +
+            '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+            '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+            '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+            '<xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+            '<xf numFmtId="10" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+            '<xf numFmtId="4" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+            '</cellXfs>' +
+            '</styleSheet>';
+    },
 
-        // Create charts
-        ChartManager.createCashFlowChart(expectedMetrics.cashFlows, projectData.projectDuration);
-        ChartManager.createROIChart(expectedMetrics.roi, bestMetrics.roi, worstMetrics.roi);
-        ChartManager.createScenariosChart(expectedMetrics, bestMetrics, worstMetrics);
+    // sheets: [{ name, rows, columnWidths, freezeRows }]; returns a Blob
+    build(sheets) {
+        const names = sheets.map(sheet => this.escapeXML(this.sheetName(sheet.name)));
+        const files = [
+            {
+                name: '[Content_Types].xml',
+                content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                    '<Default Extension="xml" ContentType="application/xml"/>' +
+                    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                    '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+                    sheets.map((sheet, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('') +
+                    '</Types>'
+            },
+            {
+                name: '_rels/.rels',
+                content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+                    '</Relationships>'
+            },
+            {
+                name: 'xl/workbook.xml',
+                content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                    '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+                    '<sheets>' + names.map((name, i) => `<sheet name="${name}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('') + '</sheets>' +
+                    '</workbook>'
+            },
+            {
+                name: 'xl/_rels/workbook.xml.rels',
+                content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                    sheets.map((sheet, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('') +
+                    `<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+                    '</Relationships>'
+            },
+            { name: 'xl/styles.xml', content: this.stylesXML() },
+            ...sheets.map((sheet, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, content: this.sheetXML(sheet) }))
+        ];
 
-        // Generate and display recommendations
-        const recommendations = RecommendationEngine.generateRecommendations(expectedMetrics, bestMetrics, worstMetrics, projectData);
-        RecommendationEngine.displayRecommendations(recommendations);
+        return new Blob([ZipWriter.create(files)], { type: this.MIME_TYPE });
+    }
+};
 
-        UIUpdater.hideLoading();
-        UIUpdater.showMessage('success', '✅ ¡Análisis completado exitosamente! Revise las métricas y recomendaciones a continuación.');
+const CashFlowExport = {
+    scenarios: ['expected', 'best', 'worst'],
 
-        // Smooth scroll to dashboard
-        document.getElementById('dashboard').scrollIntoView({ behavior: 'smooth', block: 'nearest' });
-    }, 800);
-});
+    scheduleColumns: ['month', 'revenue', 'costs', 'investment', 'workingCapitalChange', 'netCashFlow', 'discountFactor',
+                      'discountedCashFlow', 'cumulativeCashFlow', 'cumulativeDiscountedCashFlow',
+                      'depreciation', 'tax', 'afterTaxCashFlow'],
 
-// Tab Switching
-function switchTab(tabName) {
-    // Remove active class from all tabs and content
-    document.querySelectorAll('.tab').forEach(tab => tab.classList.remove('active'));
-    document.querySelectorAll('.tab-content').forEach(content => content.classList.remove('active'));
-    
-    // Add active class to clicked tab and corresponding content
-    event.target.classList.add('active');
-    document.getElementById(tabName + '-tab').classList.add('active');
-}
+    // Schedules for every scenario of the last calculation, or null if nothing was calculated
+    buildSchedules() {
+        if (!projectData) return null;
 
-// Reset Form
-function resetForm() {
-    if (confirm('¿Está seguro de que desea reiniciar el formulario? Todos los datos se borrarán.')) {
-        document.getElementById('projectForm').reset();
-        
-        // Reset dashboard
-        document.getElementById('roi-value').textContent = '0%';
-        document.getElementById('npv-value').textContent = '$0';
-        document.getElementById('payback-value').textContent = '0';
-        document.getElementById('irr-value').textContent = '0%';
-        document.getElementById('roi-status').textContent = 'Ingrese datos para calcular';
-        document.getElementById('npv-status').textContent = 'Flujo de caja descontado';
-        
-        // Reset scenario cards
-        ['expected', 'best', 'worst'].forEach(scenario => {
-            document.getElementById(`${scenario}-roi`).textContent = '0%';
-            document.getElementById(`${scenario}-npv`).textContent = '$0';
-            document.getElementById(`${scenario}-payback`).textContent = '0 meses';
-        });
-        
-        // Clear charts
-        Object.values(charts).forEach(chart => {
-            if (chart) chart.destroy();
+        const data = buildScenarioData(projectData);
+        const schedules = {};
+        this.scenarios.forEach(scenario => {
+            schedules[scenario] = FinancialCalculator.generateCashFlowSchedule(data[scenario]);
         });
-        
-        // Reset recommendations
-        document.getElementById('recommendations').innerHTML = '<p style="color: rgba(255, 255, 255, 0.7);">Complete el formulario y calcule para recibir recomendaciones inteligentes basadas en su análisis de caso de negocio.</p>';
-        
-        UIUpdater.showMessage('info', 'El formulario ha sido reiniciado. Ingrese nuevos datos del proyecto para analizar.');
-    }
-}
-
-// PDF Export Function
-function exportToPDF() {
-    if (!projectData) {
-        alert('Por favor calcule su caso de negocio primero antes de exportar.');
-        return;
-    }
+        return schedules;
+    },
 
-    // Check if jsPDF is available
-    if (typeof window.jspdf === 'undefined') {
-        alert('Biblioteca de exportación PDF no cargada. Por favor verifique su conexión a internet y actualice la página.');
-        return;
-    }
+    ensureCalculated() {
+        if (!projectData || !scenarioMetrics) {
+            alert(translations[currentLanguage]['export-calculate-first']);
+            return false;
+        }
+        return true;
+    },
 
-    UIUpdater.showLoading();
+    csvValue(value) {
+        const text = typeof value === 'number' ? String(Math.round(value * 1e6) / 1e6) : String(value);
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    },
 
-    setTimeout(() => {
-        const { jsPDF } = window.jspdf;
-        const doc = new jsPDF();
-        
-        let yPosition = 20;
-        const lineHeight = 7;
-        const pageWidth = doc.internal.pageSize.width;
-        const margin = 20;
+    // One long-format CSV: a scenario column followed by the monthly schedule
+    exportCSV() {
+        if (!this.ensureCalculated()) return;
 
-        // Header
-        doc.setFontSize(20);
-        doc.setTextColor(37, 99, 235);
-        doc.text('Analizador de Casos de Negocio Pro', margin, yPosition);
-        yPosition += 10;
+        const t = translations[currentLanguage];
+        const schedules = this.buildSchedules();
+        const header = [t['cashflow-col-scenario'], ...this.scheduleColumns.map(column => t[`cashflow-col-${column}`])];
+        const lines = [header.map(value => this.csvValue(value)).join(',')];
 
-        doc.setFontSize(10);
-        doc.setTextColor(100, 100, 100);
-        doc.text('Reporte Completo de Análisis', margin, yPosition);
-        yPosition += 10;
-
-        // Strategic Analysis Section (if available)
-        if (strategicData) {
-            doc.setFontSize(14);
-            doc.setTextColor(0, 0, 0);
-            doc.text('Análisis Estratégico', margin, yPosition);
-            yPosition += lineHeight;
-
-            doc.setFontSize(10);
-            doc.text(`Proyecto: ${strategicData.projectName}`, margin + 5, yPosition);
-            yPosition += lineHeight;
-            
-            const problemText = doc.splitTextToSize(`Problema/Oportunidad: ${strategicData.problem}`, pageWidth - margin * 2 - 5);
-            doc.text(problemText, margin + 5, yPosition);
-            yPosition += problemText.length * lineHeight + 3;
-            
-            const solutionText = doc.splitTextToSize(`Solución Propuesta: ${strategicData.solution}`, pageWidth - margin * 2 - 5);
-            doc.text(solutionText, margin + 5, yPosition);
-            yPosition += solutionText.length * lineHeight + 3;
-            
-            yPosition += 5;
-        }
-
-        // Project Information
-        doc.setFontSize(14);
-        doc.setTextColor(0, 0, 0);
-        doc.text('Información del Proyecto', margin, yPosition);
-        yPosition += lineHeight;
-
-        doc.setFontSize(10);
-        doc.text(`Nombre del Proyecto: ${projectData.projectName}`, margin + 5, yPosition);
-        yPosition += lineHeight;
-        doc.text(`Inversión Inicial: $${projectData.initialInvestment.toLocaleString('es-ES')}`, margin + 5, yPosition);
-        yPosition += lineHeight;
-        doc.text(`Duración del Proyecto: ${projectData.projectDuration} meses`, margin + 5, yPosition);
-        yPosition += lineHeight;
-        doc.text(`Tasa de Descuento: ${projectData.discountRate}%`, margin + 5, yPosition);
-        yPosition += lineHeight + 5;
-
-        // Financial Metrics
-        doc.setFontSize(14);
-        doc.text('Métricas Financieras Clave', margin, yPosition);
-        yPosition += lineHeight;
-
-        doc.setFontSize(10);
-        const roiValue = document.getElementById('roi-value').textContent;
-        const npvValue = document.getElementById('npv-value').textContent;
-        const paybackValue = document.getElementById('payback-value').textContent;
-        const irrValue = document.getElementById('irr-value').textContent;
-
-        doc.text(`ROI (Retorno de Inversión): ${roiValue}`, margin + 5, yPosition);
-        yPosition += lineHeight;
-        doc.text(`VPN (Valor Presente Neto): ${npvValue}`, margin + 5, yPosition);
-        yPosition += lineHeight;
-        doc.text(`Período de Recuperación: ${paybackValue} meses`, margin + 5, yPosition);
-        yPosition += lineHeight;
-        doc.text(`TIR (Tasa Interna de Retorno): ${irrValue}`, margin + 5, yPosition);
-        yPosition += lineHeight + 5;
-
-        // Scenario Analysis
-        doc.setFontSize(14);
-        doc.text('Análisis de Escenarios', margin, yPosition);
-        yPosition += lineHeight;
-
-        doc.setFontSize(10);
-        doc.text('Caso Esperado:', margin + 5, yPosition);
-        yPosition += lineHeight;
-        doc.text(`  ROI: ${document.getElementById('expected-roi').textContent}`, margin + 10, yPosition);
-        yPosition += lineHeight;
-        doc.text(`  VPN: ${document.getElementById('expected-npv').textContent}`, margin + 10, yPosition);
-        yPosition += lineHeight;
-
-        doc.text('Mejor Caso:', margin + 5, yPosition);
-        yPosition += lineHeight;
-        doc.text(`  ROI: ${document.getElementById('best-roi').textContent}`, margin + 10, yPosition);
-        yPosition += lineHeight;
-        doc.text(`  VPN: ${document.getElementById('best-npv').textContent}`, margin + 10, yPosition);
-        yPosition += lineHeight;
-
-        doc.text('Peor Caso:', margin + 5, yPosition);
-        yPosition += lineHeight;
-        doc.text(`  ROI: ${document.getElementById('worst-roi').textContent}`, margin + 10, yPosition);
-        yPosition += lineHeight;
-        doc.text(`  VPN: ${document.getElementById('worst-npv').textContent}`, margin + 10, yPosition);
-        yPosition += lineHeight + 5;
-
-        // Recommendations
-        if (yPosition > 240) {
-            doc.addPage();
-            yPosition = 20;
-        }
-
-        doc.setFontSize(14);
-        doc.text('Recomendaciones', margin, yPosition);
-        yPosition += lineHeight;
-
-        doc.setFontSize(9);
-        const recommendations = document.querySelectorAll('.recommendation-item strong');
-        recommendations.forEach((rec, index) => {
-            if (yPosition > 270) {
-                doc.addPage();
-                yPosition = 20;
-            }
-            const text = doc.splitTextToSize(`${index + 1}. ${rec.textContent}`, pageWidth - margin * 2);
-            doc.text(text, margin + 5, yPosition);
-            yPosition += text.length * lineHeight + 2;
+        this.scenarios.forEach(scenario => {
+            schedules[scenario].forEach(row => {
+                const values = [t[`scenario-${scenario}`], ...this.scheduleColumns.map(column => row[column])];
+                lines.push(values.map(value => this.csvValue(value)).join(','));
+            });
         });
 
-        // Footer
-        const pageCount = doc.internal.getNumberOfPages();
-        for (let i = 1; i <= pageCount; i++) {
-            doc.setPage(i);
-            doc.setFontSize(8);
-            doc.setTextColor(150);
-            doc.text(`Page ${i} of ${pageCount}`, pageWidth / 2, doc.internal.pageSize.height - 10, { align: 'center' });
-            doc.text(`Generated: ${new Date().toLocaleDateString()}`, margin, doc.internal.pageSize.height - 10);
+        // BOM so Excel opens the UTF-8 file with accents intact
+        downloadFile(`${exportFileStem()}_flujo_caja.csv`, '\uFEFF' + lines.join('\r\n') + '\r\n', 'text/csv;charset=utf-8');
+        UIUpdater.showMessage('success', t['export-csv-success']);
+    },
+
+    summarySheet() {
+        const t = translations[currentLanguage];
+        const { currency, percent, header } = XlsxWriter.styles;
+        const cell = (value, style) => ({ value, style });
+        const rows = [
+            [cell(t['export-summary-title'], header)],
+            [t['label-projectName'], projectData.projectName],
+            [t['label-currency'], projectData.currency],
+            [withCurrency(t['label-initialInvestment']), cell(projectData.initialInvestment, currency)],
+            [t['label-discountRate'], cell(projectData.discountRate / 100, percent)],
+            [t['label-discountTiming'], t[`option-timing-${projectData.discountTiming}`]],
+            [t['label-projectDuration'], projectData.projectDuration],
+            [withCurrency(t['label-yearlyRevenue']), cell(projectData.yearlyRevenue, currency)],
+            [t['label-revenueGrowth'], cell(projectData.revenueGrowth / 100, percent)],
+            [withCurrency(t['label-operatingCosts']), cell(projectData.operatingCosts, currency)],
+            [withCurrency(t['label-maintenanceCosts']), cell(projectData.maintenanceCosts, currency)],
+            [t['label-operatingCostEscalation'], cell(projectData.operatingCostEscalation / 100, percent)],
+            [t['label-maintenanceCostEscalation'], cell(projectData.maintenanceCostEscalation / 100, percent)],
+            [t['label-goLiveDelay'], projectData.goLiveDelay],
+            [t['label-revenueRampCurve'], t[`option-revenue-ramp-${projectData.revenueRampCurve}`]],
+            [t['label-revenueRampMonths'], projectData.revenueRampMonths],
+            [t['label-revenueRampPercentages'], projectData.revenueRampPercentages.join(', ')],
+            [t['label-receivableDays'], projectData.receivableDays],
+            [t['label-payableDays'], projectData.payableDays],
+            [t['label-inflationRate'], cell(projectData.inflationRate / 100, percent)],
+            [t['label-valuationBasis'], t[`option-basis-${projectData.valuationBasis}`]],
+            [t['label-terminalValueMethod'], t[`option-terminal-${projectData.terminalValueMethod}`]],
+            [t['label-terminalGrowth'], cell(projectData.terminalGrowth / 100, percent)],
+            [t['label-exitMultiple'], projectData.exitMultiple],
+            [t['label-taxRate'], cell(projectData.taxRate / 100, percent)],
+            [t['label-depreciationMethod'], t[`option-depreciation-${projectData.depreciationMethod}`]],
+            [t['label-usefulLife'], projectData.usefulLife],
+            [withCurrency(t['label-loanAmount']), cell(projectData.loanAmount, currency)],
+            [t['label-loanRate'], cell(projectData.loanRate / 100, percent)],
+            [t['label-loanTerm'], projectData.loanTerm],
+            [t['label-amortizationMethod'], t[`option-amortization-${projectData.amortizationMethod}`]],
+            [t['label-gracePeriod'], projectData.gracePeriod],
+            [t['label-bestCaseMultiplier'], projectData.bestCaseMultiplier],
+            [t['label-worstCaseMultiplier'], projectData.worstCaseMultiplier],
+            [],
+            [cell(t['export-summary-metrics'], header), ...this.scenarios.map(scenario => cell(t[`scenario-${scenario}`], header))],
+            [t['metric-roi'], ...this.scenarios.map(scenario => cell(scenarioMetrics[scenario].roi / 100, percent))],
+            [t['metric-npv'], ...this.scenarios.map(scenario => cell(scenarioMetrics[scenario].npv, currency))],
+            [t['terminal-value-pv'], ...this.scenarios.map(scenario => cell(scenarioMetrics[scenario].terminalValue ? scenarioMetrics[scenario].terminalValue.presentValue : 0, currency))],
+            [t['metric-irr'], ...this.scenarios.map(scenario => this.rateCell(scenarioMetrics[scenario].irr))],
+            [t['label-mirr'], ...this.scenarios.map(scenario => this.rateCell(scenarioMetrics[scenario].mirr))],
+            [`${t['metric-payback']} (${t['unit-months']})`, ...this.scenarios.map(scenario => scenarioMetrics[scenario].paybackPeriod)],
+            [`${t['metric-discounted-payback']} (${t['unit-months']})`, ...this.scenarios.map(scenario => scenarioMetrics[scenario].discountedPaybackPeriod)],
+            [t['metric-pi'], ...this.scenarios.map(scenario => (scenarioMetrics[scenario].profitabilityIndex === null ? '—' : scenarioMetrics[scenario].profitabilityIndex))],
+            [t['metric-eaa'], ...this.scenarios.map(scenario => cell(scenarioMetrics[scenario].eaa, currency))],
+            [t['metric-peak-cash'], ...this.scenarios.map(scenario => cell(scenarioMetrics[scenario].peakCash, currency))],
+            [t['export-total-investment'], ...this.scenarios.map(scenario => cell(scenarioMetrics[scenario].totalInvestment, currency))],
+            [t['export-total-net-cashflow'], ...this.scenarios.map(scenario => cell(scenarioMetrics[scenario].totalRevenue, currency))]
+        ];
+        if (projectData.taxRate > 0) {
+            const afterTax = label => `${label} (${t['tax-after-tax-suffix']})`;
+            rows.push(
+                [afterTax(t['metric-roi']), ...this.scenarios.map(scenario => cell(scenarioMetrics[scenario].afterTax.roi / 100, percent))],
+                [afterTax(t['metric-npv']), ...this.scenarios.map(scenario => cell(scenarioMetrics[scenario].afterTax.npv, currency))],
+                [afterTax(t['metric-irr']), ...this.scenarios.map(scenario => this.rateCell(scenarioMetrics[scenario].afterTax.irr))],
+                [afterTax(`${t['metric-payback']} (${t['unit-months']})`), ...this.scenarios.map(scenario => scenarioMetrics[scenario].afterTax.paybackPeriod)],
+                [t['tax-total'], ...this.scenarios.map(scenario => cell(scenarioMetrics[scenario].afterTax.totalTax, currency))],
+                [t['tax-shield'], ...this.scenarios.map(scenario => cell(scenarioMetrics[scenario].afterTax.taxShield, currency))]
+            );
+        }
+        if (scenarioMetrics.expected.financing) {
+            const financing = scenario => scenarioMetrics[scenario].financing;
+            rows.push(
+                [t['metric-equity-irr'], ...this.scenarios.map(scenario => this.rateCell(financing(scenario).equityIRR))],
+                [t['metric-equity-payback'], ...this.scenarios.map(scenario => financing(scenario).equityPayback)],
+                [t['financing-total-interest'], ...this.scenarios.map(scenario => cell(financing(scenario).totalInterest, currency))],
+                [t['financing-min-dscr'], ...this.scenarios.map(scenario => (financing(scenario).minDSCR === null ? '—' : financing(scenario).minDSCR))]
+            );
         }
 
-        // Save PDF
-        const fileName = `Caso_Negocio_${projectData.projectName.replace(/\s+/g, '_')}_${new Date().toISOString().split('T')[0]}.pdf`;
-        doc.save(fileName);
+        return { name: t['export-sheet-summary'], rows, columnWidths: [38, 20, 20, 20] };
+    },
 
-        UIUpdater.hideLoading();
-        UIUpdater.showMessage('success', '📥 ¡Reporte PDF exportado exitosamente!');
-    }, 500);
-}
+    // Percentage cell, or a dash when the rate does not exist (no unique IRR)
+    rateCell(rate) {
+        return rate === null ? '—' : { value: rate / 100, style: XlsxWriter.styles.percent };
+    },
 
-// Auto-calculate on input change (debounced)
-let autoCalcTimeout;
-const formInputs = document.querySelectorAll('#projectForm input');
-formInputs.forEach(input => {
-    input.addEventListener('input', function() {
-        clearTimeout(autoCalcTimeout);
-        autoCalcTimeout = setTimeout(() => {
-            // Only auto-calculate if we have already calculated once
-            if (projectData && document.getElementById('projectForm').checkValidity()) {
-                document.getElementById('projectForm').dispatchEvent(new Event('submit'));
-            }
-        }, 1500);
-    });
-});
+    scheduleSheet(scenario, schedule) {
+        const t = translations[currentLanguage];
+        const { header, currency, factor } = XlsxWriter.styles;
+        const rows = [
+            this.scheduleColumns.map(column => ({ value: t[`cashflow-col-${column}`], style: header })),
+            ...schedule.map(row => this.scheduleColumns.map(column => {
+                if (column === 'month') return row.month;
+                return { value: row[column], style: column === 'discountFactor' ? factor : currency };
+            }))
+        ];
 
-// Strategic Form Handler
-document.getElementById('strategicForm').addEventListener('submit', function(e) {
-    e.preventDefault();
-    handleStrategicSubmit();
-});
+        return {
+            name: t[`scenario-${scenario}`],
+            rows,
+            columnWidths: [8, 16, 16, 16, 20, 16, 14, 18, 20, 22, 16, 16, 20],
+            freezeRows: 1
+        };
+    },
 
-function handleStrategicSubmit() {
-    // Collect strategic form data
-    strategicData = {
-        projectName: document.getElementById('stratProjectName').value,
-        problem: document.getElementById('problemOpportunity').value,
-        solution: document.getElementById('proposedSolution').value,
-        metrics: document.getElementById('successMetrics').value
-    };
-    
-    UIUpdater.showLoading();
-    
-    // Simulate LLM analysis (in production, this would call an actual LLM API)
-    setTimeout(() => {
-        const analysis = generateMockLLMAnalysis(strategicData);
-        displayStrategicAnalysis(analysis);
-        UIUpdater.hideLoading();
-    }, 1500);
-}
+    // Monthly amortization table of the loan over the project months
+    amortizationSheet(financing) {
+        const t = translations[currentLanguage];
+        const { header, currency } = XlsxWriter.styles;
+        const columns = ['openingBalance', 'interest', 'principal', 'payment', 'closingBalance'];
+        const titles = ['opening', 'interest', 'principal', 'payment', 'closing'];
+        const rows = [
+            [t['amortization-col-month'], ...titles.map(title => t[`amortization-col-${title}`])].map(value => ({ value, style: header })),
+            ...financing.amortization
+                .filter(entry => entry.month <= projectData.projectDuration)
+                .map(entry => [entry.month, ...columns.map(column => ({ value: entry[column], style: currency }))])
+        ];
+        if (financing.settlement > 0) {
+            rows.push([], [t['financing-settlement'].replace('{month}', projectData.projectDuration), { value: financing.settlement, style: currency }]);
+        }
 
-function generateMockLLMAnalysis(data) {
-    // Mock LLM analysis based on inputs
-    const viabilityScore = Math.floor(Math.random() * 20) + 75; // 75-95
-    
-    const analysis = {
-        viability: viabilityScore,
-        strengths: [
-            currentLanguage === 'en' ? 'Clear problem definition and market need' : 'Definición clara del problema y necesidad del mercado',
-            currentLanguage === 'en' ? 'Well-structured solution approach' : 'Enfoque de solución bien estructurado',
-            currentLanguage === 'en' ? 'Measurable success metrics defined' : 'Métricas de éxito medibles definidas'
-        ],
-        weaknesses: [
-            currentLanguage === 'en' ? 'Market competition analysis needed' : 'Se necesita análisis de competencia del mercado',
-            currentLanguage === 'en' ? 'Resource requirements should be detailed further' : 'Los requisitos de recursos deben detallarse más'
-        ],
-        risks: [
-            currentLanguage === 'en' ? 'Implementation timeline may be challenging' : 'El cronograma de implementación puede ser desafiante',
-            currentLanguage === 'en' ? 'Stakeholder buy-in is critical for success' : 'La aceptación de los interesados es crítica para el éxito'
-        ],
-        recommendation: viabilityScore >= 80 
-            ? (currentLanguage === 'en' ? 'Highly recommended to proceed with detailed financial analysis' : 'Altamente recomendado proceder con análisis financiero detallado')
-            : (currentLanguage === 'en' ? 'Recommended to proceed with caution and detailed planning' : 'Recomendado proceder con precaución y planificación detallada')
-    };
-    
-    return analysis;
-}
+        return {
+            name: t['export-sheet-amortization'],
+            rows,
+            columnWidths: [8, 18, 16, 16, 16, 18],
+            freezeRows: 1
+        };
+    },
 
-function displayStrategicAnalysis(analysis) {
-    const container = document.getElementById('analysisContent');
-    const t = translations[currentLanguage];
-    
-    const html = `
-        <div style="margin-bottom: 1.5rem;">
-            <h4>${currentLanguage === 'en' ? 'Viability Assessment' : 'Evaluación de Viabilidad'}</h4>
-            <div class="viability-score">${currentLanguage === 'en' ? 'Viability' : 'Viabilidad'}: ${analysis.viability}/100</div>
-        </div>
-        
-        <div style="margin-bottom: 1.5rem;">
-            <h4>✓ ${currentLanguage === 'en' ? 'Strengths' : 'Fortalezas'}</h4>
-            <ul>
-                ${analysis.strengths.map(s => `<li>${s}</li>`).join('')}
-            </ul>
-        </div>
-        
-        <div style="margin-bottom: 1.5rem;">
-            <h4>⚠️ ${currentLanguage === 'en' ? 'Areas for Improvement' : 'Áreas de Mejora'}</h4>
-            <ul>
-                ${analysis.weaknesses.map(w => `<li style="color: var(--warning-color);">${w}</li>`).join('')}
-            </ul>
-        </div>
-        
-        <div style="margin-bottom: 1.5rem;">
-            <h4>🎯 ${currentLanguage === 'en' ? 'Key Risks' : 'Riesgos Clave'}</h4>
-            <ul>
-                ${analysis.risks.map(r => `<li style="color: var(--danger-color);">${r}</li>`).join('')}
-            </ul>
-        </div>
-        
-        <div style="padding: 1rem; background: var(--gray-50); border-radius: var(--border-radius); border-left: 4px solid var(--success-color);">
-            <strong>${currentLanguage === 'en' ? 'Recommendation' : 'Recomendación'}:</strong>
-            <p style="margin-top: 0.5rem;">${analysis.recommendation}</p>
-        </div>
-    `;
-    
-    container.innerHTML = html;
-    document.getElementById('strategicAnalysisResult').classList.remove('hidden');
-    
-    // Scroll to result
-    document.getElementById('strategicAnalysisResult').scrollIntoView({ behavior: 'smooth', block: 'nearest' });
-}
+    exportXLSX() {
+        if (!this.ensureCalculated()) return;
 
-// Step Navigation Functions
-function goToStep2() {
-    // Hide step 1, show step 2
-    document.getElementById('step1-strategic-module').style.display = 'none';
-    document.getElementById('step2-financial-module').style.display = 'block';
-    
-    // Pre-fill project name from strategic analysis if available
-    if (strategicData && strategicData.projectName) {
-        document.getElementById('projectName').value = strategicData.projectName;
+        const schedules = this.buildSchedules();
+        const sheets = [this.summarySheet(), ...this.scenarios.map(scenario => this.scheduleSheet(scenario, schedules[scenario]))];
+        if (scenarioMetrics.expected.financing) {
+            sheets.push(this.amortizationSheet(scenarioMetrics.expected.financing));
+        }
+        downloadFile(`${exportFileStem()}_flujo_caja.xlsx`, XlsxWriter.build(sheets), XlsxWriter.MIME_TYPE);
+        UIUpdater.showMessage('success', translations[currentLanguage]['export-xlsx-success']);
     }
-    
-    // Scroll to top
-    window.scrollTo({ top: 0, behavior: 'smooth' });
-}
-
-function goToStep1() {
-    // Hide step 2, show step 1
-    document.getElementById('step2-financial-module').style.display = 'none';
-    document.getElementById('step1-strategic-module').style.display = 'block';
-    
-    // Scroll to top
-    window.scrollTo({ top: 0, behavior: 'smooth' });
-}
+};
 
 // ====================================
 // Contextual Guide System
@@ -1536,217 +6550,9 @@ document.addEventListener('keydown', function(e) {
 });
 
 // ====================================
-// Field Quality Assessment System
+// Field Quality Indicators
 // ====================================
 
-const qualityAssessment = {
-    assessField(fieldId, value) {
-        const assessments = {
-            stratProjectName: this.assessProjectName(value),
-            problemOpportunity: this.assessProblemOpportunity(value),
-            proposedSolution: this.assessProposedSolution(value),
-            successMetrics: this.assessSuccessMetrics(value)
-        };
-        
-        return assessments[fieldId] || { score: 0, feedback: '', level: 'poor' };
-    },
-    
-    assessProjectName(value) {
-        const words = value.trim().split(/\s+/);
-        const length = value.trim().length;
-        let score = 0;
-        let feedback = '';
-        
-        if (length === 0) {
-            return { score: 0, feedback: '', level: 'poor' };
-        }
-        
-        // Check length (3-7 words ideal)
-        if (words.length >= 3 && words.length <= 7) {
-            score += 40;
-        } else if (words.length < 3) {
-            feedback = currentLanguage === 'es' ? 
-                '💡 Sugerencia: Agregue más detalles (3-7 palabras ideal)' : 
-                '💡 Suggestion: Add more detail (3-7 words ideal)';
-        } else {
-            feedback = currentLanguage === 'es' ?
-                '💡 Sugerencia: Sea más conciso (3-7 palabras ideal)' :
-                '💡 Suggestion: Be more concise (3-7 words ideal)';
-        }
-        
-        // Check for action words
-        const actionWords = ['implement', 'transform', 'optimize', 'develop', 'create', 'build', 'enhance', 
-                            'implementar', 'transformar', 'optimizar', 'desarrollar', 'crear', 'construir', 'mejorar'];
-        if (actionWords.some(word => value.toLowerCase().includes(word))) {
-            score += 30;
-        }
-        
-        // Check capitalization
-        if (words.every(word => word[0] === word[0].toUpperCase())) {
-            score += 30;
-        }
-        
-        if (score >= 70 && feedback === '') {
-            feedback = currentLanguage === 'es' ?
-                '✓ Excelente: Nombre claro y profesional' :
-                '✓ Excellent: Clear and professional name';
-        }
-        
-        return {
-            score,
-            feedback,
-            level: score >= 70 ? 'good' : score >= 40 ? 'warning' : 'poor'
-        };
-    },
-    
-    assessProblemOpportunity(value) {
-        const length = value.trim().length;
-        const sentences = value.split(/[.!?]+/).filter(s => s.trim().length > 0);
-        let score = 0;
-        let feedback = '';
-        
-        if (length === 0) {
-            return { score: 0, feedback: '', level: 'poor' };
-        }
-        
-        // Check minimum length
-        if (length >= 150) score += 30;
-        else feedback = currentLanguage === 'es' ?
-            '💡 Agregue más detalles sobre el problema (mínimo 150 caracteres)' :
-            '💡 Add more detail about the problem (minimum 150 characters)';
-        
-        // Check for multiple sentences
-        if (sentences.length >= 2) score += 20;
-        
-        // Check for quantifiable data (numbers or percentages)
-        if (/\d+/.test(value)) score += 25;
-        else if (feedback === '') feedback = currentLanguage === 'es' ?
-            '💡 Incluya datos cuantificables (números, porcentajes, costos)' :
-            '💡 Include quantifiable data (numbers, percentages, costs)';
-        
-        // Check for business impact keywords
-        const impactWords = ['cost', 'time', 'efficiency', 'revenue', 'customer', 'risk', 'hours', 'dollars',
-                            'costo', 'tiempo', 'eficiencia', 'ingresos', 'cliente', 'riesgo', 'horas', 'dólares'];
-        if (impactWords.some(word => value.toLowerCase().includes(word))) {
-            score += 25;
-        }
-        
-        if (score >= 70 && feedback === '') {
-            feedback = currentLanguage === 'es' ?
-                '✓ Excelente: Problema bien definido con impacto cuantificable' :
-                '✓ Excellent: Well-defined problem with quantifiable impact';
-        }
-        
-        return {
-            score,
-            feedback,
-            level: score >= 70 ? 'good' : score >= 40 ? 'warning' : 'poor'
-        };
-    },
-    
-    assessProposedSolution(value) {
-        const length = value.trim().length;
-        const sentences = value.split(/[.!?]+/).filter(s => s.trim().length > 0);
-        let score = 0;
-        let feedback = '';
-        
-        if (length === 0) {
-            return { score: 0, feedback: '', level: 'poor' };
-        }
-        
-        // Check minimum length
-        if (length >= 150) score += 30;
-        else feedback = currentLanguage === 'es' ?
-            '💡 Describa la solución con más detalle (mínimo 150 caracteres)' :
-            '💡 Describe the solution in more detail (minimum 150 characters)';
-        
-        // Check for multiple sentences
-        if (sentences.length >= 2) score += 20;
-        
-        // Check for scope definition
-        const scopeWords = ['phase', 'scope', 'will', 'include', 'feature', 
-                           'fase', 'alcance', 'incluir', 'característica'];
-        if (scopeWords.some(word => value.toLowerCase().includes(word))) {
-            score += 25;
-        } else if (feedback === '') {
-            feedback = currentLanguage === 'es' ?
-                '💡 Defina el alcance de la Fase 1 claramente' :
-                '💡 Define Phase 1 scope clearly';
-        }
-        
-        // Check for capability focus
-        const capabilityWords = ['capability', 'enable', 'allow', 'provide', 'automate',
-                                'capacidad', 'permitir', 'proporcionar', 'automatizar'];
-        if (capabilityWords.some(word => value.toLowerCase().includes(word))) {
-            score += 25;
-        }
-        
-        if (score >= 70 && feedback === '') {
-            feedback = currentLanguage === 'es' ?
-                '✓ Excelente: Solución bien estructurada con alcance claro' :
-                '✓ Excellent: Well-structured solution with clear scope';
-        }
-        
-        return {
-            score,
-            feedback,
-            level: score >= 70 ? 'good' : score >= 40 ? 'warning' : 'poor'
-        };
-    },
-    
-    assessSuccessMetrics(value) {
-        const length = value.trim().length;
-        let score = 0;
-        let feedback = '';
-        
-        if (length === 0) {
-            return { score: 0, feedback: '', level: 'poor' };
-        }
-        
-        // Check minimum length
-        if (length >= 100) score += 25;
-        else feedback = currentLanguage === 'es' ?
-            '💡 Proporcione más detalles sobre las métricas (mínimo 100 caracteres)' :
-            '💡 Provide more detail about metrics (minimum 100 characters)';
-        
-        // Check for numbers and percentages
-        if (/\d+/.test(value)) score += 25;
-        else if (feedback === '') feedback = currentLanguage === 'es' ?
-            '💡 Incluya objetivos cuantificables con números específicos' :
-            '💡 Include quantifiable goals with specific numbers';
-        
-        // Check for timeframe
-        const timeWords = ['quarter', 'month', 'week', 'year', 'day',
-                          'trimestre', 'mes', 'semana', 'año', 'día'];
-        if (timeWords.some(word => value.toLowerCase().includes(word))) {
-            score += 25;
-        } else if (feedback === '') {
-            feedback = currentLanguage === 'es' ?
-                '💡 Especifique plazos para los objetivos' :
-                '💡 Specify timeframes for objectives';
-        }
-        
-        // Check for metric keywords
-        const metricWords = ['reduce', 'increase', 'improve', 'achieve', 'target', 'goal',
-                            'reducir', 'aumentar', 'mejorar', 'lograr', 'objetivo', 'meta'];
-        if (metricWords.some(word => value.toLowerCase().includes(word))) {
-            score += 25;
-        }
-        
-        if (score >= 75 && feedback === '') {
-            feedback = currentLanguage === 'es' ?
-                '✓ Excelente: Métricas SMART bien definidas' :
-                '✓ Excellent: Well-defined SMART metrics';
-        }
-        
-        return {
-            score,
-            feedback,
-            level: score >= 75 ? 'good' : score >= 50 ? 'warning' : 'poor'
-        };
-    }
-};
-
 // Update field quality indicators
 function updateFieldQuality(fieldId, value) {
     const assessment = qualityAssessment.assessField(fieldId, value);
@@ -1831,6 +6637,7 @@ function updateOverallProgress() {
     if (element) {
         element.addEventListener('input', function() {
             updateFieldQuality(fieldId, this.value);
+            ProjectLibrary.scheduleAutosave();
         });
         
         // Trigger initial assessment
@@ -1850,6 +6657,21 @@ window.addEventListener('load', function() {
     // Initialize progress indicator
     updateOverallProgress();
     
+    // Restore AI provider settings, exchange rates, the recommendation rule set and the report options
+    StrategicAnalysisService.initSettingsPanel();
+    CurrencySettings.init();
+    RecommendationSettings.init();
+    PdfReport.initPanel();
+    
+    // Show the editable tables with their defaults, then restore the last working draft and list saved cases
+    LineItemEditor.render();
+    InvestmentScheduleEditor.render();
+    MonteCarloPanel.render();
+    SensitivityPanel.render();
+    GoalSeekPanel.render();
+    CapitalOptimizerPanel.render();
+    ProjectLibrary.init();
+    
     // Show welcome message
     setTimeout(() => {
         UIUpdater.showMessage('info', '👋 ¡Bienvenido! Comience con el análisis estratégico de su proyecto.');
@@ -0,0 +1,22 @@
+// ====================================
+// Monte Carlo simulation worker
+// Runs RiskSimulation iterations off the main thread and reports progress
+// ====================================
+
+importScripts('analysis-core.js');
+
+const CHUNK_SIZE = 500;
+
+self.onmessage = function(event) {
+    const { data, variables, iterations, seed } = event.data;
+    const random = RiskSimulation.createRandom(seed);
+    const npvs = [];
+
+    while (npvs.length < iterations) {
+        const count = Math.min(CHUNK_SIZE, iterations - npvs.length);
+        npvs.push(...RiskSimulation.runIterations(data, variables, count, random));
+        self.postMessage({ type: 'progress', completed: npvs.length, iterations });
+    }
+
+    self.postMessage({ type: 'result', summary: RiskSimulation.summarize(npvs) });
+};
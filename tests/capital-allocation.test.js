@@ -0,0 +1,149 @@
+// ====================================
+// CapitalAllocation tests. Run with: node --test
+// ====================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FinancialCalculator, CapitalAllocation } = require('../analysis-core.js');
+
+const assertClose = (actual, expected, tolerance = 0.01) => {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${expected} ± ${tolerance}, got ${actual}`);
+};
+
+// Synthetic candidate: everything spent in one year
+const candidate = (name, cost, npv, year = 1) => {
+    const yearlySpend = new Array(year).fill(0);
+    yearlySpend[year - 1] = cost;
+    return { name, startYear: year, cost, npv, profitabilityIndex: 1 + npv / cost, yearlySpend };
+};
+
+const names = (candidates, result) => result.chosen.map(index => candidates[index].name);
+
+test('parseTable reads a comma separated table with defaults for optional columns', () => {
+    const { projects, errors } = CapitalAllocation.parseTable(
+        'name,initialInvestment,discountRate,projectDuration,yearlyRevenue,startYear\n' +
+        'CRM,150000,10,24,75000,\n' +
+        '"Data Lake",$400000,8,36,200000,2\n'
+    );
+
+    assert.deepEqual(errors, []);
+    assert.equal(projects.length, 2);
+    assert.equal(projects[0].name, 'CRM');
+    assert.equal(projects[0].startYear, 1);
+    assert.equal(projects[0].data.operatingCosts, 0);
+    assert.equal(projects[0].data.discountTiming, 'end');
+    assert.equal(projects[1].name, 'Data Lake');
+    assert.equal(projects[1].data.initialInvestment, 400000);
+    assert.equal(projects[1].startYear, 2);
+});
+
+test('parseTable accepts tab separated rows with thousands separators', () => {
+    const { projects, errors } = CapitalAllocation.parseTable(
+        'Name\tinitialinvestment\tdiscountRate\tprojectDuration\tyearlyRevenue\toperatingCosts\n' +
+        'ERP\t1,250,000\t9.5\t48\t600,000\t120,000\n'
+    );
+    assert.deepEqual(errors, []);
+    assert.equal(projects[0].data.initialInvestment, 1250000);
+    assert.equal(projects[0].data.operatingCosts, 120000);
+    assert.equal(projects[0].data.discountRate, 9.5);
+});
+
+test('parseTable reports unknown and missing columns and bad values', () => {
+    assert.match(CapitalAllocation.parseTable('name,budget\nA,1').errors.join('\n'), /column "budget"/);
+    assert.match(CapitalAllocation.parseTable('name,initialInvestment\nA,1').errors.join('\n'), /required column "discountRate"/);
+    assert.equal(CapitalAllocation.parseTable('initialInvestment').errors.length, 1);
+
+    const { projects, errors } = CapitalAllocation.parseTable(
+        'name,initialInvestment,discountRate,projectDuration,yearlyRevenue,startYear\nA,abc,10,0,1000,0\n'
+    );
+    assert.deepEqual(projects, []);
+    assert.equal(errors.length, 3);
+    assert.match(errors[0], /row 2: initialInvestment "abc"/);
+});
+
+test('candidate takes NPV and cost from FinancialCalculator and spreads spend over budget years', () => {
+    const data = {
+        initialInvestment: 100000,
+        discountRate: 10,
+        discountTiming: 'end',
+        projectDuration: 24,
+        yearlyRevenue: 90000,
+        revenueGrowth: 0,
+        operatingCosts: 10000,
+        maintenanceCosts: 0,
+        investmentSchedule: [{ name: 'Phase 2', amount: 50000, month: 13, recurrence: 'once', endMonth: null }]
+    };
+    const metrics = FinancialCalculator.calculateMetrics(data);
+    const result = CapitalAllocation.candidate('Phased', data, 2);
+
+    assert.equal(result.npv, metrics.npv);
+    assert.equal(result.cost, 150000);
+    // The same present-value profitability index as the main analysis
+    assertClose(result.profitabilityIndex, 1 + metrics.npv / (100000 + 50000 * FinancialCalculator.discountFactor(13, 10)), 1e-9);
+    assert.equal(result.profitabilityIndex, metrics.profitabilityIndex);
+    assert.deepEqual(result.yearlySpend, [0, 100000, 50000]);
+
+    // Without tranches everything is spent in the start year
+    assert.deepEqual(CapitalAllocation.candidate('Simple', { ...data, projectDuration: 48, investmentSchedule: [] }).yearlySpend, [100000]);
+});
+
+test('the knapsack beats the profitability-index heuristic when the best ratio crowds out a better pair', () => {
+    const candidates = [candidate('A', 60, 70), candidate('B', 50, 55), candidate('C', 50, 55)];
+
+    const exact = CapitalAllocation.optimize(candidates, { budget: 100 });
+    assert.deepEqual(names(candidates, exact), ['B', 'C']);
+    assert.equal(exact.totalNPV, 110);
+    assert.equal(exact.totalCost, 100);
+    assert.equal(exact.exact, true);
+
+    const greedy = CapitalAllocation.optimize(candidates, { budget: 100, method: 'profitabilityIndex' });
+    assert.deepEqual(names(candidates, greedy), ['A']);
+    assert.equal(greedy.totalNPV, 70);
+    assert.equal(greedy.exact, false);
+});
+
+test('projects with NPV at or below zero are never funded', () => {
+    const candidates = [candidate('Loss', 10, -5), candidate('Flat', 10, 0), candidate('Gain', 10, 1)];
+    const result = CapitalAllocation.optimize(candidates, { budget: 1000 });
+    assert.deepEqual(names(candidates, result), ['Gain']);
+});
+
+test('per-year spending limits are respected', () => {
+    const candidates = [candidate('Y1 big', 80, 100, 1), candidate('Y1 small', 40, 45, 1), candidate('Y2', 70, 60, 2)];
+
+    const result = CapitalAllocation.optimize(candidates, { budget: 200, yearlyLimits: [90, null] });
+    assert.deepEqual(names(candidates, result), ['Y1 big', 'Y2']);
+    assert.deepEqual(result.yearlySpend, [80, 70]);
+    assert.deepEqual(result.yearlyLimits, [90, null]);
+
+    const tight = CapitalAllocation.optimize(candidates, { budget: 200, yearlyLimits: [50, 50] });
+    assert.deepEqual(names(candidates, tight), ['Y1 small']);
+});
+
+test('the knapsack matches exhaustive search on small random portfolios', () => {
+    let seed = 7;
+    const random = () => {
+        seed = (seed * 16807) % 2147483647;
+        return seed / 2147483647;
+    };
+
+    for (let round = 0; round < 25; round++) {
+        const candidates = Array.from({ length: 9 }, (_, i) =>
+            candidate(`P${i}`, Math.round(10 + random() * 90), Math.round(-20 + random() * 100), 1 + Math.floor(random() * 3)));
+        const budget = Math.round(100 + random() * 200);
+        const yearlyLimits = [Math.round(50 + random() * 100), null, Math.round(50 + random() * 100)];
+
+        let best = 0;
+        for (let mask = 0; mask < 1 << candidates.length; mask++) {
+            const set = candidates.filter((_, i) => mask & (1 << i));
+            const cost = set.reduce((sum, c) => sum + c.cost, 0);
+            const fits = cost <= budget && yearlyLimits.every((limit, year) =>
+                limit === null || set.reduce((sum, c) => sum + (c.yearlySpend[year] || 0), 0) <= limit);
+            if (fits) best = Math.max(best, set.reduce((sum, c) => sum + c.npv, 0));
+        }
+
+        const result = CapitalAllocation.optimize(candidates, { budget, yearlyLimits });
+        assert.equal(result.totalNPV, best, `round ${round}`);
+        assert.ok(result.totalCost <= budget);
+    }
+});
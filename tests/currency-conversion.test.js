@@ -0,0 +1,91 @@
+// ====================================
+// CurrencyConversion tests. Run with: node --test
+// ====================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CurrencyConversion, PortfolioComparison, CapitalAllocation, FinancialCalculator } = require('../analysis-core.js');
+
+const assertClose = (actual, expected, tolerance = 1e-9) => {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${expected} ± ${tolerance}, got ${actual}`);
+};
+
+// 1 EUR = 1.10 USD, 1 MXN = 0.05 USD
+const table = { base: 'USD', rates: { EUR: 1.1, MXN: 0.05 } };
+
+test('rates convert to and from the base currency', () => {
+    assert.equal(CurrencyConversion.rate('USD', 'USD', table), 1);
+    assert.equal(CurrencyConversion.rate('EUR', 'USD', table), 1.1);
+    assertClose(CurrencyConversion.rate('USD', 'MXN', table), 20);
+    assertClose(CurrencyConversion.convert(1000, 'EUR', 'USD', table), 1100);
+});
+
+test('rates between two non-base currencies cross through the base', () => {
+    assertClose(CurrencyConversion.rate('EUR', 'MXN', table), 22);
+    assertClose(CurrencyConversion.convert(22, 'MXN', 'EUR', table), 1);
+});
+
+test('a missing rate gives null instead of a wrong amount', () => {
+    assert.equal(CurrencyConversion.rate('COP', 'USD', table), null);
+    assert.equal(CurrencyConversion.convert(100, 'EUR', 'COP', table), null);
+    // Same currency needs no rate at all
+    assert.equal(CurrencyConversion.convert(100, 'COP', 'COP', table), 100);
+});
+
+test('parseRates reads CSV with a header and semicolon rows with decimal commas', () => {
+    const csv = CurrencyConversion.parseRates('currency,rate\neur,1.08\nMXN,0.055\n');
+    assert.deepEqual(csv, { rates: { EUR: 1.08, MXN: 0.055 }, errors: [] });
+
+    const semicolon = CurrencyConversion.parseRates('COP;0,00025\nBRL;0,2');
+    assert.deepEqual(semicolon, { rates: { COP: 0.00025, BRL: 0.2 }, errors: [] });
+});
+
+test('parseRates reports unknown currencies and bad rates', () => {
+    const { rates, errors } = CurrencyConversion.parseRates('EUR,1.1\nXYZ,2\nMXN,-1\nCOP,abc');
+    assert.deepEqual(rates, { EUR: 1.1 });
+    assert.equal(errors.length, 3);
+    assert.match(errors[0], /row 2: "XYZ"/);
+    assert.match(errors[1], /row 3: rate "-1"/);
+});
+
+test('portfolio entries and funding candidates report money in the converted currency', () => {
+    const data = {
+        initialInvestment: 100000,
+        discountRate: 10,
+        discountTiming: 'end',
+        projectDuration: 24,
+        yearlyRevenue: 90000,
+        revenueGrowth: 0,
+        operatingCosts: 10000,
+        maintenanceCosts: 0
+    };
+    const metrics = FinancialCalculator.calculateMetrics(data);
+    const rate = CurrencyConversion.rate('EUR', 'USD', table);
+
+    const entry = PortfolioComparison.evaluate('EU', { expected: data, best: data, worst: data }, rate);
+    assertClose(entry.expected.npv, metrics.npv * 1.1, 1e-6);
+    assertClose(entry.cumulativeCashFlows[0], -110000, 1e-6);
+    // Rates and months do not depend on the currency
+    assert.equal(entry.expected.roi, metrics.roi);
+    assert.equal(entry.expected.paybackPeriod, metrics.paybackPeriod);
+
+    const candidate = CapitalAllocation.candidate('EU', data, 1, rate);
+    assertClose(candidate.cost, 110000, 1e-6);
+    assertClose(candidate.npv, metrics.npv * 1.1, 1e-6);
+    assertClose(candidate.profitabilityIndex, 1 + metrics.npv / 100000, 1e-9);
+    assertClose(candidate.yearlySpend[0], 110000, 1e-6);
+});
+
+test('a project table can name the currency of each row', () => {
+    const { projects, errors } = CapitalAllocation.parseTable(
+        'name,currency,initialInvestment,discountRate,projectDuration,yearlyRevenue\nA,mxn,1000000,10,24,900000\nB,,50000,10,24,40000\nC,XYZ,1,1,1,1'
+    );
+    assert.equal(projects.length, 0);
+    assert.equal(errors.length, 1);
+    assert.match(errors[0], /row 4: currency "XYZ"/);
+
+    const valid = CapitalAllocation.parseTable(
+        'name,currency,initialInvestment,discountRate,projectDuration,yearlyRevenue\nA,mxn,1000000,10,24,900000\nB,,50000,10,24,40000'
+    );
+    assert.deepEqual(valid.projects.map(project => project.currency), ['MXN', null]);
+});
@@ -0,0 +1,99 @@
+// ====================================
+// Discounted payback, profitability index, EAA and peak cash tests. Run with: node --test
+// ====================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FinancialCalculator, RecommendationRules } = require('../analysis-core.js');
+
+const assertClose = (actual, expected, tolerance = 1e-6) => {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${expected} ± ${tolerance}, got ${actual}`);
+};
+
+const project = (overrides = {}) => ({
+    initialInvestment: 100000,
+    discountRate: 10,
+    projectDuration: 36,
+    yearlyRevenue: 72000,
+    revenueGrowth: 0,
+    operatingCosts: 12000,
+    maintenanceCosts: 0,
+    ...overrides
+});
+
+test('discounted payback comes after the simple payback', () => {
+    const metrics = FinancialCalculator.calculateMetrics(project());
+    // 5,000 a month recovers 100,000 after 20 months undiscounted
+    assertClose(metrics.paybackPeriod, 20);
+    assert.ok(metrics.discountedPaybackPeriod > 20);
+
+    const flows = metrics.cashFlows;
+    const month = Math.ceil(metrics.discountedPaybackPeriod);
+    const recovered = count => flows.slice(0, count + 1)
+        .reduce((sum, flow, index) => sum + flow * FinancialCalculator.discountFactor(index, 10), 0);
+    assert.ok(recovered(month - 1) < 0);
+    assert.ok(recovered(month) >= 0);
+});
+
+test('without discounting the discounted payback equals the simple payback', () => {
+    const metrics = FinancialCalculator.calculateMetrics(project({ discountRate: 0 }));
+    assertClose(metrics.discountedPaybackPeriod, metrics.paybackPeriod);
+});
+
+test('the profitability index is 1 + NPV over the present value of the investments', () => {
+    const metrics = FinancialCalculator.calculateMetrics(project());
+    assertClose(metrics.profitabilityIndex, 1 + metrics.npv / 100000);
+
+    const staged = FinancialCalculator.calculateMetrics(project({ investmentSchedule: [{ amount: 20000, month: 12 }] }));
+    const presentInvestment = 100000 + 20000 / 1.1;
+    assertClose(staged.profitabilityIndex, 1 + staged.npv / presentInvestment);
+    assert.equal(FinancialCalculator.calculateProfitabilityIndex(500, [0, 0], 10), null);
+});
+
+test('the equivalent annual annuity spreads NPV evenly over the project years', () => {
+    const metrics = FinancialCalculator.calculateMetrics(project());
+    const annuityFactor = (1 - Math.pow(1.1, -3)) / 0.1;
+    assertClose(metrics.eaa, metrics.npv / annuityFactor);
+    assertClose(FinancialCalculator.calculateEAA(3000, 0, 36), 1000);
+});
+
+test('EAA ranks projects of different lengths by their yearly value', () => {
+    const short = FinancialCalculator.calculateMetrics(project({ projectDuration: 24 }));
+    const long = FinancialCalculator.calculateMetrics(project({ projectDuration: 48 }));
+    assert.ok(long.npv > short.npv);
+    assertClose(long.eaa, long.npv * 0.1 / (1 - Math.pow(1.1, -4)));
+});
+
+test('peak cash is the deepest cumulative position, including later capex', () => {
+    assert.deepEqual(FinancialCalculator.calculatePeakCash([-100, 30, -50, 80, 90]), { amount: 120, month: 2 });
+    assert.deepEqual(FinancialCalculator.calculatePeakCash([0, 10, 20]), { amount: 0, month: 0 });
+
+    const metrics = FinancialCalculator.calculateMetrics(project({ goLiveDelay: 3 }));
+    assertClose(metrics.peakCash, 100000 + 3 * 1000);
+    assert.equal(metrics.peakCashMonth, 3);
+});
+
+test('recommendations cover the new metrics', () => {
+    const ids = data => {
+        const metrics = FinancialCalculator.calculateMetrics(data);
+        const context = RecommendationRules.context(metrics, metrics, metrics, data);
+        return RecommendationRules.evaluate(RecommendationRules.preset('standard'), context).map(rule => rule.id);
+    };
+
+    const healthy = ids(project());
+    assert.ok(healthy.includes('discounted-payback-within'));
+    assert.ok(healthy.includes('pi-strong'));
+    assert.ok(healthy.includes('eaa-positive'));
+    assert.ok(!healthy.includes('peak-cash-high'));
+    assert.ok(ids(project({ yearlyRevenue: 60000 })).includes('pi-thin'));
+
+    // Value that only the terminal value delivers, with a long pre-revenue phase
+    const terminal = ids(project({ projectDuration: 12, goLiveDelay: 4, terminalValueMethod: 'multiple', exitMultiple: 8 }));
+    assert.ok(terminal.includes('discounted-payback-terminal'));
+    assert.ok(!terminal.includes('discounted-payback-within'));
+
+    // Peak cash is measured against all capex: a staged tranche alone is not a funding gap,
+    // months of costs before go-live are
+    assert.ok(!ids(project({ investmentSchedule: [{ amount: 60000, month: 2 }] })).includes('peak-cash-high'));
+    assert.ok(ids(project({ goLiveDelay: 9, operatingCosts: 48000 })).includes('peak-cash-high'));
+});
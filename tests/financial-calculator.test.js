@@ -0,0 +1,251 @@
+// ====================================
+// FinancialCalculator tests
+// Reference values come from the spreadsheet functions NPV, IRR, MIRR and XNPV
+// (the worked examples in their documentation). Run with: node --test
+// ====================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FinancialCalculator } = require('../analysis-core.js');
+
+// Spreadsheet functions use a per-period rate; our rates are annual and compound
+// monthly, so an annual rate equal to annualRate(r) gives a monthly rate of r.
+const perMonth = rate => FinancialCalculator.annualRate(rate);
+
+const assertClose = (actual, expected, tolerance = 0.01) => {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${expected} ± ${tolerance}, got ${actual}`);
+};
+
+const sampleProject = {
+    initialInvestment: 150000,
+    discountRate: 10,
+    discountTiming: 'end',
+    projectDuration: 24,
+    yearlyRevenue: 75000,
+    revenueGrowth: 0,
+    operatingCosts: 15000,
+    maintenanceCosts: 5000
+};
+
+test('rate conversions are inverses of each other', () => {
+    assertClose(FinancialCalculator.monthlyRate(12.682503013196972), 1, 1e-9);
+    assertClose(FinancialCalculator.annualRate(1), 12.682503013196972, 1e-9);
+    assertClose(FinancialCalculator.annualRate(FinancialCalculator.monthlyRate(10)), 10, 1e-9);
+});
+
+test('calculateROI', () => {
+    assert.equal(FinancialCalculator.calculateROI(100000, 150000), 50);
+    assert.equal(FinancialCalculator.calculateROI(100000, 50000), -50);
+    assert.equal(FinancialCalculator.calculateROI(0, 50000), 0);
+});
+
+test('calculateNPV matches spreadsheet NPV', () => {
+    // =NPV(10%, -10000, 3000, 4200, 6800) = 1188.44 (first value discounted one period)
+    assertClose(FinancialCalculator.calculateNPV([0, -10000, 3000, 4200, 6800], perMonth(10)), 1188.44);
+    // =NPV(8%, 8000, 9200, 10000, 12000, 14500) - 40000 = 1922.06
+    assertClose(FinancialCalculator.calculateNPV([-40000, 8000, 9200, 10000, 12000, 14500], perMonth(8)), 1922.06);
+});
+
+test('calculateNPV keeps the t=0 flow undiscounted and supports mid-period timing', () => {
+    assert.equal(FinancialCalculator.calculateNPV([-1000], 25), -1000);
+    assertClose(FinancialCalculator.calculateNPV([-1000, 1100], perMonth(10)), 0, 1e-9);
+    // Mid-month: the month-1 flow is discounted half a period
+    assertClose(FinancialCalculator.calculateNPV([-1000, 1100], perMonth(10), 'mid'), -1000 + 1100 / Math.sqrt(1.1), 1e-9);
+});
+
+test('calculateXNPV matches spreadsheet XNPV', () => {
+    // =XNPV(9%, {-10000, 2750, 4250, 3250, 2750}, {2008-01-01, 2008-03-01, 2008-10-30, 2009-02-15, 2009-04-01}) = 2086.65
+    const dates = ['2008-01-01', '2008-03-01', '2008-10-30', '2009-02-15', '2009-04-01'].map(date => new Date(date));
+    assertClose(FinancialCalculator.calculateXNPV([-10000, 2750, 4250, 3250, 2750], dates, 9), 2086.65);
+});
+
+test('calculateIRR matches spreadsheet IRR', () => {
+    // =IRR({-70000, 12000, 15000, 18000, 21000}) = -2.12%
+    assertClose(FinancialCalculator.calculateIRR([-70000, 12000, 15000, 18000, 21000]), -2.1245, 0.0001);
+    // =IRR({-70000, 12000, 15000, 18000, 21000, 26000}) = 8.66%
+    assertClose(FinancialCalculator.calculateIRR([-70000, 12000, 15000, 18000, 21000, 26000]), 8.6631, 0.0001);
+    // =IRR({-70000, 12000, 15000}) = -44.35%
+    assertClose(FinancialCalculator.calculateIRR([-70000, 12000, 15000]), -44.3507, 0.0001);
+});
+
+test('calculateIRR zeroes the NPV at the same timing', () => {
+    const cashFlows = [-5000, 800, 900, 1000, 1100, 1200, 1300];
+    ['end', 'mid'].forEach(timing => {
+        const irr = FinancialCalculator.calculateIRR(cashFlows, timing);
+        assertClose(FinancialCalculator.calculateNPV(cashFlows, perMonth(irr), timing), 0, 1e-6);
+    });
+});
+
+test('analyzeIRR reports multiple and missing IRRs', () => {
+    // -100 + 230x - 132x^2 has roots at 10% and 20%
+    const multiple = FinancialCalculator.analyzeIRR([-100, 230, -132]);
+    assert.equal(multiple.status, 'multiple');
+    assert.equal(multiple.rate, null);
+    assert.equal(multiple.rates.length, 2);
+    assertClose(multiple.rates[0], 10, 1e-6);
+    assertClose(multiple.rates[1], 20, 1e-6);
+
+    assert.equal(FinancialCalculator.analyzeIRR([100, 50, 25]).status, 'none');
+    assert.equal(FinancialCalculator.analyzeIRR([-100, -50]).status, 'none');
+    assert.equal(FinancialCalculator.analyzeIRR([0, 0, 0]).status, 'none');
+    // Changes sign twice but the NPV stays negative at every rate
+    assert.equal(FinancialCalculator.analyzeIRR([-100, 250, -170]).status, 'none');
+    assert.equal(FinancialCalculator.calculateIRR([-100, 230, -132]), null);
+});
+
+test('analyzeIRR finds returns outside the scanned range', () => {
+    const result = FinancialCalculator.analyzeIRR([-1, 1000]);
+    assert.equal(result.status, 'ok');
+    assertClose(result.rate, 99900, 1e-6);
+});
+
+test('calculateMIRR matches spreadsheet MIRR', () => {
+    // =MIRR({-120000, 39000, 30000, 21000, 37000, 46000}, 10%, 12%) = 12.61%
+    const mirr = FinancialCalculator.calculateMIRR([-120000, 39000, 30000, 21000, 37000, 46000], perMonth(10), perMonth(12));
+    assertClose(FinancialCalculator.monthlyRate(mirr), 12.6094, 0.0001);
+    assert.equal(FinancialCalculator.calculateMIRR([100, 200], 10, 10), null);
+    assert.equal(FinancialCalculator.calculateMIRR([-100], 10, 10), null);
+});
+
+test('calculatePaybackPeriod interpolates within the break-even month', () => {
+    assert.equal(FinancialCalculator.calculatePaybackPeriod([-1000, 400, 400, 400]), 2.5);
+    assert.equal(FinancialCalculator.calculatePaybackPeriod([-1000, 500, 500]), 2);
+    assert.equal(FinancialCalculator.calculatePaybackPeriod([-1000, 100, 100]), 2);
+});
+
+test('calculatePaybackPeriod measures recovery of cumulative investment', () => {
+    // Recovered in month 2, then a second tranche in month 3 is recovered during month 5
+    assert.equal(FinancialCalculator.calculatePaybackPeriod([-1000, 600, 600, -800, 400, 400]), 4.5);
+    assert.equal(FinancialCalculator.calculatePaybackPeriod([0, 100, -50]), 0);
+});
+
+test('investment schedule adds one-off and recurring tranches to the cash flows', () => {
+    const project = {
+        ...sampleProject,
+        investmentSchedule: [
+            { id: 'rollout', name: 'Rollout', amount: 50000, month: 6, recurrence: 'once', endMonth: null },
+            { id: 'refresh', name: 'Refresh', amount: 2000, month: 3, recurrence: 'quarterly', endMonth: 12 }
+        ]
+    };
+    const investments = FinancialCalculator.generateInvestmentSchedule(project);
+    assert.equal(investments[0], 150000);
+    assert.equal(investments[3], 2000);
+    assert.equal(investments[6], 52000);
+    assert.equal(investments[12], 2000);
+    assert.equal(investments[15], 0);
+    assert.equal(investments.reduce((sum, amount) => sum + amount, 0), 208000);
+
+    const metrics = FinancialCalculator.calculateMetrics(project);
+    assert.equal(metrics.totalInvestment, 208000);
+    assertClose(metrics.roi, (110000 - 208000) / 208000 * 100);
+    assertClose(metrics.cashFlows[6], 4583.33 - 52000);
+});
+
+test('generateCashFlows puts the investment at t=0 followed by monthly net flows', () => {
+    const cashFlows = FinancialCalculator.generateCashFlows(sampleProject);
+    assert.equal(cashFlows.length, 25);
+    assert.equal(cashFlows[0], -150000);
+    cashFlows.slice(1).forEach(cf => assertClose(cf, 4583.33));
+});
+
+test('generateCashFlowSchedule accumulates discounted flows', () => {
+    const schedule = FinancialCalculator.generateCashFlowSchedule(sampleProject);
+    const last = schedule[schedule.length - 1];
+    assert.equal(schedule[0].discountFactor, 1);
+    assertClose(last.cumulativeCashFlow, -40000);
+    assertClose(last.cumulativeDiscountedCashFlow, FinancialCalculator.calculateNPV(FinancialCalculator.generateCashFlows(sampleProject), 10), 1e-6);
+});
+
+test('calculateMetrics for the sample project', () => {
+    const metrics = FinancialCalculator.calculateMetrics(sampleProject);
+    assertClose(metrics.roi, -26.67);
+    assertClose(metrics.npv, -50245.73);
+    assert.equal(metrics.paybackPeriod, 24);
+    assert.equal(metrics.irrStatus, 'ok');
+    assertClose(metrics.irr, -24.79);
+    assertClose(metrics.totalRevenue, 110000);
+});
+
+test('calculateMetrics with zero investment', () => {
+    const metrics = FinancialCalculator.calculateMetrics({ ...sampleProject, initialInvestment: 0 });
+    assert.equal(metrics.roi, 0);
+    assert.equal(metrics.paybackPeriod, 0);
+    assert.equal(metrics.irrStatus, 'none');
+    assert.equal(metrics.irr, null);
+    assert.equal(metrics.mirr, null);
+    assert.ok(metrics.npv > 0);
+});
+
+test('calculateMetrics when the project never breaks even', () => {
+    const metrics = FinancialCalculator.calculateMetrics({ ...sampleProject, yearlyRevenue: 10000 });
+    assert.equal(metrics.paybackPeriod, sampleProject.projectDuration);
+    assert.ok(metrics.npv < -150000);
+    assert.equal(metrics.irrStatus, 'none');
+});
+
+test('calculateMetrics with negative revenue growth', () => {
+    const project = { ...sampleProject, revenueGrowth: -20 };
+    const cashFlows = FinancialCalculator.generateCashFlows(project);
+    const schedule = FinancialCalculator.generateCashFlowSchedule(project);
+    // Revenue compounds monthly to a 20% drop after twelve months
+    assertClose(schedule[13].revenue, schedule[1].revenue * 0.8, 1e-6);
+    assert.ok(cashFlows[24] < cashFlows[1]);
+    assert.ok(FinancialCalculator.calculateMetrics(project).npv < FinancialCalculator.calculateMetrics(sampleProject).npv);
+});
+
+test('calculateMetrics with a zero-length duration', () => {
+    const metrics = FinancialCalculator.calculateMetrics({ ...sampleProject, projectDuration: 0 });
+    assert.deepEqual(metrics.cashFlows, [-150000]);
+    assert.equal(metrics.roi, -100);
+    assert.equal(metrics.npv, -150000);
+    assert.equal(metrics.paybackPeriod, 0);
+    assert.equal(metrics.irrStatus, 'none');
+    assert.equal(metrics.mirr, null);
+    assert.equal(metrics.totalRevenue, 0);
+});
+
+test('rampFactor follows the configured curve', () => {
+    assert.equal(FinancialCalculator.rampFactor('none', 1, 6), 1);
+    assert.equal(FinancialCalculator.rampFactor('linear', 3, 6), 0.5);
+    assert.equal(FinancialCalculator.rampFactor('s-curve', 3, 6), 0.5);
+    assert.ok(FinancialCalculator.rampFactor('s-curve', 1, 6) < FinancialCalculator.rampFactor('linear', 1, 6));
+    assert.equal(FinancialCalculator.rampFactor('linear', 6, 6), 1);
+    assert.equal(FinancialCalculator.rampFactor('linear', 1, 0), 1);
+});
+
+test('line items contribute only between their start and end months', () => {
+    const project = {
+        ...sampleProject,
+        yearlyRevenue: 0,
+        operatingCosts: 0,
+        maintenanceCosts: 0,
+        projectDuration: 12,
+        lineItems: [
+            { id: 'sales', type: 'revenue', name: 'Sales', amount: 12000, startMonth: 3, endMonth: null, growth: 0, rampMonths: 2, rampCurve: 'linear' },
+            { id: 'licences', type: 'cost', name: 'Licences', amount: 2400, startMonth: 1, endMonth: 6, growth: 0, rampMonths: 0, rampCurve: 'none' }
+        ]
+    };
+    const schedule = FinancialCalculator.generateCashFlowSchedule(project);
+
+    assert.equal(schedule[2].revenue, 0);
+    assert.equal(schedule[3].revenue, 500);
+    assert.equal(schedule[4].revenue, 1000);
+    assert.equal(schedule[6].costs, 200);
+    assert.equal(schedule[7].costs, 0);
+
+    const lines = FinancialCalculator.generateLineItemSchedule(project);
+    assert.deepEqual(lines.map(line => line.id), ['base-yearlyRevenue', 'base-operatingCosts', 'base-maintenanceCosts', 'sales', 'licences']);
+    assert.equal(lines[3].amounts.length, 13);
+});
+
+test('line item growth compounds from the line start month', () => {
+    const project = {
+        ...sampleProject,
+        yearlyRevenue: 0,
+        lineItems: [{ id: 'retention', type: 'revenue', name: 'Retention', amount: 12000, startMonth: 7, growth: 10 }]
+    };
+    const schedule = FinancialCalculator.generateCashFlowSchedule(project);
+    assertClose(schedule[7].revenue, 1000, 1e-9);
+    assertClose(schedule[19].revenue, 1100, 1e-9);
+});
+
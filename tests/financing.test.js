@@ -0,0 +1,115 @@
+// ====================================
+// Debt financing, equity cash flow and DSCR tests. Run with: node --test
+// ====================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FinancialCalculator } = require('../analysis-core.js');
+
+const assertClose = (actual, expected, tolerance = 1e-6) => {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${expected} ± ${tolerance}, got ${actual}`);
+};
+
+const sum = values => values.reduce((total, value) => total + value, 0);
+
+const project = (overrides = {}) => ({
+    initialInvestment: 100000,
+    discountRate: 10,
+    projectDuration: 36,
+    yearlyRevenue: 96000,
+    revenueGrowth: 0,
+    operatingCosts: 36000,
+    maintenanceCosts: 0,
+    loanAmount: 60000,
+    loanRate: 12,
+    loanTerm: 24,
+    amortizationMethod: 'annuity',
+    gracePeriod: 0,
+    ...overrides
+});
+
+test('annuity loans pay a level instalment and are fully repaid at maturity', () => {
+    const rows = FinancialCalculator.generateAmortizationSchedule(project());
+    const payment = 60000 * 0.01 / (1 - Math.pow(1.01, -24));
+    assert.equal(rows.length, 24);
+    assertClose(rows[0].interest, 600);
+    rows.forEach(row => assertClose(row.payment, payment));
+    assertClose(rows[23].closingBalance, 0);
+    assertClose(sum(rows.map(row => row.principal)), 60000);
+});
+
+test('straight-line loans repay equal principal and bullet loans repay at maturity', () => {
+    const straight = FinancialCalculator.generateAmortizationSchedule(project({ amortizationMethod: 'straight-line' }));
+    straight.forEach(row => assertClose(row.principal, 2500));
+    assert.ok(straight[0].payment > straight[23].payment);
+
+    const bullet = FinancialCalculator.generateAmortizationSchedule(project({ amortizationMethod: 'bullet' }));
+    assert.equal(bullet[22].principal, 0);
+    assertClose(bullet[23].principal, 60000);
+    assertClose(bullet[23].interest, 600);
+});
+
+test('a grace period pays interest only before repayments start', () => {
+    const rows = FinancialCalculator.generateAmortizationSchedule(project({ gracePeriod: 6 }));
+    rows.slice(0, 6).forEach(row => {
+        assert.equal(row.principal, 0);
+        assertClose(row.payment, 600);
+    });
+    assert.ok(rows[6].principal > 0);
+    assertClose(rows[23].closingBalance, 0);
+});
+
+test('equity cash flows add the loan draw and subtract debt service', () => {
+    const metrics = FinancialCalculator.calculateMetrics(project());
+    const { financing } = metrics;
+    const rows = financing.amortization;
+    assertClose(financing.equityCashFlows[0], -40000);
+    assertClose(financing.equityCashFlows[1], metrics.cashFlows[1] - rows[0].payment);
+    assertClose(financing.equityCashFlows[30], metrics.cashFlows[30]);
+    assertClose(financing.totalInterest, sum(rows.map(row => row.interest)));
+    // Borrowing at 12% for a project returning more than that levers up the equity return
+    assert.ok(financing.equityIRR > metrics.irr);
+});
+
+test('DSCR is reported per project year with debt service and its minimum', () => {
+    const { financing } = FinancialCalculator.calculateMetrics(project());
+    const payment = financing.amortization[0].payment;
+    assert.deepEqual(financing.dscr.map(year => year.year), [1, 2]);
+    assertClose(financing.dscr[0].debtService, payment * 12);
+    assertClose(financing.dscr[0].dscr, 60000 / (payment * 12));
+    assertClose(financing.minDSCR, Math.min(financing.dscr[0].dscr, financing.dscr[1].dscr));
+});
+
+test('a loan outliving the project is settled in the last month, outside DSCR', () => {
+    const { financing } = FinancialCalculator.calculateMetrics(project({ loanTerm: 60, projectDuration: 24 }));
+    const balance = financing.amortization[23].closingBalance;
+    assert.ok(balance > 0);
+    assertClose(financing.settlement, balance);
+    assertClose(financing.dscr[1].debtService, financing.amortization[12].payment * 12);
+});
+
+test('interest is deducted from taxable income', () => {
+    const metrics = FinancialCalculator.calculateMetrics(project({ taxRate: 25, usefulLife: 3 }));
+    assertClose(metrics.financing.interestTaxShield, metrics.financing.totalInterest * 0.25);
+});
+
+test('without a loan there is no levered view', () => {
+    assert.equal(FinancialCalculator.calculateMetrics(project({ loanAmount: 0 })).financing, null);
+});
+
+test('the equity IRR stays unique with tax and with a loan settled at the project end', () => {
+    [project({ taxRate: 25, usefulLife: 3 }), project({ loanTerm: 60, projectDuration: 24 }), project({ loanTerm: 60, projectDuration: 24, taxRate: 25 })]
+        .forEach(data => {
+            const { financing } = FinancialCalculator.calculateMetrics(data);
+            assert.equal(financing.equityIRRStatus, 'ok');
+            assert.ok(Number.isFinite(financing.equityIRR));
+            assertClose(FinancialCalculator.calculateNPV(financing.equityCashFlows, financing.equityIRR), 0, 1e-4);
+        });
+});
+
+test('a project without months repays the whole loan at once', () => {
+    const { financing } = FinancialCalculator.calculateMetrics(project({ projectDuration: 0 }));
+    assertClose(financing.settlement, 60000);
+    assert.deepEqual(financing.equityCashFlows, [-100000]);
+    assert.deepEqual(financing.dscr, []);
+});
@@ -0,0 +1,67 @@
+// ====================================
+// GoalSeek tests. Run with: node --test
+// ====================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FinancialCalculator, GoalSeek } = require('../analysis-core.js');
+
+const assertClose = (actual, expected, tolerance = 0.01) => {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${expected} ± ${tolerance}, got ${actual}`);
+};
+
+const sampleProject = {
+    initialInvestment: 150000,
+    discountRate: 10,
+    discountTiming: 'end',
+    projectDuration: 24,
+    yearlyRevenue: 75000,
+    revenueGrowth: 0,
+    operatingCosts: 15000,
+    maintenanceCosts: 5000
+};
+
+test('solves for the annual revenue that brings NPV to zero', () => {
+    const result = GoalSeek.solve(sampleProject, 'yearlyRevenue', 'npv', 0);
+    assert.equal(result.status, 'ok');
+    assertClose(result.metrics.npv, 0, 0.01);
+    assertClose(FinancialCalculator.calculateMetrics({ ...sampleProject, yearlyRevenue: result.value }).npv, 0, 0.01);
+});
+
+test('solves for the largest investment that still reaches a target IRR', () => {
+    const result = GoalSeek.solve(sampleProject, 'initialInvestment', 'irr', 20);
+    assert.equal(result.status, 'ok');
+    assertClose(result.metrics.irr, 20, 1e-4);
+    // Any more investment falls short of the target
+    assert.ok(GoalSeek.evaluate(sampleProject, 'initialInvestment', result.value + 100, 'irr') < 20);
+});
+
+test('treats an unrecovered investment as an infinite payback', () => {
+    const project = { ...sampleProject, yearlyRevenue: 120000 };
+    const result = GoalSeek.solve(project, 'revenueGrowth', 'paybackPeriod', project.projectDuration);
+    assert.equal(result.status, 'ok');
+    assert.ok(result.value < 0);
+    assert.equal(GoalSeek.evaluate(project, 'revenueGrowth', result.value - 0.01, 'paybackPeriod'), Infinity);
+    assert.ok(GoalSeek.evaluate(project, 'revenueGrowth', result.value + 0.01, 'paybackPeriod') <= project.projectDuration);
+});
+
+test('project duration is solved in whole months', () => {
+    const result = GoalSeek.solve(sampleProject, 'projectDuration', 'npv', 0);
+    assert.equal(result.status, 'ok');
+    assert.ok(Number.isInteger(result.value));
+    const before = GoalSeek.evaluate(sampleProject, 'projectDuration', result.value - 1, 'npv');
+    const after = GoalSeek.evaluate(sampleProject, 'projectDuration', result.value + 1, 'npv');
+    assert.ok(before < 0 && after > 0);
+});
+
+test('reports targets that cannot be reached', () => {
+    assert.deepEqual(GoalSeek.solve(sampleProject, 'discountRate', 'npv', 1e9), { status: 'not-found' });
+});
+
+test('evaluate matches the full metrics for every metric it solves', () => {
+    const project = { ...sampleProject, taxRate: 25, investmentSchedule: [{ amount: 20000, month: 6 }], terminalValueMethod: 'multiple', exitMultiple: 3 };
+    const metrics = FinancialCalculator.calculateMetrics({ ...project, yearlyRevenue: 150000 });
+    GoalSeek.METRICS.forEach(metric => {
+        assertClose(GoalSeek.evaluate(project, 'yearlyRevenue', 150000, metric), metrics[metric], 1e-9);
+    });
+});
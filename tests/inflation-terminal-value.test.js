@@ -0,0 +1,102 @@
+// ====================================
+// Inflation, cost escalation and terminal value tests. Run with: node --test
+// ====================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FinancialCalculator, RiskSimulation } = require('../analysis-core.js');
+
+const assertClose = (actual, expected, tolerance = 1e-6) => {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${expected} ± ${tolerance}, got ${actual}`);
+};
+
+const project = (overrides = {}) => ({
+    initialInvestment: 100000,
+    discountRate: 10,
+    projectDuration: 36,
+    yearlyRevenue: 120000,
+    revenueGrowth: 0,
+    operatingCosts: 24000,
+    maintenanceCosts: 12000,
+    ...overrides
+});
+
+test('operating and maintenance costs escalate at their own rates', () => {
+    const schedule = FinancialCalculator.generateCashFlowSchedule(project({
+        operatingCostEscalation: 10,
+        maintenanceCostEscalation: 0
+    }));
+    assertClose(schedule[1].costs, 2000 + 1000);
+    assertClose(schedule[13].costs, 2000 * 1.1 + 1000);
+    assertClose(schedule[25].costs, 2000 * 1.21 + 1000);
+});
+
+test('nominal mode inflates every amount from today\'s money', () => {
+    const schedule = FinancialCalculator.generateCashFlowSchedule(project({
+        inflationRate: 5,
+        valuationBasis: 'nominal',
+        investmentSchedule: [{ amount: 10000, month: 12 }]
+    }));
+    assert.equal(schedule[0].investment, 100000);
+    assertClose(schedule[12].revenue, 10000 * 1.05);
+    assertClose(schedule[12].investment, 10000 * 1.05);
+});
+
+test('real mode keeps today\'s money and discounts at the Fisher real rate', () => {
+    const data = project({ inflationRate: 5, valuationBasis: 'real' });
+    assertClose(FinancialCalculator.effectiveDiscountRate(data), (1.1 / 1.05 - 1) * 100);
+    assertClose(FinancialCalculator.generateCashFlowSchedule(data)[12].revenue, 10000);
+});
+
+test('nominal and real valuations agree when everything moves with inflation', () => {
+    const nominal = FinancialCalculator.calculateMetrics(project({ inflationRate: 4, valuationBasis: 'nominal' }));
+    const real = FinancialCalculator.calculateMetrics(project({ inflationRate: 4, valuationBasis: 'real' }));
+    assertClose(nominal.npv, real.npv);
+});
+
+test('without inflation both bases give the original figures', () => {
+    const base = FinancialCalculator.calculateMetrics(project());
+    const real = FinancialCalculator.calculateMetrics(project({ valuationBasis: 'real', inflationRate: 0 }));
+    assert.equal(real.npv, base.npv);
+    assert.equal(base.terminalValue, null);
+});
+
+test('perpetuity terminal value grows the final year cash flow and is discounted into NPV', () => {
+    const data = project({ terminalValueMethod: 'perpetuity', terminalGrowth: 2 });
+    const metrics = FinancialCalculator.calculateMetrics(data);
+    const withoutTerminal = FinancialCalculator.calculateMetrics(project());
+
+    // Final year: 120,000 revenue less 36,000 costs
+    assertClose(metrics.terminalValue.finalYearCashFlow, 84000);
+    assertClose(metrics.terminalValue.value, 84000 * 1.02 / 0.08);
+    assertClose(metrics.terminalValue.presentValue, metrics.terminalValue.value / Math.pow(1.1, 3));
+    assertClose(metrics.npv, withoutTerminal.npv + metrics.terminalValue.presentValue);
+    // IRR and payback stay on the project's own cash flows
+    assert.equal(metrics.irr, withoutTerminal.irr);
+});
+
+test('exit multiple terminal value and a short project annualizes the final months', () => {
+    const metrics = FinancialCalculator.calculateMetrics(project({
+        projectDuration: 6,
+        terminalValueMethod: 'multiple',
+        exitMultiple: 4
+    }));
+    assertClose(metrics.terminalValue.finalYearCashFlow, 84000);
+    assertClose(metrics.terminalValue.value, 336000);
+});
+
+test('a perpetuity growing at or above the discount rate adds nothing', () => {
+    const metrics = FinancialCalculator.calculateMetrics(project({ terminalValueMethod: 'perpetuity', terminalGrowth: 10 }));
+    assert.equal(metrics.terminalValue.value, null);
+    assert.equal(metrics.terminalValue.presentValue, 0);
+});
+
+test('Monte Carlo NPVs include the terminal value', () => {
+    const data = project({ terminalValueMethod: 'multiple', exitMultiple: 3 });
+    const fixed = {};
+    Object.keys(RiskSimulation.VARIABLES).forEach(name => {
+        fixed[name] = { distribution: 'fixed', mode: name === 'revenue' || name === 'costs' ? 1 : 0 };
+    });
+    const [npv] = RiskSimulation.runIterations(data, fixed, 1, Math.random);
+    assertClose(npv, FinancialCalculator.calculateMetrics(data).npv);
+});
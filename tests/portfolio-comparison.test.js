@@ -0,0 +1,89 @@
+// ====================================
+// PortfolioComparison tests. Run with: node --test
+// ====================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FinancialCalculator, PortfolioComparison } = require('../analysis-core.js');
+
+const baseProject = {
+    initialInvestment: 150000,
+    discountRate: 10,
+    discountTiming: 'end',
+    projectDuration: 24,
+    yearlyRevenue: 75000,
+    revenueGrowth: 0,
+    operatingCosts: 15000,
+    maintenanceCosts: 5000
+};
+
+// Best and worst cases scale revenue, as the app does
+const scenariosFor = (data, best = 1.3, worst = 0.7) => ({
+    expected: data,
+    best: FinancialCalculator.scaleLines(data, 'revenue', best),
+    worst: FinancialCalculator.scaleLines(data, 'revenue', worst)
+});
+
+const evaluate = (name, overrides) => PortfolioComparison.evaluate(name, scenariosFor({ ...baseProject, ...overrides }));
+
+test('evaluate returns the same metrics as the single-case calculator', () => {
+    const entry = evaluate('Base', {});
+    const expected = FinancialCalculator.calculateMetrics(baseProject);
+    const worst = FinancialCalculator.calculateMetrics(FinancialCalculator.scaleLines(baseProject, 'revenue', 0.7));
+
+    assert.equal(entry.expected.npv, expected.npv);
+    assert.equal(entry.expected.roi, expected.roi);
+    assert.equal(entry.worst.npv, worst.npv);
+    assert.ok(entry.best.npv > entry.expected.npv);
+    assert.equal(entry.cumulativeCashFlows.length, baseProject.projectDuration + 1);
+    assert.equal(entry.cumulativeCashFlows[0], -baseProject.initialInvestment);
+    assert.equal(entry.cumulativeCashFlows[baseProject.projectDuration], expected.cashFlows.reduce((sum, cf) => sum + cf, 0));
+});
+
+test('rank orders by the chosen metric and scenario with 1-based ranks', () => {
+    const entries = [
+        evaluate('Small', { initialInvestment: 50000 }),
+        evaluate('Large', { initialInvestment: 300000, yearlyRevenue: 250000 }),
+        evaluate('Medium', {})
+    ];
+
+    const byNpv = PortfolioComparison.rank(entries, 'npv');
+    assert.deepEqual(byNpv.map(entry => entry.name), ['Large', 'Small', 'Medium']);
+    assert.deepEqual(byNpv.map(entry => entry.rank), [1, 2, 3]);
+
+    // Lower payback ranks first
+    const byPayback = PortfolioComparison.rank(entries, 'paybackPeriod', 'best');
+    assert.equal(byPayback[0].name, 'Small');
+    for (let i = 1; i < byPayback.length; i++) {
+        assert.ok(byPayback[i - 1].best.paybackPeriod <= byPayback[i].best.paybackPeriod);
+    }
+
+    // The input order is left untouched
+    assert.deepEqual(entries.map(entry => entry.name), ['Small', 'Large', 'Medium']);
+});
+
+test('a payback that never happens ranks after every recovered case', () => {
+    const entries = [
+        evaluate('Never', { yearlyRevenue: 10000 }),
+        evaluate('Slow', { initialInvestment: 105000 })
+    ];
+    assert.equal(entries[0].expected.recovered, false);
+    assert.equal(entries[1].expected.recovered, true);
+
+    const ranked = PortfolioComparison.rank(entries, 'paybackPeriod');
+    assert.deepEqual(ranked.map(entry => entry.name), ['Slow', 'Never']);
+});
+
+test('cases without a unique IRR rank last when ranking by IRR', () => {
+    const noIrr = evaluate('No IRR', { yearlyRevenue: 0, operatingCosts: 0, maintenanceCosts: 0 });
+    const entries = [noIrr, evaluate('Base', {}), evaluate('Cheap', { initialInvestment: 60000 })];
+    assert.equal(noIrr.expected.irr, null);
+
+    const ranked = PortfolioComparison.rank(entries, 'irr');
+    assert.deepEqual(ranked.map(entry => entry.name), ['Cheap', 'Base', 'No IRR']);
+});
+
+test('ties keep name order', () => {
+    const ranked = PortfolioComparison.rank([evaluate('Beta', {}), evaluate('Alpha', {})], 'npv');
+    assert.deepEqual(ranked.map(entry => entry.name), ['Alpha', 'Beta']);
+});
@@ -0,0 +1,62 @@
+// ====================================
+// qualityAssessment tests. Run with: node --test
+// ====================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { qualityAssessment } = require('../analysis-core.js');
+
+test.afterEach(() => {
+    qualityAssessment.language = 'en';
+});
+
+test('empty and unknown fields score zero', () => {
+    assert.deepEqual(qualityAssessment.assessField('stratProjectName', ''), { score: 0, feedback: '', level: 'poor' });
+    assert.deepEqual(qualityAssessment.assessField('unknownField', 'text'), { score: 0, feedback: '', level: 'poor' });
+});
+
+test('assessProjectName rewards length, action words and capitalization', () => {
+    const good = qualityAssessment.assessField('stratProjectName', 'Implement AI Support Triage');
+    assert.equal(good.score, 100);
+    assert.equal(good.level, 'good');
+
+    const short = qualityAssessment.assessField('stratProjectName', 'triage');
+    assert.equal(short.level, 'poor');
+    assert.match(short.feedback, /Add more detail/);
+});
+
+test('feedback follows the configured language', () => {
+    qualityAssessment.language = 'es';
+    assert.match(qualityAssessment.assessField('stratProjectName', 'triage').feedback, /Agregue más detalles/);
+});
+
+test('containsAny matches keywords in either language, case-insensitively', () => {
+    assert.equal(qualityAssessment.containsAny('We will REDUCE costs', 'metric'), true);
+    assert.equal(qualityAssessment.containsAny('Vamos a reducir costos', 'metric'), true);
+    assert.equal(qualityAssessment.containsAny('Nothing relevant', 'metric'), false);
+});
+
+test('extractSignals reports the signals used by the strategic scoring', () => {
+    const signals = qualityAssessment.extractSignals({
+        projectName: 'Implement AI Support Triage',
+        problem: 'Our support team spends 10 hours per week classifying tickets manually.',
+        solution: 'Phase 1 will automate routing. Out of scope: automated responses.',
+        metrics: 'Reduce classification time by 90% in the first quarter.'
+    });
+
+    assert.equal(signals.stratProjectName.actionOriented, true);
+    assert.equal(signals.problemOpportunity.quantified, true);
+    assert.equal(signals.problemOpportunity.stakeholders, true);
+    assert.equal(signals.problemOpportunity.detailed, false);
+    assert.equal(signals.proposedSolution.scoped, true);
+    assert.equal(signals.proposedSolution.outOfScope, true);
+    assert.equal(signals.proposedSolution.capabilityFocused, true);
+    assert.equal(signals.successMetrics.timeBound, true);
+    assert.equal(signals.successMetrics.measurable, true);
+});
+
+test('extractSignals tolerates missing fields', () => {
+    const signals = qualityAssessment.extractSignals({});
+    assert.equal(signals.problemOpportunity.quantified, false);
+    assert.equal(signals.successMetrics.detailed, false);
+});
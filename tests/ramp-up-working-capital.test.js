@@ -0,0 +1,102 @@
+// ====================================
+// Revenue ramp-up, go-live delay and working capital tests. Run with: node --test
+// ====================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FinancialCalculator } = require('../analysis-core.js');
+
+const assertClose = (actual, expected, tolerance = 1e-6) => {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${expected} ± ${tolerance}, got ${actual}`);
+};
+
+const sum = values => values.reduce((total, value) => total + value, 0);
+
+const project = (overrides = {}) => ({
+    initialInvestment: 60000,
+    discountRate: 10,
+    projectDuration: 24,
+    yearlyRevenue: 120000,
+    revenueGrowth: 0,
+    operatingCosts: 36000,
+    maintenanceCosts: 0,
+    ...overrides
+});
+
+test('linear and S-curve ramps reach the full revenue after the ramp-up months', () => {
+    const linear = FinancialCalculator.generateCashFlowSchedule(project({ revenueRampCurve: 'linear', revenueRampMonths: 4 }));
+    assertClose(linear[1].revenue, 10000 * 0.25);
+    assertClose(linear[3].revenue, 10000 * 0.75);
+    assertClose(linear[4].revenue, 10000);
+
+    const sCurve = FinancialCalculator.generateCashFlowSchedule(project({ revenueRampCurve: 's-curve', revenueRampMonths: 4 }));
+    assertClose(sCurve[2].revenue, 5000);
+    assert.ok(sCurve[1].revenue < linear[1].revenue);
+});
+
+test('a custom ramp uses the monthly percentages, then the full amount', () => {
+    const schedule = FinancialCalculator.generateCashFlowSchedule(project({
+        revenueRampCurve: 'custom',
+        revenueRampPercentages: [10, 40, 80]
+    }));
+    assertClose(schedule[1].revenue, 1000);
+    assertClose(schedule[2].revenue, 4000);
+    assertClose(schedule[3].revenue, 8000);
+    assertClose(schedule[4].revenue, 10000);
+});
+
+test('a go-live delay postpones revenue and its ramp-up but not costs', () => {
+    const schedule = FinancialCalculator.generateCashFlowSchedule(project({
+        goLiveDelay: 3,
+        revenueRampCurve: 'linear',
+        revenueRampMonths: 2,
+        lineItems: [{ type: 'revenue', amount: 12000, startMonth: 1, endMonth: 6 }]
+    }));
+    assert.equal(schedule[3].revenue, 0);
+    assertClose(schedule[3].costs, 3000);
+    assertClose(schedule[4].revenue, 5000 + 1000);
+    assertClose(schedule[9].revenue, 10000 + 1000);
+    assertClose(schedule[10].revenue, 10000);
+});
+
+test('DSO delays collections and DPO delays payments', () => {
+    const schedule = FinancialCalculator.generateCashFlowSchedule(project({
+        receivableDays: FinancialCalculator.DAYS_PER_MONTH,
+        payableDays: FinancialCalculator.DAYS_PER_MONTH / 2
+    }));
+    // Month 1: nothing collected yet, half of the costs paid
+    assertClose(schedule[1].workingCapitalChange, -10000 + 1500);
+    assertClose(schedule[1].netCashFlow, -1500);
+    // Steady state: one month collected and paid each month
+    assertClose(schedule[6].workingCapitalChange, 0);
+    assertClose(schedule[6].netCashFlow, 7000);
+});
+
+test('working capital is recovered by the end of the project', () => {
+    const data = project({ receivableDays: 45, payableDays: 30 });
+    const schedule = FinancialCalculator.generateCashFlowSchedule(data);
+    assertClose(sum(schedule.map(row => row.workingCapitalChange)), 0);
+
+    const base = FinancialCalculator.calculateMetrics(project());
+    const metrics = FinancialCalculator.calculateMetrics(data);
+    assertClose(metrics.roi, base.roi);
+    assert.ok(metrics.npv < base.npv);
+    assert.ok(metrics.paybackPeriod > base.paybackPeriod);
+});
+
+test('fractional lags split amounts between neighbouring months', () => {
+    assert.deepEqual(FinancialCalculator.delayAmounts([0, 100, 100, 100], 0.5), [0, 50, 100, 150]);
+    assert.deepEqual(FinancialCalculator.delayAmounts([0, 100, 100, 100], 0), [0, 100, 100, 100]);
+});
+
+test('ramp-up, go-live delay and working capital lower NPV and lengthen payback', () => {
+    const base = FinancialCalculator.calculateMetrics(project());
+    const delayed = FinancialCalculator.calculateMetrics(project({
+        goLiveDelay: 2,
+        revenueRampCurve: 'linear',
+        revenueRampMonths: 6,
+        receivableDays: 60
+    }));
+    assert.ok(delayed.npv < base.npv);
+    assert.ok(delayed.paybackPeriod > base.paybackPeriod);
+});
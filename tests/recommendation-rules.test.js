@@ -0,0 +1,103 @@
+// ====================================
+// RecommendationRules tests. Run with: node --test
+// ====================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FinancialCalculator, RecommendationRules } = require('../analysis-core.js');
+
+const sampleProject = {
+    initialInvestment: 150000,
+    discountRate: 10,
+    discountTiming: 'end',
+    projectDuration: 24,
+    yearlyRevenue: 75000,
+    revenueGrowth: 0,
+    operatingCosts: 15000,
+    maintenanceCosts: 5000
+};
+
+const metricsFor = overrides => ({ roi: 30, npv: 1000, paybackPeriod: 10, irr: 25, irrStatus: 'ok', irrCandidates: [25], mirr: 18, ...overrides });
+
+const ruleIds = (ruleSet, expected, best = metricsFor({ roi: 40 }), worst = metricsFor({ roi: 20 }), data = sampleProject) =>
+    RecommendationRules.evaluate(ruleSet, RecommendationRules.context(expected, best, worst, data)).map(rule => rule.id);
+
+test('every preset is a valid rule set', () => {
+    Object.keys(RecommendationRules.PRESET_THRESHOLDS).forEach(name => {
+        assert.deepEqual(RecommendationRules.validate(RecommendationRules.preset(name)), []);
+    });
+});
+
+test('the standard preset keeps the original thresholds', () => {
+    const standard = RecommendationRules.preset('standard');
+    assert.deepEqual(ruleIds(standard, metricsFor({})), ['roi-good', 'npv-positive', 'payback-fast', 'risk-low', 'irr-strong']);
+    assert.deepEqual(
+        ruleIds(standard, metricsFor({ roi: 60, paybackPeriod: 20, irr: 12 }), metricsFor({ roi: 150 }), metricsFor({ roi: -10 })),
+        ['roi-excellent', 'npv-positive', 'payback-reasonable', 'risk-high', 'worst-negative', 'irr-above']
+    );
+    assert.deepEqual(
+        ruleIds(standard, metricsFor({ roi: -5, npv: -1, paybackPeriod: 24.5, irr: null, irrStatus: 'none' }), metricsFor({ roi: 40 }), metricsFor({ roi: -20 }), { ...sampleProject, projectDuration: 36 }),
+        ['roi-negative', 'npv-negative', 'payback-long', 'worst-negative', 'irr-none']
+    );
+});
+
+test('presets apply their own hurdles', () => {
+    const expected = metricsFor({ roi: 10, paybackPeriod: 15, irr: 16 });
+    assert.deepEqual(ruleIds(RecommendationRules.preset('conservative'), expected), ['roi-below-hurdle', 'npv-positive', 'payback-reasonable', 'irr-above']);
+    assert.deepEqual(ruleIds(RecommendationRules.preset('growth'), expected), ['roi-moderate', 'npv-positive', 'payback-fast', 'risk-low', 'irr-strong']);
+});
+
+test('context derives spreads and margins from the metrics', () => {
+    const expected = FinancialCalculator.calculateMetrics(sampleProject);
+    const context = RecommendationRules.context(expected, metricsFor({ roi: 10 }), metricsFor({ roi: -40 }), sampleProject);
+    assert.equal(context.roiRange, 50);
+    assert.equal(context.irrSpread, expected.irr - 10);
+    assert.equal(context.paybackMargin, 24 - expected.paybackPeriod);
+
+    const noIrr = RecommendationRules.context(metricsFor({ irr: null, irrStatus: 'none' }), metricsFor({}), metricsFor({}), sampleProject);
+    assert.equal(noIrr.irrSpread, null);
+    assert.equal(RecommendationRules.test({ metric: 'irrSpread', operator: '<', value: 100 }, noIrr), false);
+});
+
+test('ungrouped custom rules all apply and conditions are combined with and', () => {
+    const ruleSet = {
+        name: 'Committee',
+        rules: [
+            { severity: 'danger', when: [{ metric: 'roi', operator: '<', value: 35 }, { metric: 'npv', operator: '>', value: 0 }], message: { en: 'Below the {roi} hurdle' } },
+            { severity: 'info', when: [{ metric: 'paybackPeriod', operator: '>=', value: 12 }], message: { en: 'Slow' } },
+            { severity: 'success', message: { en: 'Always' } }
+        ]
+    };
+    assert.deepEqual(RecommendationRules.validate(ruleSet), []);
+    const matched = RecommendationRules.evaluate(ruleSet, RecommendationRules.context(metricsFor({}), metricsFor({}), metricsFor({}), sampleProject));
+    assert.deepEqual(matched.map(rule => rule.message.en), ['Below the {roi} hurdle', 'Always']);
+});
+
+test('validate reports malformed rule sets', () => {
+    assert.deepEqual(RecommendationRules.validate([]), ['the rule set must be an object with a rules array']);
+    const errors = RecommendationRules.validate({
+        rules: [
+            { severity: 'fatal', messageKey: 'x' },
+            { severity: 'info', when: [{ metric: 'ebitda', operator: '>', value: 1 }], message: { en: 'x' } },
+            { severity: 'info', when: [{ metric: 'roi', operator: '=>', value: 1 }], message: { en: 'x' } },
+            { severity: 'info', when: [{ metric: 'roi', operator: '>', value: '1' }] }
+        ]
+    });
+    assert.equal(errors.length, 5);
+    assert.match(errors[0], /rules\[0\]\.severity/);
+    assert.match(errors[1], /rules\[1\]\.when\[0\]\.metric/);
+    assert.match(errors[2], /rules\[2\]\.when\[0\]\.operator/);
+    assert.ok(errors.some(error => /rules\[3\] needs a messageKey/.test(error)));
+    assert.ok(errors.some(error => /rules\[3\]\.when\[0\]\.value must be a number/.test(error)));
+});
+
+test('custom icons must be short plain symbols', () => {
+    const ruleSet = icon => ({ rules: [{ severity: 'info', icon, message: { en: 'x' } }] });
+    assert.deepEqual(RecommendationRules.validate(ruleSet('🚀')), []);
+    assert.deepEqual(RecommendationRules.validate(ruleSet('⚠️')), []);
+    ['<img src=x onerror=alert(1)>', '<b>', 'a"b', 42, 'far too long'].forEach(icon => {
+        const errors = RecommendationRules.validate(ruleSet(icon));
+        assert.equal(errors.length, 1);
+        assert.match(errors[0], /rules\[0\]\.icon/);
+    });
+});
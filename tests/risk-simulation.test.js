@@ -0,0 +1,116 @@
+// ====================================
+// RiskSimulation tests. Run with: node --test
+// ====================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FinancialCalculator, RiskSimulation } = require('../analysis-core.js');
+
+const assertClose = (actual, expected, tolerance = 0.01) => {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${expected} ± ${tolerance}, got ${actual}`);
+};
+
+const sampleProject = {
+    initialInvestment: 150000,
+    discountRate: 10,
+    discountTiming: 'end',
+    projectDuration: 24,
+    yearlyRevenue: 75000,
+    revenueGrowth: 0,
+    operatingCosts: 15000,
+    maintenanceCosts: 5000
+};
+
+const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+const draw = (variable, count, seed = 7) => {
+    const random = RiskSimulation.createRandom(seed);
+    return Array.from({ length: count }, () => RiskSimulation.sample(variable, random));
+};
+
+test('the same seed reproduces the same simulation', () => {
+    const variables = RiskSimulation.defaultVariables();
+    const first = RiskSimulation.simulate(sampleProject, variables, 500, 42);
+    const second = RiskSimulation.simulate(sampleProject, variables, 500, 42);
+    const other = RiskSimulation.simulate(sampleProject, variables, 500, 43);
+
+    assert.deepEqual(first, second);
+    assert.notEqual(first.mean, other.mean);
+});
+
+test('sampled distributions have the expected means and bounds', () => {
+    const triangular = draw({ distribution: 'triangular', min: 0, mode: 3, max: 6 }, 20000);
+    assertClose(mean(triangular), 3, 0.05);
+    assert.ok(triangular.every(value => value >= 0 && value <= 6));
+
+    // PERT mean is (min + 4 * mode + max) / 6
+    const pert = draw({ distribution: 'pert', min: 0, mode: 5, max: 25 }, 20000);
+    assertClose(mean(pert), 7.5, 0.1);
+    assert.ok(pert.every(value => value >= 0 && value <= 25));
+
+    const uniform = draw({ distribution: 'uniform', min: 10, max: 20 }, 20000);
+    assertClose(mean(uniform), 15, 0.1);
+
+    const normal = draw({ distribution: 'normal', mode: 2, stdDev: 1 }, 20000);
+    assertClose(mean(normal), 2, 0.03);
+    assertClose(Math.sqrt(mean(normal.map(value => (value - 2) ** 2))), 1, 0.03);
+
+    assert.deepEqual(draw({ distribution: 'fixed', mode: 4 }, 3), [4, 4, 4]);
+});
+
+test('percentile interpolates between the sorted values', () => {
+    const sorted = [10, 20, 30, 40, 50];
+    assert.equal(RiskSimulation.percentile(sorted, 0), 10);
+    assert.equal(RiskSimulation.percentile(sorted, 50), 30);
+    assert.equal(RiskSimulation.percentile(sorted, 90), 46);
+    assert.equal(RiskSimulation.percentile(sorted, 100), 50);
+    assert.equal(RiskSimulation.percentile([], 50), null);
+});
+
+test('fixed distributions at their neutral values reproduce the deterministic NPV', () => {
+    const variables = {
+        revenue: { distribution: 'fixed', mode: 1 },
+        growth: { distribution: 'fixed', mode: 0 },
+        costs: { distribution: 'fixed', mode: 1 },
+        discountRate: { distribution: 'fixed', mode: 0 },
+        investmentOverrun: { distribution: 'fixed', mode: 0 }
+    };
+    const { npv } = FinancialCalculator.calculateMetrics(sampleProject);
+    const summary = RiskSimulation.simulate(sampleProject, variables, 10, 1);
+
+    assertClose(summary.p10, npv, 1e-6);
+    assertClose(summary.p90, npv, 1e-6);
+    assert.equal(summary.probabilityNegative, npv < 0 ? 1 : 0);
+
+    // With a tax rate the simulation reproduces the after-tax NPV
+    const taxed = { ...sampleProject, taxRate: 25, usefulLife: 3, terminalValueMethod: 'multiple', exitMultiple: 2 };
+    const metrics = FinancialCalculator.calculateMetrics(taxed);
+    assert.ok(metrics.afterTax.npv < metrics.npv);
+    assertClose(RiskSimulation.simulate(taxed, variables, 10, 1).p50, metrics.afterTax.npv, 1e-6);
+});
+
+test('sampled values flow into revenue, costs and every investment tranche', () => {
+    const project = {
+        ...sampleProject,
+        investmentSchedule: [{ id: 'a', name: 'Phase 2', amount: 20000, month: 6, recurrence: 'once', endMonth: null }]
+    };
+    const sampled = RiskSimulation.applySample(project, { revenue: 1.1, growth: 2, costs: 0.5, discountRate: 1, investmentOverrun: 10 });
+
+    assertClose(sampled.yearlyRevenue, 82500, 1e-6);
+    assertClose(sampled.operatingCosts, 7500, 1e-6);
+    assertClose(sampled.maintenanceCosts, 2500, 1e-6);
+    assert.equal(sampled.revenueGrowth, 2);
+    assert.equal(sampled.discountRate, 11);
+    assertClose(sampled.initialInvestment, 165000, 1e-6);
+    assertClose(sampled.investmentSchedule[0].amount, 22000, 1e-6);
+    assert.equal(project.investmentSchedule[0].amount, 20000);
+});
+
+test('summarize reports the share of negative NPVs and bins every iteration', () => {
+    const summary = RiskSimulation.summarize([-30, -10, 5, 20, 40]);
+    assert.equal(summary.probabilityNegative, 0.4);
+    assert.equal(summary.mean, 5);
+    assert.equal(summary.min, -30);
+    assert.equal(summary.max, 40);
+    assert.equal(summary.histogram.reduce((sum, bin) => sum + bin.count, 0), 5);
+});
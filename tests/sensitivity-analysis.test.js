@@ -0,0 +1,52 @@
+// ====================================
+// SensitivityAnalysis tests. Run with: node --test
+// ====================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FinancialCalculator, SensitivityAnalysis } = require('../analysis-core.js');
+
+const assertClose = (actual, expected, tolerance = 0.01) => {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${expected} ± ${tolerance}, got ${actual}`);
+};
+
+const sampleProject = {
+    initialInvestment: 150000,
+    discountRate: 10,
+    discountTiming: 'end',
+    projectDuration: 24,
+    yearlyRevenue: 75000,
+    revenueGrowth: 0,
+    operatingCosts: 15000,
+    maintenanceCosts: 5000
+};
+
+test('each field is varied on its own around the base case', () => {
+    const result = SensitivityAnalysis.analyze(sampleProject, 10);
+    const investment = result.rows.find(row => row.field === 'initialInvestment');
+
+    assert.equal(investment.low.value, 135000);
+    assertClose(investment.high.value, 165000, 1e-6);
+    assertClose(investment.low.npv, FinancialCalculator.calculateMetrics({ ...sampleProject, initialInvestment: 135000 }).npv, 1e-6);
+    // Month-0 investment is undiscounted, so NPV moves one for one
+    assertClose(investment.low.npv - result.base.npv, 15000, 1e-6);
+    assertClose(investment.swing, 30000, 1e-6);
+    assert.equal(result.base.npv, FinancialCalculator.calculateMetrics(sampleProject).npv);
+});
+
+test('rows are ranked by NPV swing, widest first', () => {
+    const { rows } = SensitivityAnalysis.analyze(sampleProject, 20);
+    assert.equal(rows.length, SensitivityAnalysis.FIELDS.length);
+    assert.deepEqual(rows.slice(0, 2).map(row => row.field), ['initialInvestment', 'yearlyRevenue']);
+    rows.slice(1).forEach((row, index) => assert.ok(row.swing <= rows[index].swing));
+});
+
+test('zero-valued fields have no swing and duration stays a whole number of months', () => {
+    const { rows } = SensitivityAnalysis.analyze(sampleProject, 15);
+    assert.equal(rows.find(row => row.field === 'revenueGrowth').swing, 0);
+
+    const duration = rows.find(row => row.field === 'projectDuration');
+    assert.equal(duration.low.value, 20);
+    assert.equal(duration.high.value, 28);
+    assert.equal(SensitivityAnalysis.vary({ projectDuration: 1 }, 'projectDuration', -90).projectDuration, 1);
+});
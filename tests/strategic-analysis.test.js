@@ -0,0 +1,142 @@
+// ====================================
+// StrategicAnalysisService tests: response parsing, settings and the provider requests
+// against tools/llm-stub-server.js. Run with: node --test
+// ====================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { spawn } = require('node:child_process');
+
+// app.js is a browser script: run it against a minimal DOM and hand back the service
+const loadApp = ({ storageBlocked = false } = {}) => {
+    const element = () => ({ addEventListener() {}, classList: { add() {}, remove() {} }, style: {}, value: '' });
+    const storage = () => {
+        const items = {};
+        const check = () => {
+            if (storageBlocked) throw new Error('SecurityError: storage is disabled');
+        };
+        return {
+            getItem: key => (check(), key in items ? items[key] : null),
+            setItem: (key, value) => { check(); items[key] = String(value); }
+        };
+    };
+    const context = vm.createContext({
+        console: { log() {}, warn() {} },
+        document: { getElementById: element, querySelector: element, querySelectorAll: () => [], addEventListener() {} },
+        window: { addEventListener() {} },
+        localStorage: storage(),
+        sessionStorage: storage(),
+        fetch,
+        AbortController,
+        setTimeout,
+        clearTimeout
+    });
+    // Like the page's script tags: analysis-core.js first, its globals shared with app.js
+    const read = file => fs.readFileSync(path.join(__dirname, '..', file), 'utf8');
+    vm.runInContext(read('analysis-core.js'), context);
+    return vm.runInContext(`${read('app.js')}\n({ StrategicAnalysisService, LLMProviderError });`, context);
+};
+
+// Start the stub server on a free port; resolves with its base URL and a stop function
+const startStub = (env = {}) => new Promise((resolve, reject) => {
+    const server = spawn(process.execPath, [path.join(__dirname, '..', 'tools', 'llm-stub-server.js')], {
+        env: { ...process.env, PORT: '0', ...env }
+    });
+    server.on('error', reject);
+    server.stdout.on('data', chunk => {
+        const match = /http:\/\/localhost:(\d+)/.exec(String(chunk));
+        if (match) {
+            resolve({ url: `http://localhost:${match[1]}`, stop: () => server.kill() });
+        }
+    });
+});
+
+const strategicData = {
+    projectName: 'Support chatbot',
+    problem: 'Customers wait hours for answers',
+    solution: 'Implement a chatbot for common questions',
+    metrics: 'Reduce response time by 50% within two quarters'
+};
+
+test('parseAnalysis accepts schema-conforming JSON, also inside markdown fences', () => {
+    const { StrategicAnalysisService } = loadApp();
+    const analysis = {
+        viability: 140,
+        strengths: ['Clear problem', { text: 'Measurable goal', field: 'successMetrics' }],
+        weaknesses: [{ text: 'No budget', field: 'unknownField' }],
+        risks: [],
+        recommendation: 'Proceed'
+    };
+    const parsed = StrategicAnalysisService.parseAnalysis('```json\n' + JSON.stringify(analysis) + '\n```');
+    assert.equal(parsed.viability, 100);
+    assert.deepEqual(JSON.parse(JSON.stringify(parsed.strengths)), [
+        { text: 'Clear problem', field: 'general' },
+        { text: 'Measurable goal', field: 'successMetrics' }
+    ]);
+    assert.equal(parsed.weaknesses[0].field, 'general');
+});
+
+test('parseAnalysis rejects empty, non-JSON and off-schema responses', () => {
+    const { StrategicAnalysisService, LLMProviderError } = loadApp();
+    [
+        [undefined, /Empty response/],
+        ['This is not JSON', /not valid JSON/],
+        [JSON.stringify({ score: 'high' }), /does not match the analysis schema/]
+    ].forEach(([content, message]) => {
+        assert.throws(() => StrategicAnalysisService.parseAnalysis(content), error => error instanceof LLMProviderError && message.test(error.message));
+    });
+});
+
+test('settings stay in memory when browser storage is blocked', () => {
+    const { StrategicAnalysisService } = loadApp({ storageBlocked: true });
+    assert.equal(StrategicAnalysisService.getSettings().provider, 'mock');
+
+    StrategicAnalysisService.saveSettings({ ...StrategicAnalysisService.getSettings(), provider: 'local', baseUrl: 'http://localhost:1', apiKey: 'secret' });
+    const settings = StrategicAnalysisService.getSettings();
+    assert.equal(settings.provider, 'local');
+    assert.equal(settings.baseUrl, 'http://localhost:1');
+    assert.equal(settings.apiKey, 'secret');
+});
+
+test('the OpenAI-compatible and local providers parse the stub server responses', async () => {
+    const stub = await startStub();
+    try {
+        const { StrategicAnalysisService } = loadApp();
+        const settings = { ...StrategicAnalysisService.defaults, model: 'stub-model' };
+
+        const openai = await StrategicAnalysisService.providers.openai.analyze(strategicData, { ...settings, baseUrl: `${stub.url}/v1/` });
+        assert.equal(openai.strengths[0].text, 'Stub server response');
+        assert.equal(openai.weaknesses[0].field, 'problemOpportunity');
+
+        const local = await StrategicAnalysisService.providers.local.analyze(strategicData, { ...settings, baseUrl: stub.url });
+        assert.equal(local.viability, openai.viability);
+    } finally {
+        stub.stop();
+    }
+});
+
+test('transient failures are retried and a broken provider falls back to the mock analysis', async () => {
+    const outage = await startStub({ STUB_FAIL_FIRST: '1' });
+    try {
+        const { StrategicAnalysisService } = loadApp();
+        StrategicAnalysisService.saveSettings({ ...StrategicAnalysisService.defaults, provider: 'openai', baseUrl: `${outage.url}/v1`, retryDelayMs: 10 });
+        const analysis = await StrategicAnalysisService.analyze(strategicData);
+        assert.equal(analysis.notice, undefined);
+        assert.equal(analysis.strengths[0].text, 'Stub server response');
+    } finally {
+        outage.stop();
+    }
+
+    const broken = await startStub({ STUB_RESPONSE: 'bad-schema' });
+    try {
+        const { StrategicAnalysisService } = loadApp();
+        StrategicAnalysisService.saveSettings({ ...StrategicAnalysisService.defaults, provider: 'local', baseUrl: broken.url });
+        const analysis = await StrategicAnalysisService.analyze(strategicData);
+        assert.match(analysis.notice, /does not match the analysis schema/);
+    } finally {
+        broken.stop();
+    }
+});
@@ -0,0 +1,122 @@
+// ====================================
+// Tax and depreciation tests. Run with: node --test
+// ====================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FinancialCalculator } = require('../analysis-core.js');
+
+const assertClose = (actual, expected, tolerance = 1e-6) => {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${expected} ± ${tolerance}, got ${actual}`);
+};
+
+const sum = values => values.reduce((total, value) => total + value, 0);
+
+const project = (overrides = {}) => ({
+    initialInvestment: 120000,
+    discountRate: 10,
+    projectDuration: 24,
+    yearlyRevenue: 120000,
+    revenueGrowth: 0,
+    operatingCosts: 24000,
+    maintenanceCosts: 0,
+    taxRate: 25,
+    depreciationMethod: 'straight-line',
+    usefulLife: 2,
+    ...overrides
+});
+
+test('straight-line depreciation spreads the cost evenly over the useful life', () => {
+    const amounts = FinancialCalculator.depreciateAsset(1200, 12, 'straight-line');
+    assert.equal(amounts.length, 12);
+    amounts.forEach(amount => assertClose(amount, 100));
+});
+
+test('declining balance front-loads depreciation and still reaches zero book value', () => {
+    const amounts = FinancialCalculator.depreciateAsset(1200, 12, 'declining-balance');
+    assertClose(amounts[0], 200);
+    assert.ok(amounts[0] > amounts[11]);
+    assertClose(sum(amounts), 1200);
+});
+
+test('capex is depreciated from the month after it is paid', () => {
+    const depreciation = FinancialCalculator.generateDepreciationSchedule(project({
+        investmentSchedule: [{ amount: 24000, month: 12 }]
+    }));
+    assert.equal(depreciation[0], 0);
+    assertClose(depreciation[1], 5000);
+    assertClose(depreciation[13], 6000);
+    assertClose(sum(depreciation), 144000);
+});
+
+test('book value left at the end of the project is deducted in the last month', () => {
+    const depreciation = FinancialCalculator.generateDepreciationSchedule(project({ usefulLife: 5 }));
+    assertClose(depreciation[1], 2000);
+    assertClose(depreciation[24], 120000 - 23 * 2000);
+    assertClose(sum(depreciation), 120000);
+});
+
+test('tax is charged on yearly taxable income after depreciation in the last month of each year', () => {
+    // 96,000 operating result and 60,000 depreciation per year
+    const schedule = FinancialCalculator.generateCashFlowSchedule(project());
+    assert.equal(schedule[11].tax, 0);
+    assertClose(schedule[12].tax, 36000 * 0.25);
+    assertClose(schedule[24].tax, 36000 * 0.25);
+    assertClose(schedule[12].afterTaxCashFlow, schedule[12].netCashFlow - 9000);
+});
+
+test('losses are carried forward against later profits', () => {
+    // Year 1 loses 30,000 after depreciation; year 2 earns 66,000
+    const data = project({
+        lineItems: [{ type: 'cost', amount: 66000, startMonth: 1, endMonth: 12 }]
+    });
+    const schedule = FinancialCalculator.generateCashFlowSchedule(data);
+    assert.equal(schedule[12].tax, 0);
+    assertClose(schedule[24].tax, (36000 - 30000) * 0.25);
+});
+
+test('metrics are reported pre-tax and after tax', () => {
+    const metrics = FinancialCalculator.calculateMetrics(project());
+    const untaxed = FinancialCalculator.calculateMetrics(project({ taxRate: 0 }));
+
+    assertClose(metrics.npv, untaxed.npv);
+    assert.ok(metrics.afterTax.npv < metrics.npv);
+    assert.equal(metrics.afterTax.irrStatus, 'ok');
+    assert.ok(Number.isFinite(metrics.afterTax.irr));
+    assert.ok(metrics.afterTax.irr < metrics.irr);
+    assertClose(metrics.afterTax.totalTax, 18000);
+    assertClose(metrics.afterTax.taxShield, 120000 * 0.25);
+    assertClose(metrics.afterTax.roi, (192000 - 18000 - 120000) / 120000 * 100);
+    assertClose(metrics.afterTax.npv, FinancialCalculator.calculateNPV(metrics.afterTax.cashFlows, 10));
+});
+
+test('without a tax rate the after-tax figures equal the pre-tax ones', () => {
+    const metrics = FinancialCalculator.calculateMetrics(project({ taxRate: undefined }));
+    assert.equal(metrics.afterTax.npv, metrics.npv);
+    assert.equal(metrics.afterTax.totalTax, 0);
+    assert.deepEqual(metrics.afterTax.cashFlows, metrics.cashFlows);
+});
+
+test('the tax shield only counts depreciation that reduces tax actually paid', () => {
+    // 50,000 operating result per year; year 2 ends in a 30,000 loss from the written-off
+    // book value, which no later year absorbs
+    const metrics = FinancialCalculator.calculateMetrics(project({ yearlyRevenue: 74000, usefulLife: 3 }));
+    assertClose(metrics.afterTax.totalTax, 10000 * 0.25);
+    assertClose(metrics.afterTax.taxShield, 100000 * 0.25 - 2500);
+    assert.ok(metrics.afterTax.taxShield < 120000 * 0.25);
+});
+
+test('yearly tax payments do not make the after-tax IRR ambiguous', () => {
+    [10, 25, 30].forEach(taxRate => {
+        const metrics = FinancialCalculator.calculateMetrics(project({
+            initialInvestment: 100000,
+            projectDuration: 36,
+            operatingCosts: 10000,
+            taxRate,
+            usefulLife: 5
+        }));
+        assert.equal(metrics.afterTax.irrStatus, 'ok');
+        assert.deepEqual(metrics.afterTax.irrCandidates, [metrics.afterTax.irr]);
+        assertClose(FinancialCalculator.calculateNPV(metrics.afterTax.cashFlows, metrics.afterTax.irr), 0, 1e-4);
+    });
+});
@@ -0,0 +1,107 @@
+// ====================================
+// Stub LLM server for local testing of the strategic analysis providers
+//
+//   node tools/llm-stub-server.js
+//
+// Serves both provider protocols on one port:
+//   POST /v1/chat/completions  (OpenAI-compatible: base URL http://localhost:8787/v1)
+//   POST /api/chat             (local model server: base URL http://localhost:8787)
+//
+// Environment:
+//   PORT            port to listen on (default 8787; 0 picks a free port)
+//   STUB_DELAY_MS   delay before each response, to exercise timeouts (default 0)
+//   STUB_FAIL_FIRST answer the first N requests with HTTP 503, to exercise retries (default 0)
+//   STUB_RESPONSE   valid | invalid-json | bad-schema (default valid)
+// ====================================
+
+const http = require('http');
+
+const port = parseInt(process.env.PORT || '8787');
+const delayMs = parseInt(process.env.STUB_DELAY_MS || '0');
+let failuresLeft = parseInt(process.env.STUB_FAIL_FIRST || '0');
+const responseMode = process.env.STUB_RESPONSE || 'valid';
+
+// Deterministic analysis derived from the prompt so results are reproducible
+function buildAnalysis(messages) {
+    const userMessage = (messages.find(m => m.role === 'user') || {}).content || '';
+    const spanish = /Spanish/.test((messages.find(m => m.role === 'system') || {}).content || '');
+
+    return {
+        viability: 60 + (userMessage.length % 40),
+        strengths: [{ text: spanish ? 'Respuesta del servidor de prueba' : 'Stub server response', field: 'general' }],
+        weaknesses: [{ text: spanish ? `El prompt tiene ${userMessage.length} caracteres` : `Prompt is ${userMessage.length} characters long`, field: 'problemOpportunity' }],
+        risks: [{ text: spanish ? 'Datos de prueba, no usar para decisiones' : 'Test data, not for decisions', field: 'general' }],
+        recommendation: spanish ? 'Análisis generado por el servidor de prueba.' : 'Analysis generated by the stub server.'
+    };
+}
+
+function buildContent(messages) {
+    if (responseMode === 'invalid-json') {
+        return 'This is not JSON';
+    }
+    if (responseMode === 'bad-schema') {
+        return JSON.stringify({ score: 'high' });
+    }
+    return JSON.stringify(buildAnalysis(messages));
+}
+
+function send(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Access-Control-Allow-Methods': 'POST, OPTIONS'
+    });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+const server = http.createServer((req, res) => {
+    if (req.method === 'OPTIONS') {
+        send(res, 204);
+        return;
+    }
+
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+        setTimeout(() => {
+            console.log(`${new Date().toISOString()} ${req.method} ${req.url}`);
+
+            if (failuresLeft > 0) {
+                failuresLeft--;
+                send(res, 503, { error: { message: 'Stub server: simulated outage' } });
+                return;
+            }
+
+            let request;
+            try {
+                request = JSON.parse(raw || '{}');
+            } catch (error) {
+                send(res, 400, { error: { message: 'Request body is not JSON' } });
+                return;
+            }
+            const messages = Array.isArray(request.messages) ? request.messages : [];
+
+            if (req.method === 'POST' && /\/chat\/completions$/.test(req.url)) {
+                send(res, 200, {
+                    id: 'stub-completion',
+                    object: 'chat.completion',
+                    model: request.model,
+                    choices: [{ index: 0, finish_reason: 'stop', message: { role: 'assistant', content: buildContent(messages) } }]
+                });
+            } else if (req.method === 'POST' && req.url === '/api/chat') {
+                send(res, 200, {
+                    model: request.model,
+                    done: true,
+                    message: { role: 'assistant', content: buildContent(messages) }
+                });
+            } else {
+                send(res, 404, { error: { message: `No stub route for ${req.method} ${req.url}` } });
+            }
+        }, delayMs);
+    });
+});
+
+server.listen(port, () => {
+    console.log(`LLM stub server listening on http://localhost:${server.address().port} (mode: ${responseMode})`);
+});